@@ -0,0 +1,47 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+
+// Applies scripts/migrations/*.sql in file-name order, once each.
+(async () => {
+  const conn = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    port: Number(process.env.DB_PORT || 3306),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME,
+    multipleStatements: true,
+    ssl: {},
+  });
+
+  try {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         name VARCHAR(190) PRIMARY KEY,
+         applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    const [rows] = await conn.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(r => r.name));
+
+    const dir = path.join(__dirname, 'migrations');
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      console.log(`Applying ${file}`);
+      await conn.query(sql);
+      await conn.query('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+    }
+
+    console.log('Migrations up to date');
+    await conn.end();
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    await conn.end();
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,43 @@
+-- Payroll runs: one row per period moving Draft -> Reviewed -> Approved -> Locked
+CREATE TABLE payroll_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  period_year SMALLINT NOT NULL,
+  period_month TINYINT NOT NULL,
+  status ENUM('Draft','Reviewed','Approved','Locked') NOT NULL DEFAULT 'Draft',
+  employee_count INT NOT NULL DEFAULT 0,
+  total_gross DECIMAL(14,2) NOT NULL DEFAULT 0,
+  total_deductions DECIMAL(14,2) NOT NULL DEFAULT 0,
+  total_net DECIMAL(14,2) NOT NULL DEFAULT 0,
+  notes VARCHAR(500) NULL,
+  created_by INT NULL,
+  calculated_at DATETIME NULL,
+  reviewed_by INT NULL,
+  reviewed_at DATETIME NULL,
+  approved_by INT NULL,
+  approved_at DATETIME NULL,
+  locked_by INT NULL,
+  locked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payroll_runs_period (period_year, period_month)
+);
+
+-- Per-employee snapshot of every earning / deduction / employer contribution in a run
+CREATE TABLE payroll_run_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  run_id INT NOT NULL,
+  employee_id INT NOT NULL,
+  line_type ENUM('Earning','Deduction','Employer') NOT NULL,
+  component VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  source_table VARCHAR(64) NULL,
+  source_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_payroll_run_lines_run_emp (run_id, employee_id),
+  CONSTRAINT fk_payroll_run_lines_run FOREIGN KEY (run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE
+);
+
+ALTER TABLE payroll_cycles
+  ADD COLUMN payroll_run_id INT NULL,
+  ADD KEY idx_payroll_cycles_run (payroll_run_id);
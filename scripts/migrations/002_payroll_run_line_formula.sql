@@ -0,0 +1,3 @@
+-- Keep the engine's formula with each stored line so a locked payslip stays explainable
+ALTER TABLE payroll_run_lines
+  ADD COLUMN formula VARCHAR(255) NULL AFTER source_id;
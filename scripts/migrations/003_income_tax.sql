@@ -0,0 +1,35 @@
+-- APIT / PAYE tax tables. Slabs are annual amounts; a new budget is loaded as a new
+-- effective-dated table instead of editing the old one.
+CREATE TABLE tax_tables (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  table_type ENUM('Regular','LumpSum') NOT NULL DEFAULT 'Regular',
+  effective_from DATE NOT NULL,
+  effective_to DATE NULL,
+  notes VARCHAR(500) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_tax_tables_type_from (table_type, effective_from)
+);
+
+CREATE TABLE tax_slabs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tax_table_id INT NOT NULL,
+  lower_bound DECIMAL(14,2) NOT NULL,
+  upper_bound DECIMAL(14,2) NULL,
+  rate DECIMAL(5,2) NOT NULL,
+  KEY idx_tax_slabs_table (tax_table_id, lower_bound),
+  CONSTRAINT fk_tax_slabs_table FOREIGN KEY (tax_table_id) REFERENCES tax_tables(id) ON DELETE CASCADE
+);
+
+-- How monthly APIT is worked out for the employee
+ALTER TABLE employees
+  ADD COLUMN tax_method ENUM('Cumulative','Annualized') NOT NULL DEFAULT 'Cumulative';
+
+-- Which tax base a stored run line belongs to (Regular / LumpSum / NULL = not taxable)
+ALTER TABLE payroll_run_lines
+  ADD COLUMN tax_class VARCHAR(10) NULL AFTER formula;
+
+ALTER TABLE payroll_transfers
+  ADD COLUMN tax_amount DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER total_deductions;
@@ -0,0 +1,46 @@
+-- LankaClear bank / branch codes needed for bulk credit files
+ALTER TABLE employee_bank_accounts
+  ADD COLUMN bank_code VARCHAR(4) NULL AFTER bank_name,
+  ADD COLUMN branch_code VARCHAR(3) NULL AFTER branch_name;
+
+-- One row per generated salary credit file. Only one 'Generated' batch per period;
+-- regenerating marks the previous one 'Superseded'.
+CREATE TABLE bank_transfer_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_reference VARCHAR(30) NOT NULL,
+  period_year SMALLINT NOT NULL,
+  period_month TINYINT NOT NULL,
+  layout VARCHAR(40) NOT NULL,
+  status ENUM('Generated','Superseded') NOT NULL DEFAULT 'Generated',
+  value_date DATE NOT NULL,
+  record_count INT NOT NULL DEFAULT 0,
+  total_amount DECIMAL(14,2) NOT NULL DEFAULT 0,
+  account_hash_total VARCHAR(20) NOT NULL,
+  file_name VARCHAR(120) NOT NULL,
+  file_content MEDIUMTEXT NOT NULL,
+  regenerate_reason VARCHAR(255) NULL,
+  generated_by INT NULL,
+  generated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  superseded_by INT NULL,
+  superseded_at DATETIME NULL,
+  UNIQUE KEY uq_bank_transfer_batches_ref (batch_reference),
+  KEY idx_bank_transfer_batches_period (period_year, period_month, status)
+);
+
+CREATE TABLE bank_transfer_batch_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_id INT NOT NULL,
+  payroll_transfer_id INT NOT NULL,
+  employee_id INT NOT NULL,
+  account_number VARCHAR(30) NOT NULL,
+  account_name VARCHAR(100) NULL,
+  bank_code VARCHAR(4) NOT NULL,
+  branch_code VARCHAR(3) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  KEY idx_bank_transfer_batch_items_batch (batch_id),
+  CONSTRAINT fk_bank_transfer_batch_items_batch FOREIGN KEY (batch_id) REFERENCES bank_transfer_batches(id) ON DELETE CASCADE
+);
+
+ALTER TABLE payroll_transfers
+  ADD COLUMN bank_batch_id INT NULL,
+  ADD KEY idx_payroll_transfers_batch (bank_batch_id);
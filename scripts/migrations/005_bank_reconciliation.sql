@@ -0,0 +1,39 @@
+-- Bank response files imported against a transfer batch
+CREATE TABLE bank_reconciliations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bank_batch_id INT NULL,
+  period_year SMALLINT NOT NULL,
+  period_month TINYINT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NULL,
+  line_count INT NOT NULL DEFAULT 0,
+  completed_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  mismatch_count INT NOT NULL DEFAULT 0,
+  imported_by INT NULL,
+  imported_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_bank_reconciliations_period (period_year, period_month)
+);
+
+-- One row per line of the bank file and what it was matched to
+CREATE TABLE bank_reconciliation_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  reconciliation_id INT NOT NULL,
+  line_no INT NOT NULL,
+  account_number VARCHAR(30) NULL,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  return_code VARCHAR(20) NULL,
+  bank_reason VARCHAR(255) NULL,
+  outcome ENUM('Completed','Failed') NOT NULL,
+  match_status ENUM('Matched','Unmatched','AmountMismatch','Duplicate','AlreadyClosed') NOT NULL,
+  payroll_transfer_id INT NULL,
+  raw_line TEXT NULL,
+  KEY idx_bank_reconciliation_lines_rec (reconciliation_id),
+  CONSTRAINT fk_bank_reconciliation_lines_rec FOREIGN KEY (reconciliation_id) REFERENCES bank_reconciliations(id) ON DELETE CASCADE
+);
+
+ALTER TABLE payroll_transfers
+  MODIFY COLUMN status ENUM('Pending','Processing','Completed','Failed') NOT NULL DEFAULT 'Pending',
+  ADD COLUMN bank_reason VARCHAR(255) NULL,
+  ADD COLUMN reconciled_at DATETIME NULL,
+  ADD COLUMN reconciliation_id INT NULL;
@@ -0,0 +1,41 @@
+-- Employee loans and salary advances, repaid through payroll
+CREATE TABLE employee_loans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  loan_type ENUM('Loan','Advance') NOT NULL DEFAULT 'Loan',
+  description VARCHAR(255) NULL,
+  principal DECIMAL(12,2) NOT NULL,
+  interest_method ENUM('None','Flat','Reducing') NOT NULL DEFAULT 'None',
+  interest_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  instalment_count INT NOT NULL,
+  start_year SMALLINT NOT NULL,
+  start_month TINYINT NOT NULL,
+  status ENUM('Active','Settled','Cancelled') NOT NULL DEFAULT 'Active',
+  settled_at DATETIME NULL,
+  settlement_amount DECIMAL(12,2) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_employee_loans_employee (employee_id, status)
+);
+
+-- Scheduled  -> picked up by payroll for its month
+-- Deducted   -> taken in a Locked payroll run
+-- Skipped    -> holiday month, later instalments moved back
+-- Settled    -> closed by early settlement
+CREATE TABLE employee_loan_instalments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  loan_id INT NOT NULL,
+  seq INT NOT NULL,
+  period_year SMALLINT NOT NULL,
+  period_month TINYINT NOT NULL,
+  principal_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  interest_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  status ENUM('Scheduled','Deducted','Skipped','Settled') NOT NULL DEFAULT 'Scheduled',
+  payroll_run_id INT NULL,
+  note VARCHAR(255) NULL,
+  KEY idx_loan_instalments_loan (loan_id, period_year, period_month),
+  KEY idx_loan_instalments_period (period_year, period_month, status),
+  CONSTRAINT fk_loan_instalments_loan FOREIGN KEY (loan_id) REFERENCES employee_loans(id) ON DELETE CASCADE
+);
@@ -0,0 +1,45 @@
+-- Effective-dated basic salary. `salaries` keeps the row currently in force for
+-- older screens; payroll reads the history.
+CREATE TABLE employee_salary_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  basic_salary DECIMAL(12,2) NOT NULL,
+  effective_from DATE NOT NULL,
+  note VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_salary_history_employee (employee_id, effective_from)
+);
+
+-- Seed from the current salary, in force since joining
+INSERT INTO employee_salary_history (employee_id, basic_salary, effective_from, note)
+SELECT s.employee_id, s.basic_salary, COALESCE(e.joining_date, '2000-01-01'), 'Opening balance'
+  FROM salaries s
+  JOIN (SELECT employee_id, MAX(id) AS id FROM salaries GROUP BY employee_id) latest ON latest.id = s.id
+  JOIN employees e ON e.id = s.employee_id;
+
+-- OT priced off basic: rate = basic / 240 x multiplier (ot_rate is then ignored)
+ALTER TABLE overtime_adjustments
+  ADD COLUMN ot_multiplier DECIMAL(4,2) NULL AFTER ot_rate;
+
+-- Differences for Locked months after a back-dated salary change, paid in the
+-- next open payroll (pay_year / pay_month)
+CREATE TABLE salary_arrears (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  salary_history_id INT NULL,
+  period_year SMALLINT NOT NULL,
+  period_month TINYINT NOT NULL,
+  component VARCHAR(50) NOT NULL,
+  old_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  new_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  difference DECIMAL(12,2) NOT NULL,
+  pay_year SMALLINT NOT NULL,
+  pay_month TINYINT NOT NULL,
+  status ENUM('Pending','Paid','Cancelled') NOT NULL DEFAULT 'Pending',
+  payroll_run_id INT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_salary_arrears_employee (employee_id, period_year, period_month),
+  KEY idx_salary_arrears_pay (pay_year, pay_month, status)
+);
@@ -0,0 +1,26 @@
+-- Why a salary changed and who approved it
+ALTER TABLE employee_salary_history
+  ADD COLUMN reason ENUM('Appointment','Increment','Promotion','Correction') NOT NULL DEFAULT 'Correction' AFTER effective_from,
+  ADD COLUMN approved_by INT NULL AFTER note,
+  ADD COLUMN increment_batch_id INT NULL AFTER approved_by,
+  ADD KEY idx_salary_history_batch (increment_batch_id);
+
+UPDATE employee_salary_history SET reason = 'Appointment' WHERE note = 'Opening balance';
+
+-- Bulk (annual) increments applied to a grade or department
+CREATE TABLE salary_increment_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope_type ENUM('Grade','Department') NOT NULL,
+  scope_id INT NOT NULL,
+  mode ENUM('fixed','percent') NOT NULL,
+  amount DECIMAL(12,2) NULL,
+  percent DECIMAL(6,3) NULL,
+  effective_from DATE NOT NULL,
+  note VARCHAR(255) NULL,
+  employee_count INT NOT NULL DEFAULT 0,
+  total_increase DECIMAL(14,2) NOT NULL DEFAULT 0,
+  approved_by INT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_increment_batches_scope (scope_type, scope_id, effective_from)
+);
@@ -0,0 +1,30 @@
+-- Day-type multipliers and the smallest daily OT that counts, per grade
+ALTER TABLE overtime_rule
+  ADD COLUMN weekday_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.50 AFTER max_ot_hours,
+  ADD COLUMN weekend_multiplier DECIMAL(4,2) NOT NULL DEFAULT 2.00 AFTER weekday_multiplier,
+  ADD COLUMN holiday_multiplier DECIMAL(4,2) NOT NULL DEFAULT 2.00 AFTER weekend_multiplier,
+  ADD COLUMN min_ot_minutes INT NOT NULL DEFAULT 30 AFTER holiday_multiplier;
+
+-- Attendance-derived OT waits for HR approval; manual entries stay approved as before.
+-- ot_date is the month the hours were worked (payroll falls back to created_at).
+ALTER TABLE overtime_adjustments
+  ADD COLUMN source ENUM('Manual','Attendance') NOT NULL DEFAULT 'Manual' AFTER adjustment_reason,
+  ADD COLUMN day_type ENUM('Weekday','Weekend','Holiday') NULL AFTER source,
+  ADD COLUMN ot_date DATE NULL AFTER day_type,
+  ADD COLUMN status ENUM('Pending','Approved','Rejected') NOT NULL DEFAULT 'Approved' AFTER ot_date,
+  ADD COLUMN approved_by INT NULL AFTER status,
+  ADD COLUMN approved_at DATETIME NULL AFTER approved_by,
+  ADD COLUMN decision_note VARCHAR(255) NULL AFTER approved_at,
+  ADD KEY idx_overtime_adjustments_period (ot_date, status);
+
+-- The attendance days behind each generated adjustment
+CREATE TABLE overtime_adjustment_days (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  adjustment_id INT NOT NULL,
+  attendance_record_id INT NULL,
+  work_date DATE NOT NULL,
+  check_in_time TIME NULL,
+  check_out_time TIME NULL,
+  ot_minutes INT NOT NULL,
+  KEY idx_overtime_days_adjustment (adjustment_id)
+);
@@ -0,0 +1,51 @@
+-- Device / time-clock user ids mapped to employees (device_code '' = any device)
+CREATE TABLE attendance_device_users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  device_code VARCHAR(50) NOT NULL DEFAULT '',
+  device_user_id VARCHAR(50) NOT NULL,
+  employee_id INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_device_user (device_code, device_user_id),
+  KEY idx_device_users_employee (employee_id)
+);
+
+-- One row per uploaded punch log
+CREATE TABLE attendance_imports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  device_code VARCHAR(50) NOT NULL DEFAULT '',
+  file_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NULL,
+  file_hash CHAR(64) NOT NULL,
+  format VARCHAR(20) NOT NULL,
+  line_count INT NOT NULL DEFAULT 0,
+  new_punch_count INT NOT NULL DEFAULT 0,
+  duplicate_count INT NOT NULL DEFAULT 0,
+  unmapped_count INT NOT NULL DEFAULT 0,
+  error_count INT NOT NULL DEFAULT 0,
+  day_count INT NOT NULL DEFAULT 0,
+  flagged_count INT NOT NULL DEFAULT 0,
+  imported_by INT NULL,
+  imported_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_attendance_imports_hash (file_hash)
+);
+
+-- Raw punches; the unique key makes re-uploading the same log a no-op
+CREATE TABLE attendance_punches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  import_id INT NOT NULL,
+  device_code VARCHAR(50) NOT NULL DEFAULT '',
+  device_user_id VARCHAR(50) NOT NULL,
+  employee_id INT NULL,
+  punched_at DATETIME NOT NULL,
+  direction ENUM('In','Out','Unknown') NOT NULL DEFAULT 'Unknown',
+  raw_line VARCHAR(255) NULL,
+  UNIQUE KEY uq_punch (device_code, device_user_id, punched_at),
+  KEY idx_punches_employee (employee_id, punched_at)
+);
+
+-- Daily records built from punches keep the break time and anything odd for review
+ALTER TABLE attendance_records
+  ADD COLUMN source ENUM('Manual','Device') NOT NULL DEFAULT 'Manual',
+  ADD COLUMN punch_count INT NULL,
+  ADD COLUMN break_minutes INT NULL,
+  ADD COLUMN review_flag VARCHAR(255) NULL;
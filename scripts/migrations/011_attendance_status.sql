@@ -0,0 +1,29 @@
+-- Daily status engine: statuses are worked out from punches, timetables, approved
+-- leave and holidays. status_source = 'Manual' marks a status set by an adjustment,
+-- which the engine leaves alone. Rows it creates for absent / on-leave / holiday
+-- days carry source = 'System'.
+ALTER TABLE attendance_records
+  MODIFY COLUMN status VARCHAR(20) NULL,
+  MODIFY COLUMN source ENUM('Manual','Device','System') NOT NULL DEFAULT 'Manual',
+  ADD COLUMN late_minutes INT NULL,
+  ADD COLUMN early_leave_minutes INT NULL,
+  ADD COLUMN status_source ENUM('Auto','Manual') NULL,
+  ADD COLUMN evaluated_at DATETIME NULL;
+
+-- One row per evaluation (nightly job or on-demand backfill)
+CREATE TABLE attendance_status_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  from_date DATE NOT NULL,
+  to_date DATE NOT NULL,
+  trigger_type ENUM('Scheduled','Manual') NOT NULL DEFAULT 'Manual',
+  employee_count INT NOT NULL DEFAULT 0,
+  created_count INT NOT NULL DEFAULT 0,
+  updated_count INT NOT NULL DEFAULT 0,
+  status_counts JSON NULL,
+  run_by INT NULL,
+  started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL
+);
+
+-- Statuses already set by hand before the engine existed stay as they are
+UPDATE attendance_records SET status_source = 'Manual' WHERE status IS NOT NULL;
@@ -0,0 +1,60 @@
+-- Rotating shift patterns: a cycle of days, each on a timetable or off (timetable_id NULL)
+CREATE TABLE shift_patterns (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  cycle_days INT NOT NULL,
+  description VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE shift_pattern_days (
+  pattern_id INT NOT NULL,
+  day_index INT NOT NULL,
+  timetable_id INT NULL,
+  PRIMARY KEY (pattern_id, day_index)
+);
+
+-- Assignments are now kept as history: each row is in force from effective_date until
+-- the next one. A row points at a fixed timetable or at a pattern, whose day 0 falls on
+-- pattern_anchor_date (defaults to effective_date).
+ALTER TABLE employee_timetables
+  MODIFY COLUMN timetable_id INT NULL,
+  ADD COLUMN shift_pattern_id INT NULL,
+  ADD COLUMN pattern_anchor_date DATE NULL,
+  ADD COLUMN assigned_by INT NULL,
+  ADD COLUMN assigned_at DATETIME NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Swaps between two employees on the same date; the *_shift_id columns record the
+-- timetables each side was rostered on when the swap was approved (NULL = off)
+CREATE TABLE shift_swaps (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  partner_employee_id INT NOT NULL,
+  swap_date DATE NOT NULL,
+  employee_shift_id INT NULL,
+  partner_shift_id INT NULL,
+  reason VARCHAR(255) NULL,
+  status ENUM('Pending','Approved','Rejected','Cancelled') NOT NULL DEFAULT 'Pending',
+  requested_by INT NULL,
+  requested_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  decided_by INT NULL,
+  decided_at DATETIME NULL,
+  decision_note VARCHAR(255) NULL,
+  KEY idx_shift_swaps_date (swap_date)
+);
+
+-- Per-date roster changes; timetable_id NULL = day off. Swaps write one row per side.
+CREATE TABLE roster_overrides (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  date DATE NOT NULL,
+  timetable_id INT NULL,
+  source ENUM('Override','Swap') NOT NULL DEFAULT 'Override',
+  shift_swap_id INT NULL,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_roster_override (employee_id, date)
+);
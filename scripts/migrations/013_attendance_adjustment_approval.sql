@@ -0,0 +1,37 @@
+-- Adjustments are staged until the last approval level signs off, then applied to the
+-- attendance record; the record's values from before are kept on the adjustment so a
+-- later rejection can put them back.
+ALTER TABLE attendance_adjustments
+  ADD COLUMN current_level ENUM('Supervisor','HR') NULL,
+  ADD COLUMN attendance_record_id INT NULL,
+  ADD COLUMN created_record TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN original_check_in_time TIME NULL,
+  ADD COLUMN original_check_out_time TIME NULL,
+  ADD COLUMN original_status VARCHAR(20) NULL,
+  ADD COLUMN original_status_source VARCHAR(10) NULL,
+  ADD COLUMN applied_at DATETIME NULL,
+  ADD COLUMN reverted_at DATETIME NULL,
+  ADD COLUMN created_by INT NULL;
+
+-- One row per decision at each level
+CREATE TABLE attendance_adjustment_approvals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  adjustment_id INT NOT NULL,
+  level ENUM('Supervisor','HR') NOT NULL,
+  decision ENUM('Approved','Rejected','Reverted') NOT NULL,
+  decided_by INT NULL,
+  decided_by_role VARCHAR(50) NULL,
+  note VARCHAR(255) NULL,
+  decided_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_adjustment_approvals (adjustment_id)
+);
+
+-- Device / clock values as punched, kept once a record has been corrected
+ALTER TABLE attendance_records
+  ADD COLUMN raw_check_in_time TIME NULL,
+  ADD COLUMN raw_check_out_time TIME NULL,
+  ADD COLUMN is_adjusted TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Pending adjustments from before this change were written straight to the record;
+-- they wait for HR only, and rejecting them cannot restore the overwritten values.
+UPDATE attendance_adjustments SET current_level = 'HR' WHERE status = 'Pending';
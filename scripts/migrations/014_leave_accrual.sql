@@ -0,0 +1,71 @@
+-- Entitlement per leave type, optionally per grade (grade_id 0 = every grade).
+--   accrual_method Annual  - the year's days are granted up front
+--   accrual_method Monthly - annual_days / 12 earned at the end of each month served
+-- carry_forward_max: days that may roll into next year (0 = none);
+-- carry_forward_expiry_months: carried days lapse this many months into the new year (NULL = never)
+CREATE TABLE leave_accrual_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  leave_type_id INT NOT NULL,
+  grade_id INT NOT NULL DEFAULT 0,
+  annual_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+  accrual_method ENUM('Annual','Monthly') NOT NULL DEFAULT 'Annual',
+  prorate_first_year TINYINT(1) NOT NULL DEFAULT 1,
+  carry_forward_max DECIMAL(6,2) NOT NULL DEFAULT 0,
+  carry_forward_expiry_months INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_leave_accrual_policy (leave_type_id, grade_id)
+);
+
+-- Service-length tiers: from min_service_years completed years, annual_days replaces the policy's
+CREATE TABLE leave_accrual_tiers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  policy_id INT NOT NULL,
+  min_service_years INT NOT NULL,
+  annual_days DECIMAL(6,2) NOT NULL,
+  UNIQUE KEY uq_leave_accrual_tier (policy_id, min_service_years)
+);
+
+-- available = accrued + carried_forward - expired - used
+ALTER TABLE leave_balances
+  ADD COLUMN accrued_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+  ADD COLUMN carried_forward_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+  ADD COLUMN carry_forward_expires_on DATE NULL,
+  ADD COLUMN expired_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+  ADD COLUMN accrued_through DATE NULL;
+
+-- Every movement on a balance, including what a rollover carried or forfeited
+CREATE TABLE leave_balance_transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  leave_type_id INT NOT NULL,
+  year INT NOT NULL,
+  txn_type ENUM('Accrual','Usage','CarryForward','Forfeit','Expiry') NOT NULL,
+  days DECIMAL(6,2) NOT NULL,
+  leave_request_id INT NULL,
+  rollover_id INT NULL,
+  note VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_leave_txn_balance (employee_id, leave_type_id, year)
+);
+
+-- One year-end rollover per year
+CREATE TABLE leave_rollovers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  from_year INT NOT NULL,
+  to_year INT NOT NULL,
+  trigger_type ENUM('Scheduled','Manual') NOT NULL DEFAULT 'Manual',
+  balance_count INT NOT NULL DEFAULT 0,
+  carried_days DECIMAL(10,2) NOT NULL DEFAULT 0,
+  forfeited_days DECIMAL(10,2) NOT NULL DEFAULT 0,
+  run_by INT NULL,
+  run_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_leave_rollover_year (from_year)
+);
+
+-- Start from the grade limits in leave_rules (annual = type 1, medical = type 2; 0 meant no limit)
+INSERT INTO leave_accrual_policies (leave_type_id, grade_id, annual_days)
+  SELECT 1, grade_id, annual_limit FROM leave_rules WHERE annual_limit > 0;
+INSERT INTO leave_accrual_policies (leave_type_id, grade_id, annual_days)
+  SELECT 2, grade_id, medical_limit FROM leave_rules WHERE medical_limit > 0;
@@ -0,0 +1,36 @@
+-- Per-type leave policy. Entitlement per grade lives in leave_accrual_policies.
+--   code                   - stable key for types the app refers to (ANNUAL, MEDICAL, ...)
+--   is_paid                - 0: every approved day is recorded as unpaid leave
+--   allow_half_day         - a single day of up to half the working day
+--   allow_short_leave      - a few hours off, up to short_leave_max_hours
+--   attachment_after_days  - requests longer than this need a document (NULL = never)
+--   count_weekends / count_holidays - whether off days inside the range use up leave
+--   gender_restriction     - maternity / paternity style types
+ALTER TABLE leave_types
+  ADD COLUMN code VARCHAR(30) NULL,
+  ADD COLUMN description VARCHAR(255) NULL,
+  ADD COLUMN is_paid TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN allow_half_day TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN allow_short_leave TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN short_leave_max_hours DECIMAL(4,2) NULL,
+  ADD COLUMN attachment_after_days DECIMAL(5,2) NULL,
+  ADD COLUMN count_weekends TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN count_holidays TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN gender_restriction ENUM('Any','Male','Female') NOT NULL DEFAULT 'Any',
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD UNIQUE KEY uq_leave_type_code (code);
+
+-- The two types leave_rules has limits for
+UPDATE leave_types SET code = 'ANNUAL' WHERE id = 1;
+UPDATE leave_types SET code = 'MEDICAL' WHERE id = 2;
+
+-- Full day(s), half a day or a short leave of a few hours
+ALTER TABLE leave_requests
+  ADD COLUMN day_part ENUM('Full','Half','Short') NOT NULL DEFAULT 'Full';
+
+UPDATE leave_requests SET day_part = 'Half'
+ WHERE start_date = end_date AND duration_hours > 0 AND duration_hours <= 4.5;
+
+-- Unpaid days raised by an approved leave request
+ALTER TABLE unpaid_leaves
+  ADD COLUMN leave_request_id INT NULL;
@@ -0,0 +1,8 @@
+-- Leave duration from the employee's working calendar.
+--   start_session PM - the first day starts with the afternoon session (AM / PM on a single day = half day)
+--   end_session AM   - the last day ends after the morning session
+--   duration_days    - working days the request uses (holidays / days off excluded per leave type)
+ALTER TABLE leave_requests
+  ADD COLUMN start_session ENUM('Full','AM','PM') NOT NULL DEFAULT 'Full',
+  ADD COLUMN end_session ENUM('Full','AM','PM') NOT NULL DEFAULT 'Full',
+  ADD COLUMN duration_days DECIMAL(6,2) NULL;
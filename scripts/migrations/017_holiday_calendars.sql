@@ -0,0 +1,55 @@
+-- Named holiday calendars (national, mercantile, bank, poya days, ...)
+CREATE TABLE holiday_sets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(30) NULL,
+  category ENUM('National','Mercantile','Bank','Poya','Company','Other') NOT NULL DEFAULT 'Other',
+  description VARCHAR(255) NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_holiday_set_name (name),
+  UNIQUE KEY uq_holiday_set_code (code)
+);
+
+-- Where a set applies, matched against employees.branch / employees.working_office.
+-- A set without scopes applies to every employee.
+CREATE TABLE holiday_set_scopes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  set_id INT NOT NULL,
+  scope_type ENUM('branch','working_office') NOT NULL,
+  scope_value VARCHAR(100) NOT NULL,
+  UNIQUE KEY uq_holiday_set_scope (set_id, scope_type, scope_value)
+);
+
+-- Yearly file uploads (CSV or iCalendar)
+CREATE TABLE holiday_imports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  set_id INT NOT NULL,
+  year INT NOT NULL,
+  file_name VARCHAR(255) NULL,
+  format ENUM('csv','ics') NOT NULL,
+  added_count INT NOT NULL DEFAULT 0,
+  updated_count INT NOT NULL DEFAULT 0,
+  removed_count INT NOT NULL DEFAULT 0,
+  skipped_count INT NOT NULL DEFAULT 0,
+  error_count INT NOT NULL DEFAULT 0,
+  imported_by INT NULL,
+  imported_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_holiday_import_set (set_id, year)
+);
+
+CREATE TABLE holidays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  set_id INT NOT NULL,
+  date DATE NOT NULL,
+  name VARCHAR(150) NOT NULL,
+  source ENUM('Manual','Import') NOT NULL DEFAULT 'Manual',
+  import_id INT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_holiday_set_date (set_id, date),
+  KEY idx_holiday_date (date)
+);
@@ -0,0 +1,25 @@
+-- Leave request validation.
+-- Blackout dates: Block rejects a request touching the date, Warn lets it through with a warning.
+ALTER TABLE calendar_restrictions
+  ADD COLUMN severity ENUM('Block','Warn') NOT NULL DEFAULT 'Block';
+
+-- Requesting more than the balance: Warn (the excess becomes unpaid leave on approval) or Block
+ALTER TABLE leave_types
+  ADD COLUMN balance_enforcement ENUM('Warn','Block') NOT NULL DEFAULT 'Warn';
+
+-- How many people of a department may be off on the same day. A department's own rule
+-- replaces the default rule (department_id NULL). Either limit may be left NULL.
+CREATE TABLE leave_coverage_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  department_id INT NULL,
+  max_off INT NULL,
+  max_off_percent DECIMAL(5,2) NULL,
+  include_pending TINYINT(1) NOT NULL DEFAULT 1,
+  severity ENUM('Block','Warn') NOT NULL DEFAULT 'Block',
+  description VARCHAR(255) NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_leave_coverage_department (department_id)
+);
@@ -0,0 +1,88 @@
+-- Multi-level leave approval.
+-- A chain applies to a department and/or a leave type; the most specific active chain wins
+-- (department + type, then type, then department, then the default with both NULL).
+-- Requests without a chain wait for HR only.
+CREATE TABLE leave_approval_chains (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  department_id INT NULL,
+  leave_type_id INT NULL,
+  escalate_after_days INT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_leave_chain_scope (department_id, leave_type_id)
+);
+
+-- Supervisor: the employee's supervisor_user_id, else any Supervisor user
+-- DepartmentHead: the department's head_user_id, else HR
+-- User: approver_user_id. HR may stand in at every step.
+CREATE TABLE leave_approval_chain_steps (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  chain_id INT NOT NULL,
+  step_no INT NOT NULL,
+  approver_type ENUM('Supervisor','DepartmentHead','HR','User') NOT NULL,
+  approver_user_id INT NULL,
+  UNIQUE KEY uq_leave_chain_step (chain_id, step_no)
+);
+
+ALTER TABLE departments
+  ADD COLUMN head_user_id INT NULL;
+
+ALTER TABLE employees
+  ADD COLUMN supervisor_user_id INT NULL;
+
+-- An approver away between start_date and end_date hands their approvals to delegate_user_id
+CREATE TABLE leave_approval_delegations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  delegate_user_id INT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_leave_delegation_user (user_id, start_date, end_date),
+  KEY idx_leave_delegation_delegate (delegate_user_id, start_date, end_date)
+);
+
+-- PENDING / APPROVED / REJECTED, plus WITHDRAWN (pulled before the last approval)
+-- and CANCELLED (approved leave taken back, balance restored)
+ALTER TABLE leave_requests
+  MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+  ADD COLUMN chain_id INT NULL,
+  ADD COLUMN current_step INT NULL,
+  ADD COLUMN step_started_at DATETIME NULL,
+  ADD COLUMN escalated_at DATETIME NULL,
+  ADD COLUMN cancelled_by INT NULL,
+  ADD COLUMN cancelled_at DATETIME NULL;
+
+-- Every action taken on a request, in order
+CREATE TABLE leave_request_decisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  leave_request_id INT NOT NULL,
+  step_no INT NULL,
+  approver_type VARCHAR(20) NULL,
+  action ENUM('Submitted','Approved','Rejected','Responded','Escalated','Withdrawn','Cancelled') NOT NULL,
+  decided_by INT NULL,
+  decided_by_role VARCHAR(50) NULL,
+  on_behalf_of INT NULL,
+  note VARCHAR(500) NULL,
+  decided_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_leave_decisions_request (leave_request_id)
+);
+
+ALTER TABLE leave_balance_transactions
+  MODIFY COLUMN txn_type ENUM('Accrual','Usage','CarryForward','Forfeit','Expiry','Reversal') NOT NULL;
+
+-- Requests from before this change: pending ones wait for HR from when they were made,
+-- decided ones keep their single decision as history
+UPDATE leave_requests SET current_step = 1, step_started_at = created_at WHERE status = 'PENDING';
+
+INSERT INTO leave_request_decisions (leave_request_id, step_no, approver_type, action, decided_by, note, decided_at)
+SELECT id, NULL, NULL, 'Submitted', created_by_user_id, NULL, created_at FROM leave_requests;
+
+INSERT INTO leave_request_decisions (leave_request_id, step_no, approver_type, action, decided_by, note, decided_at)
+SELECT id, 1, 'HR', IF(status = 'APPROVED', 'Approved', 'Rejected'), decided_by_user_id, decision_note, COALESCE(decided_at, created_at)
+  FROM leave_requests WHERE status IN ('APPROVED','REJECTED');
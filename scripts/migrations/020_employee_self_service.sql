@@ -0,0 +1,21 @@
+-- Employee self-service. A login linked to an employee (role 'Employee' for staff who only
+-- use /api/me) sees that employee's own data and nothing else.
+ALTER TABLE users
+  ADD COLUMN employee_id INT NULL,
+  ADD UNIQUE KEY uq_users_employee (employee_id);
+
+-- Contact / next-of-kin changes asked for from /api/me/profile; applied when HR approves
+CREATE TABLE employee_profile_change_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  employee_id INT NOT NULL,
+  changes JSON NOT NULL,
+  previous JSON NULL,
+  reason VARCHAR(255) NULL,
+  status ENUM('Pending','Approved','Rejected','Cancelled') NOT NULL DEFAULT 'Pending',
+  requested_by INT NULL,
+  decided_by INT NULL,
+  decided_at DATETIME NULL,
+  decision_note VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_profile_changes_employee (employee_id, status)
+);
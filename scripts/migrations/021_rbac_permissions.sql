@@ -0,0 +1,83 @@
+-- Roles and permissions kept in the database. users.role holds the role name.
+-- data_scope 'Department' limits a role's users to the departments in user_department_scopes
+-- for employee and leave data.
+CREATE TABLE roles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NULL,
+  data_scope ENUM('All','Department') NOT NULL DEFAULT 'All',
+  is_system TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_roles_name (name)
+);
+
+CREATE TABLE permissions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(64) NOT NULL,
+  module VARCHAR(30) NOT NULL,
+  description VARCHAR(255) NULL,
+  UNIQUE KEY uq_permissions_code (code)
+);
+
+CREATE TABLE role_permissions (
+  role_id INT NOT NULL,
+  permission_id INT NOT NULL,
+  PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE TABLE user_department_scopes (
+  user_id INT NOT NULL,
+  department_id INT NOT NULL,
+  PRIMARY KEY (user_id, department_id)
+);
+
+INSERT INTO permissions (code, module, description) VALUES
+  ('employee.view', 'employee', 'View employee records and documents'),
+  ('employee.create', 'employee', 'Add employees'),
+  ('employee.update', 'employee', 'Edit employees, documents, logins and profile changes'),
+  ('employee.delete', 'employee', 'Delete employees'),
+  ('salary.view', 'salary', 'View salaries, allowances, deductions, loans and ETF/EPF'),
+  ('salary.manage', 'salary', 'Change salaries, allowances, deductions, loans, overtime and ETF/EPF'),
+  ('payroll.view', 'payroll', 'View payroll runs, payslips and transfers'),
+  ('payroll.run', 'payroll', 'Calculate and review payroll runs'),
+  ('payroll.approve', 'payroll', 'Approve, lock and reopen payroll runs'),
+  ('payroll.transfer', 'payroll', 'Salary transfers, bank files and reconciliation'),
+  ('tax.view', 'tax', 'View tax tables and certificates'),
+  ('tax.manage', 'tax', 'Maintain tax tables'),
+  ('attendance.view', 'attendance', 'View attendance, rosters and reports'),
+  ('attendance.manage', 'attendance', 'Record attendance, import punches, maintain timetables and rosters'),
+  ('attendance.adjust', 'attendance', 'Request and approve attendance adjustments'),
+  ('leave.view', 'leave', 'View leave requests, balances and calendars'),
+  ('leave.manage', 'leave', 'Enter, cancel and escalate leave requests'),
+  ('leave.configure', 'leave', 'Leave types, rules, holidays, coverage, accrual and approval chains'),
+  ('report.view', 'report', 'View reports'),
+  ('audit.read', 'audit', 'Read the audit log'),
+  ('rbac.manage', 'admin', 'Manage roles, permissions and user access');
+
+INSERT INTO roles (name, description, data_scope, is_system) VALUES
+  ('HR', 'Full access', 'All', 1),
+  ('Finance', 'Payroll transfers and tax', 'All', 1),
+  ('Supervisor', 'Attendance adjustments and leave approvals', 'All', 1),
+  ('Employee', 'Self-service only (/api/me)', 'All', 1),
+  ('Department Manager', 'Employees and leave of their own departments', 'Department', 0);
+
+-- Access as it was with hard-coded role names
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p WHERE r.name = 'HR';
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+ WHERE r.name = 'Finance' AND p.code IN ('payroll.view','payroll.transfer','tax.view','tax.manage');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+ WHERE r.name = 'Supervisor' AND p.code IN ('attendance.adjust');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+ WHERE r.name = 'Department Manager' AND p.code IN ('employee.view','leave.view','leave.manage','attendance.view');
+
+-- Any other role names already given to users, without permissions until assigned
+INSERT IGNORE INTO roles (name, description)
+SELECT DISTINCT role, 'Existing role' FROM users WHERE role IS NOT NULL AND role <> '';
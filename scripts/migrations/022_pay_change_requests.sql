@@ -0,0 +1,27 @@
+-- Maker-checker for changes to pay. Basic salary changes, bank account edits and bulk
+-- compensation are stored here as Pending with the diff they make, and applied only when a
+-- second user holding salary.approve approves them. The maker cannot approve their own.
+CREATE TABLE pay_change_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  change_type ENUM('BasicSalary','BankAccount','Compensation') NOT NULL,
+  employee_id INT NULL,                 -- NULL for compensation batches (employees are in payload)
+  payload JSON NOT NULL,                -- what is applied on approval
+  before_state JSON NULL,
+  after_state JSON NULL,
+  diff JSON NULL,
+  status ENUM('Pending','Approved','Rejected','Cancelled') NOT NULL DEFAULT 'Pending',
+  requested_by INT NOT NULL,
+  decided_by INT NULL,
+  decided_at DATETIME NULL,
+  decision_note VARCHAR(255) NULL,
+  result JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_pay_change_status (status, change_type),
+  KEY idx_pay_change_employee (employee_id, change_type, status)
+);
+
+INSERT INTO permissions (code, module, description) VALUES
+  ('salary.approve', 'salary', 'Approve or reject salary, bank account and compensation changes made by others');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p WHERE r.name = 'HR' AND p.code = 'salary.approve';
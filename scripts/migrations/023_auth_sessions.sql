@@ -0,0 +1,24 @@
+-- Login sessions. Each login gets a row holding the hash of its refresh token; the token is
+-- replaced on every refresh and the one it replaced is kept so a replayed (stolen) token can
+-- be spotted. Access tokens carry the session id and stop working once it is revoked.
+CREATE TABLE user_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  ip VARCHAR(64) NULL,
+  user_agent VARCHAR(255) NULL,
+  device_name VARCHAR(100) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(100) NULL,
+  UNIQUE KEY uq_sessions_token (refresh_token_hash),
+  KEY idx_sessions_previous (previous_token_hash),
+  KEY idx_sessions_user (user_id, revoked_at)
+);
+
+-- Disabled users cannot log in or refresh, and their sessions are revoked
+ALTER TABLE users
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1;
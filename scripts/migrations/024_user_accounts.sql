@@ -0,0 +1,26 @@
+-- Login accounts managed from /api/users. An invited user has no password until they set
+-- one with the emailed link; invite and reset links are one-time tokens stored hashed.
+ALTER TABLE users
+  MODIFY password_hash VARCHAR(255) NULL,
+  ADD COLUMN password_changed_at DATETIME NULL,
+  ADD COLUMN last_login_at DATETIME NULL,
+  ADD COLUMN created_by INT NULL;
+
+CREATE TABLE user_password_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  purpose ENUM('Invite','Reset') NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_password_tokens_hash (token_hash),
+  KEY idx_password_tokens_user (user_id, used_at)
+);
+
+INSERT INTO permissions (code, module, description) VALUES
+  ('user.manage', 'admin', 'Create, invite, disable and reset the password of user accounts');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p WHERE r.name = 'HR' AND p.code = 'user.manage';
@@ -0,0 +1,5 @@
+-- Bulk salary increments go through the same maker-checker queue as single salary changes:
+-- the request holds the scope and the per-employee figures, and the batch is written only
+-- when a second user approves it.
+ALTER TABLE pay_change_requests
+  MODIFY change_type ENUM('BasicSalary','BankAccount','Compensation','Increment') NOT NULL;
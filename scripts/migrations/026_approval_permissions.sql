@@ -0,0 +1,16 @@
+-- Who may decide leave approval steps and attendance adjustment levels comes from these
+-- permissions instead of the HR / Supervisor role names. Department-scoped roles only
+-- decide for employees of their own departments.
+INSERT INTO permissions (code, module, description) VALUES
+  ('leave.approve', 'leave', 'Decide any leave approval step and stand in for named approvers'),
+  ('leave.supervise', 'leave', 'Decide Supervisor leave approval steps that have no named supervisor'),
+  ('attendance.adjust.approve', 'attendance', 'Decide the final (HR) level of attendance adjustments and revert applied ones'),
+  ('attendance.adjust.supervise', 'attendance', 'Decide the Supervisor level of attendance adjustments');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+ WHERE r.name = 'HR' AND p.code IN ('leave.approve','leave.supervise','attendance.adjust.approve','attendance.adjust.supervise');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+ WHERE r.name = 'Supervisor' AND p.code IN ('leave.supervise','attendance.adjust.supervise');
@@ -1,19 +1,30 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const pool = require('../src/config/db');
 const bcrypt = require('bcryptjs');
+const { checkPassword } = require('../src/utils/userAccounts');
 
 (async () => {
   try {
     const name = 'HR Admin';
-    const email = 'hr@company.com';
-    const password = 'Admin@123'; // change later
+    const email = process.env.SEED_ADMIN_EMAIL || 'hr@company.com';
+    // No SEED_ADMIN_PASSWORD: generate one and print it once
+    const password = process.env.SEED_ADMIN_PASSWORD || `${crypto.randomBytes(12).toString('base64url')}#9aA`;
+    const weak = checkPassword(password, { name, email });
+    if (weak) throw new Error(`SEED_ADMIN_PASSWORD: ${weak}`);
     const hash = await bcrypt.hash(password, 10);
 
-    await pool.query(
-      'INSERT INTO users (name, email, password_hash, role) VALUES (?,?,?,?) ON DUPLICATE KEY UPDATE role=VALUES(role)',
+    const [result] = await pool.query(
+      `INSERT INTO users (name, email, password_hash, role, password_changed_at) VALUES (?,?,?,?,NOW())
+       ON DUPLICATE KEY UPDATE role=VALUES(role)`,
       [name, email, hash, 'HR']
     );
-    console.log(`Seeded HR user:\n  email: ${email}\n  password: ${password}`);
+    // 1 = inserted; 2 (role changed) or 0 (already HR) = the user existed and keeps its password
+    if (result.affectedRows !== 1) {
+      console.log(`HR user already exists:\n  email: ${email}\n  password: unchanged`);
+    } else {
+      console.log(`Seeded HR user:\n  email: ${email}\n  password: ${process.env.SEED_ADMIN_PASSWORD ? '(SEED_ADMIN_PASSWORD)' : password}`);
+    }
     process.exit(0);
   } catch (e) {
     console.error(e);
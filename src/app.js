@@ -17,6 +17,10 @@ const contractsRoutes = require('./routes/contracts.routes');   // ⬅ add this
 const auditlogRoutes = require('./routes/auditlog.route');
 
 const payrollRoutes = require('./routes/payroll.routes');
+const taxRoutes = require('./routes/tax.routes');
+const meRoutes = require('./routes/me.routes');
+const rbacRoutes = require('./routes/rbac.routes');
+const userRoutes = require('./routes/user.routes');
 
 
 
@@ -52,6 +56,10 @@ app.use('/api/contracts-docs', contractsRoutes);
 app.use('/api/auditlogs',auditlogRoutes);
 
 app.use('/api/payroll', payrollRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/rbac', rbacRoutes);
+app.use('/api/users', userRoutes);
 
 app.get('/health', (_req, res) => res.json({ ok:true, status:'UP' }));
 app.use((req,res)=>res.status(404).json({ ok:false, message: 'Route not found'}));
@@ -1,6 +1,8 @@
 const pool = require('../config/db');
 const logEvent = require('../utils/event')
 const logAudit = require('../utils/audit')
+const { ADJUSTMENT_TYPES, LEVEL_PERMISSIONS, approvalLevels, nextLevel, applyAdjustment, revertAdjustment } = require('../utils/attendanceAdjustments')
+const { employeeInScope, scopeCondition } = require('../utils/permissions')
 
 exports.getTimetables = async (req, res) => {
     try {
@@ -69,19 +71,33 @@ exports.deleteTimetable = async (req, res) => {
 };
 
 // Employee timetable assignment
+// Each assignment is kept: it is in force from effective_date until the next one.
+// Either a fixed timetable_id or a rotating shift_pattern_id (day 0 on pattern_anchor_date).
 exports.assignTimetable = async (req, res) => {
+    const { employee_id, timetable_id = null, shift_pattern_id = null, effective_date, pattern_anchor_date = null } = req.body;
     try {
-        const { employee_id, timetable_id, effective_date } = req.body;
-        
-        // Remove any existing assignment for this employee
-        await pool.query('DELETE FROM employee_timetables WHERE employee_id = ?', [employee_id]);
-        
-        // Add new assignment
+        if (!employee_id || !effective_date) {
+            return res.status(400).json({ ok: false, message: 'employee_id and effective_date are required' });
+        }
+        if (!timetable_id === !shift_pattern_id) {
+            return res.status(400).json({ ok: false, message: 'Give either timetable_id or shift_pattern_id' });
+        }
+
+        // Re-assigning from the same date replaces that entry; earlier ones stay as history
+        const [[before]] = await pool.query(
+            'SELECT * FROM employee_timetables WHERE employee_id = ? AND effective_date = ?',
+            [employee_id, effective_date]
+        );
+        await pool.query('DELETE FROM employee_timetables WHERE employee_id = ? AND effective_date = ?', [employee_id, effective_date]);
+
         await pool.query(
-            'INSERT INTO employee_timetables (employee_id, timetable_id, effective_date) VALUES (?, ?, ?)',
-            [employee_id, timetable_id, effective_date]
+            `INSERT INTO employee_timetables
+              (employee_id, timetable_id, shift_pattern_id, effective_date, pattern_anchor_date, assigned_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [employee_id, timetable_id, shift_pattern_id, effective_date,
+             shift_pattern_id ? (pattern_anchor_date || effective_date) : null, req.user?.id || null]
         );
-        logAudit({level:'info', action_type:'ASSIGN_TIMETABLE', target_table:'employee_timetables', target_id:employee_id, after_state:{employee_id, timetable_id, effective_date}, req, status:"SUCCESS"})
+        logAudit({level:'info', action_type:'ASSIGN_TIMETABLE', target_table:'employee_timetables', target_id:employee_id, before_state: before || null, after_state:{employee_id, timetable_id, shift_pattern_id, effective_date, pattern_anchor_date}, req, status:"SUCCESS"})
         res.json({ ok: true, message: 'Timetable assigned successfully' });
     } catch (error) {
         logAudit({level:'error', action_type:'ASSIGN_TIMETABLE', target_table:'employee_timetables', target_id:employee_id, error_message:{error}, req, status:"FAILURE"})
@@ -89,6 +105,30 @@ exports.assignTimetable = async (req, res) => {
     }
 };
 
+// Assignment history for one employee, newest first
+exports.getTimetableAssignments = async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const emp = await employeeInScope(pool, req, employeeId);
+        if (emp === null) return res.status(404).json({ ok: false, message: 'Employee not found' });
+        if (!emp) return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
+        const [rows] = await pool.query(
+            `SELECT et.*, t.name AS timetable_name, sp.name AS shift_pattern_name, u.name AS assigned_by_name
+             FROM employee_timetables et
+             LEFT JOIN timetables t ON t.id = et.timetable_id
+             LEFT JOIN shift_patterns sp ON sp.id = et.shift_pattern_id
+             LEFT JOIN users u ON u.id = et.assigned_by
+             WHERE et.employee_id = ?
+             ORDER BY et.effective_date DESC`,
+            [employeeId]
+        );
+        res.json({ ok: true, data: rows });
+    } catch (error) {
+        logEvent({level:'error', event_type:'GET_TIMETABLE_ASSIGNMENTS_ERROR', extra:{error}, req})
+        res.status(500).json({ ok: false, message: error.message });
+    }
+};
+
 // Attendance Records
 exports.getAttendanceRecords = async (req, res) => {
     try {
@@ -122,6 +162,11 @@ exports.getAttendanceRecords = async (req, res) => {
             query += ' AND ar.status = ?';
             params.push(status);
         }
+        const scope = scopeCondition(req, 'e.department_id');
+        if (scope.sql) {
+            query += ` AND ${scope.sql}`;
+            params.push(...scope.params);
+        }
         
         query += ' ORDER BY ar.date DESC, e.full_name';
         
@@ -137,6 +182,9 @@ exports.getEmployeeAttendance = async (req, res) => {
     try {
         const { employeeId } = req.params;
         const { startDate, endDate } = req.query;
+        const emp = await employeeInScope(pool, req, employeeId);
+        if (emp === null) return res.status(404).json({ ok: false, message: 'Employee not found' });
+        if (!emp) return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
         
         let query = `
             SELECT * FROM attendance_records 
@@ -214,14 +262,17 @@ exports.checkOut = async (req, res) => {
 // Attendance Adjustments
 exports.getAdjustments = async (req, res) => {
     try {
-        const { status, employeeId } = req.query;
+        const { status, employeeId, level } = req.query;
         
         let query = `
             SELECT aa.*, e.full_name, e.department_name, e.employee_code,
-                   u.name as approved_by_name
+                   u.name as approved_by_name,
+                   ar.check_in_time AS record_check_in_time, ar.check_out_time AS record_check_out_time,
+                   ar.raw_check_in_time, ar.raw_check_out_time, ar.status AS record_status
             FROM attendance_adjustments aa
             JOIN employees e ON aa.employee_id = e.id
             LEFT JOIN users u ON aa.approved_by = u.id
+            LEFT JOIN attendance_records ar ON ar.employee_id = aa.employee_id AND ar.date = aa.adjustment_date
             WHERE 1=1
         `;
         const params = [];
@@ -234,61 +285,69 @@ exports.getAdjustments = async (req, res) => {
             query += ' AND aa.employee_id = ?';
             params.push(employeeId);
         }
+        if (level) {
+            query += ' AND aa.current_level = ?';
+            params.push(level);
+        }
+        const scope = scopeCondition(req, 'e.department_id');
+        if (scope.sql) {
+            query += ` AND ${scope.sql}`;
+            params.push(...scope.params);
+        }
         
         query += ' ORDER BY aa.created_at DESC';
         
         const [adjustments] = await pool.query(query, params);
-        res.json({ ok: true, data: adjustments });
+
+        const ids = adjustments.map(a => a.id);
+        const [approvals] = ids.length
+            ? await pool.query(
+                `SELECT aap.*, u.name AS decided_by_name
+                 FROM attendance_adjustment_approvals aap
+                 LEFT JOIN users u ON u.id = aap.decided_by
+                 WHERE aap.adjustment_id IN (?)
+                 ORDER BY aap.decided_at, aap.id`,
+                [ids]
+              )
+            : [[]];
+        const data = adjustments.map(a => ({ ...a, approvals: approvals.filter(x => x.adjustment_id === a.id) }));
+        res.json({ ok: true, data });
     } catch (error) {
         logEvent({level:'error', event_type:"GET_ADJUSTMENTS_ERROR", req, extra:{error}})
         res.status(500).json({ ok: false, message: error.message });
     }
 };
 
+// Staged only: nothing reaches attendance_records until the last approval level approves
 exports.createAdjustment = async (req, res) => {
   try {
     const { employee_id, adjustment_date, adjustment_type, adjusted_time, reason } = req.body;
 
-    // 1) Save the adjustment record (for audit trail)
+    if (!employee_id || !adjustment_date || !ADJUSTMENT_TYPES.includes(adjustment_type)) {
+      return res.status(400).json({ ok: false, message: `employee_id, adjustment_date and adjustment_type (${ADJUSTMENT_TYPES.join(', ')}) are required` });
+    }
+    if (['Check-in', 'Check-out'].includes(adjustment_type) && !adjusted_time) {
+      return res.status(400).json({ ok: false, message: 'adjusted_time is required for check-in / check-out adjustments' });
+    }
+    const emp = await employeeInScope(pool, req, employee_id);
+    if (emp === null) return res.status(404).json({ ok: false, message: 'Employee not found' });
+    if (!emp) return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
+
     const [result] = await pool.query(
       `
         INSERT INTO attendance_adjustments
-          (employee_id, adjustment_date, adjustment_type, adjusted_time, reason, status)
-        VALUES (?, ?, ?, ?, ?, ?)
+          (employee_id, adjustment_date, adjustment_type, adjusted_time, reason, status, current_level, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `,
-      [employee_id, adjustment_date, adjustment_type, adjusted_time, reason, "Pending"]
+      [employee_id, adjustment_date, adjustment_type, adjusted_time || null, reason, "Pending", approvalLevels()[0], req.user?.id || null]
     );
+    logAudit({action_type:"CREATE_ADJUSTMENT", target_table:"attendance_adjustments", target_id: result.insertId, after_state: req.body, req, status:"SUCCESS"})
 
-    // 2) Apply the change to the main attendance_records table
-    // (this is what AttendanceOverview is reading)
-    if (adjustment_type === "Check-in") {
-      await pool.query(
-        "UPDATE attendance_records SET check_in_time = ? WHERE employee_id = ? AND date = ?",
-        [adjusted_time, employee_id, adjustment_date]
-      );
-    } else if (adjustment_type === "Check-out") {
-      await pool.query(
-        "UPDATE attendance_records SET check_out_time = ? WHERE employee_id = ? AND date = ?",
-        [adjusted_time, employee_id, adjustment_date]
-      );
-    } else if (adjustment_type === "Full Day") {
-      
-      await pool.query(
-        "UPDATE attendance_records SET status = ? WHERE employee_id = ? AND date = ?",
-        ["Present", employee_id, adjustment_date]
-      );
-    } else if (adjustment_type === "Half Day") {
-      await pool.query(
-        "UPDATE attendance_records SET status = ? WHERE employee_id = ? AND date = ?",
-        ["Half Day", employee_id, adjustment_date]
-      );
-    }
-    logAudit({action_type:"CREATE_ADJUSTMENT", target_table:"attendance_adjustments", target_id: result.insertId, after_state: result[0], req, status:"SUCCESS"})
-
-    res.json({
+    res.status(201).json({
       ok: true,
-      message: "Attendance adjustment applied successfully",
+      message: "Attendance adjustment submitted for approval",
       id: result.insertId,
+      current_level: approvalLevels()[0],
     });
   } catch (error) {
     logAudit({action_type:"CREATE_ADJUSTMENT", status:"FAILURE", target_table:'attendance_adjustments', req, error_message:{error}});
@@ -298,26 +357,89 @@ exports.createAdjustment = async (req, res) => {
 };
 
 
+// Approve / reject at the adjustment's current level. The last level's approval applies it;
+// rejecting an already applied adjustment (attendance.adjust.approve) reverts the attendance record.
 exports.approveAdjustment = async (req, res) => {
-     const { id } = req.params;
+    const { id } = req.params;
+    const { status, decision_note = null } = req.body;
+    if (!['Approved', 'Rejected'].includes(status)) {
+        return res.status(400).json({ ok: false, message: "status must be 'Approved' or 'Rejected'" });
+    }
+
+    const conn = await pool.getConnection();
     try {
-        const { status, decision_note } = req.body;
+        await conn.beginTransaction();
+        const [[before]] = await conn.query('SELECT * FROM attendance_adjustments WHERE id = ? FOR UPDATE', [id]);
+        if (!before) {
+            await conn.rollback();
+            return res.status(404).json({ ok: false, message: 'Adjustment not found' });
+        }
 
-        const [beforeRows] = await pool.query('SELECT * FROM attendance_adjustments WHERE id = ?',[id]);
+        const reverting = before.status === 'Approved' && status === 'Rejected';
+        if (before.status !== 'Pending' && !reverting) {
+            await conn.rollback();
+            return res.status(409).json({ ok: false, message: `Adjustment is already ${before.status}` });
+        }
+        if ((req.user.employee_id && before.employee_id === req.user.employee_id) || before.created_by === req.user.id) {
+            await conn.rollback();
+            return res.status(403).json({ ok: false, message: 'You cannot decide an adjustment to your own attendance or one you requested' });
+        }
+        const level = reverting ? 'HR' : (before.current_level || 'HR');
+        // req.access is set by requirePermission('attendance.adjust') on the route
+        if (!LEVEL_PERMISSIONS[level].some(code => req.access.permissions.has(code))) {
+            await conn.rollback();
+            return res.status(403).json({ ok: false, message: `Waiting for ${level} approval` });
+        }
+        if (!(await employeeInScope(conn, req, before.employee_id))) {
+            await conn.rollback();
+            return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
+        }
+        if (!reverting && level !== approvalLevels()[0]) {
+            const [[earlier]] = await conn.query(
+                `SELECT id FROM attendance_adjustment_approvals WHERE adjustment_id = ? AND decided_by = ? AND decision = 'Approved' LIMIT 1`,
+                [id, req.user.id]
+            );
+            if (earlier) {
+                await conn.rollback();
+                return res.status(409).json({ ok: false, message: 'Another approver has to sign off this level' });
+            }
+        }
 
-        const approved_by = req.user.id; // Assuming you have user info in req.user
-        
-        await pool.query(
-            'UPDATE attendance_adjustments SET status = ?, approved_by = ?, decision_note = ? WHERE id = ?',
-            [status, approved_by, decision_note, id]
+        let next = null;
+        if (reverting) {
+            const undone = await revertAdjustment(conn, before);
+            if (undone.error) {
+                await conn.rollback();
+                return res.status(409).json({ ok: false, message: undone.error });
+            }
+        } else if (status === 'Approved') {
+            next = nextLevel(level);
+            if (!next) await applyAdjustment(conn, before);
+        }
+
+        const finalStatus = status === 'Approved' && next ? 'Pending' : status;
+        await conn.query(
+            'UPDATE attendance_adjustments SET status = ?, current_level = ?, approved_by = ?, decision_note = ? WHERE id = ?',
+            [finalStatus, finalStatus === 'Pending' ? next : null, req.user.id, decision_note, id]
         );
-        
-        const [afterRows] = await pool.query('SELECT * FROM attendance_adjustments WHERE id = ?',[id]);
-        logAudit({level:info, action_type:"APPROVE_ADJUSTMENT", before_state:beforeRows[0], after_state:afterRows[0], status:"SUCCESS", req, target_table:"attendence_adjustment", target_id:id});
-        res.json({ ok: true, message: `Adjustment ${status.toLowerCase()} successfully` });
+        await conn.query(
+            'INSERT INTO attendance_adjustment_approvals (adjustment_id, level, decision, decided_by, decided_by_role, note) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, level, reverting ? 'Reverted' : status, req.user.id, req.user.role, decision_note]
+        );
+        await conn.commit();
+
+        const [[after]] = await pool.query('SELECT * FROM attendance_adjustments WHERE id = ?', [id]);
+        logAudit({level:'info', user_id: req.user.id, action_type: reverting ? "REVERT_ADJUSTMENT" : "APPROVE_ADJUSTMENT", before_state:before, after_state:after, status:"SUCCESS", req, target_table:"attendance_adjustments", target_id:id});
+        const message = reverting
+            ? 'Adjustment rejected and attendance record restored'
+            : (next ? `Adjustment approved; waiting for ${next} approval` : `Adjustment ${status.toLowerCase()} successfully`);
+        res.json({ ok: true, message, data: after });
     } catch (error) {
-        logAudit({level:'error', action_type:"APPROVE_ADJUSTMENT", status:"FAILURE", req,target_table:"attendence_adjustment", target_id:id })
+        await conn.rollback();
+        logAudit({level:'error', action_type:"APPROVE_ADJUSTMENT", status:"FAILURE", req, target_table:"attendance_adjustments", target_id:id, error_message: error.message })
         res.status(500).json({ ok: false, message: error.message });
+    } finally {
+        conn.release();
     }
 };
 
@@ -362,6 +484,11 @@ exports.getAbsenceReport = async (req, res) => {
             query += ' AND e.full_name LIKE ?';
             params.push(`%${employeeName}%`);
         }
+        const scope = scopeCondition(req, 'e.department_id');
+        if (scope.sql) {
+            query += ` AND ${scope.sql}`;
+            params.push(...scope.params);
+        }
         
         query += ' ORDER BY ar.date DESC, e.full_name';
         
@@ -385,6 +512,8 @@ exports.getCheckinCheckoutReport = async (req, res) => {
         ar.check_out_time,
         ar.total_hours,
         ar.overtime_hours,
+        ar.late_minutes,
+        ar.early_leave_minutes,
         ar.status,
 
         e.id AS employee_id,
@@ -410,6 +539,11 @@ exports.getCheckinCheckoutReport = async (req, res) => {
       query += ' AND e.department_name = ?';
       params.push(department);
     }
+    const scope = scopeCondition(req, 'e.department_id');
+    if (scope.sql) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
 
     query += ' ORDER BY ar.date DESC, e.full_name';
 
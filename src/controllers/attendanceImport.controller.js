@@ -0,0 +1,285 @@
+// src/controllers/attendanceImport.controller.js
+// Time-clock punch log uploads and the device user id -> employee mapping.
+const fs = require('fs');
+const crypto = require('crypto');
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { parsePunchLog, rebuildAttendanceDays } = require('../utils/punchLogs');
+const { scopeCondition } = require('../utils/permissions');
+
+// Map of device user id -> employee_id; a device-specific mapping beats a general one
+const loadDeviceUsers = async (db, deviceCode) => {
+  const [rows] = await db.query(
+    `SELECT device_code, device_user_id, employee_id FROM attendance_device_users
+      WHERE device_code IN ('', ?) ORDER BY device_code = '' DESC`,
+    [deviceCode]
+  );
+  return new Map(rows.map(r => [r.device_user_id, r.employee_id]));
+};
+
+/**
+ * POST /attendance/imports  multipart: file, device_code?
+ * Stores every punch once (re-uploads only add what is new), then rebuilds the
+ * attendance days the file touches. Punches from unmapped device ids are kept and
+ * picked up once the id is mapped.
+ */
+exports.importPunchLog = async (req, res) => {
+  const file = req.file;
+  if (!file) return res.status(400).json({ ok: false, message: 'Punch log file is required' });
+  const deviceCode = String(req.body.device_code || '').trim();
+
+  const content = fs.readFileSync(file.path, 'utf8');
+  const { format, punches, errors } = parsePunchLog(content);
+  if (!punches.length) {
+    return res.status(400).json({ ok: false, message: 'No punches found in the file', errors: errors.slice(0, 20) });
+  }
+  const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[previous]] = await conn.query(
+      'SELECT id, imported_at FROM attendance_imports WHERE file_hash = ? ORDER BY id LIMIT 1',
+      [fileHash]
+    );
+
+    const [ins] = await conn.query(
+      `INSERT INTO attendance_imports (device_code, file_name, file_path, file_hash, format, line_count, error_count, imported_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [deviceCode, file.originalname, file.path.replace(/\\/g, '/'), fileHash, format,
+       punches.length + errors.length, errors.length, req.user?.id || null]
+    );
+    const importId = ins.insertId;
+
+    const deviceUsers = await loadDeviceUsers(conn, deviceCode);
+    const rows = punches.map(p => [
+      importId, deviceCode, p.device_user_id, deviceUsers.get(p.device_user_id) || null,
+      p.punched_at, p.direction, String(p.raw).slice(0, 255),
+    ]);
+    const [added] = await conn.query(
+      `INSERT IGNORE INTO attendance_punches
+        (import_id, device_code, device_user_id, employee_id, punched_at, direction, raw_line)
+       VALUES ?`,
+      [rows]
+    );
+
+    const unmapped = [...new Set(punches.filter(p => !deviceUsers.has(p.device_user_id)).map(p => p.device_user_id))];
+    const employeeIds = [...new Set(punches.map(p => deviceUsers.get(p.device_user_id)).filter(Boolean))];
+    const dates = punches.map(p => p.punched_at.slice(0, 10)).sort();
+    const { days, flagged } = await rebuildAttendanceDays(conn, employeeIds, dates[0], dates[dates.length - 1]);
+
+    const summary = {
+      import_id: importId,
+      format,
+      punches: punches.length,
+      new_punches: added.affectedRows,
+      duplicates: punches.length - added.affectedRows,
+      unmapped_device_users: unmapped,
+      errors: errors.length,
+      days_updated: days,
+      days_flagged: flagged,
+      period: { from: dates[0], to: dates[dates.length - 1] },
+      previously_imported_as: previous ? previous.id : null,
+    };
+    await conn.query(
+      `UPDATE attendance_imports
+          SET new_punch_count = ?, duplicate_count = ?, unmapped_count = ?, day_count = ?, flagged_count = ?
+        WHERE id = ?`,
+      [summary.new_punches, summary.duplicates, punches.filter(p => !deviceUsers.has(p.device_user_id)).length, days, flagged, importId]
+    );
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'IMPORT_PUNCH_LOG',
+      target_table: 'attendance_imports',
+      target_id: importId,
+      after_state: { ...summary, unmapped_device_users: unmapped.length },
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(201).json({ ok: true, data: { ...summary, error_lines: errors.slice(0, 50) } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('importPunchLog error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'IMPORT_PUNCH_LOG', target_table: 'attendance_imports', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to import punch log' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /attendance/imports
+exports.listPunchImports = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT i.id, i.device_code, i.file_name, i.format, i.line_count, i.new_punch_count, i.duplicate_count,
+              i.unmapped_count, i.error_count, i.day_count, i.flagged_count, i.imported_by, u.name AS imported_by_name,
+              i.imported_at
+         FROM attendance_imports i
+         LEFT JOIN users u ON u.id = i.imported_by
+        ORDER BY i.imported_at DESC
+        LIMIT 200`
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listPunchImports error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_PUNCH_IMPORTS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch punch imports' });
+  }
+};
+
+/**
+ * GET /attendance/imports/:id
+ * The upload with its still-unmapped device ids and the days it touched that need review.
+ */
+exports.getPunchImport = async (req, res) => {
+  try {
+    const [[imp]] = await pool.query('SELECT * FROM attendance_imports WHERE id = ?', [req.params.id]);
+    if (!imp) return res.status(404).json({ ok: false, message: 'Import not found' });
+
+    const [unmapped] = await pool.query(
+      `SELECT device_user_id, COUNT(*) AS punches, MIN(punched_at) AS first_punch, MAX(punched_at) AS last_punch
+         FROM attendance_punches
+        WHERE import_id = ? AND employee_id IS NULL
+        GROUP BY device_user_id
+        ORDER BY device_user_id`,
+      [imp.id]
+    );
+    const scope = scopeCondition(req, 'e.department_id');
+    const [flagged] = await pool.query(
+      `SELECT ar.id, ar.employee_id, e.employee_code, e.full_name, ar.date, ar.check_in_time, ar.check_out_time,
+              ar.total_hours, ar.break_minutes, ar.punch_count, ar.review_flag
+         FROM attendance_records ar
+         JOIN employees e ON e.id = ar.employee_id
+         JOIN (SELECT DISTINCT employee_id, DATE(punched_at) AS day FROM attendance_punches
+                WHERE import_id = ? AND employee_id IS NOT NULL) p
+           ON p.employee_id = ar.employee_id AND p.day = ar.date
+        WHERE ar.review_flag IS NOT NULL${scope.sql ? ` AND ${scope.sql}` : ''}
+        ORDER BY ar.date, e.full_name`,
+      [imp.id, ...scope.params]
+    );
+    res.json({ ok: true, data: { import: imp, unmapped, flagged } });
+  } catch (err) {
+    console.error('getPunchImport error:', err);
+    logEvent({ level: 'error', event_type: 'GET_PUNCH_IMPORT_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch punch import' });
+  }
+};
+
+/* ===================== DEVICE USER MAPPING ===================== */
+
+// GET /attendance/device-users?employee_id=
+exports.listDeviceUsers = async (req, res) => {
+  try {
+    const { employee_id } = req.query;
+    const where = [];
+    const params = [];
+    if (employee_id) { where.push('m.employee_id = ?'); params.push(employee_id); }
+    const scope = scopeCondition(req, 'e.department_id');
+    if (scope.sql) { where.push(scope.sql); params.push(...scope.params); }
+    const [rows] = await pool.query(
+      `SELECT m.id, m.device_code, m.device_user_id, m.employee_id, e.employee_code, e.full_name, m.created_at
+         FROM attendance_device_users m
+         JOIN employees e ON e.id = m.employee_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY m.device_code, m.device_user_id`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listDeviceUsers error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_DEVICE_USERS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch device users' });
+  }
+};
+
+/**
+ * POST /attendance/device-users  { device_user_id, employee_id, device_code? }
+ * Maps (or re-maps) a device id; punches already imported under it are assigned to
+ * the employee and their days rebuilt.
+ */
+exports.saveDeviceUser = async (req, res) => {
+  const { device_user_id, employee_id } = req.body || {};
+  const deviceCode = String(req.body?.device_code || '').trim();
+  if (!device_user_id || !employee_id) {
+    return res.status(400).json({ ok: false, message: 'device_user_id and employee_id required' });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const [[emp]] = await conn.query('SELECT id FROM employees WHERE id = ?', [employee_id]);
+    if (!emp) return res.status(404).json({ ok: false, message: 'Employee not found' });
+
+    await conn.beginTransaction();
+    const [[before]] = await conn.query(
+      'SELECT * FROM attendance_device_users WHERE device_code = ? AND device_user_id = ?',
+      [deviceCode, String(device_user_id)]
+    );
+    await conn.query(
+      `INSERT INTO attendance_device_users (device_code, device_user_id, employee_id)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE employee_id = VALUES(employee_id)`,
+      [deviceCode, String(device_user_id), employee_id]
+    );
+
+    // a general mapping only claims punches that no device-specific mapping covers
+    const scope = deviceCode
+      ? { sql: 'device_code = ?', params: [deviceCode] }
+      : { sql: `device_code NOT IN (SELECT device_code FROM attendance_device_users WHERE device_user_id = ? AND device_code <> '')`, params: [String(device_user_id)] };
+    const [[range]] = await conn.query(
+      `SELECT MIN(DATE(punched_at)) AS from_date, MAX(DATE(punched_at)) AS to_date
+         FROM attendance_punches WHERE device_user_id = ? AND ${scope.sql}`,
+      [String(device_user_id), ...scope.params]
+    );
+    const [moved] = await conn.query(
+      `UPDATE attendance_punches SET employee_id = ? WHERE device_user_id = ? AND ${scope.sql}`,
+      [employee_id, String(device_user_id), ...scope.params]
+    );
+
+    let rebuilt = { days: 0, flagged: 0 };
+    if (range.from_date) {
+      const affected = [Number(employee_id), before?.employee_id].filter(Boolean);
+      rebuilt = await rebuildAttendanceDays(conn, [...new Set(affected)], range.from_date, range.to_date);
+    }
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'MAP_DEVICE_USER',
+      target_table: 'attendance_device_users',
+      target_id: employee_id,
+      before_state: before || null,
+      after_state: { device_code: deviceCode, device_user_id, employee_id, punches_assigned: moved.affectedRows },
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, message: 'Device user mapped', data: { punches_assigned: moved.affectedRows, days_updated: rebuilt.days } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('saveDeviceUser error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'MAP_DEVICE_USER', target_table: 'attendance_device_users', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to map device user' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /attendance/device-users/:id  (punches already assigned keep their employee)
+exports.deleteDeviceUser = async (req, res) => {
+  try {
+    const [[row]] = await pool.query('SELECT * FROM attendance_device_users WHERE id = ?', [req.params.id]);
+    if (!row) return res.status(404).json({ ok: false, message: 'Mapping not found' });
+
+    await pool.query('DELETE FROM attendance_device_users WHERE id = ?', [row.id]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'UNMAP_DEVICE_USER', target_table: 'attendance_device_users', target_id: row.id, before_state: row, after_state: null, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Mapping removed' });
+  } catch (err) {
+    console.error('deleteDeviceUser error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UNMAP_DEVICE_USER', target_table: 'attendance_device_users', target_id: req.params.id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to remove mapping' });
+  }
+};
@@ -0,0 +1,68 @@
+// src/controllers/attendanceStatus.controller.js
+// On-demand (backfill) runs of the daily attendance status engine and their log.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { runAttendanceStatus } = require('../utils/attendanceStatus');
+
+const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || ''));
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * POST /attendance/status/evaluate  { from, to?, employee_ids?, include_today? }
+ * Re-evaluates status, late / early-leave minutes and hours for the range; days with
+ * no record get an Absent / On Leave / Holiday row. Statuses set by hand are kept.
+ */
+exports.evaluateAttendanceStatus = async (req, res) => {
+  const { from, to = from, employee_ids, include_today = false } = req.body || {};
+  if (!isDate(from) || !isDate(to)) return res.status(400).json({ ok: false, message: 'from and to must be YYYY-MM-DD' });
+  if (from > to) return res.status(400).json({ ok: false, message: 'from must not be after to' });
+  if ((new Date(to) - new Date(from)) / 86400000 >= MAX_RANGE_DAYS) {
+    return res.status(400).json({ ok: false, message: `Evaluate at most ${MAX_RANGE_DAYS} days at a time` });
+  }
+
+  try {
+    const result = await runAttendanceStatus(pool, {
+      from,
+      to,
+      employeeIds: Array.isArray(employee_ids) && employee_ids.length ? employee_ids : undefined,
+      includeToday: Boolean(include_today),
+      userId: req.user?.id || null,
+    });
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'EVALUATE_ATTENDANCE_STATUS',
+      target_table: 'attendance_records',
+      target_id: result.run_id,
+      after_state: { from: result.from, to: result.to, created: result.created, updated: result.updated, counts: result.counts },
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, data: result });
+  } catch (err) {
+    console.error('evaluateAttendanceStatus error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'EVALUATE_ATTENDANCE_STATUS', target_table: 'attendance_records', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to evaluate attendance status' });
+  }
+};
+
+// GET /attendance/status/runs?limit=
+exports.listAttendanceStatusRuns = async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10)));
+    const [rows] = await pool.query(
+      `SELECT r.*, u.name AS run_by_name
+         FROM attendance_status_runs r
+         LEFT JOIN users u ON u.id = r.run_by
+        ORDER BY r.id DESC
+        LIMIT ?`,
+      [limit]
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listAttendanceStatusRuns error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_ATTENDANCE_STATUS_RUNS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch attendance status runs' });
+  }
+};
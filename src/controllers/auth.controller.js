@@ -1,8 +1,10 @@
 const pool = require('../config/db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const logEvent = require('../utils/event');
 const { error } = require('winston');
+const { accessFor } = require('../utils/permissions');
+const { createSession, rotateSession, revokeSession, revokeUserSessions, listSessions } = require('../utils/sessions');
+const { passwordPolicy, checkPassword, findPasswordToken } = require('../utils/userAccounts');
 
 exports.login = async (req, res) => {
   const { email, password } = req.body;
@@ -17,25 +19,31 @@ exports.login = async (req, res) => {
       return res.status(401).json({ ok: false, message: 'Invalid credentials' });
     }
 
-    const ok = await bcrypt.compare(password, user.password_hash);
+    // invited users have no password until they use their invite link
+    const ok = Boolean(user.password_hash) && await bcrypt.compare(password, user.password_hash);
     if (!ok) {
       logEvent({ level: 'error', event_type: "LOGIN_FAILURE", user_id: user.id, req, extra:{ error:"Invalid credentials"} });
       return res.status(401).json({ ok: false, message: 'Invalid credentials' });
     }
+    if (user.is_active === 0) {
+      logEvent({ level: 'error', event_type: "LOGIN_FAILURE", user_id: user.id, req, extra:{ error:"User disabled"} });
+      return res.status(403).json({ ok: false, message: 'This login has been disabled' });
+    }
 
-    const token = jwt.sign(
-      { id: user.id, role: user.role, name: user.name, email: user.email },
-      process.env.JWT_SECRET || 'super_secret_change_me',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '8h' }
-    );
+    // short-lived access token + refresh token for POST /auth/refresh
+    const tokens = await createSession(pool, user, req);
+    await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = ?', [user.id]);
 
-    logEvent({ level: 'info', event_type: "LOGIN_SUCCESS", user_id: user.id, req });
+    logEvent({ level: 'info', event_type: "LOGIN_SUCCESS", user_id: user.id, req, extra: { session_id: tokens.session_id } });
+    const access = await accessFor(user.id);
 
 
   res.json({
     ok: true,
-    token,
-    user: { id: user.id, name: user.name, email: user.email, role: user.role }
+    ...tokens,
+    user: { id: user.id, name: user.name, email: user.email, role: user.role, employee_id: user.employee_id || null },
+    permissions: [...access.permissions],
+    department_ids: access.departmentIds
   });
   } catch (err) {
     console.error(err);
@@ -45,6 +53,149 @@ exports.login = async (req, res) => {
   }
 };
 
+// The signed-in user with their role's permissions and department scope (null = all departments)
 exports.me = async (req, res) => {
-  res.json({ ok:true, user: req.user });
+  const access = await accessFor(req.user.id);
+  res.json({ ok:true, user: req.user, permissions: [...access.permissions], department_ids: access.departmentIds });
+};
+
+// POST /auth/refresh  { refresh_token }  -> a new access token and a new refresh token (the old one stops working)
+exports.refresh = async (req, res) => {
+  const refreshToken = req.body?.refresh_token;
+  if (!refreshToken) return res.status(400).json({ ok: false, message: 'refresh_token is required' });
+  try {
+    const { user, tokens, error, user_id } = await rotateSession(pool, refreshToken, req);
+    if (error) {
+      logEvent({ level: 'error', event_type: "REFRESH_FAILURE", user_id: user_id || null, req, extra: { error } });
+      return res.status(401).json({ ok: false, message: error });
+    }
+    res.json({ ok: true, ...tokens, user });
+  } catch (err) {
+    console.error('refresh error:', err);
+    logEvent({ level: 'error', event_type: "REFRESH_ERROR", req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
+
+// POST /auth/logout  ends the current session
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(pool, req.user.sid, 'Logout');
+    logEvent({ level: 'info', event_type: "LOGOUT", user_id: req.user.id, req, extra: { session_id: req.user.sid } });
+    res.json({ ok: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('logout error:', err);
+    logEvent({ level: 'error', event_type: "LOGOUT_ERROR", user_id: req.user?.id, req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
+
+// POST /auth/logout-all  { keep_current? }  ends every session of the signed-in user
+exports.logoutAll = async (req, res) => {
+  try {
+    const keep = req.body?.keep_current ? req.user.sid : 0;
+    const revoked = await revokeUserSessions(pool, req.user.id, 'Logout from all sessions', keep);
+    logEvent({ level: 'info', event_type: "LOGOUT_ALL", user_id: req.user.id, req, extra: { revoked, kept: keep || null } });
+    res.json({ ok: true, message: `${revoked} session(s) ended`, data: { revoked } });
+  } catch (err) {
+    console.error('logoutAll error:', err);
+    logEvent({ level: 'error', event_type: "LOGOUT_ERROR", user_id: req.user?.id, req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
+
+// GET /auth/sessions?all=1  the signed-in user's sessions (device, IP, last used)
+exports.sessions = async (req, res) => {
+  try {
+    const rows = await listSessions(pool, req.user.id, { all: Boolean(req.query.all) });
+    res.json({ ok: true, data: rows.map(r => ({ ...r, current: r.id === req.user.sid })) });
+  } catch (err) {
+    console.error('sessions error:', err);
+    logEvent({ level: 'error', event_type: "LIST_SESSIONS_ERROR", user_id: req.user?.id, req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch sessions' });
+  }
+};
+
+// DELETE /auth/sessions/:id  ends one of the signed-in user's sessions
+exports.endSession = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[session]] = await pool.query('SELECT id FROM user_sessions WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (!session) return res.status(404).json({ ok: false, message: 'Session not found' });
+    const revoked = await revokeSession(pool, id, 'Ended by user');
+    if (!revoked) return res.status(409).json({ ok: false, message: 'Session has already ended' });
+    logEvent({ level: 'info', event_type: "END_SESSION", user_id: req.user.id, req, extra: { session_id: id } });
+    res.json({ ok: true, message: 'Session ended' });
+  } catch (err) {
+    console.error('endSession error:', err);
+    logEvent({ level: 'error', event_type: "END_SESSION_ERROR", user_id: req.user?.id, req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to end session' });
+  }
+};
+
+// GET /auth/password-policy  (for the set / change password forms)
+exports.passwordPolicy = (req, res) => res.json({ ok: true, data: passwordPolicy() });
+
+// POST /auth/set-password  { token, password }  from an invite or reset link; ends existing sessions
+exports.setPassword = async (req, res) => {
+  const { token, password } = req.body || {};
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const link = await findPasswordToken(conn, token);
+    if (!link || !link.is_active) {
+      await conn.rollback();
+      logEvent({ level: 'error', event_type: "SET_PASSWORD_FAILURE", user_id: link?.user_id || null, req, extra: { error: link ? 'User disabled' : 'Invalid or expired link' } });
+      return res.status(400).json({ ok: false, message: 'This link is invalid or has expired' });
+    }
+    const weak = checkPassword(password, link);
+    if (weak) {
+      await conn.rollback();
+      return res.status(400).json({ ok: false, message: weak });
+    }
+
+    const hash = await bcrypt.hash(String(password), 10);
+    await conn.query('UPDATE users SET password_hash = ?, password_changed_at = NOW() WHERE id = ?', [hash, link.user_id]);
+    await conn.query('UPDATE user_password_tokens SET used_at = NOW() WHERE id = ?', [link.id]);
+    await revokeUserSessions(conn, link.user_id, 'Password reset');
+    await conn.commit();
+
+    logEvent({ level: 'info', event_type: link.purpose === 'Invite' ? "INVITE_ACCEPTED" : "PASSWORD_RESET", user_id: link.user_id, req });
+    res.json({ ok: true, message: 'Password set; you can now log in' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('setPassword error:', err);
+    logEvent({ level: 'error', event_type: "SET_PASSWORD_ERROR", req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Server error' });
+  } finally {
+    conn.release();
+  }
+};
+
+// POST /auth/change-password  { current_password, new_password }  keeps this session, ends the others
+exports.changePassword = async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  try {
+    const [[user]] = await pool.query('SELECT id, name, email, password_hash FROM users WHERE id = ?', [req.user.id]);
+    const ok = Boolean(user?.password_hash) && await bcrypt.compare(String(current_password || ''), user.password_hash);
+    if (!ok) {
+      logEvent({ level: 'error', event_type: "CHANGE_PASSWORD_FAILURE", user_id: req.user.id, req, extra: { error: 'Wrong current password' } });
+      return res.status(400).json({ ok: false, message: 'Current password is incorrect' });
+    }
+    const weak = checkPassword(new_password, user);
+    if (weak) return res.status(400).json({ ok: false, message: weak });
+    if (await bcrypt.compare(String(new_password), user.password_hash)) {
+      return res.status(400).json({ ok: false, message: 'New password must be different from the current one' });
+    }
+
+    const hash = await bcrypt.hash(String(new_password), 10);
+    await pool.query('UPDATE users SET password_hash = ?, password_changed_at = NOW() WHERE id = ?', [hash, user.id]);
+    const revoked = await revokeUserSessions(pool, user.id, 'Password changed', req.user.sid);
+    logEvent({ level: 'info', event_type: "PASSWORD_CHANGED", user_id: user.id, req, extra: { sessions_revoked: revoked } });
+    res.json({ ok: true, message: 'Password changed', data: { sessions_revoked: revoked } });
+  } catch (err) {
+    console.error('changePassword error:', err);
+    logEvent({ level: 'error', event_type: "CHANGE_PASSWORD_ERROR", user_id: req.user?.id, req, extra: { error_message: err.message } });
+    res.status(500).json({ ok: false, message: 'Server error' });
+  }
 };
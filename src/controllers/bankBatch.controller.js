@@ -0,0 +1,376 @@
+// src/controllers/bankBatch.controller.js
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { getLayout, listLayouts, renderFile, layoutErrors, hashTotals } = require('../utils/bankLayouts');
+
+const originator = () => ({
+  originator_bank_code: process.env.BANK_ORIGINATOR_BANK_CODE || '',
+  originator_branch_code: process.env.BANK_ORIGINATOR_BRANCH_CODE || '',
+  originator_account: process.env.BANK_ORIGINATOR_ACCOUNT || '',
+  originator_name: process.env.BANK_ORIGINATOR_NAME || process.env.EMPLOYER_NAME || '',
+});
+
+const digits = (v) => String(v || '').replace(/[\s-]/g, '');
+
+const periodLabel = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+/**
+ * Transfers awaiting payment for the period with the employee's bank account,
+ * split into payable items and validation errors. Only a Locked month is paid, and the
+ * amount is the net pay in its run snapshot, not whatever the transfer row holds.
+ * -> { run, items, errors }  (run null when the period is not Locked)
+ */
+const loadPayables = async (db, year, month, employeeIds) => {
+  const [[run]] = await db.query(
+    `SELECT id FROM payroll_runs WHERE period_year = ? AND period_month = ? AND status = 'Locked'`,
+    [year, month]
+  );
+  if (!run) return { run: null, items: [], errors: [] };
+
+  const [rows] = await db.query(
+    `SELECT pt.id AS payroll_transfer_id, pt.employee_id, pt.status, snap.net_salary,
+            e.employee_code, e.full_name,
+            ba.id AS bank_account_id, ba.account_number, ba.account_name, ba.bank_code, ba.branch_code
+       FROM payroll_transfers pt
+       JOIN employees e ON e.id = pt.employee_id
+       LEFT JOIN (
+         SELECT employee_id,
+                SUM(CASE line_type WHEN 'Earning' THEN amount WHEN 'Deduction' THEN -amount ELSE 0 END) AS net_salary
+           FROM payroll_run_lines
+          WHERE run_id = ?
+          GROUP BY employee_id
+       ) snap ON snap.employee_id = pt.employee_id
+       LEFT JOIN employee_bank_accounts ba
+         ON ba.id = (SELECT MIN(id) FROM employee_bank_accounts WHERE employee_id = pt.employee_id)
+      WHERE pt.period_year = ? AND pt.period_month = ?
+        AND pt.status IN ('Pending','Processing','Failed')
+        ${employeeIds?.length ? 'AND pt.employee_id IN (?)' : ''}
+      ORDER BY e.full_name`,
+    employeeIds?.length ? [run.id, year, month, employeeIds] : [run.id, year, month]
+  );
+
+  const items = [];
+  const errors = [];
+  for (const r of rows) {
+    const problems = [];
+    const account = digits(r.account_number);
+    if (!r.bank_account_id) {
+      problems.push('No bank account on file');
+    } else {
+      if (!account) problems.push('Account number missing');
+      else if (!/^\d{1,12}$/.test(account)) problems.push(`Invalid account number "${r.account_number}"`);
+      if (!/^\d{4}$/.test(digits(r.bank_code))) problems.push('Bank code missing or not 4 digits');
+      if (!/^\d{3}$/.test(digits(r.branch_code))) problems.push('Branch code missing or not 3 digits');
+    }
+    if (r.net_salary == null) problems.push(`Not in the locked payroll run for ${periodLabel(year, month)}`);
+    else if (!(Number(r.net_salary) > 0)) problems.push('Net salary is zero or negative');
+
+    if (problems.length) {
+      problems.forEach(message => errors.push({
+        employee_id: r.employee_id, employee_code: r.employee_code, full_name: r.full_name, message,
+      }));
+      continue;
+    }
+    items.push({
+      payroll_transfer_id: r.payroll_transfer_id,
+      employee_id: r.employee_id,
+      employee_code: r.employee_code,
+      full_name: r.full_name,
+      account_number: account,
+      account_name: r.account_name || r.full_name,
+      bank_code: digits(r.bank_code),
+      branch_code: digits(r.branch_code),
+      amount: Math.round(Number(r.net_salary) * 100) / 100,
+    });
+  }
+  return { run, items, errors };
+};
+
+// Values every record of the file can use: originator, reference, value date and totals
+const batchValues = (year, month, items, batchReference, valueDate) => {
+  const period = `${year}${String(month).padStart(2, '0')}`;
+  return {
+    ...originator(),
+    ...hashTotals(items),
+    batch_reference: batchReference,
+    particulars: `SALARY ${period}`,
+    value_date: valueDate,
+    value_date_yymmdd: valueDate.replace(/-/g, '').slice(2),
+  };
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const notLockedMessage = (year, month) =>
+  `Payroll for ${periodLabel(year, month)} is not Locked; lock the payroll run before generating a bank file`;
+
+const originatorErrors = () => {
+  const o = originator();
+  const errors = [];
+  if (!/^\d{4}$/.test(o.originator_bank_code)) errors.push('BANK_ORIGINATOR_BANK_CODE is not configured');
+  if (!/^\d{3}$/.test(o.originator_branch_code)) errors.push('BANK_ORIGINATOR_BRANCH_CODE is not configured');
+  if (!digits(o.originator_account)) errors.push('BANK_ORIGINATOR_ACCOUNT is not configured');
+  return errors.map(message => ({ employee_id: null, message }));
+};
+
+/* ===================== LAYOUTS ===================== */
+
+exports.listBankLayouts = async (req, res) => {
+  res.json({ ok: true, data: listLayouts(), default: process.env.BANK_DEFAULT_LAYOUT || 'slips' });
+};
+
+/* ===================== PRE-FLIGHT ===================== */
+
+/**
+ * POST /bank-batches/preflight  body: { year, month, layout?, employee_ids? }
+ * What a batch would contain and what blocks it, without writing anything.
+ */
+exports.preflightBankBatch = async (req, res) => {
+  try {
+    const { year, month, employee_ids } = req.body;
+    if (!year || !month) return res.status(400).json({ ok: false, message: 'year and month required' });
+    const layoutId = req.body.layout || process.env.BANK_DEFAULT_LAYOUT || 'slips';
+    const layout = getLayout(layoutId);
+    if (!layout) return res.status(400).json({ ok: false, message: `Unknown bank layout "${layoutId}"` });
+
+    const { run, items, errors } = await loadPayables(pool, year, month, employee_ids);
+    if (!run) errors.push({ employee_id: null, message: notLockedMessage(year, month) });
+    errors.push(...layoutErrors(layout, batchValues(year, month, items, '', req.body.value_date || today()), items));
+    const [[active]] = await pool.query(
+      `SELECT id, batch_reference, generated_at FROM bank_transfer_batches
+        WHERE period_year = ? AND period_month = ? AND status = 'Generated'`,
+      [year, month]
+    );
+
+    res.json({
+      ok: true,
+      data: {
+        year: Number(year),
+        month: Number(month),
+        ...hashTotals(items),
+        errors: [...originatorErrors(), ...errors],
+        existing_batch: active || null,
+      },
+    });
+  } catch (err) {
+    console.error('preflightBankBatch error:', err);
+    logEvent({ level: 'error', event_type: 'BANK_BATCH_PREFLIGHT_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to validate bank batch' });
+  }
+};
+
+/* ===================== GENERATE ===================== */
+
+/**
+ * POST /bank-batches
+ * body: { year, month, layout?, value_date?, employee_ids?, regenerate?, reason? }
+ * A period that already has a batch is refused unless regenerate is set, which
+ * supersedes the earlier file.
+ */
+exports.generateBankBatch = async (req, res) => {
+  const { year, month, employee_ids, regenerate = false, reason = null } = req.body;
+  const layoutId = req.body.layout || process.env.BANK_DEFAULT_LAYOUT || 'slips';
+
+  if (!year || !month) return res.status(400).json({ ok: false, message: 'year and month required' });
+  const layout = getLayout(layoutId);
+  if (!layout) return res.status(400).json({ ok: false, message: `Unknown bank layout "${layoutId}"` });
+  if (regenerate && !reason) {
+    return res.status(400).json({ ok: false, message: 'A reason is required to regenerate a bank batch' });
+  }
+
+  const valueDate = req.body.value_date || today();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[active]] = await conn.query(
+      `SELECT * FROM bank_transfer_batches
+        WHERE period_year = ? AND period_month = ? AND status = 'Generated'
+        FOR UPDATE`,
+      [year, month]
+    );
+    if (active && !regenerate) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        message: `Bank batch ${active.batch_reference} was already generated for this period; pass regenerate with a reason to replace it`,
+        data: { batch_id: active.id, batch_reference: active.batch_reference },
+      });
+    }
+
+    // Transfers already in the active batch are payable again once it is superseded
+    if (active) {
+      await conn.query('UPDATE payroll_transfers SET bank_batch_id = NULL WHERE bank_batch_id = ?', [active.id]);
+    }
+    const { run, items, errors } = await loadPayables(conn, year, month, employee_ids);
+    if (!run) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: notLockedMessage(year, month) });
+    }
+    const allErrors = [...originatorErrors(), ...errors];
+    if (allErrors.length) {
+      await conn.rollback();
+      return res.status(422).json({ ok: false, message: 'Bank batch has validation errors', errors: allErrors });
+    }
+    if (!items.length) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'No pending transfers for this period' });
+    }
+
+    const [[{ generated }]] = await conn.query(
+      'SELECT COUNT(*) AS generated FROM bank_transfer_batches WHERE period_year = ? AND period_month = ?',
+      [year, month]
+    );
+    const period = `${year}${String(month).padStart(2, '0')}`;
+    const batchReference = `SAL${period}-${String(generated + 1).padStart(2, '0')}`;
+    const totals = hashTotals(items);
+    const batch = batchValues(year, month, items, batchReference, valueDate);
+
+    // an amount or account number too wide for the layout would be written wrong; refuse instead
+    const widthErrors = layoutErrors(layout, batch, items);
+    if (widthErrors.length) {
+      await conn.rollback();
+      return res.status(422).json({ ok: false, message: 'Bank batch has validation errors', errors: widthErrors });
+    }
+    const fileName = `salary_${batchReference}.${layout.extension || 'txt'}`;
+    const content = renderFile(layout, batch, items);
+
+    const [ins] = await conn.query(
+      `INSERT INTO bank_transfer_batches
+        (batch_reference, period_year, period_month, layout, value_date, record_count, total_amount,
+         account_hash_total, file_name, file_content, regenerate_reason, generated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [batchReference, year, month, layout.id, valueDate, totals.record_count, totals.total_amount,
+       totals.account_hash_total, fileName, content, active ? reason : null, req.user?.id || null]
+    );
+    const batchId = ins.insertId;
+
+    await conn.query(
+      `INSERT INTO bank_transfer_batch_items
+        (batch_id, payroll_transfer_id, employee_id, account_number, account_name, bank_code, branch_code, amount)
+       VALUES ?`,
+      [items.map(i => [batchId, i.payroll_transfer_id, i.employee_id, i.account_number, i.account_name, i.bank_code, i.branch_code, i.amount])]
+    );
+    await conn.query(
+      'UPDATE payroll_transfers SET bank_batch_id = ? WHERE id IN (?)',
+      [batchId, items.map(i => i.payroll_transfer_id)]
+    );
+    if (active) {
+      await conn.query(
+        `UPDATE bank_transfer_batches SET status = 'Superseded', superseded_by = ?, superseded_at = NOW() WHERE id = ?`,
+        [batchId, active.id]
+      );
+    }
+
+    await conn.commit();
+
+    const summary = { batch_id: batchId, batch_reference: batchReference, layout: layout.id, file_name: fileName, value_date: valueDate, ...totals };
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: active ? 'REGENERATE_BANK_BATCH' : 'GENERATE_BANK_BATCH',
+      target_table: 'bank_transfer_batches',
+      target_id: batchId,
+      before_state: active ? { batch_id: active.id, batch_reference: active.batch_reference, reason } : null,
+      after_state: summary,
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(201).json({ ok: true, data: summary });
+  } catch (err) {
+    await conn.rollback();
+    console.error('generateBankBatch error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'GENERATE_BANK_BATCH', target_table: 'bank_transfer_batches', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to generate bank batch' });
+  } finally {
+    conn.release();
+  }
+};
+
+/* ===================== READ ===================== */
+
+// GET /bank-batches?year=&month=
+exports.listBankBatches = async (req, res) => {
+  try {
+    const { year, month } = req.query;
+    const where = [];
+    const params = [];
+    if (year) { where.push('period_year = ?'); params.push(year); }
+    if (month) { where.push('period_month = ?'); params.push(month); }
+
+    const [rows] = await pool.query(
+      `SELECT id, batch_reference, period_year, period_month, layout, status, value_date, record_count,
+              total_amount, account_hash_total, file_name, regenerate_reason, generated_by, generated_at,
+              superseded_by, superseded_at
+         FROM bank_transfer_batches
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY generated_at DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listBankBatches error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_BANK_BATCHES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch bank batches' });
+  }
+};
+
+// GET /bank-batches/:id
+exports.getBankBatch = async (req, res) => {
+  try {
+    const [[batch]] = await pool.query(
+      `SELECT id, batch_reference, period_year, period_month, layout, status, value_date, record_count,
+              total_amount, account_hash_total, file_name, regenerate_reason, generated_by, generated_at,
+              superseded_by, superseded_at
+         FROM bank_transfer_batches WHERE id = ?`,
+      [req.params.id]
+    );
+    if (!batch) return res.status(404).json({ ok: false, message: 'Bank batch not found' });
+
+    const [items] = await pool.query(
+      `SELECT i.*, e.employee_code, e.full_name
+         FROM bank_transfer_batch_items i
+         JOIN employees e ON e.id = i.employee_id
+        WHERE i.batch_id = ?
+        ORDER BY e.full_name`,
+      [batch.id]
+    );
+    res.json({ ok: true, data: { ...batch, items } });
+  } catch (err) {
+    console.error('getBankBatch error:', err);
+    logEvent({ level: 'error', event_type: 'GET_BANK_BATCH_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch bank batch' });
+  }
+};
+
+// GET /bank-batches/:id/file  (the stored file, byte for byte as first generated)
+exports.downloadBankBatch = async (req, res) => {
+  try {
+    const [[batch]] = await pool.query(
+      'SELECT id, batch_reference, layout, file_name, file_content FROM bank_transfer_batches WHERE id = ?',
+      [req.params.id]
+    );
+    if (!batch) return res.status(404).json({ ok: false, message: 'Bank batch not found' });
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'DOWNLOAD_BANK_BATCH',
+      target_table: 'bank_transfer_batches',
+      target_id: batch.id,
+      after_state: { batch_reference: batch.batch_reference },
+      req,
+      status: 'SUCCESS'
+    });
+
+    const layout = getLayout(batch.layout);
+    res.setHeader('Content-Type', layout?.format === 'csv' ? 'text/csv' : 'text/plain');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.file_name}"`);
+    res.send(batch.file_content);
+  } catch (err) {
+    console.error('downloadBankBatch error:', err);
+    logEvent({ level: 'error', event_type: 'DOWNLOAD_BANK_BATCH_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to download bank batch' });
+  }
+};
@@ -0,0 +1,253 @@
+// src/controllers/bankReconciliation.controller.js
+const fs = require('fs');
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { getLayout } = require('../utils/bankLayouts');
+const { parseReturnFile, normalizeAccount } = require('../utils/bankReturns');
+
+const amountKey = (n) => Math.round(Number(n || 0) * 100);
+
+/**
+ * Credits the bank file can be matched against: the items of the batch, or for a
+ * period without a batch, its open transfers with the employee's account on file.
+ */
+const loadCandidates = async (conn, batch, year, month) => {
+  if (batch) {
+    const [rows] = await conn.query(
+      `SELECT i.payroll_transfer_id, i.employee_id, i.account_number, i.amount, pt.status
+         FROM bank_transfer_batch_items i
+         JOIN payroll_transfers pt ON pt.id = i.payroll_transfer_id
+        WHERE i.batch_id = ?`,
+      [batch.id]
+    );
+    return rows;
+  }
+  const [rows] = await conn.query(
+    `SELECT pt.id AS payroll_transfer_id, pt.employee_id, ba.account_number, pt.net_salary AS amount, pt.status
+       FROM payroll_transfers pt
+       JOIN employee_bank_accounts ba
+         ON ba.id = (SELECT MIN(id) FROM employee_bank_accounts WHERE employee_id = pt.employee_id)
+      WHERE pt.period_year = ? AND pt.period_month = ?`,
+    [year, month]
+  );
+  return rows;
+};
+
+/**
+ * POST /bank-reconciliations  multipart: file, plus bank_batch_id or year + month
+ * Matches each line to a transfer by account and amount, then closes the transfer
+ * as Completed / Failed with the bank's reason. Lines that don't match are kept for
+ * the report and change nothing.
+ */
+exports.importBankReturn = async (req, res) => {
+  const file = req.file;
+  if (!file) return res.status(400).json({ ok: false, message: 'Bank return file is required' });
+
+  const conn = await pool.getConnection();
+  try {
+    let { bank_batch_id, year, month } = req.body;
+    let batch = null;
+    if (bank_batch_id) {
+      [[batch]] = await conn.query('SELECT * FROM bank_transfer_batches WHERE id = ?', [bank_batch_id]);
+      if (!batch) return res.status(404).json({ ok: false, message: 'Bank batch not found' });
+      year = batch.period_year;
+      month = batch.period_month;
+    } else if (year && month) {
+      [[batch]] = await conn.query(
+        `SELECT * FROM bank_transfer_batches WHERE period_year = ? AND period_month = ? AND status = 'Generated'`,
+        [year, month]
+      );
+    } else {
+      return res.status(400).json({ ok: false, message: 'bank_batch_id or year and month required' });
+    }
+
+    let lines;
+    try {
+      lines = parseReturnFile(fs.readFileSync(file.path, 'utf8'), batch ? getLayout(batch.layout) : null);
+    } catch (parseErr) {
+      return res.status(400).json({ ok: false, message: parseErr.message });
+    }
+    if (!lines.length) return res.status(400).json({ ok: false, message: 'No credit lines found in the file' });
+
+    await conn.beginTransaction();
+    const candidates = await loadCandidates(conn, batch, year, month);
+    const byAccount = new Map();
+    for (const c of candidates) {
+      const key = normalizeAccount(c.account_number);
+      if (!byAccount.has(key)) byAccount.set(key, []);
+      byAccount.get(key).push(c);
+    }
+
+    const used = new Set();
+    const results = lines.map(line => {
+      const sameAccount = byAccount.get(normalizeAccount(line.account_number)) || [];
+      const exact = sameAccount.filter(c => amountKey(c.amount) === amountKey(line.amount));
+      const open = exact.find(c => !used.has(c.payroll_transfer_id));
+      const outcome = line.success ? 'Completed' : 'Failed';
+
+      let match_status;
+      let transfer = null;
+      if (!sameAccount.length) match_status = 'Unmatched';
+      else if (!exact.length) match_status = 'AmountMismatch';
+      else if (!open) match_status = 'Duplicate';
+      else if (open.status === 'Completed' || open.status === 'Failed') {
+        match_status = 'AlreadyClosed';
+        transfer = open;
+      } else {
+        match_status = 'Matched';
+        transfer = open;
+        used.add(open.payroll_transfer_id);
+      }
+      return { ...line, outcome, match_status, payroll_transfer_id: transfer?.payroll_transfer_id || sameAccount[0]?.payroll_transfer_id || null };
+    });
+
+    const count = (pred) => results.filter(pred).length;
+    const [ins] = await conn.query(
+      `INSERT INTO bank_reconciliations
+        (bank_batch_id, period_year, period_month, file_name, file_path, line_count,
+         completed_count, failed_count, mismatch_count, imported_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [batch?.id || null, year, month, file.originalname, file.path.replace(/\\/g, '/'), results.length,
+       count(r => r.match_status === 'Matched' && r.outcome === 'Completed'),
+       count(r => r.match_status === 'Matched' && r.outcome === 'Failed'),
+       count(r => r.match_status !== 'Matched'),
+       req.user?.id || null]
+    );
+    const reconciliationId = ins.insertId;
+
+    await conn.query(
+      `INSERT INTO bank_reconciliation_lines
+        (reconciliation_id, line_no, account_number, amount, return_code, bank_reason, outcome,
+         match_status, payroll_transfer_id, raw_line)
+       VALUES ?`,
+      [results.map(r => [reconciliationId, r.line_no, r.account_number, r.amount, r.return_code,
+        r.reason, r.outcome, r.match_status, r.payroll_transfer_id, r.raw])]
+    );
+
+    for (const r of results.filter(x => x.match_status === 'Matched')) {
+      await conn.query(
+        `UPDATE payroll_transfers
+            SET status = ?, bank_reason = ?, reconciled_at = NOW(), reconciliation_id = ?, updated_at = NOW()
+          WHERE id = ?`,
+        [r.outcome, r.outcome === 'Failed' ? (r.reason || r.return_code) : null, reconciliationId, r.payroll_transfer_id]
+      );
+    }
+
+    await conn.commit();
+
+    const summary = {
+      reconciliation_id: reconciliationId,
+      bank_batch_id: batch?.id || null,
+      period_year: Number(year),
+      period_month: Number(month),
+      lines: results.length,
+      completed: count(r => r.match_status === 'Matched' && r.outcome === 'Completed'),
+      failed: count(r => r.match_status === 'Matched' && r.outcome === 'Failed'),
+      mismatches: count(r => r.match_status !== 'Matched'),
+    };
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'IMPORT_BANK_RETURN',
+      target_table: 'bank_reconciliations',
+      target_id: reconciliationId,
+      after_state: summary,
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(201).json({ ok: true, data: summary });
+  } catch (err) {
+    await conn.rollback();
+    console.error('importBankReturn error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'IMPORT_BANK_RETURN', target_table: 'bank_reconciliations', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to import bank return file' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /bank-reconciliations?year=&month=
+exports.listBankReconciliations = async (req, res) => {
+  try {
+    const { year, month } = req.query;
+    const where = [];
+    const params = [];
+    if (year) { where.push('r.period_year = ?'); params.push(year); }
+    if (month) { where.push('r.period_month = ?'); params.push(month); }
+
+    const [rows] = await pool.query(
+      `SELECT r.id, r.bank_batch_id, b.batch_reference, r.period_year, r.period_month, r.file_name,
+              r.line_count, r.completed_count, r.failed_count, r.mismatch_count, r.imported_by, r.imported_at
+         FROM bank_reconciliations r
+         LEFT JOIN bank_transfer_batches b ON b.id = r.bank_batch_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY r.imported_at DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listBankReconciliations error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_BANK_RECONCILIATIONS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch bank reconciliations' });
+  }
+};
+
+/**
+ * GET /bank-reconciliations/:id/report
+ * Failed credits, lines that matched nothing, and transfers of the batch the bank
+ * has not reported on yet.
+ */
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    const [[rec]] = await pool.query(
+      `SELECT r.*, b.batch_reference
+         FROM bank_reconciliations r
+         LEFT JOIN bank_transfer_batches b ON b.id = r.bank_batch_id
+        WHERE r.id = ?`,
+      [req.params.id]
+    );
+    if (!rec) return res.status(404).json({ ok: false, message: 'Reconciliation not found' });
+
+    const [lines] = await pool.query(
+      `SELECT l.id, l.line_no, l.account_number, l.amount, l.return_code, l.bank_reason, l.outcome,
+              l.match_status, l.payroll_transfer_id, pt.employee_id, e.employee_code, e.full_name,
+              pt.net_salary AS expected_amount
+         FROM bank_reconciliation_lines l
+         LEFT JOIN payroll_transfers pt ON pt.id = l.payroll_transfer_id
+         LEFT JOIN employees e ON e.id = pt.employee_id
+        WHERE l.reconciliation_id = ?
+        ORDER BY l.line_no`,
+      [rec.id]
+    );
+
+    let notReturned = [];
+    if (rec.bank_batch_id) {
+      [notReturned] = await pool.query(
+        `SELECT pt.id AS payroll_transfer_id, pt.employee_id, e.employee_code, e.full_name,
+                i.account_number, i.amount, pt.status
+           FROM bank_transfer_batch_items i
+           JOIN payroll_transfers pt ON pt.id = i.payroll_transfer_id
+           JOIN employees e ON e.id = pt.employee_id
+          WHERE i.batch_id = ? AND pt.status IN ('Pending','Processing')
+          ORDER BY e.full_name`,
+        [rec.bank_batch_id]
+      );
+    }
+
+    res.json({
+      ok: true,
+      data: {
+        reconciliation: rec,
+        failed: lines.filter(l => l.match_status === 'Matched' && l.outcome === 'Failed'),
+        mismatches: lines.filter(l => l.match_status !== 'Matched'),
+        not_returned: notReturned,
+        lines,
+      },
+    });
+  } catch (err) {
+    console.error('getReconciliationReport error:', err);
+    logEvent({ level: 'error', event_type: 'RECONCILIATION_REPORT_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to build reconciliation report' });
+  }
+};
@@ -2,6 +2,7 @@
 const pool = require('../config/db');
 const path = require('path');
 const fs = require('fs');
+const { scopeCondition } = require('../utils/permissions');
 
 function baseUrl(req) {
   return process.env.BACKEND_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
@@ -34,6 +35,12 @@ exports.listDocuments = async (req, res) => {
       params.push(category);
     }
 
+    const scope = scopeCondition(req, 'e.department_id');
+    if (scope.sql) {
+      where += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
     const [rows] = await pool.query(
       `
       SELECT
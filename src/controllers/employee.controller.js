@@ -4,6 +4,9 @@ const path = require('path');
 const fs = require('fs');
 const logAudit = require('../utils/audit');
 const logEvent = require('../utils/event');
+const { basicSalaryOn } = require('../utils/salaryHistory');
+const { salaryBefore, readBankChange, requestPayChange } = require('../utils/payChanges');
+const { inScope, scopeCondition } = require('../utils/permissions');
 
 function baseUrl(req) {
   return process.env.BACKEND_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
@@ -92,6 +95,10 @@ exports.createEmployee = async (req, res) => {
     await conn.beginTransaction();
 
     const department_id = await getOrCreateDepartmentId(conn, department);
+    if (!inScope(req, department_id)) {
+      await conn.rollback();
+      return res.status(403).json({ ok: false, message: 'Department is outside your departments' });
+    }
     const grade_id = gradeToId(grade);
 
     const full_name =
@@ -166,6 +173,11 @@ exports.createEmployee = async (req, res) => {
         'INSERT INTO salaries (employee_id, basic_salary) VALUES (?, ?)',
         [employeeId, Number(basic_salary)]
       );
+      await conn.query(
+        `INSERT INTO employee_salary_history (employee_id, basic_salary, effective_from, reason, note, created_by)
+         VALUES (?, ?, ?, 'Appointment', 'On appointment', ?)`,
+        [employeeId, Number(basic_salary), appointment_date || new Date().toISOString().slice(0, 10), (req.user && req.user.id) || null]
+      );
     }
 
     if (kin_name || relationship || kin_nic || kin_dob) {
@@ -175,13 +187,14 @@ exports.createEmployee = async (req, res) => {
       );
     }
 
-    const { account_number, account_name, bank_name, branch_name } = req.body;
+    const { account_number, account_name, bank_name, branch_name, bank_code, branch_code } = req.body;
     if (account_number || account_name || bank_name || branch_name) {
       await conn.query(
         `INSERT INTO employee_bank_accounts
-          (employee_id, account_number, account_name, bank_name, branch_name)
-         VALUES (?,?,?,?,?)`,
-        [employeeId, account_number || null, account_name || null, bank_name || null, branch_name || null]
+          (employee_id, account_number, account_name, bank_name, bank_code, branch_name, branch_code)
+         VALUES (?,?,?,?,?,?,?)`,
+        [employeeId, account_number || null, account_name || null, bank_name || null, bank_code || null,
+         branch_name || null, branch_code || null]
       );
     }
 
@@ -265,11 +278,15 @@ exports.createEmployee = async (req, res) => {
 
 exports.getEmployees = async (req, res) => {
   try {
+    // Department-scoped roles only see their own departments
+    const scope = scopeCondition(req, 'e.department_id');
     const [rows] = await pool.query(
       `SELECT e.*, d.name AS department_name
      FROM employees e
      LEFT JOIN departments d ON d.id = e.department_id
-     ORDER BY e.created_at DESC`
+     ${scope.sql ? `WHERE ${scope.sql}` : ''}
+     ORDER BY e.created_at DESC`,
+      scope.params
     );
     // add profile_photo_url for listing
     for (const r of rows) {
@@ -294,6 +311,7 @@ exports.getEmployeeById = async (req, res) => {
       [id]
     );
     if (!emp) return res.status(404).json({ ok: false, message: 'Not found' });
+    if (!inScope(req, emp.department_id)) return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
 
     // FETCH EPF from separate table
     const [[epfData]] = await pool.query(
@@ -311,7 +329,7 @@ exports.getEmployeeById = async (req, res) => {
     );
     const [[kin]] = await pool.query('SELECT * FROM employee_kin WHERE employee_id = ? LIMIT 1', [id]);
     const [[bank]] = await pool.query('SELECT * FROM employee_bank_accounts WHERE employee_id = ? LIMIT 1', [id]);
-    const [[sal]] = await pool.query('SELECT basic_salary FROM salaries WHERE employee_id = ? ORDER BY id DESC LIMIT 1', [id]);
+    const sal = await basicSalaryOn(pool, id, new Date().toISOString().slice(0, 10));
 
     emp.kin = kin || null;
     emp.bank_account = bank || null;
@@ -367,6 +385,10 @@ exports.updateEmployee = async (req, res) => {
     if (body.department || body.department_name) {
       department_id = await getOrCreateDepartmentId(conn, body.department || body.department_name);
     }
+    if (!inScope(req, before_state.department_id) || (department_id && !inScope(req, department_id))) {
+      await conn.rollback();
+      return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
+    }
 
     let full_name = undefined;
     if (body.first_name || body.last_name) {
@@ -456,8 +478,28 @@ exports.updateEmployee = async (req, res) => {
       }
     }
 
+    // A changed salary on the profile form is a correction from today; dated changes go through /salary/history.
+    // Salary and bank details are not written here: they wait for another user's approval (/salary/change-requests).
+    const pendingChanges = [];
     if (body.basic_salary !== undefined && body.basic_salary !== null && body.basic_salary !== '') {
-      await conn.query('INSERT INTO salaries (employee_id, basic_salary) VALUES (?, ?)', [id, Number(body.basic_salary)]);
+      const today = new Date().toISOString().slice(0, 10);
+      const before = await salaryBefore(conn, id, today);
+      if (before.basic_salary !== Number(body.basic_salary)) {
+        const payload = { basic_salary: Number(body.basic_salary), effective_from: today, reason: 'Correction', note: 'Changed on employee profile' };
+        pendingChanges.push({ change_type: 'BasicSalary', payload, before, after: payload });
+      }
+    }
+    const bank = await readBankChange(conn, id, body);
+    if (bank) pendingChanges.push({ change_type: 'BankAccount', payload: bank.after, before: bank.before, after: bank.after });
+
+    const pending_changes = [];
+    for (const change of pendingChanges) {
+      const { request, status, message } = await requestPayChange(conn, { ...change, employee_id: id, user_id: req.user.id });
+      if (status) {
+        await conn.rollback();
+        return res.status(status).json({ ok: false, message });
+      }
+      pending_changes.push(request);
     }
 
     // ---- DOCUMENTS ----
@@ -499,12 +541,16 @@ exports.updateEmployee = async (req, res) => {
       target_table: "employees",
       target_id: id,
       before_state: before_state,
-      after_state: after_state,
+      after_state: { ...after_state, pending_changes: pending_changes.map(c => ({ id: c.id, change_type: c.change_type, diff: c.diff })) },
       req,
       status: "SUCCESS"
     });
 
-    res.json({ ok: true, message: 'Updated' });
+    res.json({
+      ok: true,
+      message: pending_changes.length ? 'Updated; salary / bank changes sent for approval' : 'Updated',
+      pending_changes
+    });
   } catch (e) {
     await conn.rollback();
     console.error(e);
@@ -534,8 +580,13 @@ exports.deleteEmployee = async (req, res) => {
 
     const [[before_state]] = await conn.query('SELECT * FROM employees WHERE id = ?', [id]);
     if (!before_state) throw new Error('Not found');
+    if (!inScope(req, before_state.department_id)) {
+      await conn.rollback();
+      return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
+    }
 
     await conn.query('DELETE FROM salaries WHERE employee_id = ?', [id]);
+    await conn.query('DELETE FROM employee_salary_history WHERE employee_id = ?', [id]);
     await conn.query('DELETE FROM employee_kin WHERE employee_id = ?', [id]);
     await conn.query('DELETE FROM employee_bank_accounts WHERE employee_id = ?', [id]);
     await conn.query('DELETE FROM employee_documents WHERE employee_id = ?', [id]);
@@ -719,6 +770,7 @@ exports.replaceEmployeeDocument = async (req, res) => {
 // Latest performance review per employee (for overview page)
 exports.getPerformanceOverview = async (req, res) => {
   try {
+    const scope = scopeCondition(req, 'e.department_id');
     const [rows] = await pool.query(`
       SELECT 
         e.id AS employee_id,
@@ -741,9 +793,9 @@ exports.getPerformanceOverview = async (req, res) => {
           ORDER BY pr2.review_date DESC, pr2.id DESC
           LIMIT 1
         )
-      WHERE e.status = 'Active'
+      WHERE e.status = 'Active'${scope.sql ? ` AND ${scope.sql}` : ''}
       ORDER BY e.full_name ASC
-    `);
+    `, scope.params);
 
     res.json({ ok: true, data: rows });
   } catch (err) {
@@ -792,6 +844,7 @@ exports.addPerformanceReview = async (req, res) => {
 // Latest/active training record per employee
 exports.getTrainingOverview = async (req, res) => {
   try {
+    const scope = scopeCondition(req, 'e.department_id');
     const [rows] = await pool.query(`
       SELECT
         e.id AS employee_id,
@@ -823,9 +876,9 @@ exports.getTrainingOverview = async (req, res) => {
             tr2.id DESC
           LIMIT 1
         )
-      WHERE e.status = 'Active'
+      WHERE e.status = 'Active'${scope.sql ? ` AND ${scope.sql}` : ''}
       ORDER BY e.full_name ASC
-    `);
+    `, scope.params);
 
     res.json({ ok: true, data: rows });
   } catch (err) {
@@ -0,0 +1,137 @@
+// src/controllers/employeePortal.controller.js
+// HR side of employee self-service: the login an employee uses for /api/me, and review of
+// the profile changes they ask for there.
+const pool = require('../config/db');
+const bcrypt = require('bcryptjs');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { applyProfileChanges } = require('../utils/profileChanges');
+const { EMAIL_RE, checkPassword } = require('../utils/userAccounts');
+const { scopeCondition } = require('../utils/permissions');
+
+const parseJson = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+
+/**
+ * PUT /employees/:id/portal-login
+ *   { user_id }               links an existing login to the employee
+ *   { email?, password }      creates an Employee login (email defaults to the employee's;
+ *                             the password must meet the password policy)
+ *   { user_id: null }         unlinks the current login
+ */
+exports.setPortalLogin = async (req, res) => {
+  const employeeId = Number(req.params.id);
+  const body = req.body || {};
+  try {
+    const [[emp]] = await pool.query('SELECT id, full_name, email FROM employees WHERE id = ?', [employeeId]);
+    if (!emp) return res.status(404).json({ ok: false, message: 'Employee not found' });
+    const [[linked]] = await pool.query('SELECT id, name, email, role FROM users WHERE employee_id = ?', [employeeId]);
+
+    if (body.user_id === null) {
+      if (!linked) return res.status(404).json({ ok: false, message: 'No login is linked to this employee' });
+      await pool.query('UPDATE users SET employee_id = NULL WHERE id = ?', [linked.id]);
+      logAudit({ level: 'info', user_id: req.user.id, action_type: 'UNLINK_EMPLOYEE_LOGIN', target_table: 'users', target_id: linked.id, before_state: { employee_id: employeeId }, after_state: { employee_id: null }, req, status: 'SUCCESS' });
+      return res.json({ ok: true, message: 'Login unlinked' });
+    }
+    if (linked) {
+      return res.status(409).json({ ok: false, message: `Employee already has a login (${linked.email}); unlink it first` });
+    }
+
+    let user;
+    if (body.user_id) {
+      [[user]] = await pool.query('SELECT id, name, email, role, employee_id FROM users WHERE id = ?', [Number(body.user_id)]);
+      if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+      if (user.employee_id) return res.status(409).json({ ok: false, message: 'User is already linked to another employee' });
+      await pool.query('UPDATE users SET employee_id = ? WHERE id = ?', [employeeId, user.id]);
+    } else {
+      const email = String(body.email || emp.email || '').trim().toLowerCase();
+      if (!EMAIL_RE.test(email)) return res.status(400).json({ ok: false, message: 'A valid email is required' });
+      const weak = checkPassword(body.password, { name: emp.full_name, email });
+      if (weak) return res.status(400).json({ ok: false, message: weak });
+      const [[taken]] = await pool.query('SELECT id FROM users WHERE email = ?', [email]);
+      if (taken) return res.status(409).json({ ok: false, message: 'A login with this email already exists; link it with user_id' });
+
+      const hash = await bcrypt.hash(String(body.password), 10);
+      const [ins] = await pool.query(
+        'INSERT INTO users (name, email, password_hash, role, employee_id, password_changed_at, created_by) VALUES (?,?,?,?,?,NOW(),?)',
+        [emp.full_name, email, hash, 'Employee', employeeId, req.user.id]
+      );
+      user = { id: ins.insertId, name: emp.full_name, email, role: 'Employee' };
+    }
+
+    const after = { id: user.id, name: user.name, email: user.email, role: user.role, employee_id: employeeId };
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'LINK_EMPLOYEE_LOGIN', target_table: 'users', target_id: user.id, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    console.error('setPortalLogin error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'LINK_EMPLOYEE_LOGIN', target_table: 'users', target_id: null, after_state: { employee_id: employeeId, user_id: body.user_id, email: body.email }, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to set employee login' });
+  }
+};
+
+// GET /employees/profile-changes?status=Pending&employee_id=
+exports.listProfileChanges = async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.status) { where.push('c.status = ?'); params.push(req.query.status); }
+    if (req.query.employee_id) { where.push('c.employee_id = ?'); params.push(Number(req.query.employee_id)); }
+    const scope = scopeCondition(req, 'e.department_id');
+    if (scope.sql) { where.push(scope.sql); params.push(...scope.params); }
+    const [rows] = await pool.query(
+      `SELECT c.*, e.full_name, e.employee_code, u.name AS decided_by_name
+         FROM employee_profile_change_requests c
+         JOIN employees e ON e.id = c.employee_id
+         LEFT JOIN users u ON u.id = c.decided_by
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY c.status = 'Pending' DESC, c.created_at DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows.map(r => ({ ...r, changes: parseJson(r.changes), previous: parseJson(r.previous) })) });
+  } catch (err) {
+    console.error('listProfileChanges error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_PROFILE_CHANGES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch profile changes' });
+  }
+};
+
+// POST /employees/profile-changes/:id/decide  { status: 'Approved' | 'Rejected', decision_note? }
+exports.decideProfileChange = async (req, res) => {
+  const id = Number(req.params.id);
+  const { status, decision_note = null } = req.body || {};
+  if (!['Approved', 'Rejected'].includes(status)) {
+    return res.status(400).json({ ok: false, message: "status must be 'Approved' or 'Rejected'" });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[change]] = await conn.query('SELECT * FROM employee_profile_change_requests WHERE id = ? FOR UPDATE', [id]);
+    if (!change) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Profile change not found' });
+    }
+    if (change.status !== 'Pending') {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: `Profile change is already ${change.status}` });
+    }
+
+    const [[before]] = await conn.query('SELECT * FROM employees WHERE id = ?', [change.employee_id]);
+    if (status === 'Approved') await applyProfileChanges(conn, change.employee_id, parseJson(change.changes));
+    await conn.query(
+      'UPDATE employee_profile_change_requests SET status = ?, decided_by = ?, decided_at = NOW(), decision_note = ? WHERE id = ?',
+      [status, req.user.id, decision_note, id]
+    );
+    await conn.commit();
+
+    const [[after]] = await pool.query('SELECT * FROM employees WHERE id = ?', [change.employee_id]);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: status === 'Approved' ? 'APPROVE_PROFILE_CHANGE' : 'REJECT_PROFILE_CHANGE', target_table: 'employees', target_id: change.employee_id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: `Profile change ${status.toLowerCase()}` });
+  } catch (err) {
+    await conn.rollback();
+    console.error('decideProfileChange error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DECIDE_PROFILE_CHANGE', target_table: 'employee_profile_change_requests', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to decide profile change' });
+  } finally {
+    conn.release();
+  }
+};
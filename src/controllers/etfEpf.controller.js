@@ -2,72 +2,27 @@
 const pool = require('../config/db');
 const logAudit = require('../utils/audit');
 const logEvent = require('../utils/event');
+const { calculatePayroll, calculatePayrollForEmployees } = require('../utils/payrollEngine');
 
 // ===================== ETF/EPF MANAGEMENT =====================
 
 /**
- * Utility function to aggregate gross salary components for a given employee and period.
- * Gross Salary for EPF calculation = Basic Salary + Allowances + Overtime + Bonuses
+ * Gross components and statutory contributions for one employee/period, from the payroll engine.
+ * EPF/ETF are charged on basic salary, matching payslips and transfers.
  */
 const getGrossComponentsForPeriod = async (employee_id, year, month) => {
-  // Use dates for inclusive period filtering
-  const periodEndStr = new Date(Number(year), Number(month), 0).toISOString().slice(0, 10);
-  const periodStartStr = `${year}-${String(month).padStart(2, '0')}-01`; 
-
-  // 1. Fetch Basic Salary (using the latest record)
-  const [[salaryRecord]] = await pool.query(`
-    SELECT basic_salary FROM salaries WHERE employee_id = ? ORDER BY id DESC LIMIT 1
-  `, [employee_id]).catch(() => [[]]);
-  
-  const basicSalary = Number(salaryRecord?.basic_salary || 0);
-
-  // 2. Aggregate monthly components (Allowances, Overtime, Bonuses)
-  const [components] = await pool.query(`
-    SELECT
-      (
-        -- Allowances active in this period (effective_from <= period_end AND effective_to >= period_start)
-        SELECT COALESCE(SUM(amount), 0.00) FROM allowances
-        WHERE employee_id = ? 
-          AND status = 'Active' 
-          AND (effective_from IS NULL OR effective_from <= ?)
-          AND (effective_to IS NULL OR effective_to >= ?)
-      ) AS allowances_sum,
-      (
-        -- Overtime earned in this period (created_at in this month)
-        SELECT COALESCE(SUM(ot_hours * ot_rate), 0.00) FROM overtime_adjustments
-        WHERE employee_id = ?
-          AND MONTH(created_at) = ? AND YEAR(created_at) = ?
-      ) AS overtime_sum,
-      (
-        -- Bonuses effective in this period (effective_date in this month)
-        SELECT COALESCE(SUM(amount), 0.00) FROM bonuses
-        WHERE employee_id = ?
-          AND MONTH(effective_date) = ? AND YEAR(effective_date) = ?
-      ) AS compensation_sum
-  `, [
-    // Parameters for Allowances
-    employee_id, periodEndStr, periodStartStr, 
-    // Parameters for Overtime
-    employee_id, month, year, 
-    // Parameters for Compensation/Bonus
-    employee_id, month, year,
-  ]);
-
-  const { allowances_sum, overtime_sum, compensation_sum } = components[0];
-
-  const allowances = Number(allowances_sum);
-  const overtime = Number(overtime_sum);
-  const compensation = Number(compensation_sum);
-
-  // Gross Salary for EPF = Basic + All Fixed/Variable Earnings (Allowances + Overtime + Bonuses)
-  const grossForEpf = basicSalary + allowances + overtime + compensation;
+  const { totals } = await calculatePayroll(employee_id, year, month);
 
   return {
-    basic_salary: basicSalary,
-    allowances_sum: allowances,
-    overtime_sum: overtime,
-    compensation_sum: compensation,
-    gross_salary_for_epf: grossForEpf,
+    basic_salary: totals.basic,
+    allowances_sum: totals.allowances,
+    overtime_sum: totals.overtime,
+    compensation_sum: totals.bonuses,
+    gross_salary: totals.gross,
+    gross_salary_for_epf: totals.basic,
+    employee_epf: totals.epf_employee,
+    employer_epf: totals.employer_epf,
+    employer_etf: totals.employer_etf,
   };
 };
 
@@ -92,26 +47,25 @@ const getEtfEpfProcessList = async (req, res) => {
         e.full_name,
         e.joining_date,
         d.name AS department_name,
-        COALESCE(s.basic_salary, 0) AS basic_salary,
         COALESCE(ee.epf_contribution_rate, 8.00) AS epf_rate,
         COALESCE(ee.employer_epf_rate, 12.00) AS employer_epf_rate,
         COALESCE(ee.etf_contribution_rate, 3.00) AS etf_rate
       FROM employees e
       LEFT JOIN departments d ON d.id = e.department_id
-      LEFT JOIN salaries s ON e.id = s.employee_id AND s.id = (
-          SELECT MAX(id) FROM salaries WHERE employee_id = e.id
-      )
       LEFT JOIN employee_etf_epf ee ON ee.employee_id = e.id
       WHERE e.status = 'Active' 
         AND (YEAR(e.joining_date) < ? OR (YEAR(e.joining_date) = ? AND MONTH(e.joining_date) <= ?))
       ORDER BY e.full_name
     `, [numYear, numYear, numMonth]);
 
+    const payrolls = await calculatePayrollForEmployees(rows.map(r => r.employee_id), numYear, numMonth);
+
     const results = rows.map(record => {
-      const basic = Number(record.basic_salary);
-      const epfEmployee = (basic * record.epf_rate) / 100;
-      const epfEmployer = (basic * record.employer_epf_rate) / 100;
-      const etfAmount = (basic * record.etf_rate) / 100;
+      const { totals } = payrolls.get(record.employee_id);
+      const basic = totals.basic;
+      const epfEmployee = totals.epf_employee;
+      const epfEmployer = totals.employer_epf;
+      const etfAmount = totals.employer_etf;
 
       return {
         ...record,
@@ -181,10 +135,10 @@ const processEtfEpfPayments = async (req, res) => {
          continue;
       }
 
-      // D. Calculate Contributions
-      const employeeEpf = (gross * rates.epf_rate) / 100;
-      const employerEpf = (gross * rates.employer_epf_rate) / 100;
-      const employerEtf = (gross * rates.etf_rate) / 100;
+      // D. Contributions as the payroll engine charges them
+      const employeeEpf = grossComponents.employee_epf;
+      const employerEpf = grossComponents.employer_epf;
+      const employerEtf = grossComponents.employer_etf;
       
       // E. Insert transaction record (Column names aligned with provided SQL schema)
       const [resIns] = await conn.query(
@@ -296,13 +250,14 @@ const getEmployeePaymentHistory = async (req, res) => {
       SELECT 
         id, 
         basic_salary, 
-        effective_date,
+        effective_from AS effective_date,
+        reason,
         (basic_salary * 0.08) as epf_emp,
         (basic_salary * 0.12) as epf_employer,
         (basic_salary * 0.03) as etf
-      FROM salaries 
+      FROM employee_salary_history 
       WHERE employee_id = ? 
-      ORDER BY effective_date DESC
+      ORDER BY effective_from DESC, id DESC
     `, [employeeId]);
     res.json({ ok: true, data: rows });
   } catch (err) {
@@ -0,0 +1,456 @@
+// src/controllers/etfEpfReturn.controller.js
+const PDFDocument = require('pdfkit');
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { formatFile, formatCsv, recordErrors } = require('../utils/fixedWidth');
+
+// ===================== LAYOUTS =====================
+
+// EPF e-return (C-Form contribution schedule), one record per member
+const EPF_LAYOUT = [
+  { key: 'nic', width: 20, type: 'text', label: 'NIC No' },
+  { key: 'surname', width: 40, type: 'text', label: 'Surname' },
+  { key: 'initials', width: 20, type: 'text', label: 'Initials' },
+  { key: 'member_number', width: 6, type: 'number', label: 'Member No' },
+  { key: 'total_contribution', width: 10, type: 'amount', label: 'Total Contribution' },
+  { key: 'employer_contribution', width: 10, type: 'amount', label: 'Employer Contribution' },
+  { key: 'member_contribution', width: 10, type: 'amount', label: 'Member Contribution' },
+  { key: 'total_earnings', width: 12, type: 'amount', label: 'Total Earnings' },
+  { key: 'member_status', width: 1, type: 'text', label: 'Member Status' },
+  { key: 'zone', width: 1, type: 'text', label: 'Zone' },
+  { key: 'employer_number', width: 6, type: 'number', label: 'Employer No' },
+  { key: 'contribution_period', width: 6, type: 'number', label: 'Contribution Period' },
+  { key: 'submission_number', width: 2, type: 'number', label: 'Data Submission No' },
+  { key: 'days_worked', width: 5, type: 'amount', label: 'Days Worked' },
+  { key: 'occupation_grade', width: 3, type: 'text', label: 'Occupation Grade' },
+];
+
+// ETF six-monthly return (Form II), one record per member
+const ETF_LAYOUT = [
+  { key: 'employer_number', width: 9, type: 'text', label: 'Employer No' },
+  { key: 'member_number', width: 6, type: 'number', label: 'Member No' },
+  { key: 'nic', width: 20, type: 'text', label: 'NIC No' },
+  { key: 'name', width: 50, type: 'text', label: 'Name with Initials' },
+  { key: 'month_1', width: 9, type: 'amount', label: 'Month 1' },
+  { key: 'month_2', width: 9, type: 'amount', label: 'Month 2' },
+  { key: 'month_3', width: 9, type: 'amount', label: 'Month 3' },
+  { key: 'month_4', width: 9, type: 'amount', label: 'Month 4' },
+  { key: 'month_5', width: 9, type: 'amount', label: 'Month 5' },
+  { key: 'month_6', width: 9, type: 'amount', label: 'Month 6' },
+  { key: 'total_contribution', width: 10, type: 'amount', label: 'Total Contribution' },
+  { key: 'period_from', width: 6, type: 'number', label: 'Period From' },
+  { key: 'period_to', width: 6, type: 'number', label: 'Period To' },
+];
+
+// ===================== HELPERS =====================
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Surname / initials from the employee record, else split from full_name
+// ("Kasun Nuwan Perera" -> { surname: 'Perera', initials: 'K N' })
+const splitName = (r) => {
+  const parts = String(r.full_name || '').trim().split(/\s+/).filter(Boolean);
+  const last = parts.pop() || '';
+  return {
+    surname: r.last_name || last,
+    initials: r.initials || parts.map(p => p[0].toUpperCase()).join(' '),
+  };
+};
+
+// EPF_EMPLOYER_NUMBER is "<zone>/<number>", e.g. "A/12345"
+const epfEmployer = () => {
+  const raw = String(process.env.EPF_EMPLOYER_NUMBER || '').trim();
+  const [zone, number] = raw.includes('/') ? raw.split('/') : [raw.slice(0, 1), raw.slice(1)];
+  return { raw, zone: (zone || '').trim(), number: (number || '').trim() };
+};
+
+const employerInfo = () => ({
+  name: process.env.EMPLOYER_NAME || null,
+  address: process.env.EMPLOYER_ADDRESS || null,
+  epf_number: process.env.EPF_EMPLOYER_NUMBER || null,
+  etf_number: process.env.ETF_EMPLOYER_NUMBER || null,
+});
+
+// Missing details, and figures too wide for the return's fixed-width record
+const memberErrors = (m, numberField, label, layout) => {
+  const errors = [];
+  if (!m[numberField]) errors.push(`${label} member number missing`);
+  if (!m.nic) errors.push('NIC missing');
+  errors.push(...recordErrors(layout, m));
+  return errors.map(message => ({ employee_id: m.employee_id, employee_code: m.employee_code, full_name: m.full_name, message }));
+};
+
+// Processed contributions for the given periods, joined with member details
+const loadContributions = async (periods) => {
+  const keys = periods.map(p => p.year * 100 + p.month);
+  const [rows] = await pool.query(
+    `SELECT p.employee_id, p.period_year, p.period_month, p.gross_for_epf,
+            p.employee_epf_contribution, p.employer_epf_contribution, p.employer_etf_contribution,
+            COALESCE(ee.epf_number, p.epf_number, e.epf_no) AS epf_number,
+            COALESCE(ee.etf_number, p.etf_number, e.etf_no) AS etf_number,
+            e.employee_code, e.full_name, e.first_name, e.last_name, e.initials, e.nic, e.status, e.joining_date, e.grade
+       FROM employee_etf_epf_payments p
+       JOIN employees e ON e.id = p.employee_id
+       LEFT JOIN employee_etf_epf ee ON ee.employee_id = p.employee_id
+      WHERE (p.period_year * 100 + p.period_month) IN (?)
+      ORDER BY e.full_name, p.period_year, p.period_month`,
+    [keys]
+  );
+  return rows;
+};
+
+// ===================== EPF C-FORM =====================
+
+const buildEpfReturn = async (year, month, submission = 1) => {
+  const rows = await loadContributions([{ year, month }]);
+  const employer = epfEmployer();
+  const period = `${year}${String(month).padStart(2, '0')}`;
+
+  const [days] = rows.length ? await pool.query(
+    `SELECT employee_id, COUNT(DISTINCT date) AS days
+       FROM attendance_records
+      WHERE employee_id IN (?) AND YEAR(date) = ? AND MONTH(date) = ? AND check_in_time IS NOT NULL
+      GROUP BY employee_id`,
+    [rows.map(r => r.employee_id), year, month]
+  ) : [[]];
+  const daysBy = new Map(days.map(d => [d.employee_id, Number(d.days)]));
+
+  const members = rows.map(r => {
+    const joined = r.joining_date && String(r.joining_date).slice(0, 7) === `${year}-${String(month).padStart(2, '0')}`;
+    const employerShare = round2(r.employer_epf_contribution);
+    const memberShare = round2(r.employee_epf_contribution);
+    return {
+      employee_id: r.employee_id,
+      employee_code: r.employee_code,
+      full_name: r.full_name,
+      nic: r.nic,
+      ...splitName(r),
+      member_number: r.epf_number,
+      total_contribution: round2(employerShare + memberShare),
+      employer_contribution: employerShare,
+      member_contribution: memberShare,
+      total_earnings: round2(r.gross_for_epf),
+      member_status: joined ? 'N' : (r.status && r.status !== 'Active' ? 'V' : 'E'),
+      zone: employer.zone,
+      employer_number: employer.number,
+      contribution_period: period,
+      submission_number: submission,
+      days_worked: daysBy.get(r.employee_id) || 0,
+      occupation_grade: r.grade || '',
+    };
+  });
+
+  const errors = members.flatMap(m => memberErrors(m, 'member_number', 'EPF', EPF_LAYOUT));
+  if (!employer.zone || !employer.number) {
+    errors.unshift({ employee_id: null, message: 'EPF_EMPLOYER_NUMBER is not configured' });
+  }
+
+  const totals = {
+    members: members.length,
+    total_earnings: round2(members.reduce((a, m) => a + m.total_earnings, 0)),
+    employer_contribution: round2(members.reduce((a, m) => a + m.employer_contribution, 0)),
+    member_contribution: round2(members.reduce((a, m) => a + m.member_contribution, 0)),
+    total_contribution: round2(members.reduce((a, m) => a + m.total_contribution, 0)),
+  };
+
+  return { form: 'EPF C-Form', year, month, period, employer: employerInfo(), members, totals, errors };
+};
+
+// ===================== ETF RETURN =====================
+
+// half 1 = January - June, half 2 = July - December
+const buildEtfReturn = async (year, half) => {
+  const first = half === 2 ? 7 : 1;
+  const periods = Array.from({ length: 6 }, (_, i) => ({ year, month: first + i }));
+  const rows = await loadContributions(periods);
+  const employerNumber = String(process.env.ETF_EMPLOYER_NUMBER || '').trim();
+
+  const byEmployee = new Map();
+  for (const r of rows) {
+    if (!byEmployee.has(r.employee_id)) {
+      const { surname, initials } = splitName(r);
+      byEmployee.set(r.employee_id, {
+        employee_id: r.employee_id,
+        employee_code: r.employee_code,
+        full_name: r.full_name,
+        nic: r.nic,
+        name: `${initials} ${surname}`.trim(),
+        member_number: r.etf_number,
+        employer_number: employerNumber,
+        month_1: 0, month_2: 0, month_3: 0, month_4: 0, month_5: 0, month_6: 0,
+        total_earnings: 0,
+        total_contribution: 0,
+        period_from: `${year}${String(first).padStart(2, '0')}`,
+        period_to: `${year}${String(first + 5).padStart(2, '0')}`,
+      });
+    }
+    const m = byEmployee.get(r.employee_id);
+    const slot = `month_${r.period_month - first + 1}`;
+    m[slot] = round2(m[slot] + Number(r.employer_etf_contribution || 0));
+    m.total_earnings = round2(m.total_earnings + Number(r.gross_for_epf || 0));
+    m.total_contribution = round2(m.total_contribution + Number(r.employer_etf_contribution || 0));
+  }
+
+  const members = [...byEmployee.values()];
+  const errors = members.flatMap(m => memberErrors(m, 'member_number', 'ETF', ETF_LAYOUT));
+  if (!employerNumber) {
+    errors.unshift({ employee_id: null, message: 'ETF_EMPLOYER_NUMBER is not configured' });
+  }
+
+  const monthTotals = Array.from({ length: 6 }, (_, i) =>
+    round2(members.reduce((a, m) => a + m[`month_${i + 1}`], 0)));
+
+  return {
+    form: 'ETF Form II',
+    year,
+    half,
+    period: { from: `${year}-${String(first).padStart(2, '0')}`, to: `${year}-${String(first + 5).padStart(2, '0')}` },
+    employer: employerInfo(),
+    members,
+    totals: {
+      members: members.length,
+      months: monthTotals,
+      total_earnings: round2(members.reduce((a, m) => a + m.total_earnings, 0)),
+      total_contribution: round2(members.reduce((a, m) => a + m.total_contribution, 0)),
+    },
+    errors,
+  };
+};
+
+// ===================== REQUEST PARSING =====================
+
+const parseEpfQuery = (query) => {
+  const year = Number(query.year);
+  const month = Number(query.month);
+  if (!year || !month || month < 1 || month > 12) return null;
+  return { year, month, submission: Number(query.submission) || 1 };
+};
+
+const parseEtfQuery = (query) => {
+  const year = Number(query.year);
+  const half = Number(query.half);
+  if (!year || ![1, 2].includes(half)) return null;
+  return { year, half };
+};
+
+const sendReturnFile = (res, layout, ret, format, baseName) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+    return res.send(formatCsv(layout, ret.members));
+  }
+  res.setHeader('Content-Type', 'text/plain');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}.txt"`);
+  return res.send(formatFile(layout, ret.members));
+};
+
+// Printable copy; validation errors are printed rather than blocking it
+const returnPdf = (res, ret, { title, subtitle, columns, filename }) => {
+  const doc = new PDFDocument({ margin: 36, size: 'A4', layout: 'landscape' });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  doc.pipe(res);
+
+  doc.fontSize(16).text(title, { align: 'center' });
+  doc.fontSize(10).text(subtitle, { align: 'center' });
+  doc.moveDown();
+  doc.text(`Employer: ${ret.employer.name || '-'}`);
+  if (ret.employer.address) doc.text(ret.employer.address);
+  doc.text(`EPF Employer No: ${ret.employer.epf_number || '-'}    ETF Employer No: ${ret.employer.etf_number || '-'}`);
+  doc.moveDown();
+
+  const widths = columns.map(c => c.width);
+  const row = (cells, opts = {}) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x, y, { width: widths[i] - 4, align: columns[i].align || 'left', ...opts });
+      x += widths[i];
+    });
+    doc.moveDown(0.3);
+    doc.x = doc.page.margins.left;
+  };
+
+  doc.fontSize(8);
+  row(columns.map(c => c.label), { underline: true });
+  ret.members.forEach(m => row(columns.map(c => c.value(m))));
+  doc.moveDown(0.5);
+  row(columns.map(c => (c.total ? c.total(ret.totals) : '')));
+
+  if (ret.errors.length) {
+    doc.moveDown();
+    doc.fontSize(10).fillColor('red').text('Validation errors');
+    doc.fontSize(8);
+    ret.errors.forEach(e => doc.text(`${e.employee_code ? `${e.employee_code} ${e.full_name}: ` : ''}${e.message}`));
+    doc.fillColor('black');
+  }
+  doc.end();
+};
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+// ===================== ENDPOINTS =====================
+
+/**
+ * GET /etf-epf/returns/epf?year=&month=&submission=
+ * C-Form schedule as JSON, with validation errors for the UI
+ */
+const getEpfReturn = async (req, res) => {
+  try {
+    const q = parseEpfQuery(req.query);
+    if (!q) return res.status(400).json({ ok: false, message: 'Valid year and month required' });
+    res.json({ ok: true, data: await buildEpfReturn(q.year, q.month, q.submission) });
+  } catch (err) {
+    console.error('getEpfReturn error:', err);
+    logEvent({ level: 'error', event_type: 'EPF_RETURN_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, query: req.query } });
+    res.status(500).json({ ok: false, message: 'Failed to build EPF return' });
+  }
+};
+
+/**
+ * GET /etf-epf/returns/epf/file?year=&month=&format=txt|csv
+ * Electronic file; refused while any member fails validation
+ */
+const downloadEpfReturn = async (req, res) => {
+  try {
+    const q = parseEpfQuery(req.query);
+    if (!q) return res.status(400).json({ ok: false, message: 'Valid year and month required' });
+
+    const ret = await buildEpfReturn(q.year, q.month, q.submission);
+    if (!ret.members.length) return res.status(404).json({ ok: false, message: 'No processed EPF contributions for this period' });
+    if (ret.errors.length) {
+      return res.status(422).json({ ok: false, message: 'EPF return has validation errors', errors: ret.errors });
+    }
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'GENERATE_EPF_RETURN',
+      target_table: 'employee_etf_epf_payments',
+      target_id: null,
+      after_state: { year: q.year, month: q.month, format: req.query.format || 'txt', ...ret.totals },
+      req,
+      status: 'SUCCESS'
+    });
+    sendReturnFile(res, EPF_LAYOUT, ret, req.query.format, `epf_cform_${ret.period}`);
+  } catch (err) {
+    console.error('downloadEpfReturn error:', err);
+    logEvent({ level: 'error', event_type: 'EPF_RETURN_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, query: req.query } });
+    res.status(500).json({ ok: false, message: 'Failed to generate EPF return file' });
+  }
+};
+
+// GET /etf-epf/returns/epf/pdf?year=&month=
+const epfReturnPdf = async (req, res) => {
+  try {
+    const q = parseEpfQuery(req.query);
+    if (!q) return res.status(400).json({ ok: false, message: 'Valid year and month required' });
+
+    const ret = await buildEpfReturn(q.year, q.month, q.submission);
+    returnPdf(res, ret, {
+      title: 'EPF C-Form - Contribution Schedule',
+      subtitle: `Contribution period ${q.year}-${String(q.month).padStart(2, '0')}`,
+      filename: `epf_cform_${ret.period}.pdf`,
+      columns: [
+        { label: 'Name', width: 170, value: m => `${m.initials} ${m.surname}` },
+        { label: 'NIC', width: 90, value: m => m.nic || '-' },
+        { label: 'Member No', width: 60, value: m => m.member_number || '-' },
+        { label: 'Earnings', width: 90, align: 'right', value: m => money(m.total_earnings), total: t => money(t.total_earnings) },
+        { label: 'Employer', width: 80, align: 'right', value: m => money(m.employer_contribution), total: t => money(t.employer_contribution) },
+        { label: 'Member', width: 80, align: 'right', value: m => money(m.member_contribution), total: t => money(t.member_contribution) },
+        { label: 'Total', width: 90, align: 'right', value: m => money(m.total_contribution), total: t => money(t.total_contribution) },
+        { label: 'Status', width: 40, value: m => m.member_status },
+      ],
+    });
+  } catch (err) {
+    console.error('epfReturnPdf error:', err);
+    logEvent({ level: 'error', event_type: 'EPF_RETURN_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, query: req.query } });
+    res.status(500).json({ ok: false, message: 'Failed to generate EPF return PDF' });
+  }
+};
+
+// GET /etf-epf/returns/etf?year=&half=1|2
+const getEtfReturn = async (req, res) => {
+  try {
+    const q = parseEtfQuery(req.query);
+    if (!q) return res.status(400).json({ ok: false, message: 'Valid year and half (1 or 2) required' });
+    res.json({ ok: true, data: await buildEtfReturn(q.year, q.half) });
+  } catch (err) {
+    console.error('getEtfReturn error:', err);
+    logEvent({ level: 'error', event_type: 'ETF_RETURN_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, query: req.query } });
+    res.status(500).json({ ok: false, message: 'Failed to build ETF return' });
+  }
+};
+
+// GET /etf-epf/returns/etf/file?year=&half=&format=txt|csv
+const downloadEtfReturn = async (req, res) => {
+  try {
+    const q = parseEtfQuery(req.query);
+    if (!q) return res.status(400).json({ ok: false, message: 'Valid year and half (1 or 2) required' });
+
+    const ret = await buildEtfReturn(q.year, q.half);
+    if (!ret.members.length) return res.status(404).json({ ok: false, message: 'No processed ETF contributions for this period' });
+    if (ret.errors.length) {
+      return res.status(422).json({ ok: false, message: 'ETF return has validation errors', errors: ret.errors });
+    }
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'GENERATE_ETF_RETURN',
+      target_table: 'employee_etf_epf_payments',
+      target_id: null,
+      after_state: { year: q.year, half: q.half, format: req.query.format || 'txt', members: ret.totals.members, total_contribution: ret.totals.total_contribution },
+      req,
+      status: 'SUCCESS'
+    });
+    sendReturnFile(res, ETF_LAYOUT, ret, req.query.format, `etf_return_${q.year}_H${q.half}`);
+  } catch (err) {
+    console.error('downloadEtfReturn error:', err);
+    logEvent({ level: 'error', event_type: 'ETF_RETURN_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, query: req.query } });
+    res.status(500).json({ ok: false, message: 'Failed to generate ETF return file' });
+  }
+};
+
+// GET /etf-epf/returns/etf/pdf?year=&half=
+const etfReturnPdf = async (req, res) => {
+  try {
+    const q = parseEtfQuery(req.query);
+    if (!q) return res.status(400).json({ ok: false, message: 'Valid year and half (1 or 2) required' });
+
+    const ret = await buildEtfReturn(q.year, q.half);
+    const monthCols = Array.from({ length: 6 }, (_, i) => ({
+      label: `${q.year}-${String((q.half === 2 ? 7 : 1) + i).padStart(2, '0')}`,
+      width: 62,
+      align: 'right',
+      value: m => money(m[`month_${i + 1}`]),
+      total: t => money(t.months[i]),
+    }));
+    returnPdf(res, ret, {
+      title: 'ETF Return - Form II',
+      subtitle: `${ret.period.from} to ${ret.period.to}`,
+      filename: `etf_return_${q.year}_H${q.half}.pdf`,
+      columns: [
+        { label: 'Name', width: 150, value: m => m.name },
+        { label: 'NIC', width: 80, value: m => m.nic || '-' },
+        { label: 'Member No', width: 55, value: m => m.member_number || '-' },
+        ...monthCols,
+        { label: 'Total', width: 70, align: 'right', value: m => money(m.total_contribution), total: t => money(t.total_contribution) },
+      ],
+    });
+  } catch (err) {
+    console.error('etfReturnPdf error:', err);
+    logEvent({ level: 'error', event_type: 'ETF_RETURN_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, query: req.query } });
+    res.status(500).json({ ok: false, message: 'Failed to generate ETF return PDF' });
+  }
+};
+
+module.exports = {
+  getEpfReturn,
+  downloadEpfReturn,
+  epfReturnPdf,
+  getEtfReturn,
+  downloadEtfReturn,
+  etfReturnPdf,
+};
@@ -0,0 +1,403 @@
+// src/controllers/holiday.controller.js
+// Holiday calendars: named sets with branch / working office scopes, their holidays and
+// yearly CSV / iCalendar imports. Leave duration, attendance status and overtime read
+// them through utils/holidays.
+const fs = require('fs');
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { CATEGORIES, SCOPE_TYPES, holidayCalendar, parseHolidayFile, toDate } = require('../utils/holidays');
+const { evaluateAttendance } = require('../utils/attendanceStatus');
+const { addDays } = require('../utils/roster');
+
+const validYear = (y) => Number.isInteger(Number(y)) && Number(y) > 2000 && Number(y) < 2100;
+
+// Past days already carry an attendance status; a holiday added or removed changes it
+const refreshStatus = async (conn, dates) => {
+  for (const date of [...new Set(dates)].sort()) {
+    await evaluateAttendance(conn, { from: date, to: date });
+  }
+};
+
+// scopes: [{ scope_type: 'branch'|'working_office', scope_value }]
+const validScopes = (scopes) => scopes === undefined || (Array.isArray(scopes)
+  && scopes.every(s => SCOPE_TYPES.includes(s.scope_type) && String(s.scope_value || '').trim()));
+
+const saveScopes = async (conn, setId, scopes) => {
+  await conn.query('DELETE FROM holiday_set_scopes WHERE set_id = ?', [setId]);
+  const rows = [...new Map(scopes.map(s => {
+    const value = String(s.scope_value).trim();
+    return [`${s.scope_type}|${value.toLowerCase()}`, [setId, s.scope_type, value]];
+  })).values()];
+  if (rows.length) await conn.query('INSERT INTO holiday_set_scopes (set_id, scope_type, scope_value) VALUES ?', [rows]);
+};
+
+const loadSet = async (db, id) => {
+  const [[set]] = await db.query('SELECT * FROM holiday_sets WHERE id = ?', [id]);
+  if (!set) return null;
+  const [scopes] = await db.query('SELECT scope_type, scope_value FROM holiday_set_scopes WHERE set_id = ? ORDER BY scope_type, scope_value', [id]);
+  return { ...set, scopes };
+};
+
+/* ===================== HOLIDAY SETS ===================== */
+
+// GET /holiday-sets?year=  (holiday_count for the year, default this year)
+exports.listHolidaySets = async (req, res) => {
+  try {
+    const year = Number(req.query.year || new Date().getFullYear());
+    const [sets] = await pool.query(
+      `SELECT s.*, (SELECT COUNT(*) FROM holidays h WHERE h.set_id = s.id AND YEAR(h.date) = ?) AS holiday_count
+         FROM holiday_sets s ORDER BY s.category, s.name`,
+      [year]
+    );
+    const [scopes] = await pool.query('SELECT set_id, scope_type, scope_value FROM holiday_set_scopes ORDER BY scope_type, scope_value');
+    res.json({
+      ok: true,
+      year,
+      data: sets.map(s => ({ ...s, scopes: scopes.filter(sc => sc.set_id === s.id).map(({ set_id, ...sc }) => sc) })),
+    });
+  } catch (err) {
+    console.error('listHolidaySets error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_HOLIDAY_SETS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch holiday sets' });
+  }
+};
+
+/**
+ * POST /holiday-sets
+ * { name, code?, category?, description?, is_active?, scopes?: [{ scope_type: 'branch'|'working_office', scope_value }] }
+ * No scopes = the set applies to every employee.
+ */
+exports.createHolidaySet = async (req, res) => {
+  const { name, code = null, category = 'Other', description = null, is_active = true, scopes = [] } = req.body || {};
+  if (!name || !String(name).trim()) return res.status(400).json({ ok: false, message: 'name is required' });
+  if (!CATEGORIES.includes(category)) return res.status(400).json({ ok: false, message: `category must be one of ${CATEGORIES.join(', ')}` });
+  if (!validScopes(scopes)) return res.status(400).json({ ok: false, message: `scopes must be [{ scope_type: ${SCOPE_TYPES.join('|')}, scope_value }]` });
+
+  const conn = await pool.getConnection();
+  try {
+    const [[dup]] = await conn.query(
+      'SELECT id FROM holiday_sets WHERE name = ? OR (code IS NOT NULL AND code = ?)',
+      [String(name).trim(), code ? String(code).trim().toUpperCase() : null]
+    );
+    if (dup) return res.status(409).json({ ok: false, message: 'A holiday set with this name or code already exists' });
+
+    await conn.beginTransaction();
+    const [ins] = await conn.query(
+      'INSERT INTO holiday_sets (name, code, category, description, is_active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [String(name).trim(), code ? String(code).trim().toUpperCase() : null, category, description, is_active ? 1 : 0, req.user?.id || null]
+    );
+    await saveScopes(conn, ins.insertId, scopes);
+    await conn.commit();
+
+    const after = await loadSet(pool, ins.insertId);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'CREATE_HOLIDAY_SET', target_table: 'holiday_sets', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createHolidaySet error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_HOLIDAY_SET', target_table: 'holiday_sets', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create holiday set' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /holiday-sets/:id  same body as POST, all optional; scopes, when given, replace the existing ones
+exports.updateHolidaySet = async (req, res) => {
+  const id = Number(req.params.id);
+  const { name, code, category, description, is_active, scopes } = req.body || {};
+  if (name !== undefined && !String(name).trim()) return res.status(400).json({ ok: false, message: 'name cannot be empty' });
+  if (category !== undefined && !CATEGORIES.includes(category)) return res.status(400).json({ ok: false, message: `category must be one of ${CATEGORIES.join(', ')}` });
+  if (!validScopes(scopes)) return res.status(400).json({ ok: false, message: `scopes must be [{ scope_type: ${SCOPE_TYPES.join('|')}, scope_value }]` });
+
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadSet(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Holiday set not found' });
+
+    const next = {
+      name: name !== undefined ? String(name).trim() : before.name,
+      code: code !== undefined ? (code ? String(code).trim().toUpperCase() : null) : before.code,
+      category: category ?? before.category,
+      description: description !== undefined ? description : before.description,
+      is_active: is_active !== undefined ? (is_active ? 1 : 0) : before.is_active,
+    };
+    const [[dup]] = await conn.query(
+      'SELECT id FROM holiday_sets WHERE id <> ? AND (name = ? OR (code IS NOT NULL AND code = ?))',
+      [id, next.name, next.code]
+    );
+    if (dup) return res.status(409).json({ ok: false, message: 'A holiday set with this name or code already exists' });
+
+    await conn.beginTransaction();
+    await conn.query('UPDATE holiday_sets SET ? WHERE id = ?', [next, id]);
+    if (scopes !== undefined) await saveScopes(conn, id, scopes);
+    // who gets the set's holidays may have changed
+    if (scopes !== undefined || next.is_active !== before.is_active) {
+      const [dates] = await conn.query(`SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date FROM holidays WHERE set_id = ? AND date < CURDATE()`, [id]);
+      await refreshStatus(conn, dates.map(d => d.date));
+    }
+    await conn.commit();
+
+    const after = await loadSet(pool, id);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'UPDATE_HOLIDAY_SET', target_table: 'holiday_sets', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('updateHolidaySet error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_HOLIDAY_SET', target_table: 'holiday_sets', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update holiday set' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /holiday-sets/:id  (with its holidays, scopes and import history)
+exports.deleteHolidaySet = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadSet(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Holiday set not found' });
+
+    await conn.beginTransaction();
+    const [dates] = await conn.query(`SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date FROM holidays WHERE set_id = ? AND date < CURDATE()`, [id]);
+    await conn.query('DELETE FROM holidays WHERE set_id = ?', [id]);
+    await conn.query('DELETE FROM holiday_set_scopes WHERE set_id = ?', [id]);
+    await conn.query('DELETE FROM holiday_imports WHERE set_id = ?', [id]);
+    await conn.query('DELETE FROM holiday_sets WHERE id = ?', [id]);
+    await refreshStatus(conn, dates.map(d => d.date));
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_HOLIDAY_SET', target_table: 'holiday_sets', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Holiday set deleted' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('deleteHolidaySet error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_HOLIDAY_SET', target_table: 'holiday_sets', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete holiday set' });
+  } finally {
+    conn.release();
+  }
+};
+
+/* ===================== HOLIDAYS ===================== */
+
+/**
+ * GET /holidays?year=&set_id=            holidays of every set (or one set) in the year
+ * GET /holidays?year=&employee_id=       the holidays that apply to one employee
+ */
+exports.listHolidays = async (req, res) => {
+  try {
+    const year = Number(req.query.year || new Date().getFullYear());
+    if (!validYear(year)) return res.status(400).json({ ok: false, message: 'Valid year required' });
+    const from = `${year}-01-01`;
+    const to = `${year}-12-31`;
+
+    if (req.query.employee_id) {
+      const employeeId = Number(req.query.employee_id);
+      const calendar = await holidayCalendar(pool, [employeeId], from, to);
+      const data = [];
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+        calendar.on(employeeId, date).forEach(h => data.push({ date, ...h }));
+      }
+      return res.json({ ok: true, year, employee_id: employeeId, data });
+    }
+
+    const where = ['h.date BETWEEN ? AND ?'];
+    const params = [from, to];
+    if (req.query.set_id) { where.push('h.set_id = ?'); params.push(Number(req.query.set_id)); }
+    const [rows] = await pool.query(
+      `SELECT h.id, h.set_id, s.name AS set_name, s.category, DATE_FORMAT(h.date, '%Y-%m-%d') AS date, h.name, h.source, h.import_id
+         FROM holidays h
+         JOIN holiday_sets s ON s.id = h.set_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY h.date, s.name`,
+      params
+    );
+    res.json({ ok: true, year, data: rows });
+  } catch (err) {
+    console.error('listHolidays error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_HOLIDAYS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch holidays' });
+  }
+};
+
+// POST /holiday-sets/:id/holidays  { date, name }  (upsert by date)
+exports.saveHoliday = async (req, res) => {
+  const setId = Number(req.params.id);
+  const date = toDate(req.body?.date);
+  const name = String(req.body?.name || '').trim();
+  if (!date || !name) return res.status(400).json({ ok: false, message: 'date and name are required' });
+
+  const conn = await pool.getConnection();
+  try {
+    const set = await loadSet(conn, setId);
+    if (!set) return res.status(404).json({ ok: false, message: 'Holiday set not found' });
+
+    await conn.beginTransaction();
+    const [[before]] = await conn.query('SELECT * FROM holidays WHERE set_id = ? AND date = ?', [setId, date]);
+    await conn.query(
+      `INSERT INTO holidays (set_id, date, name, source, created_by) VALUES (?, ?, ?, 'Manual', ?)
+       ON DUPLICATE KEY UPDATE name = VALUES(name)`,
+      [setId, date, name, req.user?.id || null]
+    );
+    const [[after]] = await conn.query('SELECT * FROM holidays WHERE set_id = ? AND date = ?', [setId, date]);
+    if (!before) await refreshStatus(conn, [date]);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: before ? 'UPDATE_HOLIDAY' : 'CREATE_HOLIDAY', target_table: 'holidays', target_id: after.id, before_state: before || null, after_state: after, req, status: 'SUCCESS' });
+    res.status(before ? 200 : 201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('saveHoliday error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SAVE_HOLIDAY', target_table: 'holidays', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to save holiday' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /holidays/:id
+exports.deleteHoliday = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const [[before]] = await conn.query(`SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS day FROM holidays WHERE id = ?`, [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Holiday not found' });
+
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM holidays WHERE id = ?', [id]);
+    await refreshStatus(conn, [before.day]);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_HOLIDAY', target_table: 'holidays', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Holiday deleted' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('deleteHoliday error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_HOLIDAY', target_table: 'holidays', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete holiday' });
+  } finally {
+    conn.release();
+  }
+};
+
+/* ===================== IMPORT ===================== */
+
+/**
+ * POST /holiday-sets/:id/import  multipart: file (CSV "date,name" or .ics), year, replace?
+ * Rows outside `year` are skipped. With replace=true, holidays of the set in that year
+ * that are not in the file are removed, so the file becomes the year's calendar.
+ */
+exports.importHolidays = async (req, res) => {
+  const setId = Number(req.params.id);
+  const file = req.file;
+  const year = Number(req.body?.year);
+  const replace = ['1', 'true', 'yes'].includes(String(req.body?.replace || '').toLowerCase());
+  if (!file) return res.status(400).json({ ok: false, message: 'Holiday file is required' });
+  if (!validYear(year)) return res.status(400).json({ ok: false, message: 'Valid year required' });
+
+  let parsed;
+  try {
+    parsed = parseHolidayFile(fs.readFileSync(file.path, 'utf8'));
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
+  const inYear = parsed.holidays.filter(h => h.date.startsWith(`${year}-`));
+  // one holiday per date; two events on a day are joined
+  const byDate = new Map();
+  inYear.forEach(h => byDate.set(h.date, byDate.has(h.date) ? `${byDate.get(h.date)} / ${h.name}` : h.name));
+  if (!byDate.size) {
+    return res.status(400).json({ ok: false, message: `No holidays for ${year} found in the file`, errors: parsed.errors.slice(0, 20) });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const set = await loadSet(conn, setId);
+    if (!set) return res.status(404).json({ ok: false, message: 'Holiday set not found' });
+
+    await conn.beginTransaction();
+    const [existing] = await conn.query(
+      `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, name FROM holidays WHERE set_id = ? AND YEAR(date) = ?`,
+      [setId, year]
+    );
+    const existingBy = new Map(existing.map(h => [h.date, h]));
+    const [imp] = await conn.query(
+      `INSERT INTO holiday_imports (set_id, year, file_name, format, imported_by) VALUES (?, ?, ?, ?, ?)`,
+      [setId, year, file.originalname, parsed.format, req.user?.id || null]
+    );
+    const importId = imp.insertId;
+
+    const changed = [];
+    let added = 0;
+    let updated = 0;
+    for (const [date, name] of byDate) {
+      const current = existingBy.get(date);
+      if (!current) {
+        await conn.query(
+          `INSERT INTO holidays (set_id, date, name, source, import_id, created_by) VALUES (?, ?, ?, 'Import', ?, ?)`,
+          [setId, date, name.slice(0, 150), importId, req.user?.id || null]
+        );
+        added++;
+        changed.push(date);
+      } else if (current.name !== name.slice(0, 150)) {
+        await conn.query('UPDATE holidays SET name = ?, import_id = ? WHERE id = ?', [name.slice(0, 150), importId, current.id]);
+        updated++;
+      }
+    }
+    const stale = replace ? existing.filter(h => !byDate.has(h.date)) : [];
+    if (stale.length) {
+      await conn.query('DELETE FROM holidays WHERE id IN (?)', [stale.map(h => h.id)]);
+      changed.push(...stale.map(h => h.date));
+    }
+
+    const summary = {
+      import_id: importId,
+      set_id: setId,
+      year,
+      format: parsed.format,
+      added,
+      updated,
+      removed: stale.length,
+      unchanged: byDate.size - added - updated,
+      skipped_other_years: parsed.holidays.length - inYear.length,
+      errors: parsed.errors.length,
+    };
+    await conn.query(
+      `UPDATE holiday_imports SET added_count = ?, updated_count = ?, removed_count = ?, skipped_count = ?, error_count = ? WHERE id = ?`,
+      [added, updated, stale.length, summary.skipped_other_years, summary.errors, importId]
+    );
+    await refreshStatus(conn, changed);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'IMPORT_HOLIDAYS', target_table: 'holiday_imports', target_id: importId, after_state: summary, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: { ...summary, error_lines: parsed.errors.slice(0, 50) } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('importHolidays error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'IMPORT_HOLIDAYS', target_table: 'holiday_imports', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to import holidays' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /holiday-sets/:id/imports
+exports.listHolidayImports = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT i.*, u.name AS imported_by_name
+         FROM holiday_imports i
+         LEFT JOIN users u ON u.id = i.imported_by
+        WHERE i.set_id = ?
+        ORDER BY i.imported_at DESC`,
+      [req.params.id]
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listHolidayImports error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_HOLIDAY_IMPORTS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch holiday imports' });
+  }
+};
@@ -1,11 +1,16 @@
 // src/controllers/leave.controller.js
 const pool = require('../config/db');
 const dayjs = require('dayjs');
-
-// Constants based on user requirements
-const WORK_HOURS_PER_DAY = 9.0;
-const LEAVE_TYPE_ANNUAL_ID = 1; // Personal (Annual)
-const LEAVE_TYPE_MEDICAL_ID = 2; // Sick (Medical)
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { ensureBalance, availableDays, logTxn, loadPolicies, policyFor } = require('../utils/leaveAccrual');
+const { WORK_HOURS_PER_DAY, loadLeaveType, leaveTypeIdByCode, checkLeaveRequest } = require('../utils/leaveTypes');
+const { checkLeaveRange, leaveBreakdown } = require('../utils/leaveDuration');
+const { validateLeaveRequest, blocking } = require('../utils/leaveValidation');
+const {
+  chainSteps, startApproval, recordDecision, canDecide, approversOf, delegationsTo, reverseLeaveUsage, refreshAttendance,
+} = require('../utils/leaveApprovals');
+const { accessFor, inScope, scopeCondition } = require('../utils/permissions');
 
 // Helper functions (Unchanged)
 function calculateFullDays(start, end) {
@@ -31,39 +36,159 @@ function computeDurationHours(startDate, endDate, startTime, endTime) {
 // -----------------------------------------------------------------------------------
 // CREATE REQUEST 
 // -----------------------------------------------------------------------------------
-exports.createRequest = async (req, res) => {
-  const {
-    employee_id, leave_type_id, start_date, end_date,
-    start_time, end_time, reason, duration_hours: manual_duration_hours // Capture from FE
-  } = req.body;
-
-  const [empRows] = await pool.query(
-    'SELECT id, department_id FROM employees WHERE id = ?',
-    [employee_id]
-  );
-  const emp = empRows[0];
-  if (!emp) return res.status(404).json({ ok:false, message: 'Employee not found' });
-
-  // FIX: Check if manual_duration_hours is provided AND not null. 
-  // If it is null (like for multi-day requests from FE), calculate it.
-  let duration_hours = (manual_duration_hours !== null && manual_duration_hours !== undefined) 
-    ? manual_duration_hours 
-    : computeDurationHours(start_date, end_date, start_time, end_time);
-    
-  const attachment_path = req.file ? req.file.path.replace(/\\/g,'/') : null;
-
-  const [result] = await pool.query(
-    `INSERT INTO leave_requests
-     (employee_id, leave_type_id, start_date, end_date, start_time, end_time,
-      duration_hours, department_id, reason, attachment_path, status, created_by_user_id)
-     VALUES (?,?,?,?,?,?,?,?,?,?, 'PENDING', ?)`,
-    [
-      employee_id, leave_type_id, start_date, end_date, start_time || null, end_time || null,
-      duration_hours, emp.department_id || null, reason || null, attachment_path, req.user.id
-    ]
+/**
+ * Works out a request from the employee's working calendar (utils/leaveDuration) and
+ * checks it against the leave type. -> { status, message } on a problem, else
+ * { emp, leaveType, breakdown, requestedHours }
+ */
+async function planRequest(db, body, hasAttachment) {
+  const {
+    employee_id, leave_type_id, start_date, end_date, start_time, end_time,
+    start_session = 'Full', end_session = 'Full', duration_hours: manual_duration_hours // Capture from FE
+  } = body;
+
+  const rangeError = checkLeaveRange({ start_date, end_date, start_session, end_session });
+  if (rangeError) return { status: 400, message: rangeError };
+
+  const [empRows] = await db.query(
+    'SELECT id, department_id, gender FROM employees WHERE id = ?',
+    [employee_id]
   );
+  const emp = empRows[0];
+  if (!emp) return { status: 404, message: 'Employee not found' };
+
+  const leaveType = await loadLeaveType(db, leave_type_id);
+  if (!leaveType) return { status: 404, message: 'Leave type not found' };
+
+  // A single day may ask for part of the day: hours from the FE, or from the times given
+  let requestedHours;
+  if (start_date === end_date && start_session === 'Full') {
+    if (manual_duration_hours !== null && manual_duration_hours !== undefined && manual_duration_hours !== '') {
+      requestedHours = Number(manual_duration_hours);
+    } else if (start_time && end_time) {
+      requestedHours = computeDurationHours(start_date, end_date, start_time, end_time);
+    }
+  }
+
+  const breakdown = await leaveBreakdown(db, {
+    employeeId: emp.id, leaveType, start_date, end_date, start_session, end_session, hours: requestedHours,
+  });
+  if (!breakdown.total_days) return { status: 400, message: 'The selected dates have no working days', breakdown };
+
+  // Half-day / short leave, attachment and gender rules of the leave type
+  const policyError = checkLeaveRequest(leaveType, {
+    dayPart: breakdown.day_part,
+    hours: breakdown.total_hours,
+    shiftHours: breakdown.shift_hours,
+    days: breakdown.total_days,
+    hasAttachment,
+    gender: emp.gender,
+  });
+  if (policyError) return { status: 400, message: policyError, breakdown };
+
+  return { emp, leaveType, breakdown };
+}
+
+exports.createRequest = async (req, res) => {
+  const {
+    employee_id, leave_type_id, start_date, end_date,
+    start_time, end_time, reason, start_session = 'Full', end_session = 'Full'
+  } = req.body;
+
+  const attachment_path = req.file ? req.file.path.replace(/\\/g,'/') : null;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const plan = await planRequest(conn, req.body, Boolean(attachment_path));
+    if (plan.status) {
+      await conn.rollback();
+      return res.status(plan.status).json({ ok:false, message: plan.message, breakdown: plan.breakdown });
+    }
+    const { emp, leaveType, breakdown } = plan;
+    if (!inScope(req, emp.department_id)) {
+      await conn.rollback();
+      return res.status(403).json({ ok:false, message: 'Employee is outside your departments' });
+    }
+
+    // Blackout dates, overlapping requests, balance and department coverage
+    const conflicts = await validateLeaveRequest(conn, {
+      employee: emp, leaveType, breakdown, start_date, end_date, start_session, end_session,
+    });
+    const blocked = blocking(conflicts);
+    if (blocked.length) {
+      await conn.rollback();
+      return res.status(409).json({ ok:false, message: blocked[0].message, conflicts });
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO leave_requests
+       (employee_id, leave_type_id, start_date, end_date, start_time, end_time, start_session, end_session,
+        duration_hours, duration_days, day_part, department_id, reason, attachment_path, status, created_by_user_id)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?, 'PENDING', ?)`,
+      [
+        employee_id, leave_type_id, start_date, end_date, start_time || null, end_time || null, start_session, end_session,
+        breakdown.total_hours, breakdown.total_days, breakdown.day_part, emp.department_id || null, reason || null,
+        attachment_path, req.user.id
+      ]
+    );
+    // First step of the department / leave type approval chain
+    const { step } = await startApproval(conn, {
+      requestId: result.insertId, departmentId: emp.department_id, leaveTypeId: leaveType.id, user: req.user,
+    });
+    await conn.commit();
+
+    res.status(201).json({
+      ok:true, id: result.insertId,
+      duration_hours: breakdown.total_hours, duration_days: breakdown.total_days, day_part: breakdown.day_part,
+      current_step: step.step_no, approver_type: step.approver_type,
+      warnings: conflicts,
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error(err);
+    res.status(500).json({ ok:false, message: err.message || 'Failed to create leave request' });
+  } finally {
+    conn.release();
+  }
+};
+
+// -----------------------------------------------------------------------------------
+// PREVIEW REQUEST (per-day breakdown and conflicts before submitting; nothing is saved)
+// -----------------------------------------------------------------------------------
+exports.previewRequest = async (req, res) => {
+  const body = req.body || {};
+  const conn = await pool.getConnection();
+  try {
+    // balances are brought up to date while checking; the transaction is rolled back
+    await conn.beginTransaction();
+    const plan = await planRequest(conn, body, Boolean(body.has_attachment));
+    if (plan.status === 404) return res.status(404).json({ ok:false, message: plan.message });
+    if (plan.emp && !inScope(req, plan.emp.department_id)) {
+      return res.status(403).json({ ok:false, message: 'Employee is outside your departments' });
+    }
 
-  res.status(201).json({ ok:true, id: result.insertId, duration_hours });
+    const conflicts = plan.status ? [] : await validateLeaveRequest(conn, {
+      employee: plan.emp, leaveType: plan.leaveType, breakdown: plan.breakdown,
+      start_date: body.start_date, end_date: body.end_date,
+      start_session: body.start_session || 'Full', end_session: body.end_session || 'Full',
+    });
+    res.json({
+      ok: true,
+      data: {
+        valid: !plan.status && !blocking(conflicts).length,
+        message: plan.message || blocking(conflicts)[0]?.message || null,
+        conflicts,
+        ...(plan.breakdown || {}),
+      },
+    });
+  } catch (err) {
+    console.error('previewRequest error:', err);
+    res.status(500).json({ ok:false, message: 'Failed to preview leave request' });
+  } finally {
+    await conn.rollback();
+    conn.release();
+  }
 };
 
 exports.listRequests = async (req, res) => {
@@ -84,6 +209,8 @@ exports.listRequests = async (req, res) => {
     filters.push('(e.full_name LIKE ? OR e.email LIKE ?)');
     params.push(`%${search}%`, `%${search}%`);
   }
+  const scope = scopeCondition(req, 'e.department_id');
+  if (scope.sql) { filters.push(scope.sql); params.push(...scope.params); }
   const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
 
   const [rows] = await pool.query(
@@ -96,7 +223,7 @@ exports.listRequests = async (req, res) => {
      ORDER BY lr.created_at DESC
      LIMIT ? OFFSET ?`,
     [...params, pageSize, offset]
-  );
+  );
 
   const [[{ count }]] = await pool.query(
     `SELECT COUNT(*) AS count
@@ -104,13 +231,32 @@ exports.listRequests = async (req, res) => {
      JOIN employees e ON e.id = lr.employee_id
      ${where}`,
     params
-  );
+  );
 
   res.json({ ok:true, page, pageSize, total: count, data: rows });
 };
 
+// Conflicts of a saved request with everything else on the calendar (itself excluded)
+async function recheckRequest(conn, lr) {
+  const [[emp]] = await conn.query('SELECT id, department_id FROM employees WHERE id = ?', [lr.employee_id]);
+  const leaveType = await loadLeaveType(conn, lr.leave_type_id);
+  if (!emp || !leaveType) return [];
+  const request = {
+    start_date: String(lr.start_date).slice(0, 10),
+    end_date: String(lr.end_date).slice(0, 10),
+    start_session: lr.start_session || 'Full',
+    end_session: lr.end_session || 'Full',
+  };
+  const breakdown = await leaveBreakdown(conn, {
+    employeeId: emp.id, leaveType, ...request, hours: lr.day_part === 'Short' ? Number(lr.duration_hours) : undefined,
+  });
+  return validateLeaveRequest(conn, { employee: emp, leaveType, breakdown, ...request, excludeRequestId: lr.id });
+}
+
 // -----------------------------------------------------------------------------------
 // DECIDE REQUEST (CRITICAL UNPAID LEAVE TRIGGER)
+// Decides the current step of the request's approval chain; an approval moves the request
+// to the next step, the last step's approval books the leave.
 // -----------------------------------------------------------------------------------
 exports.decideRequest = async (req, res) => {
   const id = Number(req.params.id);
@@ -120,7 +266,7 @@ exports.decideRequest = async (req, res) => {
   try {
     await conn.beginTransaction(); // Start transaction
 
-    const [[lr]] = await conn.query('SELECT * FROM leave_requests WHERE id=?', [id]);
+    const [[lr]] = await conn.query('SELECT * FROM leave_requests WHERE id=? FOR UPDATE', [id]);
     if (!lr) {
         await conn.rollback();
         return res.status(404).json({ ok:false, message: 'Request not found' });
@@ -129,6 +275,73 @@ exports.decideRequest = async (req, res) => {
         await conn.rollback();
         return res.status(400).json({ ok:false, message: 'Already decided' });
     }
+    if (!['APPROVE', 'REJECT', 'RESPOND'].includes(action)) {
+        await conn.rollback();
+        return res.status(400).json({ ok:false, message: "action must be 'APPROVE', 'REJECT' or 'RESPOND'" });
+    }
+    if (req.user.employee_id && req.user.employee_id === lr.employee_id) {
+        await conn.rollback();
+        return res.status(403).json({ ok:false, message: 'You cannot decide your own leave request' });
+    }
+
+    // The step waiting for a decision, and whether this user may take it (directly, by permission or as a delegate)
+    const steps = await chainSteps(conn, lr.chain_id);
+    const step = steps.find(s => s.step_no === lr.current_step) || steps[steps.length - 1];
+    let onBehalfOf = null;
+    req.access = await accessFor(req.user.id);
+    if (lr.status === 'PENDING') {
+      const access = canDecide(req.user, req.access, step, await approversOf(conn, lr), await delegationsTo(conn, req.user.id));
+      if (!access.allowed) {
+        await conn.rollback();
+        return res.status(403).json({ ok:false, message: `Waiting for ${step.approver_type} approval (step ${step.step_no})` });
+      }
+      onBehalfOf = access.on_behalf_of;
+    } else if (!req.access.permissions.has('leave.manage')) {
+      await conn.rollback();
+      return res.status(403).json({ ok:false, message: 'Only a leave manager can respond to a decided request' });
+    } else if (!inScope(req, lr.department_id)) {
+      await conn.rollback();
+      return res.status(403).json({ ok:false, message: 'Request is outside your departments' });
+    }
+    if (action === 'APPROVE') {
+      const [[earlier]] = await conn.query(
+        `SELECT id FROM leave_request_decisions WHERE leave_request_id = ? AND decided_by = ? AND action = 'Approved' LIMIT 1`,
+        [id, req.user.id]
+      );
+      if (earlier) {
+        await conn.rollback();
+        return res.status(409).json({ ok:false, message: 'Another approver has to sign off this step' });
+      }
+    }
+
+    const decision = {
+      leave_request_id: id, user: req.user, on_behalf_of: onBehalfOf, note: note || null,
+      ...(lr.status === 'PENDING' ? { step_no: step.step_no, approver_type: step.approver_type } : {}),
+    };
+    const next = action === 'APPROVE' ? steps.find(s => s.step_no > step.step_no) : null;
+    if (next) {
+      await conn.query(
+        'UPDATE leave_requests SET current_step = ?, step_started_at = NOW(), escalated_at = NULL WHERE id = ?',
+        [next.step_no, id]
+      );
+      await recordDecision(conn, { ...decision, action: 'Approved' });
+      await conn.commit();
+      return res.json({
+        ok:true,
+        message: `Approved at step ${step.step_no}; waiting for ${next.approver_type} approval`,
+        data: { current_step: next.step_no, approver_type: next.approver_type },
+      });
+    }
+
+    // Blackouts / coverage may have changed since the request was made; override approves anyway
+    if (action === 'APPROVE' && !req.body.override) {
+      const conflicts = await recheckRequest(conn, lr);
+      const blocked = blocking(conflicts);
+      if (blocked.length) {
+        await conn.rollback();
+        return res.status(409).json({ ok:false, message: blocked[0].message, conflicts });
+      }
+    }
 
     let newStatus = lr.status;
     if (action === 'APPROVE') newStatus = 'APPROVED';
@@ -148,66 +361,54 @@ exports.decideRequest = async (req, res) => {
     if (action === 'APPROVE') {
       const year = dayjs(lr.start_date).year();
       // Calculate days used by this request (e.g., 9 hours -> 1.00 day, 4 hours -> 0.44 days)
-      const daysUsedByRequest = (Number(lr.duration_hours) / WORK_HOURS_PER_DAY); 
-
-      // 1. Update/Insert into leave_balances (using fixed conversion)
-      await conn.query(
-        `INSERT INTO leave_balances (employee_id, leave_type_id, year, entitled_days, used_days)
-         VALUES (?,?,?,?,?)
-         ON DUPLICATE KEY UPDATE used_days = used_days + VALUES(used_days)`,
-        [lr.employee_id, lr.leave_type_id, year, 0, daysUsedByRequest.toFixed(2)]
-      );
-      
-      // 2. Fetch employee grade and leave rules
-      const [[emp]] = await conn.query('SELECT grade_id FROM employees WHERE id = ?', [lr.employee_id]);
-      const [[rules]] = await conn.query('SELECT annual_limit, medical_limit FROM leave_rules WHERE grade_id = ?', [emp?.grade_id || 0]);
-
-      // 3. Get TOTAL current usage after this approval
-      const [updatedBalances] = await conn.query(
-          `SELECT lb.leave_type_id, SUM(lb.used_days) AS total_used 
-           FROM leave_balances lb 
-           WHERE lb.employee_id = ? AND lb.year = ? 
-           GROUP BY lb.leave_type_id`, 
-           [lr.employee_id, year]
-      );
-
-      const annualLimit = Number(rules?.annual_limit || 0);
-      const medicalLimit = Number(rules?.medical_limit || 0);
-      
-      let leaveTypeMap = {};
-      for (const bal of updatedBalances) {
-          leaveTypeMap[bal.leave_type_id] = Number(bal.total_used);
-      }
-      
-      const currentAnnualUsed = leaveTypeMap[LEAVE_TYPE_ANNUAL_ID] || 0; 
-      const currentMedicalUsed = leaveTypeMap[LEAVE_TYPE_MEDICAL_ID] || 0; 
-
-      let exceededDays = 0;
-      let reason = '';
-      
-      // Check Annual Leave (ID 1)
-      if (annualLimit > 0 && lr.leave_type_id === LEAVE_TYPE_ANNUAL_ID && currentAnnualUsed > annualLimit) {
-          exceededDays = currentAnnualUsed - annualLimit;
-          reason = `Annual Leave limit (${annualLimit} days) exceeded by ${exceededDays.toFixed(2)} days by this request.`;
+      // Working days worked out when the request was made; older requests only have hours
+      const daysUsedByRequest = lr.duration_days != null
+        ? Number(lr.duration_days)
+        : Number((Number(lr.duration_hours) / WORK_HOURS_PER_DAY).toFixed(2));
+
+      // 1. Balance accrued to date under the leave type's accrual policy, then book the usage
+      const { balance, policy } = await ensureBalance(conn, lr.employee_id, lr.leave_type_id, year);
+      if (balance) {
+        await conn.query(
+          'UPDATE leave_balances SET used_days = used_days + ? WHERE employee_id = ? AND leave_type_id = ? AND year = ?',
+          [daysUsedByRequest, lr.employee_id, lr.leave_type_id, year]
+        );
+      } else {
+        await conn.query(
+          `INSERT INTO leave_balances (employee_id, leave_type_id, year, entitled_days, used_days)
+           VALUES (?,?,?,?,?)`,
+          [lr.employee_id, lr.leave_type_id, year, 0, daysUsedByRequest]
+        );
       }
-      
-      // Check Medical Leave (ID 2)
-      if (medicalLimit > 0 && lr.leave_type_id === LEAVE_TYPE_MEDICAL_ID && currentMedicalUsed > medicalLimit) {
-          exceededDays = currentMedicalUsed - medicalLimit;
-          reason = `Medical Leave limit (${medicalLimit} days) exceeded by ${exceededDays.toFixed(2)} days by this request.`;
-      }
-
-      // 4. Create Unpaid Leave record if limits exceeded (with a small margin for float errors)
+      await logTxn(conn, {
+        employee_id: lr.employee_id, leave_type_id: lr.leave_type_id, year, txn_type: 'Usage',
+        days: -daysUsedByRequest, leave_request_id: lr.id, user_id: req.user.id,
+      });
+
+      // 2. Whatever the balance can't cover becomes unpaid leave (types without a policy are not limited);
+      //    an unpaid leave type is unpaid from the first day
+      const leaveType = await loadLeaveType(conn, lr.leave_type_id);
+      const available = balance ? availableDays(balance) : 0;
+      const exceededDays = !leaveType?.is_paid
+        ? daysUsedByRequest
+        : policy ? Math.min(daysUsedByRequest, Math.max(0, daysUsedByRequest - available)) : 0;
+      const reason = !leaveType?.is_paid
+        ? `${leaveType?.name || 'Leave'} is unpaid leave (${exceededDays.toFixed(2)} days).`
+        : `Leave balance (${available.toFixed(2)} days available) exceeded by ${exceededDays.toFixed(2)} days by this request.`;
+
+      // 3. Create Unpaid Leave record if limits exceeded (with a small margin for float errors)
       if (exceededDays > 0.01) { 
           // Note: total_days for unpaid_leaves is the EXCESS amount.
           await conn.query(
-              `INSERT INTO unpaid_leaves (employee_id, start_date, end_date, total_days, reason, status)
-               VALUES (?, ?, ?, ?, ?, 'Pending')`, // Set status to 'Pending' for HR review
-              [lr.employee_id, lr.start_date, lr.end_date, exceededDays.toFixed(2), reason] 
+              `INSERT INTO unpaid_leaves (employee_id, start_date, end_date, total_days, reason, status, leave_request_id)
+               VALUES (?, ?, ?, ?, ?, 'Pending', ?)`, // Set status to 'Pending' for HR review
+              [lr.employee_id, lr.start_date, lr.end_date, exceededDays.toFixed(2), reason, lr.id] 
           );
       }
+      await refreshAttendance(conn, lr);
     }
 
+    await recordDecision(conn, { ...decision, action: { APPROVE: 'Approved', REJECT: 'Rejected', RESPOND: 'Responded' }[action] });
     await conn.commit(); // Commit transaction
     res.json({ ok:true, message: action === 'RESPOND' ? 'Response saved' : `Request ${newStatus.toLowerCase()}` });
 
@@ -221,6 +422,110 @@ exports.decideRequest = async (req, res) => {
   }
 };
 
+// -----------------------------------------------------------------------------------
+// CANCEL REQUEST
+// A pending request is withdrawn; approved leave is cancelled and the days it took from the
+// balance (and any unpaid leave it raised, unless payroll already deducted it) are given back.
+// -----------------------------------------------------------------------------------
+exports.cancelRequest = async (req, res) => {
+  const id = Number(req.params.id);
+  const note = req.body?.note || null;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[lr]] = await conn.query('SELECT * FROM leave_requests WHERE id=? FOR UPDATE', [id]);
+    if (!lr) {
+      await conn.rollback();
+      return res.status(404).json({ ok:false, message: 'Request not found' });
+    }
+    if (!inScope(req, lr.department_id)) {
+      await conn.rollback();
+      return res.status(403).json({ ok:false, message: 'Request is outside your departments' });
+    }
+    if (!['PENDING', 'APPROVED'].includes(lr.status)) {
+      await conn.rollback();
+      return res.status(409).json({ ok:false, message: `Request is already ${lr.status.toLowerCase()}` });
+    }
+
+    let reversal = null;
+    if (lr.status === 'APPROVED') {
+      reversal = await reverseLeaveUsage(conn, lr, req.user.id);
+      if (reversal.error) {
+        await conn.rollback();
+        return res.status(409).json({ ok:false, message: reversal.error });
+      }
+    }
+    const newStatus = lr.status === 'APPROVED' ? 'CANCELLED' : 'WITHDRAWN';
+    await conn.query(
+      'UPDATE leave_requests SET status = ?, cancelled_by = ?, cancelled_at = NOW() WHERE id = ?',
+      [newStatus, req.user.id, id]
+    );
+    await recordDecision(conn, {
+      leave_request_id: id, step_no: lr.status === 'PENDING' ? lr.current_step : null,
+      action: newStatus === 'CANCELLED' ? 'Cancelled' : 'Withdrawn', user: req.user, note,
+    });
+    if (newStatus === 'CANCELLED') await refreshAttendance(conn, lr);
+    await conn.commit();
+
+    const [[after]] = await pool.query('SELECT * FROM leave_requests WHERE id=?', [id]);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: newStatus === 'CANCELLED' ? 'CANCEL_LEAVE_REQUEST' : 'WITHDRAW_LEAVE_REQUEST', target_table: 'leave_requests', target_id: id, before_state: lr, after_state: { ...after, reversal }, req, status: 'SUCCESS' });
+    res.json({
+      ok:true,
+      message: `Request ${newStatus.toLowerCase()}`,
+      data: { ...after, reversed_days: reversal?.reversed_days || 0, unpaid_leaves_removed: reversal?.unpaid_removed.length || 0 },
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error('cancelRequest error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CANCEL_LEAVE_REQUEST', target_table: 'leave_requests', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok:false, message: 'Failed to cancel leave request' });
+  } finally {
+    conn.release();
+  }
+};
+
+// Request with its approval chain and every decision taken on it (leave viewers of its
+// department, or an approver who took part in it or can decide its current step)
+exports.requestHistory = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[lr]] = await pool.query(
+      `SELECT lr.*, e.full_name, e.employee_code, lt.name AS leave_type, c.name AS chain_name
+         FROM leave_requests lr
+         JOIN employees e ON e.id = lr.employee_id
+         JOIN leave_types lt ON lt.id = lr.leave_type_id
+         LEFT JOIN leave_approval_chains c ON c.id = lr.chain_id
+        WHERE lr.id = ?`,
+      [id]
+    );
+    if (!lr) return res.status(404).json({ ok:false, message: 'Request not found' });
+    const steps = await chainSteps(pool, lr.chain_id);
+    const [decisions] = await pool.query(
+      `SELECT d.*, u.name AS decided_by_name, b.name AS on_behalf_of_name
+         FROM leave_request_decisions d
+         LEFT JOIN users u ON u.id = d.decided_by
+         LEFT JOIN users b ON b.id = d.on_behalf_of
+        WHERE d.leave_request_id = ?
+        ORDER BY d.decided_at, d.id`,
+      [id]
+    );
+    req.access = await accessFor(req.user.id);
+    const viewer = req.access.permissions.has('leave.view') && inScope(req, lr.department_id);
+    if (!viewer && !decisions.some(d => d.decided_by === req.user.id || d.on_behalf_of === req.user.id)) {
+      const step = steps.find(s => s.step_no === lr.current_step) || steps[steps.length - 1];
+      const access = lr.status === 'PENDING'
+        ? canDecide(req.user, req.access, step, await approversOf(pool, lr), await delegationsTo(pool, req.user.id))
+        : { allowed: false };
+      if (!access.allowed) return res.status(403).json({ ok:false, message: 'Forbidden' });
+    }
+    res.json({ ok:true, data: { ...lr, steps, decisions } });
+  } catch (err) {
+    console.error('requestHistory error:', err);
+    logEvent({ level: 'error', event_type: 'LEAVE_REQUEST_HISTORY_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok:false, message: 'Failed to fetch request history' });
+  }
+};
+
 exports.statusList = async (req, res) => {
   // Re-use listRequests for now
   await exports.listRequests(req, res);
@@ -231,6 +536,7 @@ exports.statusList = async (req, res) => {
 // -----------------------------------------------------------------------------------
 exports.calendarFeed = async (req, res) => {
   const { from, to } = req.query;
+  const scope = scopeCondition(req, 'e.department_id');
 
   try {
     const [rows] = await pool.query(
@@ -249,8 +555,9 @@ exports.calendarFeed = async (req, res) => {
        JOIN leave_types lt ON lt.id = lr.leave_type_id
        WHERE lr.status = 'APPROVED'
          AND lr.end_date >= ? AND lr.start_date <= ?
+         ${scope.sql ? `AND ${scope.sql}` : ''}
        ORDER BY lr.start_date ASC`,
-      [from, to]
+      [from, to, ...scope.params]
     );
 
     const events = rows.map(r => ({
@@ -274,14 +581,24 @@ exports.calendarFeed = async (req, res) => {
 
     // also return restrictions from calendar_restrictions if you added that:
     const [restrictionRows] = await pool.query(
-      `SELECT id, date, type, reason
+      `SELECT id, date, type, reason, severity
        FROM calendar_restrictions
        WHERE date >= ? AND date <= ?
        ORDER BY date ASC`,
       [from, to]
     );
 
-    res.json({ ok: true, events, restrictions: restrictionRows });
+    // holidays of every active holiday set; which ones apply to an employee depends on their branch / office
+    const [holidayRows] = await pool.query(
+      `SELECT h.id, DATE_FORMAT(h.date, '%Y-%m-%d') AS date, h.name, s.id AS set_id, s.name AS set_name, s.category
+       FROM holidays h
+       JOIN holiday_sets s ON s.id = h.set_id AND s.is_active = 1
+       WHERE h.date >= ? AND h.date <= ?
+       ORDER BY h.date ASC`,
+      [from, to]
+    );
+
+    res.json({ ok: true, events, restrictions: restrictionRows, holidays: holidayRows });
   } catch (err) {
     console.error(err);
     res.status(500).json({ ok: false, message: err.message });
@@ -292,25 +609,30 @@ exports.calendarFeed = async (req, res) => {
 // 隼 Create / update a restriction for a date
 exports.saveRestriction = async (req, res) => {
   try {
-    const { date, type, reason } = req.body;
+    const { date, type, reason, severity = 'Block' } = req.body;
     if (!date || !type) {
       return res.status(400).json({ ok: false, message: 'date and type are required' });
     }
+    // Block: leave requests touching the date are refused; Warn: allowed with a warning
+    if (!['Block', 'Warn'].includes(severity)) {
+      return res.status(400).json({ ok: false, message: "severity must be 'Block' or 'Warn'" });
+    }
 
     // Upsert by unique date
     const [result] = await pool.query(
-      `INSERT INTO calendar_restrictions (date, type, reason, created_by_user_id)
-       VALUES (?,?,?,?)
+      `INSERT INTO calendar_restrictions (date, type, reason, severity, created_by_user_id)
+       VALUES (?,?,?,?,?)
        ON DUPLICATE KEY UPDATE
          type = VALUES(type),
          reason = VALUES(reason),
+         severity = VALUES(severity),
          updated_at = CURRENT_TIMESTAMP`,
-      [date, type, reason || null, req.user?.id || null]
+      [date, type, reason || null, severity, req.user?.id || null]
     );
 
     // fetch the row back (so we get id)
     const [rows] = await pool.query(
-      `SELECT id, date, type, reason
+      `SELECT id, date, type, reason, severity
        FROM calendar_restrictions
        WHERE date = ?`,
       [date]
@@ -357,23 +679,28 @@ exports.deleteRestriction = async (req, res) => {
 
 exports.summary = async (req, res) => {
   const year = parseInt(req.query.year || String(dayjs().year()), 10);
+  // department-scoped users only see their departments' leave
+  const scope = scopeCondition(req, 'e.department_id');
+  const scoped = scope.sql ? `AND ${scope.sql}` : '';
 
   const [byType] = await pool.query(
     `SELECT lt.name AS leave_type, SUM(lr.duration_hours) AS hours
      FROM leave_requests lr
      JOIN leave_types lt ON lt.id = lr.leave_type_id
-     WHERE YEAR(lr.start_date) = ? AND lr.status='APPROVED'
+     JOIN employees e ON e.id = lr.employee_id
+     WHERE YEAR(lr.start_date) = ? AND lr.status='APPROVED' ${scoped}
      GROUP BY lt.name
      ORDER BY lt.name ASC`,
-    [year]
+    [year, ...scope.params]
   );
 
   const today = dayjs().format('YYYY-MM-DD');
   const [[{ onLeaveToday }]] = await pool.query(
     `SELECT COUNT(*) AS onLeaveToday
-     FROM leave_requests
-     WHERE status='APPROVED' AND start_date <= ? AND end_date >= ?`,
-    [today, today]
+     FROM leave_requests lr
+     JOIN employees e ON e.id = lr.employee_id
+     WHERE lr.status='APPROVED' AND lr.start_date <= ? AND lr.end_date >= ? ${scoped}`,
+    [today, today, ...scope.params]
   );
 
   res.json({
@@ -394,11 +721,15 @@ exports.employeeBalances = async (req, res) => {
     const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '50', 10)));
     const offset = (page - 1) * pageSize;
 
-    const { department_id, search } = req.query;
+    const { department_id, search, employee_id } = req.query;
 
     const filters = [];
     const params = [];
 
+    if (employee_id) {
+      filters.push('e.id = ?');
+      params.push(Number(employee_id));
+    }
     if (department_id) {
       filters.push('e.department_id = ?');
       params.push(Number(department_id));
@@ -407,41 +738,25 @@ exports.employeeBalances = async (req, res) => {
       filters.push('(e.full_name LIKE ? OR e.employee_code LIKE ?)');
       params.push(`%${search}%`, `%${search}%`);
     }
+    const scope = scopeCondition(req, 'e.department_id');
+    if (scope.sql) { filters.push(scope.sql); params.push(...scope.params); }
     const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
 
-    // 💡 FIX 5: Use grade-based rules for entitlements and specific IDs for usage.
-    const [rows] = await pool.query(
+    const [emps] = await pool.query(
       `SELECT
           e.id AS employee_id,
           e.employee_code,
           e.full_name,
-          COALESCE(d.name, e.department_name) AS department_name,
-          lr.annual_limit AS annualTotal,     -- From leave_rules
-          lr.medical_limit AS medicalTotal,    -- From leave_rules
-          
-          -- Sum used days for Personal/Annual (ID 1)
-          SUM(CASE WHEN lb.leave_type_id = ${LEAVE_TYPE_ANNUAL_ID} AND lb.year = ? THEN lb.used_days ELSE 0 END) AS annualUsed,
-          
-          -- Sum used days for Sick/Medical (ID 2)
-          SUM(CASE WHEN lb.leave_type_id = ${LEAVE_TYPE_MEDICAL_ID} AND lb.year = ? THEN lb.used_days ELSE 0 END) AS medicalUsed
-          
+          e.grade_id,
+          COALESCE(d.name, e.department_name) AS department_name
        FROM employees e
        LEFT JOIN departments d ON d.id = e.department_id
-       LEFT JOIN leave_rules lr ON lr.grade_id = e.grade_id  
-       LEFT JOIN leave_balances lb
-         ON lb.employee_id = e.id AND lb.year = ?
-       LEFT JOIN leave_types lt
-         ON lt.id = lb.leave_type_id
        ${where}
-       GROUP BY 
-         e.id, e.employee_code, e.full_name, d.name, e.department_name, 
-         lr.annual_limit, lr.medical_limit
        ORDER BY e.full_name ASC
        LIMIT ? OFFSET ?`,
-      [year, year, year, ...params, pageSize, offset]
+      [...params, pageSize, offset]
     );
 
-    
     const [countRows] = await pool.query(
       `SELECT COUNT(*) AS count
        FROM employees e
@@ -450,19 +765,69 @@ exports.employeeBalances = async (req, res) => {
     );
     const total = countRows[0]?.count || 0;
 
-    const data = rows.map(r => ({
-      employee_id: r.employee_id,
-      employee_code: r.employee_code,
-      name: r.full_name,
-      department: r.department_name || 'N/A',
-      // Data in DAYS format for frontend display (using Annual=1, Medical=2)
-      annualUsed: Number(r.annualUsed || 0),
-      annualTotal: Number(r.annualTotal || 0),
-      medicalUsed: Number(r.medicalUsed || 0), 
-      medicalTotal: Number(r.medicalTotal || 0),
-      halfDay1: '0 / 0',
-      halfDay2: '0 / 0',
-    }));
+    const [types] = await pool.query('SELECT id, code, name, is_paid FROM leave_types WHERE is_active = 1 ORDER BY name');
+    const ids = emps.map(e => e.employee_id);
+    const [balances] = ids.length
+      ? await pool.query('SELECT * FROM leave_balances WHERE employee_id IN (?) AND year = ?', [ids, year])
+      : [[]];
+    // Half days and short leaves taken this year, per employee and type
+    const [parts] = ids.length
+      ? await pool.query(
+          `SELECT employee_id, leave_type_id, day_part, COUNT(*) AS count
+             FROM leave_requests
+            WHERE employee_id IN (?) AND status = 'APPROVED' AND YEAR(start_date) = ? AND day_part <> 'Full'
+            GROUP BY employee_id, leave_type_id, day_part`,
+          [ids, year]
+        )
+      : [[]];
+    const policies = types.length ? await loadPolicies(pool, types.map(t => t.id)) : [];
+
+    const balanceBy = new Map(balances.map(b => [`${b.employee_id}|${b.leave_type_id}`, b]));
+    const partsOf = (employeeId, typeId, part) => Number(
+      parts.find(p => p.employee_id === employeeId && p.leave_type_id === typeId && p.day_part === part)?.count || 0
+    );
+
+    const data = emps.map(e => {
+      // Accrued + carried forward - expired from the balance; the grade's entitlement until accrued
+      const byType = types.map(t => {
+        const b = balanceBy.get(`${e.employee_id}|${t.id}`);
+        const policy = policyFor(policies, t.id, e.grade_id);
+        const accrued = Boolean(b?.accrued_through);
+        const entitled = accrued
+          ? Number(b.accrued_days) + Number(b.carried_forward_days) - Number(b.expired_days)
+          : policy ? Number(policy.annual_days) : null;
+        const used = Number(b?.used_days || 0);
+        return {
+          leave_type_id: t.id,
+          code: t.code,
+          leave_type: t.name,
+          is_paid: Boolean(t.is_paid),
+          total: entitled,                       // null = not limited
+          used,
+          carried: Number(b?.carried_forward_days || 0),
+          available: accrued ? availableDays(b) : entitled == null ? null : Math.round((entitled - used) * 100) / 100,
+          half_days: partsOf(e.employee_id, t.id, 'Half'),
+          short_leaves: partsOf(e.employee_id, t.id, 'Short'),
+        };
+      });
+      const ofCode = (code) => byType.find(t => t.code === code) || {};
+
+      return {
+        employee_id: e.employee_id,
+        employee_code: e.employee_code,
+        name: e.full_name,
+        department: e.department_name || 'N/A',
+        // Annual / medical in days, as the overview tab shows them
+        annualUsed: ofCode('ANNUAL').used || 0,
+        annualTotal: ofCode('ANNUAL').total || 0,
+        annualCarried: ofCode('ANNUAL').carried || 0,
+        medicalUsed: ofCode('MEDICAL').used || 0,
+        medicalTotal: ofCode('MEDICAL').total || 0,
+        halfDays: byType.reduce((n, t) => n + t.half_days, 0),
+        shortLeaves: byType.reduce((n, t) => n + t.short_leaves, 0),
+        balances: byType,
+      };
+    });
 
     res.json({ ok:true, page, pageSize, total, data, year });
 
@@ -516,6 +881,29 @@ exports.saveRule = async (req, res) => {
       [grade_id, annual_limit, medical_limit]
     );
 
+    // Keep the grade's accrual policies in step; a 0 limit means unlimited, i.e. no policy
+    const limits = [
+      [await leaveTypeIdByCode(pool, 'ANNUAL'), annual_limit],
+      [await leaveTypeIdByCode(pool, 'MEDICAL'), medical_limit],
+    ].filter(([typeId]) => typeId);
+    for (const [typeId, limit] of limits) {
+      if (Number(limit) > 0) {
+        await pool.query(
+          `INSERT INTO leave_accrual_policies (leave_type_id, grade_id, annual_days)
+           VALUES (?,?,?)
+           ON DUPLICATE KEY UPDATE annual_days = VALUES(annual_days)`,
+          [typeId, grade_id, limit]
+        );
+      } else {
+        await pool.query(
+          `DELETE p, t FROM leave_accrual_policies p
+           LEFT JOIN leave_accrual_tiers t ON t.policy_id = p.id
+           WHERE p.leave_type_id = ? AND p.grade_id = ?`,
+          [typeId, grade_id]
+        );
+      }
+    }
+
     const [rows] = await pool.query(
       `SELECT lr.id, lr.grade_id, lr.annual_limit, lr.medical_limit, g.grade_name
        FROM leave_rules lr
@@ -536,8 +924,11 @@ module.exports = {
   calculateFullDays,
   computeDurationHours,
   createRequest: exports.createRequest,
+  previewRequest: exports.previewRequest,
   listRequests: exports.listRequests,
   decideRequest: exports.decideRequest,
+  cancelRequest: exports.cancelRequest,
+  requestHistory: exports.requestHistory,
   statusList: exports.statusList,
   calendarFeed: exports.calendarFeed,
   summary: exports.summary,
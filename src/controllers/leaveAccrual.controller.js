@@ -0,0 +1,272 @@
+// src/controllers/leaveAccrual.controller.js
+// Leave accrual policies (with service tiers), on-demand accrual runs, the balance
+// ledger and the year-end rollover. The daily job in utils/leaveAccrual does the same
+// accrual / rollover unattended.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { loadPolicies, accrueBalances, rolloverYear, availableDays } = require('../utils/leaveAccrual');
+const { employeeInScope } = require('../utils/permissions');
+
+const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || ''));
+const validYear = (y) => Number.isInteger(Number(y)) && Number(y) > 2000 && Number(y) < 2100;
+
+/* ===================== POLICIES ===================== */
+
+// GET /accrual/policies?leave_type_id=
+exports.listPolicies = async (req, res) => {
+  try {
+    const { leave_type_id } = req.query;
+    const policies = await loadPolicies(pool, leave_type_id ? [Number(leave_type_id)] : undefined);
+    const [types] = await pool.query('SELECT id, name FROM leave_types');
+    const [grades] = await pool.query('SELECT grade_id, grade_name FROM grades');
+    const typeName = new Map(types.map(t => [t.id, t.name]));
+    const gradeName = new Map(grades.map(g => [g.grade_id, g.grade_name]));
+    const data = policies.map(p => ({
+      ...p,
+      leave_type: typeName.get(p.leave_type_id) || null,
+      grade_name: p.grade_id ? gradeName.get(p.grade_id) || null : 'All grades',
+    }));
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('listPolicies error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LEAVE_POLICIES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave accrual policies' });
+  }
+};
+
+/**
+ * POST /accrual/policies
+ * { leave_type_id, grade_id? (0 = all), annual_days, accrual_method?, prorate_first_year?,
+ *   carry_forward_max?, carry_forward_expiry_months?, tiers?: [{ min_service_years, annual_days }] }
+ * Upserts by leave type + grade; tiers, when given, replace the existing ones.
+ */
+exports.savePolicy = async (req, res) => {
+  const {
+    leave_type_id, grade_id = 0, annual_days, accrual_method = 'Annual', prorate_first_year = true,
+    carry_forward_max = 0, carry_forward_expiry_months = null, tiers,
+  } = req.body || {};
+
+  if (!leave_type_id || annual_days == null || isNaN(Number(annual_days)) || Number(annual_days) < 0) {
+    return res.status(400).json({ ok: false, message: 'leave_type_id and annual_days (>= 0) are required' });
+  }
+  if (!['Annual', 'Monthly'].includes(accrual_method)) {
+    return res.status(400).json({ ok: false, message: "accrual_method must be 'Annual' or 'Monthly'" });
+  }
+  if (Number(carry_forward_max) < 0 || (carry_forward_expiry_months != null && !(Number(carry_forward_expiry_months) >= 1))) {
+    return res.status(400).json({ ok: false, message: 'carry_forward_max must be >= 0 and carry_forward_expiry_months >= 1' });
+  }
+  if (tiers !== undefined && (!Array.isArray(tiers) || tiers.some(t => !(Number(t.min_service_years) >= 1) || !(Number(t.annual_days) >= 0)))) {
+    return res.status(400).json({ ok: false, message: 'tiers must be [{ min_service_years >= 1, annual_days >= 0 }]' });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[before]] = await conn.query('SELECT * FROM leave_accrual_policies WHERE leave_type_id = ? AND grade_id = ?', [leave_type_id, grade_id || 0]);
+    await conn.query(
+      `INSERT INTO leave_accrual_policies
+        (leave_type_id, grade_id, annual_days, accrual_method, prorate_first_year, carry_forward_max, carry_forward_expiry_months)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE annual_days = VALUES(annual_days), accrual_method = VALUES(accrual_method),
+         prorate_first_year = VALUES(prorate_first_year), carry_forward_max = VALUES(carry_forward_max),
+         carry_forward_expiry_months = VALUES(carry_forward_expiry_months)`,
+      [leave_type_id, grade_id || 0, annual_days, accrual_method, prorate_first_year ? 1 : 0, carry_forward_max, carry_forward_expiry_months]
+    );
+    const [[policy]] = await conn.query('SELECT * FROM leave_accrual_policies WHERE leave_type_id = ? AND grade_id = ?', [leave_type_id, grade_id || 0]);
+    if (tiers !== undefined) {
+      await conn.query('DELETE FROM leave_accrual_tiers WHERE policy_id = ?', [policy.id]);
+      if (tiers.length) {
+        await conn.query(
+          'INSERT INTO leave_accrual_tiers (policy_id, min_service_years, annual_days) VALUES ?',
+          [tiers.map(t => [policy.id, Number(t.min_service_years), Number(t.annual_days)])]
+        );
+      }
+    }
+    await conn.commit();
+
+    const [after] = (await loadPolicies(pool, [Number(leave_type_id)])).filter(p => p.id === policy.id);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: before ? 'UPDATE_LEAVE_POLICY' : 'CREATE_LEAVE_POLICY', target_table: 'leave_accrual_policies', target_id: policy.id, before_state: before || null, after_state: after, req, status: 'SUCCESS' });
+    res.status(before ? 200 : 201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('savePolicy error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SAVE_LEAVE_POLICY', target_table: 'leave_accrual_policies', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to save leave accrual policy' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /accrual/policies/:id  (balances already accrued are kept)
+exports.deletePolicy = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[before]] = await pool.query('SELECT * FROM leave_accrual_policies WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Leave accrual policy not found' });
+    await pool.query('DELETE FROM leave_accrual_tiers WHERE policy_id = ?', [id]);
+    await pool.query('DELETE FROM leave_accrual_policies WHERE id = ?', [id]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_POLICY', target_table: 'leave_accrual_policies', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Leave accrual policy deleted' });
+  } catch (err) {
+    console.error('deletePolicy error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_POLICY', target_table: 'leave_accrual_policies', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete leave accrual policy' });
+  }
+};
+
+/* ===================== ACCRUAL ===================== */
+
+// POST /accrual/run  { year?, as_of?, employee_ids? }  (defaults: this year, today)
+exports.runAccrual = async (req, res) => {
+  const { as_of, employee_ids } = req.body || {};
+  const year = Number(req.body?.year || (as_of ? String(as_of).slice(0, 4) : new Date().getFullYear()));
+  if (!validYear(year) || (as_of && !isDate(as_of))) return res.status(400).json({ ok: false, message: 'Valid year and as_of (YYYY-MM-DD) required' });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await accrueBalances(conn, {
+      year,
+      asOf: as_of || undefined,
+      employeeIds: Array.isArray(employee_ids) && employee_ids.length ? employee_ids : undefined,
+      userId: req.user?.id || null,
+    });
+    await conn.commit();
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'RUN_LEAVE_ACCRUAL', target_table: 'leave_balances', target_id: null, after_state: result, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: result });
+  } catch (err) {
+    await conn.rollback();
+    console.error('runAccrual error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'RUN_LEAVE_ACCRUAL', target_table: 'leave_balances', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to run leave accrual' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /balances/:employeeId/ledger?year=
+exports.getBalanceLedger = async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const year = Number(req.query.year || new Date().getFullYear());
+    const emp = await employeeInScope(pool, req, employeeId);
+    if (emp === null) return res.status(404).json({ ok: false, message: 'Employee not found' });
+    if (!emp) return res.status(403).json({ ok: false, message: 'Employee is outside your departments' });
+    const [balances] = await pool.query(
+      `SELECT lb.*, lt.name AS leave_type
+         FROM leave_balances lb
+         JOIN leave_types lt ON lt.id = lb.leave_type_id
+        WHERE lb.employee_id = ? AND lb.year = ?
+        ORDER BY lt.name`,
+      [employeeId, year]
+    );
+    const [txns] = await pool.query(
+      `SELECT t.*, u.name AS created_by_name
+         FROM leave_balance_transactions t
+         LEFT JOIN users u ON u.id = t.created_by
+        WHERE t.employee_id = ? AND t.year = ?
+        ORDER BY t.created_at, t.id`,
+      [employeeId, year]
+    );
+    const data = balances.map(b => ({
+      ...b,
+      available_days: availableDays(b),
+      transactions: txns.filter(t => t.leave_type_id === b.leave_type_id),
+    }));
+    res.json({ ok: true, year, data });
+  } catch (err) {
+    console.error('getBalanceLedger error:', err);
+    logEvent({ level: 'error', event_type: 'GET_LEAVE_LEDGER_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave ledger' });
+  }
+};
+
+/* ===================== YEAR-END ROLLOVER ===================== */
+
+// POST /rollovers/preview  { from_year }  (runs the rollover and rolls it back)
+exports.previewRollover = async (req, res) => {
+  const fromYear = Number(req.body?.from_year);
+  if (!validYear(fromYear)) return res.status(400).json({ ok: false, message: 'Valid from_year required' });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await rolloverYear(conn, { fromYear, userId: req.user?.id || null });
+    if (result.error) return res.status(409).json({ ok: false, message: result.error, rollover_id: result.rollover_id });
+    delete result.rollover_id;
+    res.json({ ok: true, data: result });
+  } catch (err) {
+    console.error('previewRollover error:', err);
+    logEvent({ level: 'error', event_type: 'PREVIEW_LEAVE_ROLLOVER_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to preview rollover' });
+  } finally {
+    await conn.rollback();
+    conn.release();
+  }
+};
+
+// POST /rollovers  { from_year }
+exports.runRollover = async (req, res) => {
+  const fromYear = Number(req.body?.from_year);
+  if (!validYear(fromYear)) return res.status(400).json({ ok: false, message: 'Valid from_year required' });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await rolloverYear(conn, { fromYear, userId: req.user?.id || null });
+    if (result.error) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: result.error, rollover_id: result.rollover_id });
+    }
+    await conn.commit();
+
+    const { items, ...summary } = result;
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'LEAVE_ROLLOVER', target_table: 'leave_rollovers', target_id: result.rollover_id, after_state: summary, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: result });
+  } catch (err) {
+    await conn.rollback();
+    console.error('runRollover error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'LEAVE_ROLLOVER', target_table: 'leave_rollovers', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to roll over leave' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /rollovers
+exports.listRollovers = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT r.*, u.name AS run_by_name FROM leave_rollovers r LEFT JOIN users u ON u.id = r.run_by ORDER BY r.from_year DESC`
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listRollovers error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LEAVE_ROLLOVERS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch rollovers' });
+  }
+};
+
+// GET /rollovers/:id  -> what each employee carried or forfeited
+exports.getRollover = async (req, res) => {
+  try {
+    const [[rollover]] = await pool.query('SELECT * FROM leave_rollovers WHERE id = ?', [req.params.id]);
+    if (!rollover) return res.status(404).json({ ok: false, message: 'Rollover not found' });
+
+    const [txns] = await pool.query(
+      `SELECT t.employee_id, e.employee_code, e.full_name, t.leave_type_id, lt.name AS leave_type, t.txn_type, t.days, t.year, t.note
+         FROM leave_balance_transactions t
+         JOIN employees e ON e.id = t.employee_id
+         JOIN leave_types lt ON lt.id = t.leave_type_id
+        WHERE t.rollover_id = ?
+        ORDER BY e.full_name, lt.name, t.txn_type`,
+      [rollover.id]
+    );
+    res.json({ ok: true, data: { ...rollover, items: txns } });
+  } catch (err) {
+    console.error('getRollover error:', err);
+    logEvent({ level: 'error', event_type: 'GET_LEAVE_ROLLOVER_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch rollover' });
+  }
+};
@@ -0,0 +1,384 @@
+// src/controllers/leaveApproval.controller.js
+// Leave approval chains, approver assignments (employee supervisor, department head),
+// delegations while an approver is away, the approver's inbox and manual escalation runs.
+// Deciding a step is leave.controller.decideRequest.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { APPROVER_TYPES, pendingFor, escalateOverdue } = require('../utils/leaveApprovals');
+const { accessFor } = require('../utils/permissions');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Body -> { fields, steps } or { error }
+const readChain = (body, existing = {}) => {
+  const pick = (k, d = null) => (body[k] !== undefined ? body[k] : existing[k] !== undefined ? existing[k] : d);
+  const fields = {
+    name: String(pick('name') || '').trim(),
+    department_id: pick('department_id') || null,
+    leave_type_id: pick('leave_type_id') || null,
+    escalate_after_days: pick('escalate_after_days') === '' ? null : pick('escalate_after_days'),
+    is_active: pick('is_active', 1) ? 1 : 0,
+  };
+  if (!fields.name) return { error: 'name is required' };
+  if (fields.escalate_after_days != null && !(Number.isInteger(Number(fields.escalate_after_days)) && Number(fields.escalate_after_days) >= 0)) {
+    return { error: 'escalate_after_days must be a whole number, 0 or more (0 = never)' };
+  }
+  if (body.steps === undefined && existing.id) return { fields };
+  if (!Array.isArray(body.steps) || !body.steps.length) return { error: 'steps must be a non-empty array' };
+  for (const s of body.steps) {
+    if (!APPROVER_TYPES.includes(s.approver_type)) return { error: `approver_type must be one of ${APPROVER_TYPES.join(', ')}` };
+    if (s.approver_type === 'User' && !s.approver_user_id) return { error: 'approver_user_id is required for User steps' };
+  }
+  const steps = body.steps.map((s, i) => ({
+    step_no: i + 1,
+    approver_type: s.approver_type,
+    approver_user_id: s.approver_type === 'User' ? Number(s.approver_user_id) : null,
+  }));
+  return { fields, steps };
+};
+
+// One chain per department / leave type combination
+const duplicateChain = async (db, { department_id, leave_type_id }, exceptId = 0) => {
+  const [[dup]] = await db.query(
+    'SELECT id FROM leave_approval_chains WHERE department_id <=> ? AND leave_type_id <=> ? AND id <> ?',
+    [department_id, leave_type_id, exceptId]
+  );
+  return dup || null;
+};
+
+const missingUsers = async (db, ids) => {
+  const wanted = [...new Set(ids.filter(Boolean).map(Number))];
+  if (!wanted.length) return [];
+  const [rows] = await db.query('SELECT id FROM users WHERE id IN (?)', [wanted]);
+  return wanted.filter(id => !rows.some(r => r.id === id));
+};
+
+const saveSteps = async (conn, chainId, steps) => {
+  await conn.query('DELETE FROM leave_approval_chain_steps WHERE chain_id = ?', [chainId]);
+  await conn.query(
+    'INSERT INTO leave_approval_chain_steps (chain_id, step_no, approver_type, approver_user_id) VALUES ?',
+    [steps.map(s => [chainId, s.step_no, s.approver_type, s.approver_user_id])]
+  );
+};
+
+const loadChain = async (db, id) => {
+  const [[chain]] = await db.query('SELECT * FROM leave_approval_chains WHERE id = ?', [id]);
+  if (!chain) return null;
+  const [steps] = await db.query(
+    `SELECT s.step_no, s.approver_type, s.approver_user_id, u.name AS approver_name
+       FROM leave_approval_chain_steps s
+       LEFT JOIN users u ON u.id = s.approver_user_id
+      WHERE s.chain_id = ?
+      ORDER BY s.step_no`,
+    [id]
+  );
+  return { ...chain, steps };
+};
+
+// GET /approval-chains
+exports.listChains = async (req, res) => {
+  try {
+    const [chains] = await pool.query(
+      `SELECT c.*, d.name AS department_name, lt.name AS leave_type
+         FROM leave_approval_chains c
+         LEFT JOIN departments d ON d.id = c.department_id
+         LEFT JOIN leave_types lt ON lt.id = c.leave_type_id
+        ORDER BY c.department_id IS NULL AND c.leave_type_id IS NULL, d.name, lt.name`
+    );
+    const [steps] = chains.length ? await pool.query(
+      `SELECT s.chain_id, s.step_no, s.approver_type, s.approver_user_id, u.name AS approver_name
+         FROM leave_approval_chain_steps s
+         LEFT JOIN users u ON u.id = s.approver_user_id
+        WHERE s.chain_id IN (?)
+        ORDER BY s.step_no`,
+      [chains.map(c => c.id)]
+    ) : [[]];
+    res.json({
+      ok: true,
+      data: chains.map(c => ({ ...c, steps: steps.filter(s => s.chain_id === c.id).map(({ chain_id, ...s }) => s) })),
+    });
+  } catch (err) {
+    console.error('listChains error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LEAVE_APPROVAL_CHAINS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch approval chains' });
+  }
+};
+
+/**
+ * POST /approval-chains
+ * { name, department_id?, leave_type_id? (neither = default chain), escalate_after_days?
+ *   (blank = LEAVE_ESCALATION_DAYS, 0 = never), is_active?,
+ *   steps: [{ approver_type: Supervisor|DepartmentHead|HR|User, approver_user_id? }] in order }
+ */
+exports.createChain = async (req, res) => {
+  const { fields, steps, error } = readChain(req.body || {});
+  if (error) return res.status(400).json({ ok: false, message: error });
+
+  const conn = await pool.getConnection();
+  try {
+    if (await duplicateChain(conn, fields)) {
+      return res.status(409).json({ ok: false, message: 'A chain for this department and leave type already exists' });
+    }
+    const missing = await missingUsers(conn, steps.map(s => s.approver_user_id));
+    if (missing.length) return res.status(400).json({ ok: false, message: `Unknown approver user(s): ${missing.join(', ')}` });
+
+    await conn.beginTransaction();
+    const [ins] = await conn.query('INSERT INTO leave_approval_chains SET ?', [{ ...fields, created_by: req.user?.id || null }]);
+    await saveSteps(conn, ins.insertId, steps);
+    await conn.commit();
+
+    const after = await loadChain(pool, ins.insertId);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_APPROVAL_CHAIN', target_table: 'leave_approval_chains', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createChain error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_APPROVAL_CHAIN', target_table: 'leave_approval_chains', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create approval chain' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /approval-chains/:id  same body as POST, all optional; steps, when given, replace the existing ones.
+// Pending requests on the chain continue from their current step number.
+exports.updateChain = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadChain(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Approval chain not found' });
+    const { fields, steps, error } = readChain(req.body || {}, before);
+    if (error) return res.status(400).json({ ok: false, message: error });
+    if (await duplicateChain(conn, fields, id)) {
+      return res.status(409).json({ ok: false, message: 'A chain for this department and leave type already exists' });
+    }
+    const missing = await missingUsers(conn, (steps || []).map(s => s.approver_user_id));
+    if (missing.length) return res.status(400).json({ ok: false, message: `Unknown approver user(s): ${missing.join(', ')}` });
+
+    await conn.beginTransaction();
+    await conn.query('UPDATE leave_approval_chains SET ? WHERE id = ?', [fields, id]);
+    if (steps) await saveSteps(conn, id, steps);
+    await conn.commit();
+
+    const after = await loadChain(pool, id);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'UPDATE_LEAVE_APPROVAL_CHAIN', target_table: 'leave_approval_chains', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('updateChain error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_LEAVE_APPROVAL_CHAIN', target_table: 'leave_approval_chains', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update approval chain' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /approval-chains/:id  (chains requests went through can only be deactivated)
+exports.deleteChain = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadChain(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Approval chain not found' });
+    const [[{ used }]] = await conn.query('SELECT COUNT(*) AS used FROM leave_requests WHERE chain_id = ?', [id]);
+    if (used) {
+      return res.status(409).json({ ok: false, message: 'Leave requests use this chain; set is_active to false instead' });
+    }
+
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM leave_approval_chain_steps WHERE chain_id = ?', [id]);
+    await conn.query('DELETE FROM leave_approval_chains WHERE id = ?', [id]);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_APPROVAL_CHAIN', target_table: 'leave_approval_chains', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Approval chain deleted' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('deleteChain error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_APPROVAL_CHAIN', target_table: 'leave_approval_chains', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete approval chain' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /approvers/departments/:id  { head_user_id (null clears) }
+exports.setDepartmentHead = async (req, res) => {
+  const id = Number(req.params.id);
+  const headId = req.body?.head_user_id || null;
+  try {
+    const [[before]] = await pool.query('SELECT id, name, head_user_id FROM departments WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Department not found' });
+    if ((await missingUsers(pool, [headId])).length) return res.status(400).json({ ok: false, message: 'Unknown head_user_id' });
+
+    await pool.query('UPDATE departments SET head_user_id = ? WHERE id = ?', [headId, id]);
+    const after = { ...before, head_user_id: headId };
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'SET_DEPARTMENT_HEAD', target_table: 'departments', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    console.error('setDepartmentHead error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SET_DEPARTMENT_HEAD', target_table: 'departments', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to set department head' });
+  }
+};
+
+// PUT /approvers/employees/:id  { supervisor_user_id (null clears) }
+exports.setEmployeeSupervisor = async (req, res) => {
+  const id = Number(req.params.id);
+  const supervisorId = req.body?.supervisor_user_id || null;
+  try {
+    const [[before]] = await pool.query('SELECT id, full_name, supervisor, supervisor_user_id FROM employees WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Employee not found' });
+    if ((await missingUsers(pool, [supervisorId])).length) return res.status(400).json({ ok: false, message: 'Unknown supervisor_user_id' });
+
+    await pool.query('UPDATE employees SET supervisor_user_id = ? WHERE id = ?', [supervisorId, id]);
+    const after = { ...before, supervisor_user_id: supervisorId };
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'SET_EMPLOYEE_SUPERVISOR', target_table: 'employees', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    console.error('setEmployeeSupervisor error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SET_EMPLOYEE_SUPERVISOR', target_table: 'employees', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to set supervisor' });
+  }
+};
+
+// GET /approvals/inbox  pending requests the signed-in user can decide now
+exports.approvalInbox = async (req, res) => {
+  try {
+    res.json({ ok: true, data: await pendingFor(pool, req.user) });
+  } catch (err) {
+    console.error('approvalInbox error:', err);
+    logEvent({ level: 'error', event_type: 'LEAVE_APPROVAL_INBOX_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch approvals' });
+  }
+};
+
+// Who may manage other users' delegations: rbac.manage, or leave.approve over every department.
+// A department-scoped leave.manage is not enough; naming an all-department approver as the
+// delegator would hand the delegate that approver's reach.
+const delegationAdmin = async (user) => {
+  const access = await accessFor(user.id);
+  return access.permissions.has('rbac.manage')
+    || (access.permissions.has('leave.approve') && access.departmentIds == null);
+};
+
+// true when `delegator` reaches departments `caller` does not
+const widerScope = (delegator, caller) => {
+  if (caller.departmentIds == null) return false;
+  if (delegator.departmentIds == null) return true;
+  return delegator.departmentIds.some(id => !caller.departmentIds.includes(id));
+};
+
+// GET /approvals/delegations?current=1  (delegation admins see everyone's, others their own given or received)
+exports.listDelegations = async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (!(await delegationAdmin(req.user))) {
+      where.push('(d.user_id = ? OR d.delegate_user_id = ?)');
+      params.push(req.user.id, req.user.id);
+    }
+    if (req.query.current) where.push('d.end_date >= CURDATE()');
+    const [rows] = await pool.query(
+      `SELECT d.*, u.name AS user_name, du.name AS delegate_name
+         FROM leave_approval_delegations d
+         JOIN users u ON u.id = d.user_id
+         JOIN users du ON du.id = d.delegate_user_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY d.start_date DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listDelegations error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LEAVE_DELEGATIONS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch delegations' });
+  }
+};
+
+/**
+ * POST /approvals/delegations
+ * { delegate_user_id, start_date, end_date, reason?, user_id? (delegation admins only; default the signed-in user) }
+ */
+exports.createDelegation = async (req, res) => {
+  const body = req.body || {};
+  const delegateId = Number(body.delegate_user_id);
+  if (!delegateId) return res.status(400).json({ ok: false, message: 'delegate_user_id is required' });
+  if (!DATE_RE.test(body.start_date || '') || !DATE_RE.test(body.end_date || '') || body.start_date > body.end_date) {
+    return res.status(400).json({ ok: false, message: 'start_date and end_date (YYYY-MM-DD, start first) are required' });
+  }
+  try {
+    const userId = body.user_id ? Number(body.user_id) : req.user.id;
+    if (userId !== req.user.id && !(await delegationAdmin(req.user))) {
+      return res.status(403).json({ ok: false, message: "Setting up another user's delegation requires rbac.manage or leave.approve for all departments" });
+    }
+    if (delegateId === userId) return res.status(400).json({ ok: false, message: 'Cannot delegate to yourself' });
+    const missing = await missingUsers(pool, [userId, delegateId]);
+    if (missing.length) return res.status(400).json({ ok: false, message: `Unknown user(s): ${missing.join(', ')}` });
+    if (widerScope(await accessFor(userId), await accessFor(req.user.id))) {
+      return res.status(403).json({ ok: false, message: 'The delegating user reaches departments outside your scope' });
+    }
+    const [[overlap]] = await pool.query(
+      'SELECT id FROM leave_approval_delegations WHERE user_id = ? AND start_date <= ? AND end_date >= ?',
+      [userId, body.end_date, body.start_date]
+    );
+    if (overlap) return res.status(409).json({ ok: false, message: 'A delegation already covers part of these dates' });
+
+    const row = {
+      user_id: userId, delegate_user_id: delegateId, start_date: body.start_date, end_date: body.end_date,
+      reason: body.reason || null, created_by: req.user.id,
+    };
+    const [ins] = await pool.query('INSERT INTO leave_approval_delegations SET ?', [row]);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'CREATE_LEAVE_DELEGATION', target_table: 'leave_approval_delegations', target_id: ins.insertId, after_state: row, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: { id: ins.insertId, ...row } });
+  } catch (err) {
+    console.error('createDelegation error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_DELEGATION', target_table: 'leave_approval_delegations', target_id: null, after_state: body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create delegation' });
+  }
+};
+
+// DELETE /approvals/delegations/:id  (the delegating user or a delegation admin)
+exports.deleteDelegation = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[before]] = await pool.query('SELECT * FROM leave_approval_delegations WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Delegation not found' });
+    if (before.user_id !== req.user.id) {
+      if (!(await delegationAdmin(req.user))) {
+        return res.status(403).json({ ok: false, message: 'Only the delegating user or a delegation admin can remove a delegation' });
+      }
+      if (widerScope(await accessFor(before.user_id), await accessFor(req.user.id))) {
+        return res.status(403).json({ ok: false, message: 'The delegating user reaches departments outside your scope' });
+      }
+    }
+    await pool.query('DELETE FROM leave_approval_delegations WHERE id = ?', [id]);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'DELETE_LEAVE_DELEGATION', target_table: 'leave_approval_delegations', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Delegation removed' });
+  } catch (err) {
+    console.error('deleteDelegation error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_DELEGATION', target_table: 'leave_approval_delegations', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to remove delegation' });
+  }
+};
+
+// POST /approvals/escalate  runs the daily escalation now
+exports.runEscalation = async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await escalateOverdue(conn);
+    await conn.commit();
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'ESCALATE_LEAVE_REQUESTS', target_table: 'leave_requests', target_id: null, after_state: result, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: result });
+  } catch (err) {
+    await conn.rollback();
+    console.error('runEscalation error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'ESCALATE_LEAVE_REQUESTS', target_table: 'leave_requests', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to escalate leave requests' });
+  } finally {
+    conn.release();
+  }
+};
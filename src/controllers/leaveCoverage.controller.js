@@ -0,0 +1,120 @@
+// src/controllers/leaveCoverage.controller.js
+// Department coverage rules for leave: how many people of a department may be off on the
+// same day. Checked by utils/leaveValidation when leave is requested and approved.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+
+const SEVERITIES = ['Block', 'Warn'];
+
+// Body -> { fields } or { error }
+const readRule = (body, existing = {}) => {
+  const pick = (k, d = null) => (body[k] !== undefined ? body[k] : existing[k] !== undefined ? existing[k] : d);
+  const fields = {
+    department_id: pick('department_id') || null,
+    max_off: pick('max_off') === '' ? null : pick('max_off'),
+    max_off_percent: pick('max_off_percent') === '' ? null : pick('max_off_percent'),
+    include_pending: pick('include_pending', 1) ? 1 : 0,
+    severity: pick('severity', 'Block'),
+    description: pick('description'),
+    is_active: pick('is_active', 1) ? 1 : 0,
+  };
+  if (fields.max_off == null && fields.max_off_percent == null) return { error: 'max_off or max_off_percent is required' };
+  if (fields.max_off != null && !(Number.isInteger(Number(fields.max_off)) && Number(fields.max_off) >= 0)) {
+    return { error: 'max_off must be a whole number, 0 or more' };
+  }
+  if (fields.max_off_percent != null && !(Number(fields.max_off_percent) > 0 && Number(fields.max_off_percent) <= 100)) {
+    return { error: 'max_off_percent must be between 0 and 100' };
+  }
+  if (!SEVERITIES.includes(fields.severity)) return { error: "severity must be 'Block' or 'Warn'" };
+  return { fields };
+};
+
+// Only one rule per department, and one default (department_id NULL)
+const duplicateRule = async (db, departmentId, exceptId = 0) => {
+  const [[dup]] = await db.query(
+    'SELECT id FROM leave_coverage_rules WHERE department_id <=> ? AND id <> ?',
+    [departmentId, exceptId]
+  );
+  return dup || null;
+};
+
+// GET /coverage-rules
+exports.listCoverageRules = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT r.*, d.name AS department_name,
+              (SELECT COUNT(*) FROM employees e WHERE e.department_id = r.department_id AND e.status = 'Active') AS headcount
+         FROM leave_coverage_rules r
+         LEFT JOIN departments d ON d.id = r.department_id
+        ORDER BY r.department_id IS NOT NULL, d.name`
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listCoverageRules error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LEAVE_COVERAGE_RULES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch coverage rules' });
+  }
+};
+
+/**
+ * POST /coverage-rules
+ * { department_id? (none = default for every department), max_off?, max_off_percent?,
+ *   include_pending? (count pending requests too, default true), severity? Block|Warn, description? }
+ */
+exports.createCoverageRule = async (req, res) => {
+  const { fields, error } = readRule(req.body || {});
+  if (error) return res.status(400).json({ ok: false, message: error });
+  try {
+    if (await duplicateRule(pool, fields.department_id)) {
+      return res.status(409).json({ ok: false, message: fields.department_id ? 'The department already has a coverage rule' : 'A default coverage rule already exists' });
+    }
+    const [ins] = await pool.query('INSERT INTO leave_coverage_rules SET ?', [{ ...fields, created_by: req.user?.id || null }]);
+    const [[after]] = await pool.query('SELECT * FROM leave_coverage_rules WHERE id = ?', [ins.insertId]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_COVERAGE_RULE', target_table: 'leave_coverage_rules', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    console.error('createCoverageRule error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_COVERAGE_RULE', target_table: 'leave_coverage_rules', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create coverage rule' });
+  }
+};
+
+// PUT /coverage-rules/:id  same body as POST, all optional
+exports.updateCoverageRule = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[before]] = await pool.query('SELECT * FROM leave_coverage_rules WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Coverage rule not found' });
+    const { fields, error } = readRule(req.body || {}, before);
+    if (error) return res.status(400).json({ ok: false, message: error });
+    if (await duplicateRule(pool, fields.department_id, id)) {
+      return res.status(409).json({ ok: false, message: fields.department_id ? 'The department already has a coverage rule' : 'A default coverage rule already exists' });
+    }
+
+    await pool.query('UPDATE leave_coverage_rules SET ? WHERE id = ?', [fields, id]);
+    const [[after]] = await pool.query('SELECT * FROM leave_coverage_rules WHERE id = ?', [id]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'UPDATE_LEAVE_COVERAGE_RULE', target_table: 'leave_coverage_rules', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    console.error('updateCoverageRule error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_LEAVE_COVERAGE_RULE', target_table: 'leave_coverage_rules', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update coverage rule' });
+  }
+};
+
+// DELETE /coverage-rules/:id
+exports.deleteCoverageRule = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[before]] = await pool.query('SELECT * FROM leave_coverage_rules WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ ok: false, message: 'Coverage rule not found' });
+    await pool.query('DELETE FROM leave_coverage_rules WHERE id = ?', [id]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_COVERAGE_RULE', target_table: 'leave_coverage_rules', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Coverage rule deleted' });
+  } catch (err) {
+    console.error('deleteCoverageRule error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_COVERAGE_RULE', target_table: 'leave_coverage_rules', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete coverage rule' });
+  }
+};
@@ -0,0 +1,226 @@
+// src/controllers/leaveType.controller.js
+// Leave types and their policy (paid, half-day / short leave, attachments, weekends and
+// holidays, gender). Entitlement per grade is kept as leave_accrual_policies; accrual
+// method and carry-forward for those are set through /leave/accrual/policies.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { loadPolicies } = require('../utils/leaveAccrual');
+const { GENDERS, POLICY_FIELDS, WORK_HOURS_PER_DAY, loadLeaveType } = require('../utils/leaveTypes');
+
+const FLAG_FIELDS = ['is_paid', 'allow_half_day', 'allow_short_leave', 'count_weekends', 'count_holidays', 'is_active'];
+
+// Body -> { fields } or { error }; only the policy fields present are returned
+const readPolicy = (body) => {
+  const fields = {};
+  for (const f of POLICY_FIELDS) {
+    if (body[f] === undefined) continue;
+    fields[f] = FLAG_FIELDS.includes(f) ? (body[f] ? 1 : 0) : (body[f] === '' ? null : body[f]);
+  }
+  if (fields.code != null) fields.code = String(fields.code).trim().toUpperCase();
+  if (fields.gender_restriction != null && !GENDERS.includes(fields.gender_restriction)) {
+    return { error: `gender_restriction must be one of ${GENDERS.join(', ')}` };
+  }
+  if (fields.short_leave_max_hours != null && !(Number(fields.short_leave_max_hours) > 0 && Number(fields.short_leave_max_hours) < WORK_HOURS_PER_DAY)) {
+    return { error: `short_leave_max_hours must be between 0 and ${WORK_HOURS_PER_DAY}` };
+  }
+  if (fields.balance_enforcement != null && !['Warn', 'Block'].includes(fields.balance_enforcement)) {
+    return { error: "balance_enforcement must be 'Warn' or 'Block'" };
+  }
+  if (fields.attachment_after_days != null && !(Number(fields.attachment_after_days) >= 0)) {
+    return { error: 'attachment_after_days must be 0 or more' };
+  }
+  return { fields };
+};
+
+// entitlements: [{ grade_id (0 = every grade), annual_days }]
+const validEntitlements = (entitlements) =>
+  entitlements === undefined
+  || (Array.isArray(entitlements) && entitlements.every(e => Number(e.grade_id) >= 0 && Number(e.annual_days) >= 0)
+    && new Set(entitlements.map(e => Number(e.grade_id))).size === entitlements.length);
+
+// Replaces the type's per-grade entitlements; accrual settings of grades kept are left alone
+const saveEntitlements = async (conn, leaveTypeId, entitlements) => {
+  const grades = entitlements.map(e => Number(e.grade_id));
+  const [drop] = await conn.query(
+    `SELECT id FROM leave_accrual_policies WHERE leave_type_id = ? ${grades.length ? 'AND grade_id NOT IN (?)' : ''}`,
+    grades.length ? [leaveTypeId, grades] : [leaveTypeId]
+  );
+  if (drop.length) {
+    const ids = drop.map(p => p.id);
+    await conn.query('DELETE FROM leave_accrual_tiers WHERE policy_id IN (?)', [ids]);
+    await conn.query('DELETE FROM leave_accrual_policies WHERE id IN (?)', [ids]);
+  }
+  for (const e of entitlements) {
+    await conn.query(
+      `INSERT INTO leave_accrual_policies (leave_type_id, grade_id, annual_days) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE annual_days = VALUES(annual_days)`,
+      [leaveTypeId, Number(e.grade_id), Number(e.annual_days)]
+    );
+  }
+};
+
+const toEntitlement = (p) => ({
+  policy_id: p.id, grade_id: p.grade_id, annual_days: p.annual_days, accrual_method: p.accrual_method, tiers: p.tiers,
+});
+
+const withEntitlements = async (db, type) => ({
+  ...type,
+  entitlements: (await loadPolicies(db, [type.id])).map(toEntitlement),
+});
+
+// GET /types?include_inactive=1
+exports.listLeaveTypes = async (req, res) => {
+  try {
+    const [types] = await pool.query(
+      `SELECT * FROM leave_types ${req.query.include_inactive ? '' : 'WHERE is_active = 1'} ORDER BY name`
+    );
+    const policies = types.length ? await loadPolicies(pool, types.map(t => t.id)) : [];
+    const data = types.map(t => ({
+      ...t,
+      entitlements: policies.filter(p => p.leave_type_id === t.id).map(toEntitlement),
+    }));
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('listLeaveTypes error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LEAVE_TYPES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave types' });
+  }
+};
+
+// GET /types/:id
+exports.getLeaveType = async (req, res) => {
+  try {
+    const type = await loadLeaveType(pool, req.params.id);
+    if (!type) return res.status(404).json({ ok: false, message: 'Leave type not found' });
+    res.json({ ok: true, data: await withEntitlements(pool, type) });
+  } catch (err) {
+    console.error('getLeaveType error:', err);
+    logEvent({ level: 'error', event_type: 'GET_LEAVE_TYPE_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave type' });
+  }
+};
+
+/**
+ * POST /types
+ * { name, code?, description?, is_paid?, allow_half_day?, allow_short_leave?, short_leave_max_hours?,
+ *   attachment_after_days?, count_weekends?, count_holidays?, gender_restriction?, balance_enforcement?,
+ *   entitlements?: [{ grade_id (0 = every grade), annual_days }] }
+ * A type without entitlements is not limited by a balance.
+ */
+exports.createLeaveType = async (req, res) => {
+  const body = req.body || {};
+  if (!body.name || !String(body.name).trim()) return res.status(400).json({ ok: false, message: 'name is required' });
+  const { fields, error } = readPolicy(body);
+  if (error) return res.status(400).json({ ok: false, message: error });
+  if (!validEntitlements(body.entitlements)) {
+    return res.status(400).json({ ok: false, message: 'entitlements must be [{ grade_id >= 0, annual_days >= 0 }] with one entry per grade' });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const [[dup]] = await conn.query(
+      'SELECT id FROM leave_types WHERE name = ? OR (code IS NOT NULL AND code = ?)',
+      [String(body.name).trim(), fields.code ?? null]
+    );
+    if (dup) return res.status(409).json({ ok: false, message: 'A leave type with this name or code already exists' });
+
+    await conn.beginTransaction();
+    const [ins] = await conn.query('INSERT INTO leave_types SET ?', [{ ...fields, name: String(body.name).trim() }]);
+    if (body.entitlements) await saveEntitlements(conn, ins.insertId, body.entitlements);
+    await conn.commit();
+
+    const after = await withEntitlements(pool, await loadLeaveType(pool, ins.insertId));
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_TYPE', target_table: 'leave_types', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createLeaveType error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_LEAVE_TYPE', target_table: 'leave_types', target_id: null, after_state: body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create leave type' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /types/:id  same body as POST, all optional; entitlements, when given, replace the existing ones
+exports.updateLeaveType = async (req, res) => {
+  const id = Number(req.params.id);
+  const body = req.body || {};
+  const { fields, error } = readPolicy(body);
+  if (error) return res.status(400).json({ ok: false, message: error });
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return res.status(400).json({ ok: false, message: 'name cannot be empty' });
+    fields.name = String(body.name).trim();
+  }
+  if (!validEntitlements(body.entitlements)) {
+    return res.status(400).json({ ok: false, message: 'entitlements must be [{ grade_id >= 0, annual_days >= 0 }] with one entry per grade' });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const type = await loadLeaveType(conn, id);
+    if (!type) return res.status(404).json({ ok: false, message: 'Leave type not found' });
+    const before = await withEntitlements(conn, type);
+
+    const [[dup]] = await conn.query(
+      'SELECT id FROM leave_types WHERE id <> ? AND (name = ? OR (code IS NOT NULL AND code = ?))',
+      [id, fields.name ?? type.name, fields.code !== undefined ? fields.code : type.code]
+    );
+    if (dup) return res.status(409).json({ ok: false, message: 'A leave type with this name or code already exists' });
+
+    await conn.beginTransaction();
+    if (Object.keys(fields).length) await conn.query('UPDATE leave_types SET ? WHERE id = ?', [fields, id]);
+    if (body.entitlements) await saveEntitlements(conn, id, body.entitlements);
+    await conn.commit();
+
+    const after = await withEntitlements(pool, await loadLeaveType(pool, id));
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'UPDATE_LEAVE_TYPE', target_table: 'leave_types', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('updateLeaveType error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_LEAVE_TYPE', target_table: 'leave_types', target_id: id, after_state: body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update leave type' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /types/:id  (types with requests or balances can only be deactivated)
+exports.deleteLeaveType = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const type = await loadLeaveType(conn, id);
+    if (!type) return res.status(404).json({ ok: false, message: 'Leave type not found' });
+
+    const [[{ used }]] = await conn.query(
+      `SELECT (SELECT COUNT(*) FROM leave_requests WHERE leave_type_id = ?)
+            + (SELECT COUNT(*) FROM leave_balances WHERE leave_type_id = ?) AS used`,
+      [id, id]
+    );
+    if (used) {
+      return res.status(409).json({ ok: false, message: 'Leave type has requests or balances; set is_active to false instead' });
+    }
+
+    await conn.beginTransaction();
+    await conn.query(
+      'DELETE t FROM leave_accrual_tiers t JOIN leave_accrual_policies p ON p.id = t.policy_id WHERE p.leave_type_id = ?',
+      [id]
+    );
+    await conn.query('DELETE FROM leave_accrual_policies WHERE leave_type_id = ?', [id]);
+    await conn.query('DELETE FROM leave_types WHERE id = ?', [id]);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_TYPE', target_table: 'leave_types', target_id: id, before_state: type, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Leave type deleted' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('deleteLeaveType error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_LEAVE_TYPE', target_table: 'leave_types', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete leave type' });
+  } finally {
+    conn.release();
+  }
+};
@@ -0,0 +1,423 @@
+// src/controllers/loan.controller.js
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { lockedPeriodMessage } = require('../utils/payrollLock');
+const { addMonths, ym, buildSchedule, loanBalances } = require('../utils/loans');
+
+const INTEREST_METHODS = ['None', 'Flat', 'Reducing'];
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// First Locked run among the given { year, month } periods, or null
+const lockedRunIn = async (db, periods) => {
+  if (!periods.length) return null;
+  const [[run]] = await db.query(
+    `SELECT id, period_year, period_month FROM payroll_runs
+      WHERE status = 'Locked' AND (period_year * 100 + period_month) IN (?)
+      ORDER BY period_year, period_month LIMIT 1`,
+    [periods.map(p => ym(p.year ?? p.period_year, p.month ?? p.period_month))]
+  );
+  return run || null;
+};
+
+const loadLoan = async (db, id, forUpdate = false) => {
+  const [[loan]] = await db.query(`SELECT * FROM employee_loans WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+  if (!loan) return null;
+  const [instalments] = await db.query(
+    'SELECT * FROM employee_loan_instalments WHERE loan_id = ? ORDER BY period_year, period_month, seq',
+    [id]
+  );
+  return { ...loan, instalments };
+};
+
+const summarize = (loan) => {
+  const open = loan.instalments.filter(i => i.status === 'Scheduled');
+  return {
+    ...loan,
+    outstanding: round2(open.reduce((a, i) => a + Number(i.amount), 0)),
+    outstanding_principal: round2(open.reduce((a, i) => a + Number(i.principal_amount), 0)),
+    recovered: round2(loan.instalments.filter(i => i.status === 'Deducted').reduce((a, i) => a + Number(i.amount), 0)),
+    remaining_instalments: open.length,
+  };
+};
+
+const insertInstalments = (conn, loanId, rows) =>
+  conn.query(
+    `INSERT INTO employee_loan_instalments
+      (loan_id, seq, period_year, period_month, principal_amount, interest_amount, amount, status, note)
+     VALUES ?`,
+    [rows.map(r => [loanId, r.seq, r.period_year, r.period_month, r.principal_amount, r.interest_amount, r.amount, r.status || 'Scheduled', r.note || null])]
+  );
+
+const validateTerms = ({ principal, interest_method = 'None', interest_rate = 0, instalment_count, start_year, start_month }) => {
+  if (!(Number(principal) > 0)) return 'principal must be greater than 0';
+  if (!INTEREST_METHODS.includes(interest_method)) return `interest_method must be one of ${INTEREST_METHODS.join(', ')}`;
+  if (isNaN(interest_rate) || Number(interest_rate) < 0) return 'interest_rate must be 0 or more';
+  if (interest_method !== 'None' && !(Number(interest_rate) > 0)) return 'interest_rate is required for an interest-bearing loan';
+  if (!Number.isInteger(Number(instalment_count)) || Number(instalment_count) < 1) return 'instalment_count must be a whole number of at least 1';
+  if (!start_year || !start_month || Number(start_month) < 1 || Number(start_month) > 12) return 'Valid start_year and start_month required';
+  return null;
+};
+
+/* ===================== READ ===================== */
+
+// GET /loans?employee_id=&status=
+exports.listLoans = async (req, res) => {
+  try {
+    const { employee_id, status } = req.query;
+    const where = [];
+    const params = [];
+    if (employee_id) { where.push('lo.employee_id = ?'); params.push(employee_id); }
+    if (status) { where.push('lo.status = ?'); params.push(status); }
+
+    const [rows] = await pool.query(
+      `SELECT lo.*, e.employee_code, e.full_name
+         FROM employee_loans lo
+         JOIN employees e ON e.id = lo.employee_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY lo.created_at DESC`,
+      params
+    );
+
+    // Balance still to be deducted from today's month on
+    const now = new Date();
+    const balances = await loanBalances(pool, rows.map(r => r.id), now.getFullYear(), now.getMonth());
+    res.json({
+      ok: true,
+      data: rows.map(r => ({ ...r, ...(balances.get(r.id) || { outstanding: 0, outstanding_principal: 0, remaining_instalments: 0 }) })),
+    });
+  } catch (err) {
+    console.error('listLoans error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_LOANS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch loans' });
+  }
+};
+
+// GET /loans/:id  (loan with its full schedule)
+exports.getLoan = async (req, res) => {
+  try {
+    const loan = await loadLoan(pool, req.params.id);
+    if (!loan) return res.status(404).json({ ok: false, message: 'Loan not found' });
+    res.json({ ok: true, data: summarize(loan) });
+  } catch (err) {
+    console.error('getLoan error:', err);
+    logEvent({ level: 'error', event_type: 'GET_LOAN_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch loan' });
+  }
+};
+
+// GET /loans/balances?employee_id=  (outstanding per employee)
+exports.getLoanBalances = async (req, res) => {
+  try {
+    const { employee_id } = req.query;
+    const [rows] = await pool.query(
+      `SELECT lo.employee_id, e.employee_code, e.full_name,
+              COUNT(DISTINCT lo.id) AS active_loans,
+              COALESCE(SUM(i.amount), 0) AS outstanding,
+              COALESCE(SUM(i.principal_amount), 0) AS outstanding_principal
+         FROM employee_loans lo
+         JOIN employees e ON e.id = lo.employee_id
+         LEFT JOIN employee_loan_instalments i ON i.loan_id = lo.id AND i.status = 'Scheduled'
+        WHERE lo.status = 'Active' ${employee_id ? 'AND lo.employee_id = ?' : ''}
+        GROUP BY lo.employee_id, e.employee_code, e.full_name
+        ORDER BY e.full_name`,
+      employee_id ? [employee_id] : []
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('getLoanBalances error:', err);
+    logEvent({ level: 'error', event_type: 'LOAN_BALANCES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch loan balances' });
+  }
+};
+
+// POST /loans/schedule-preview  (same body as create, nothing saved)
+exports.previewSchedule = async (req, res) => {
+  const error = validateTerms(req.body);
+  if (error) return res.status(400).json({ ok: false, message: error });
+  const schedule = buildSchedule(req.body);
+  res.json({
+    ok: true,
+    data: {
+      schedule,
+      total_interest: round2(schedule.reduce((a, r) => a + r.interest_amount, 0)),
+      total_repayable: round2(schedule.reduce((a, r) => a + r.amount, 0)),
+    },
+  });
+};
+
+/* ===================== CREATE / CANCEL ===================== */
+
+/**
+ * body: { employee_id, loan_type?, description?, principal, interest_method?, interest_rate?,
+ *         instalment_count, start_year, start_month }
+ */
+exports.createLoan = async (req, res) => {
+  const { employee_id, loan_type = 'Loan', description = null } = req.body;
+  if (!employee_id) return res.status(400).json({ ok: false, message: 'employee_id required' });
+  if (!['Loan', 'Advance'].includes(loan_type)) return res.status(400).json({ ok: false, message: 'loan_type must be Loan or Advance' });
+  const error = validateTerms(req.body);
+  if (error) return res.status(400).json({ ok: false, message: error });
+
+  const terms = {
+    principal: round2(req.body.principal),
+    interest_method: req.body.interest_method || 'None',
+    interest_rate: Number(req.body.interest_rate || 0),
+    instalment_count: Number(req.body.instalment_count),
+    start_year: Number(req.body.start_year),
+    start_month: Number(req.body.start_month),
+  };
+  const schedule = buildSchedule(terms);
+
+  const conn = await pool.getConnection();
+  try {
+    const locked = await lockedRunIn(conn, schedule);
+    if (locked) return res.status(409).json({ ok: false, message: lockedPeriodMessage(locked) });
+
+    await conn.beginTransaction();
+    const [ins] = await conn.query(
+      `INSERT INTO employee_loans
+        (employee_id, loan_type, description, principal, interest_method, interest_rate,
+         instalment_count, start_year, start_month, status, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Active', ?)`,
+      [employee_id, loan_type, description, terms.principal, terms.interest_method, terms.interest_rate,
+       terms.instalment_count, terms.start_year, terms.start_month, req.user?.id || null]
+    );
+    await insertInstalments(conn, ins.insertId, schedule);
+    const after = summarize(await loadLoan(conn, ins.insertId));
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'CREATE_LOAN',
+      target_table: 'employee_loans',
+      target_id: ins.insertId,
+      before_state: null,
+      after_state: after,
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createLoan error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_LOAN', target_table: 'employee_loans', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create loan' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /loans/:id  (only before anything has been recovered)
+exports.cancelLoan = async (req, res) => {
+  const { id } = req.params;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const before = await loadLoan(conn, id, true);
+    if (!before) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Loan not found' });
+    }
+    if (before.instalments.some(i => i.status === 'Deducted')) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: 'Instalments have already been deducted; settle the loan instead' });
+    }
+
+    await conn.query(`DELETE FROM employee_loan_instalments WHERE loan_id = ? AND status = 'Scheduled'`, [id]);
+    await conn.query(`UPDATE employee_loans SET status = 'Cancelled' WHERE id = ?`, [id]);
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'CANCEL_LOAN',
+      target_table: 'employee_loans',
+      target_id: id,
+      before_state: before,
+      after_state: { status: 'Cancelled' },
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, message: 'Loan cancelled' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('cancelLoan error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CANCEL_LOAN', target_table: 'employee_loans', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to cancel loan' });
+  } finally {
+    conn.release();
+  }
+};
+
+/* ===================== SCHEDULE CHANGES ===================== */
+
+/**
+ * Shared wrapper for changes to an Active loan's schedule: loads the loan under lock,
+ * runs `apply`, re-reads it and audits. `apply` returns an error { status, message }
+ * to abort, or nothing.
+ */
+const scheduleChange = (actionType, apply) => async (req, res) => {
+  const { id } = req.params;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const loan = await loadLoan(conn, id, true);
+    if (!loan) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Loan not found' });
+    }
+    if (loan.status !== 'Active') {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: `Loan is ${loan.status}` });
+    }
+
+    const failure = await apply(conn, loan, req.body || {});
+    if (failure) {
+      await conn.rollback();
+      return res.status(failure.status).json({ ok: false, message: failure.message });
+    }
+
+    const after = summarize(await loadLoan(conn, id));
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: actionType,
+      target_table: 'employee_loans',
+      target_id: id,
+      before_state: summarize(loan),
+      after_state: after,
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error(`${actionType} error:`, err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: actionType, target_table: 'employee_loans', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update loan schedule' });
+  } finally {
+    conn.release();
+  }
+};
+
+const openFrom = (loan, year, month) =>
+  loan.instalments.filter(i => i.status === 'Scheduled' && ym(i.period_year, i.period_month) >= ym(year, month));
+
+/**
+ * POST /loans/:id/skip  body: { year, month, reason? }
+ * Nothing is deducted that month; it and every later instalment move back one month.
+ */
+exports.skipInstalment = scheduleChange('SKIP_LOAN_INSTALMENT', async (conn, loan, { year, month, reason }) => {
+  if (!year || !month) return { status: 400, message: 'year and month required' };
+  const due = loan.instalments.find(i => i.status === 'Scheduled' && i.period_year === Number(year) && i.period_month === Number(month));
+  if (!due) return { status: 404, message: 'No scheduled instalment in that month' };
+
+  const moving = openFrom(loan, year, month);
+  const locked = await lockedRunIn(conn, [
+    ...moving,
+    ...moving.map(i => addMonths(i.period_year, i.period_month, 1)),
+  ]);
+  if (locked) return { status: 409, message: lockedPeriodMessage(locked) };
+
+  for (const i of moving) {
+    const next = addMonths(i.period_year, i.period_month, 1);
+    await conn.query(
+      'UPDATE employee_loan_instalments SET period_year = ?, period_month = ? WHERE id = ?',
+      [next.year, next.month, i.id]
+    );
+  }
+  await insertInstalments(conn, loan.id, [{
+    seq: due.seq, period_year: Number(year), period_month: Number(month),
+    principal_amount: 0, interest_amount: 0, amount: 0, status: 'Skipped', note: reason || 'Instalment skipped',
+  }]);
+  return null;
+});
+
+/**
+ * POST /loans/:id/reschedule  body: { instalment_count, start_year?, start_month? }
+ * Re-spreads the unpaid principal over a new number of instalments, from the next
+ * open instalment's month unless a start is given. Interest is recalculated on the
+ * balance with the loan's method and rate.
+ */
+exports.rescheduleLoan = scheduleChange('RESCHEDULE_LOAN', async (conn, loan, body) => {
+  const open = loan.instalments.filter(i => i.status === 'Scheduled');
+  if (!open.length) return { status: 409, message: 'Loan has no open instalments to reschedule' };
+
+  const count = Number(body.instalment_count);
+  if (!Number.isInteger(count) || count < 1) return { status: 400, message: 'instalment_count must be a whole number of at least 1' };
+  const startYear = Number(body.start_year || open[0].period_year);
+  const startMonth = Number(body.start_month || open[0].period_month);
+
+  const principal = round2(open.reduce((a, i) => a + Number(i.principal_amount), 0));
+  const firstSeq = Math.min(...open.map(i => i.seq));
+  const schedule = buildSchedule({
+    principal,
+    interest_method: loan.interest_method,
+    interest_rate: loan.interest_rate,
+    instalment_count: count,
+    start_year: startYear,
+    start_month: startMonth,
+    first_seq: firstSeq,
+  });
+
+  const locked = await lockedRunIn(conn, [...open, ...schedule]);
+  if (locked) return { status: 409, message: lockedPeriodMessage(locked) };
+
+  await conn.query(`DELETE FROM employee_loan_instalments WHERE loan_id = ? AND status = 'Scheduled'`, [loan.id]);
+  await insertInstalments(conn, loan.id, schedule);
+  await conn.query(
+    'UPDATE employee_loans SET instalment_count = ? WHERE id = ?',
+    [firstSeq - 1 + count, loan.id]
+  );
+  return null;
+});
+
+/**
+ * POST /loans/:id/settle  body: { method: 'Payroll' | 'Cash', year?, month?, amount? }
+ * Early settlement of the unpaid principal (future interest is waived unless an
+ * amount is given). 'Payroll' collects it as one deduction in year/month; 'Cash'
+ * closes the loan now.
+ */
+exports.settleLoan = scheduleChange('SETTLE_LOAN', async (conn, loan, { method = 'Payroll', year, month, amount }) => {
+  const open = loan.instalments.filter(i => i.status === 'Scheduled');
+  if (!open.length) return { status: 409, message: 'Loan has no open instalments' };
+  if (!['Payroll', 'Cash'].includes(method)) return { status: 400, message: 'method must be Payroll or Cash' };
+
+  const principal = round2(open.reduce((a, i) => a + Number(i.principal_amount), 0));
+  const settlement = amount != null && amount !== '' ? round2(amount) : principal;
+  if (!(settlement > 0)) return { status: 400, message: 'Settlement amount must be greater than 0' };
+
+  if (method === 'Cash') {
+    const locked = await lockedRunIn(conn, open);
+    if (locked) return { status: 409, message: lockedPeriodMessage(locked) };
+    await conn.query(
+      `UPDATE employee_loan_instalments SET status = 'Settled', note = 'Settled in cash' WHERE loan_id = ? AND status = 'Scheduled'`,
+      [loan.id]
+    );
+    await conn.query(
+      `UPDATE employee_loans SET status = 'Settled', settled_at = NOW(), settlement_amount = ? WHERE id = ?`,
+      [settlement, loan.id]
+    );
+    return null;
+  }
+
+  if (!year || !month) return { status: 400, message: 'year and month required for settlement through payroll' };
+  const locked = await lockedRunIn(conn, [...open, { year, month }]);
+  if (locked) return { status: 409, message: lockedPeriodMessage(locked) };
+
+  await conn.query(
+    `UPDATE employee_loan_instalments SET status = 'Settled', note = 'Replaced by early settlement' WHERE loan_id = ? AND status = 'Scheduled'`,
+    [loan.id]
+  );
+  await insertInstalments(conn, loan.id, [{
+    seq: Math.min(...open.map(i => i.seq)), period_year: Number(year), period_month: Number(month),
+    principal_amount: Math.min(principal, settlement), interest_amount: round2(Math.max(0, settlement - principal)), amount: settlement,
+    note: 'Early settlement',
+  }]);
+  await conn.query('UPDATE employee_loans SET settlement_amount = ? WHERE id = ?', [settlement, loan.id]);
+  return null;
+});
@@ -0,0 +1,331 @@
+// src/controllers/me.controller.js
+// Employee self-service (/api/me). Everything here is scoped to req.employeeId, which
+// requireEmployee takes from the signed-in user's link; an employee_id sent in the body or
+// query is overwritten, never trusted.
+const pool = require('../config/db');
+const dayjs = require('dayjs');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const leave = require('./leave.controller');
+const attendance = require('./attendance.controller');
+const payroll = require('./payroll.controller');
+const { genderMatches } = require('../utils/leaveTypes');
+const { chainSteps } = require('../utils/leaveApprovals');
+const { PROFILE_FIELDS, currentProfile, readProfileChanges } = require('../utils/profileChanges');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Captures what an HR handler would send, for reshaping (as payroll.generatePaySlipPDF does)
+const capture = () => {
+  const out = { statusCode: 200 };
+  out.status = (code) => { out.statusCode = code; return out; };
+  out.json = (body) => { out.body = body; return out; };
+  return out;
+};
+
+// ---------------------------------------------------------------- profile
+
+// GET /me/profile
+exports.getProfile = async (req, res) => {
+  try {
+    const [[emp]] = await pool.query(
+      `SELECT e.id, e.employee_code, e.full_name, e.first_name, e.last_name, e.calling_name, e.initials,
+              e.email, e.personal_email, e.phone, e.country_code, e.gender, e.dob, e.nic, e.marital_status,
+              e.address_permanent, e.address_temporary, e.designation, COALESCE(d.name, e.department_name) AS department_name,
+              e.branch, e.working_office, e.employment_type, e.grade, e.status, e.joining_date, e.profile_photo_path
+         FROM employees e
+         LEFT JOIN departments d ON d.id = e.department_id
+        WHERE e.id = ?`,
+      [req.employeeId]
+    );
+    const [[kin]] = await pool.query(
+      'SELECT kin_name, relationship, kin_nic, kin_dob FROM employee_kin WHERE employee_id = ? LIMIT 1',
+      [req.employeeId]
+    );
+    const [[pending]] = await pool.query(
+      `SELECT * FROM employee_profile_change_requests WHERE employee_id = ? AND status = 'Pending' LIMIT 1`,
+      [req.employeeId]
+    );
+    res.json({ ok: true, data: { ...emp, kin: kin || null, editable_fields: PROFILE_FIELDS, pending_change: pending || null } });
+  } catch (err) {
+    console.error('me.getProfile error:', err);
+    logEvent({ level: 'error', event_type: 'ME_PROFILE_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch profile' });
+  }
+};
+
+// GET /me/profile/changes
+exports.listProfileChanges = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      'SELECT * FROM employee_profile_change_requests WHERE employee_id = ? ORDER BY created_at DESC',
+      [req.employeeId]
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('me.listProfileChanges error:', err);
+    logEvent({ level: 'error', event_type: 'ME_PROFILE_CHANGES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch profile changes' });
+  }
+};
+
+/**
+ * POST /me/profile/changes
+ * { phone?, country_code?, personal_email?, address_permanent?, address_temporary?,
+ *   kin_name?, relationship?, kin_nic?, kin_dob?, reason? }  -> waits for HR approval
+ */
+exports.requestProfileChange = async (req, res) => {
+  try {
+    const current = await currentProfile(pool, req.employeeId);
+    const { changes, error } = readProfileChanges(req.body || {}, current);
+    if (error) return res.status(400).json({ ok: false, message: error });
+
+    const [[pending]] = await pool.query(
+      `SELECT id FROM employee_profile_change_requests WHERE employee_id = ? AND status = 'Pending' LIMIT 1`,
+      [req.employeeId]
+    );
+    if (pending) {
+      return res.status(409).json({ ok: false, message: 'A profile change is already waiting for HR; cancel it to send a new one' });
+    }
+
+    const previous = Object.fromEntries(Object.keys(changes).map(f => [f, current[f] ?? null]));
+    const [ins] = await pool.query(
+      `INSERT INTO employee_profile_change_requests (employee_id, changes, previous, reason, requested_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [req.employeeId, JSON.stringify(changes), JSON.stringify(previous), req.body.reason || null, req.user.id]
+    );
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'REQUEST_PROFILE_CHANGE', target_table: 'employee_profile_change_requests', target_id: ins.insertId, before_state: previous, after_state: changes, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, message: 'Profile change sent to HR for approval', data: { id: ins.insertId, changes, previous } });
+  } catch (err) {
+    console.error('me.requestProfileChange error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'REQUEST_PROFILE_CHANGE', target_table: 'employee_profile_change_requests', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to request profile change' });
+  }
+};
+
+// DELETE /me/profile/changes/:id  (pending only)
+exports.cancelProfileChange = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [r] = await pool.query(
+      `UPDATE employee_profile_change_requests SET status = 'Cancelled'
+        WHERE id = ? AND employee_id = ? AND status = 'Pending'`,
+      [id, req.employeeId]
+    );
+    if (!r.affectedRows) return res.status(404).json({ ok: false, message: 'No pending profile change with this id' });
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'CANCEL_PROFILE_CHANGE', target_table: 'employee_profile_change_requests', target_id: id, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Profile change cancelled' });
+  } catch (err) {
+    console.error('me.cancelProfileChange error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CANCEL_PROFILE_CHANGE', target_table: 'employee_profile_change_requests', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to cancel profile change' });
+  }
+};
+
+// ---------------------------------------------------------------- payslips
+
+// GET /me/payslips  months with a locked payroll run that paid the employee
+exports.listPayslips = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT r.id AS payroll_run_id, r.period_year AS year, r.period_month AS month, r.locked_at,
+              SUM(CASE WHEN l.line_type = 'Earning' THEN l.amount ELSE 0 END) AS gross,
+              SUM(CASE WHEN l.line_type = 'Deduction' THEN l.amount ELSE 0 END) AS total_deductions
+         FROM payroll_runs r
+         JOIN payroll_run_lines l ON l.run_id = r.id AND l.employee_id = ?
+        WHERE r.status = 'Locked'
+        GROUP BY r.id, r.period_year, r.period_month, r.locked_at
+        ORDER BY r.period_year DESC, r.period_month DESC`,
+      [req.employeeId]
+    );
+    res.json({
+      ok: true,
+      data: rows.map(r => ({ ...r, net: Math.round((Number(r.gross) - Number(r.total_deductions)) * 100) / 100 })),
+    });
+  } catch (err) {
+    console.error('me.listPayslips error:', err);
+    logEvent({ level: 'error', event_type: 'ME_PAYSLIPS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch payslips' });
+  }
+};
+
+// GET /me/payslips/:year/:month/pdf  (locked months only)
+exports.downloadPayslip = async (req, res) => {
+  const year = Number(req.params.year);
+  const month = Number(req.params.month);
+  try {
+    const [[run]] = await pool.query(
+      `SELECT r.id FROM payroll_runs r
+        WHERE r.period_year = ? AND r.period_month = ? AND r.status = 'Locked'
+          AND EXISTS (SELECT 1 FROM payroll_run_lines l WHERE l.run_id = r.id AND l.employee_id = ?)`,
+      [year, month, req.employeeId]
+    );
+    if (!run) return res.status(404).json({ ok: false, message: 'No payslip for this month' });
+    await payroll.sendPayslipPdf(req, res, { employee_id: req.employeeId, month, year });
+  } catch (err) {
+    console.error('me.downloadPayslip error:', err);
+    logEvent({ level: 'error', event_type: 'ME_PAYSLIP_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to generate payslip' });
+  }
+};
+
+// ---------------------------------------------------------------- leave
+
+// GET /me/leave/types  active types open to the employee
+exports.listLeaveTypes = async (req, res) => {
+  try {
+    const [[emp]] = await pool.query('SELECT gender FROM employees WHERE id = ?', [req.employeeId]);
+    const [types] = await pool.query(
+      `SELECT id, code, name, description, is_paid, allow_half_day, allow_short_leave, short_leave_max_hours,
+              attachment_after_days, gender_restriction
+         FROM leave_types WHERE is_active = 1 ORDER BY name`
+    );
+    res.json({ ok: true, data: types.filter(t => genderMatches(t.gender_restriction, emp?.gender)) });
+  } catch (err) {
+    console.error('me.listLeaveTypes error:', err);
+    logEvent({ level: 'error', event_type: 'ME_LEAVE_TYPES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave types' });
+  }
+};
+
+// GET /me/leave/balances?year=
+exports.leaveBalances = async (req, res) => {
+  const out = capture();
+  await leave.employeeBalances({ query: { employee_id: req.employeeId, year: req.query.year }, user: req.user }, out);
+  if (!out.body?.ok) return res.status(out.statusCode).json(out.body);
+  const mine = out.body.data[0];
+  res.json({ ok: true, year: out.body.year, data: mine ? mine.balances : [] });
+};
+
+// GET /me/leave/requests?status=&year=
+exports.listLeaveRequests = async (req, res) => {
+  try {
+    const where = ['lr.employee_id = ?'];
+    const params = [req.employeeId];
+    if (req.query.status) { where.push('lr.status = ?'); params.push(req.query.status); }
+    if (req.query.year) { where.push('YEAR(lr.start_date) = ?'); params.push(Number(req.query.year)); }
+    const [rows] = await pool.query(
+      `SELECT lr.*, lt.name AS leave_type
+         FROM leave_requests lr
+         JOIN leave_types lt ON lt.id = lr.leave_type_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY lr.start_date DESC, lr.id DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('me.listLeaveRequests error:', err);
+    logEvent({ level: 'error', event_type: 'ME_LEAVE_REQUESTS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave requests' });
+  }
+};
+
+// GET /me/leave/requests/:id  with its approval steps and decisions
+exports.getLeaveRequest = async (req, res) => {
+  try {
+    const [[lr]] = await pool.query(
+      `SELECT lr.*, lt.name AS leave_type
+         FROM leave_requests lr
+         JOIN leave_types lt ON lt.id = lr.leave_type_id
+        WHERE lr.id = ? AND lr.employee_id = ?`,
+      [Number(req.params.id), req.employeeId]
+    );
+    if (!lr) return res.status(404).json({ ok: false, message: 'Request not found' });
+    const [decisions] = await pool.query(
+      `SELECT d.step_no, d.approver_type, d.action, d.note, d.decided_at, u.name AS decided_by_name
+         FROM leave_request_decisions d
+         LEFT JOIN users u ON u.id = d.decided_by
+        WHERE d.leave_request_id = ?
+        ORDER BY d.decided_at, d.id`,
+      [lr.id]
+    );
+    const steps = (await chainSteps(pool, lr.chain_id)).map(s => ({ step_no: s.step_no, approver_type: s.approver_type }));
+    res.json({ ok: true, data: { ...lr, steps, decisions } });
+  } catch (err) {
+    console.error('me.getLeaveRequest error:', err);
+    logEvent({ level: 'error', event_type: 'ME_LEAVE_REQUEST_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch leave request' });
+  }
+};
+
+// POST /me/leave/requests  same body as POST /leaves/requests, for the employee themself
+exports.createLeaveRequest = (req, res) => {
+  req.body = { ...(req.body || {}), employee_id: req.employeeId };
+  return leave.createRequest(req, res);
+};
+
+// POST /me/leave/requests/preview
+exports.previewLeaveRequest = (req, res) => {
+  req.body = { ...(req.body || {}), employee_id: req.employeeId };
+  return leave.previewRequest(req, res);
+};
+
+// POST /me/leave/requests/:id/cancel  pending requests, or approved leave that has not started
+exports.cancelLeaveRequest = async (req, res) => {
+  try {
+    const [[lr]] = await pool.query(
+      `SELECT id, status, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date
+         FROM leave_requests WHERE id = ? AND employee_id = ?`,
+      [Number(req.params.id), req.employeeId]
+    );
+    if (!lr) return res.status(404).json({ ok: false, message: 'Request not found' });
+    if (lr.status === 'APPROVED' && lr.start_date <= dayjs().format('YYYY-MM-DD')) {
+      return res.status(409).json({ ok: false, message: 'Leave that has already started can only be cancelled by HR' });
+    }
+  } catch (err) {
+    console.error('me.cancelLeaveRequest error:', err);
+    return res.status(500).json({ ok: false, message: 'Failed to cancel leave request' });
+  }
+  return leave.cancelRequest(req, res);
+};
+
+// ---------------------------------------------------------------- attendance
+
+// GET /me/attendance?from=&to=  (default: this month)
+exports.listAttendance = async (req, res) => {
+  const from = DATE_RE.test(req.query.from || '') ? req.query.from : dayjs().startOf('month').format('YYYY-MM-DD');
+  const to = DATE_RE.test(req.query.to || '') ? req.query.to : dayjs().endOf('month').format('YYYY-MM-DD');
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, check_in_time, check_out_time, total_hours, status,
+              late_minutes, early_leave_minutes, is_adjusted, notes
+         FROM attendance_records
+        WHERE employee_id = ? AND date BETWEEN ? AND ?
+        ORDER BY date`,
+      [req.employeeId, from, to]
+    );
+    res.json({ ok: true, from, to, data: rows });
+  } catch (err) {
+    console.error('me.listAttendance error:', err);
+    logEvent({ level: 'error', event_type: 'ME_ATTENDANCE_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch attendance' });
+  }
+};
+
+// GET /me/attendance/adjustments
+exports.listAdjustments = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, DATE_FORMAT(adjustment_date, '%Y-%m-%d') AS adjustment_date, adjustment_type, adjusted_time,
+              reason, status, current_level, decision_note, created_at
+         FROM attendance_adjustments
+        WHERE employee_id = ?
+        ORDER BY created_at DESC`,
+      [req.employeeId]
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('me.listAdjustments error:', err);
+    logEvent({ level: 'error', event_type: 'ME_ADJUSTMENTS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch attendance corrections' });
+  }
+};
+
+// POST /me/attendance/adjustments  { adjustment_date, adjustment_type, adjusted_time?, reason }
+exports.requestAdjustment = (req, res) => {
+  if (req.body?.adjustment_date > dayjs().format('YYYY-MM-DD')) {
+    return res.status(400).json({ ok: false, message: 'Corrections can only be asked for past days or today' });
+  }
+  req.body = { ...(req.body || {}), employee_id: req.employeeId };
+  return attendance.createAdjustment(req, res);
+};
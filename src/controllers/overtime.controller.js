@@ -0,0 +1,235 @@
+// src/controllers/overtime.controller.js
+// OT generated from attendance: computed per month, stored as Pending
+// overtime_adjustments, and only paid by payroll once HR approves them.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { findAffectedLockedRun, lockedPeriodMessage, spans } = require('../utils/payrollLock');
+const { computeAttendanceOvertime } = require('../utils/overtime');
+
+const monthStart = (year, month) => `${year}-${String(month).padStart(2, '0')}-01`;
+
+// Active employees for { grade_id?, department_id?, employee_ids? }
+const scopedEmployeeIds = async (db, { grade_id, department_id, employee_ids }) => {
+  const where = [`status = 'Active'`];
+  const params = [];
+  if (grade_id) { where.push('grade_id = ?'); params.push(grade_id); }
+  if (department_id) { where.push('department_id = ?'); params.push(department_id); }
+  if (Array.isArray(employee_ids) && employee_ids.length) { where.push('id IN (?)'); params.push(employee_ids.map(Number)); }
+  const [rows] = await db.query(`SELECT id FROM employees WHERE ${where.join(' AND ')}`, params);
+  return rows.map(r => r.id);
+};
+
+const validPeriod = (year, month) => Number(year) > 2000 && Number(month) >= 1 && Number(month) <= 12;
+
+// GET /overtime/attendance/preview?year=&month=&grade_id=&department_id=
+exports.previewAttendanceOvertime = async (req, res) => {
+  try {
+    const { year, month } = req.query;
+    if (!validPeriod(year, month)) return res.status(400).json({ ok: false, message: 'Valid year and month required' });
+
+    const ids = await scopedEmployeeIds(pool, req.query);
+    const results = await computeAttendanceOvertime(pool, { year: Number(year), month: Number(month), employeeIds: ids });
+    res.json({ ok: true, data: results });
+  } catch (err) {
+    console.error('previewAttendanceOvertime error:', err);
+    logEvent({ level: 'error', event_type: 'PREVIEW_ATTENDANCE_OT_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to compute overtime' });
+  }
+};
+
+/**
+ * POST /overtime/attendance/generate  { year, month, grade_id?, department_id?, employee_ids? }
+ * Replaces the month's Pending attendance OT for the employees in scope with a fresh
+ * computation (one adjustment per day type). Employees whose attendance OT for the
+ * month is already approved are left alone.
+ */
+exports.generateAttendanceOvertime = async (req, res) => {
+  const { year, month } = req.body || {};
+  if (!validPeriod(year, month)) return res.status(400).json({ ok: false, message: 'Valid year and month required' });
+  const otDate = monthStart(year, month);
+
+  const conn = await pool.getConnection();
+  try {
+    const locked = await findAffectedLockedRun(conn, { after: { ot_date: otDate }, span: spans.overtime_adjustments });
+    if (locked) return res.status(409).json({ ok: false, message: lockedPeriodMessage(locked), run_id: locked.id });
+
+    await conn.beginTransaction();
+    const ids = await scopedEmployeeIds(conn, req.body);
+    const [decided] = ids.length
+      ? await conn.query(
+          `SELECT DISTINCT employee_id FROM overtime_adjustments
+            WHERE source = 'Attendance' AND ot_date = ? AND status <> 'Pending' AND employee_id IN (?)`,
+          [otDate, ids]
+        )
+      : [[]];
+    const done = new Set(decided.map(d => d.employee_id));
+    const todo = ids.filter(id => !done.has(id));
+
+    if (todo.length) {
+      await conn.query(
+        `DELETE d FROM overtime_adjustment_days d
+           JOIN overtime_adjustments oa ON oa.adjustment_id = d.adjustment_id
+          WHERE oa.source = 'Attendance' AND oa.status = 'Pending' AND oa.ot_date = ? AND oa.employee_id IN (?)`,
+        [otDate, todo]
+      );
+      await conn.query(
+        `DELETE FROM overtime_adjustments
+          WHERE source = 'Attendance' AND status = 'Pending' AND ot_date = ? AND employee_id IN (?)`,
+        [otDate, todo]
+      );
+    }
+
+    const results = await computeAttendanceOvertime(conn, { year: Number(year), month: Number(month), employeeIds: todo });
+    let created = 0;
+    for (const r of results) {
+      for (const b of r.buckets) {
+        const [ins] = await conn.query(
+          `INSERT INTO overtime_adjustments
+            (employee_id, grade_id, ot_hours, ot_rate, ot_multiplier, adjustment_reason, source, day_type, ot_date, status)
+           VALUES (?, ?, ?, ?, ?, ?, 'Attendance', ?, ?, 'Pending')`,
+          [r.employee_id, r.grade_id || null, b.ot_hours, b.ot_rate, b.ot_multiplier,
+           `${b.day_type} OT from attendance ${otDate.slice(0, 7)}`, b.day_type, otDate]
+        );
+        b.adjustment_id = ins.insertId;
+        created++;
+
+        const days = r.days.filter(d => d.day_type === b.day_type);
+        await conn.query(
+          `INSERT INTO overtime_adjustment_days
+            (adjustment_id, attendance_record_id, work_date, check_in_time, check_out_time, ot_minutes)
+           VALUES ?`,
+          [days.map(d => [ins.insertId, d.attendance_record_id, d.work_date, d.check_in_time, d.check_out_time, d.ot_minutes])]
+        );
+      }
+    }
+    await conn.commit();
+
+    const summary = {
+      period: otDate.slice(0, 7),
+      employees: results.length,
+      adjustments_created: created,
+      total_hours: Math.round(results.reduce((a, r) => a + r.total_hours, 0) * 100) / 100,
+      skipped: [
+        ...[...done].map(id => ({ employee_id: id, reason: 'Attendance OT already decided for this month' })),
+        ...results.filter(r => r.skipped).map(r => ({ employee_id: r.employee_id, reason: r.skipped })),
+      ],
+    };
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'GENERATE_ATTENDANCE_OT',
+      target_table: 'overtime_adjustments',
+      target_id: null,
+      after_state: { ...summary, skipped: summary.skipped.length },
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(201).json({ ok: true, data: { ...summary, results } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('generateAttendanceOvertime error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'GENERATE_ATTENDANCE_OT', target_table: 'overtime_adjustments', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to generate overtime' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /overtime/approvals?status=Pending&year=&month=&employee_id=
+exports.listOvertimeApprovals = async (req, res) => {
+  try {
+    const { status = 'Pending', year, month, employee_id } = req.query;
+    const where = [`oa.source = 'Attendance'`, 'oa.status = ?'];
+    const params = [status];
+    if (year && month) { where.push('oa.ot_date = ?'); params.push(monthStart(year, month)); }
+    if (employee_id) { where.push('oa.employee_id = ?'); params.push(employee_id); }
+
+    const [rows] = await pool.query(
+      `SELECT oa.adjustment_id, oa.employee_id, e.employee_code, e.full_name, oa.grade_id, g.grade_name,
+              oa.day_type, oa.ot_date, oa.ot_hours, oa.ot_rate, oa.ot_multiplier, oa.status,
+              oa.approved_by, u.name AS approved_by_name, oa.approved_at, oa.decision_note, oa.created_at
+         FROM overtime_adjustments oa
+         JOIN employees e ON e.id = oa.employee_id
+         LEFT JOIN grades g ON g.grade_id = oa.grade_id
+         LEFT JOIN users u ON u.id = oa.approved_by
+        WHERE ${where.join(' AND ')}
+        ORDER BY oa.ot_date DESC, e.full_name, oa.day_type`,
+      params
+    );
+
+    const ids = rows.map(r => r.adjustment_id);
+    const [days] = ids.length
+      ? await pool.query('SELECT * FROM overtime_adjustment_days WHERE adjustment_id IN (?) ORDER BY work_date', [ids])
+      : [[]];
+    const data = rows.map(r => ({ ...r, days: days.filter(d => d.adjustment_id === r.adjustment_id) }));
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('listOvertimeApprovals error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_OT_APPROVALS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch overtime approvals' });
+  }
+};
+
+/**
+ * POST /overtime/approvals  { ids: [], status: 'Approved'|'Rejected', decision_note? }
+ * Only Pending rows are decided; approving into a Locked month is refused.
+ */
+exports.decideOvertime = async (req, res) => {
+  const { ids, status, decision_note = null } = req.body || {};
+  if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ ok: false, message: 'ids required' });
+  if (!['Approved', 'Rejected'].includes(status)) {
+    return res.status(400).json({ ok: false, message: "status must be 'Approved' or 'Rejected'" });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      `SELECT * FROM overtime_adjustments WHERE adjustment_id IN (?) AND status = 'Pending' FOR UPDATE`,
+      [ids.map(Number)]
+    );
+    if (!rows.length) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: 'No pending overtime among the given ids' });
+    }
+
+    if (status === 'Approved') {
+      for (const r of rows) {
+        const locked = await findAffectedLockedRun(conn, { before: r, after: { ...r, status }, span: spans.overtime_adjustments });
+        if (locked) {
+          await conn.rollback();
+          return res.status(409).json({ ok: false, message: lockedPeriodMessage(locked), run_id: locked.id });
+        }
+      }
+    }
+
+    await conn.query(
+      `UPDATE overtime_adjustments
+          SET status = ?, approved_by = ?, approved_at = NOW(), decision_note = ?
+        WHERE adjustment_id IN (?)`,
+      [status, req.user?.id || null, decision_note, rows.map(r => r.adjustment_id)]
+    );
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: status === 'Approved' ? 'APPROVE_OVERTIME' : 'REJECT_OVERTIME',
+      target_table: 'overtime_adjustments',
+      target_id: rows.length === 1 ? rows[0].adjustment_id : null,
+      before_state: rows,
+      after_state: { ids: rows.map(r => r.adjustment_id), status, decision_note },
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, message: `${rows.length} overtime entr${rows.length === 1 ? 'y' : 'ies'} ${status.toLowerCase()}`, data: { ids: rows.map(r => r.adjustment_id) } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('decideOvertime error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DECIDE_OVERTIME', target_table: 'overtime_adjustments', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to record overtime decision' });
+  } finally {
+    conn.release();
+  }
+};
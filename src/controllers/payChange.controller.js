@@ -0,0 +1,156 @@
+// src/controllers/payChange.controller.js
+// Second-person review of pay changes queued by setBasicSalary, bulk increments,
+// updateEmployee (bank details), applyCompensation and the allowance / bonus forms. The user
+// who made a change cannot approve it.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { CHANGE_TYPES, parseJson, applyPayChange } = require('../utils/payChanges');
+
+const withJson = (r) => ({
+  ...r,
+  payload: parseJson(r.payload),
+  before_state: parseJson(r.before_state),
+  after_state: parseJson(r.after_state),
+  diff: parseJson(r.diff),
+  result: parseJson(r.result),
+});
+
+const SELECT_REQUESTS = `
+  SELECT c.*, e.full_name, e.employee_code, m.name AS requested_by_name, k.name AS decided_by_name
+    FROM pay_change_requests c
+    LEFT JOIN employees e ON e.id = c.employee_id
+    LEFT JOIN users m ON m.id = c.requested_by
+    LEFT JOIN users k ON k.id = c.decided_by`;
+
+// GET /change-requests?status=Pending&change_type=&employee_id=&mine=1
+exports.listPayChanges = async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.status) { where.push('c.status = ?'); params.push(req.query.status); }
+    if (req.query.change_type) {
+      if (!CHANGE_TYPES.includes(req.query.change_type)) {
+        return res.status(400).json({ ok: false, message: `change_type must be one of ${CHANGE_TYPES.join(', ')}` });
+      }
+      where.push('c.change_type = ?');
+      params.push(req.query.change_type);
+    }
+    if (req.query.employee_id) { where.push('c.employee_id = ?'); params.push(Number(req.query.employee_id)); }
+    if (req.query.mine) { where.push('c.requested_by = ?'); params.push(req.user.id); }
+    const [rows] = await pool.query(
+      `${SELECT_REQUESTS}
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY c.status = 'Pending' DESC, c.created_at DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows.map(withJson) });
+  } catch (err) {
+    console.error('listPayChanges error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_PAY_CHANGES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch change requests' });
+  }
+};
+
+// GET /change-requests/:id
+exports.getPayChange = async (req, res) => {
+  try {
+    const [[row]] = await pool.query(`${SELECT_REQUESTS} WHERE c.id = ?`, [Number(req.params.id)]);
+    if (!row) return res.status(404).json({ ok: false, message: 'Change request not found' });
+    res.json({ ok: true, data: withJson(row) });
+  } catch (err) {
+    console.error('getPayChange error:', err);
+    logEvent({ level: 'error', event_type: 'GET_PAY_CHANGE_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch change request' });
+  }
+};
+
+/**
+ * POST /change-requests/:id/decide  { status: 'Approved' | 'Rejected', decision_note? }
+ * Approving writes the change in the same transaction; if the salary or bank details moved on
+ * since the request was made, or the month was locked meanwhile, it stays Pending (409).
+ */
+exports.decidePayChange = async (req, res) => {
+  const id = Number(req.params.id);
+  const { status, decision_note = null } = req.body || {};
+  if (!['Approved', 'Rejected'].includes(status)) {
+    return res.status(400).json({ ok: false, message: "status must be 'Approved' or 'Rejected'" });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[cr]] = await conn.query('SELECT * FROM pay_change_requests WHERE id = ? FOR UPDATE', [id]);
+    if (!cr) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Change request not found' });
+    }
+    if (cr.status !== 'Pending') {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: `Change request is already ${cr.status}` });
+    }
+    if (cr.requested_by === req.user.id) {
+      await conn.rollback();
+      return res.status(403).json({ ok: false, message: 'You cannot decide a change you requested' });
+    }
+
+    let result = null;
+    if (status === 'Approved') {
+      const applied = await applyPayChange(conn, cr, req.user.id);
+      if (applied.status) {
+        await conn.rollback();
+        return res.status(applied.status).json({ ok: false, message: applied.message });
+      }
+      result = applied.result;
+    }
+    await conn.query(
+      'UPDATE pay_change_requests SET status = ?, decided_by = ?, decided_at = NOW(), decision_note = ?, result = ? WHERE id = ?',
+      [status, req.user.id, decision_note, result ? JSON.stringify(result) : null, id]
+    );
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user.id,
+      action_type: `${status === 'Approved' ? 'APPROVE' : 'REJECT'}_PAY_CHANGE`,
+      target_table: 'pay_change_requests',
+      target_id: id,
+      before_state: { change_type: cr.change_type, employee_id: cr.employee_id, requested_by: cr.requested_by, ...parseJson(cr.before_state) },
+      after_state: status === 'Approved' ? { ...parseJson(cr.after_state), result } : null,
+      req,
+      status: 'SUCCESS',
+    });
+    res.json({ ok: true, message: `Change request ${status.toLowerCase()}`, data: { id, status, result } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('decidePayChange error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DECIDE_PAY_CHANGE', target_table: 'pay_change_requests', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to decide change request' });
+  } finally {
+    conn.release();
+  }
+};
+
+// POST /change-requests/:id/cancel  (the maker withdraws a Pending request)
+exports.cancelPayChange = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[cr]] = await pool.query('SELECT id, status, requested_by, change_type, employee_id FROM pay_change_requests WHERE id = ?', [id]);
+    if (!cr) return res.status(404).json({ ok: false, message: 'Change request not found' });
+    if (cr.requested_by !== req.user.id) {
+      return res.status(403).json({ ok: false, message: 'Only the user who made the request can cancel it' });
+    }
+    const [upd] = await pool.query(
+      `UPDATE pay_change_requests SET status = 'Cancelled', decided_by = ?, decided_at = NOW() WHERE id = ? AND status = 'Pending'`,
+      [req.user.id, id]
+    );
+    if (!upd.affectedRows) return res.status(409).json({ ok: false, message: `Change request is already ${cr.status}` });
+
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'CANCEL_PAY_CHANGE', target_table: 'pay_change_requests', target_id: id, before_state: cr, after_state: { status: 'Cancelled' }, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Change request cancelled' });
+  } catch (err) {
+    console.error('cancelPayChange error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CANCEL_PAY_CHANGE', target_table: 'pay_change_requests', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to cancel change request' });
+  }
+};
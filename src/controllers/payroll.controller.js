@@ -5,77 +5,20 @@ const logEvent = require('../utils/event');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-
-/**
- * Helper to calculate gross salary components
- */
-const calculateGrossSalary = async (employee_id, year, month) => {
-  try {
-    console.log(`calculateGrossSalary for employee ${employee_id}, ${year}-${month}`);
-    
-    // Basic salary
-    const [[salary]] = await pool.query(
-      'SELECT basic_salary FROM salaries WHERE employee_id = ? ORDER BY id DESC LIMIT 1',
-      [employee_id]
-    );
-    console.log('Salary query result:', salary);
-    const basicSalary = Number(salary?.basic_salary || 0);
-    console.log('Basic salary:', basicSalary);
-
-    // Period for allowance filtering
-    const periodEnd = new Date(year, month, 0).toISOString().slice(0, 10);
-    const periodStart = `${year}-${String(month).padStart(2, '0')}-01`;
-    console.log('Period:', periodStart, 'to', periodEnd);
-
-    // Allowances
-    const [allowances] = await pool.query(
-      `SELECT COALESCE(SUM(amount), 0) as total FROM allowances 
-       WHERE employee_id = ? AND status = 'Active'
-       AND (effective_from IS NULL OR effective_from <= ?)
-       AND (effective_to IS NULL OR effective_to >= ?)`,
-      [employee_id, periodEnd, periodStart]
-    );
-    console.log('Allowances result:', allowances);
-
-    // Overtime
-    const [overtime] = await pool.query(
-      `SELECT COALESCE(SUM(ot_hours * ot_rate), 0) as total FROM overtime_adjustments
-       WHERE employee_id = ? AND MONTH(created_at) = ? AND YEAR(created_at) = ?`,
-      [employee_id, month, year]
-    );
-    console.log('Overtime result:', overtime);
-
-    // Bonuses
-    const [bonuses] = await pool.query(
-      `SELECT COALESCE(SUM(amount), 0) as total FROM bonuses
-       WHERE employee_id = ? AND MONTH(effective_date) = ? AND YEAR(effective_date) = ?`,
-      [employee_id, month, year]
-    );
-    console.log('Bonuses result:', bonuses);
-
-    const allowancesTotal = Number(allowances[0]?.total || 0);
-    const overtimeTotal = Number(overtime[0]?.total || 0);
-    const bonusTotal = Number(bonuses[0]?.total || 0);
-
-    console.log('Totals:', {
-      basic: basicSalary,
-      allowances: allowancesTotal,
-      overtime: overtimeTotal,
-      bonus: bonusTotal,
-      gross: basicSalary + allowancesTotal + overtimeTotal + bonusTotal
-    });
-
-    return {
-      basic_salary: basicSalary,
-      allowances: allowancesTotal,
-      overtime: overtimeTotal,
-      bonuses: bonusTotal,
-      gross_salary: basicSalary + allowancesTotal + overtimeTotal + bonusTotal
-    };
-  } catch (err) {
-    console.error('calculateGrossSalary error:', err);
-    throw err;
-  }
+const { calculatePayroll, calculatePayrollForEmployees } = require('../utils/payrollEngine');
+const { employeeLoanBalances } = require('../utils/loans');
+
+// engine line component -> breakdown item type used by the payslip PDF
+const BREAKDOWN_TYPES = {
+  BASIC: 'salary',
+  ALLOWANCE: 'allowance',
+  OVERTIME: 'overtime',
+  BONUS: 'bonus',
+  DEDUCTION: 'regular',
+  EPF_EMPLOYEE: 'epf',
+  TAX: 'tax',
+  LOAN: 'loan',
+  ARREARS: 'arrears',
 };
 
 /**
@@ -119,59 +62,26 @@ exports.getEmployeePayrollData = async (req, res) => {
       return res.status(404).json({ ok: false, message: 'Employee not found' });
     }
 
-    // Calculate earnings
-    console.log('Calculating earnings...');
-    const earnings = await calculateGrossSalary(employee_id, year, month);
-    console.log('Earnings:', earnings);
-    
-    // Calculate deductions
-    console.log('Calculating deductions...');
-    const deductions = await calculateDeductions(employee_id, year, month);
-    console.log('Deductions:', deductions);
-    
-    // Get ETF/EPF rates
-    console.log('Fetching ETF/EPF rates...');
-    const [[etfEpf]] = await pool.query(
-      `SELECT 
-        COALESCE(epf_contribution_rate, 8.00) as employee_epf_rate,
-        COALESCE(employer_epf_rate, 12.00) as employer_epf_rate,
-        COALESCE(etf_contribution_rate, 3.00) as employer_etf_rate
-       FROM employee_etf_epf WHERE employee_id = ?`,
-      [employee_id]
-    );
-    console.log('ETF/EPF rates:', etfEpf);
-
-    const basicSalary = earnings.basic_salary;
-    const employerEpf = (basicSalary * Number(etfEpf?.employer_epf_rate || 12.00)) / 100;
-    const employerEtf = (basicSalary * Number(etfEpf?.employer_etf_rate || 3.00)) / 100;
-    
-    // Prepare earnings breakdown
-    const earningsBreakdown = [
-      { description: 'Basic Salary', amount: earnings.basic_salary },
-      ...(earnings.allowances > 0 ? [{ description: 'Allowances', amount: earnings.allowances }] : []),
-      ...(earnings.overtime > 0 ? [{ description: 'Overtime', amount: earnings.overtime }] : []),
-      ...(earnings.bonuses > 0 ? [{ description: 'Bonuses', amount: earnings.bonuses }] : [])
-    ];
-
-    // Prepare deductions breakdown
-    const deductionsBreakdown = [
-      ...deductions.regular_deductions.map(d => ({
-        description: d.name,
-        amount: d.calculated_amount
-      })),
-      ...(deductions.epf_deduction > 0 ? [{ 
-        description: 'Employee EPF Contribution', 
-        amount: deductions.epf_deduction 
-      }] : []),
-      ...(deductions.unpaid_leave_deduction > 0 ? [{ 
-        description: 'Unpaid Leave Deduction', 
-        amount: deductions.unpaid_leave_deduction 
-      }] : [])
-    ];
-
-    const grossSalary = earnings.gross_salary;
-    const totalDeductions = deductions.total_deductions;
-    const netSalary = grossSalary - totalDeductions;
+    // Calculate payroll
+    const payroll = await calculatePayroll(employee_id, year, month);
+    const { lines, totals } = payroll;
+
+    const basicSalary = totals.basic;
+    const employerEpf = totals.employer_epf;
+    const employerEtf = totals.employer_etf;
+
+    // Itemized breakdowns straight from the engine lines
+    const earningsBreakdown = lines
+      .filter(l => l.line_type === 'Earning')
+      .map(l => ({ description: l.description, amount: l.amount }));
+
+    const deductionsBreakdown = lines
+      .filter(l => l.line_type === 'Deduction')
+      .map(l => ({ description: l.description, amount: l.amount }));
+
+    const grossSalary = totals.gross;
+    const totalDeductions = totals.total_deductions;
+    const netSalary = totals.net;
 
     const responseData = {
       ok: true,
@@ -201,7 +111,9 @@ exports.getEmployeePayrollData = async (req, res) => {
           gross_salary: grossSalary,
           total_deductions: totalDeductions,
           net_salary: netSalary
-        }
+        },
+        lines,
+        locked: payroll.locked
       }
     };
 
@@ -222,74 +134,6 @@ exports.getEmployeePayrollData = async (req, res) => {
   }
 };
 
-/**
- * Helper to calculate deductions
- */
-const calculateDeductions = async (employee_id, year, month) => {
-  try {
-    // Get basic salary for percentage-based deductions
-    const [[salary]] = await pool.query(
-      'SELECT basic_salary FROM salaries WHERE employee_id = ? ORDER BY id DESC LIMIT 1',
-      [employee_id]
-    );
-    const basicSalary = Number(salary?.basic_salary || 0);
-
-    // Regular deductions (excluding EPF)
-    const [regularDeductions] = await pool.query(
-      `SELECT 
-        name,
-        basis,
-        COALESCE(amount, 0) as fixed_amount,
-        COALESCE(percent, 0) as percent,
-        CASE 
-          WHEN basis = 'Percent' THEN (COALESCE(percent, 0) / 100) * ?
-          ELSE COALESCE(amount, 0)
-        END as calculated_amount
-       FROM deductions
-       WHERE employee_id = ? AND status = 'Active'
-       AND MONTH(effective_date) = ? AND YEAR(effective_date) = ?
-       AND name NOT LIKE '%EPF%'`,
-      [basicSalary, employee_id, month, year]
-    );
-
-    // Unpaid leave deductions (from unpaid_leaves table)
-    const [unpaidLeaves] = await pool.query(
-      `SELECT COALESCE(SUM(deduction_amount), 0) as total FROM unpaid_leaves
-       WHERE employee_id = ? AND status = 'Processed'
-       AND MONTH(updated_at) = ? AND YEAR(updated_at) = ?`,
-      [employee_id, month, year]
-    );
-
-    // EPF deduction (employee contribution)
-    const [[epfConfig]] = await pool.query(
-      'SELECT COALESCE(epf_contribution_rate, 8.00) as rate FROM employee_etf_epf WHERE employee_id = ?',
-      [employee_id]
-    );
-    const epfRate = Number(epfConfig?.rate || 8.00);
-    const epfDeduction = (basicSalary * epfRate) / 100;
-
-    // Sum all deductions
-    let totalRegular = 0;
-    regularDeductions.forEach(d => {
-      totalRegular += Number(d.calculated_amount || 0);
-    });
-
-    const unpaidLeaveTotal = Number(unpaidLeaves[0]?.total || 0);
-    const totalDeductions = totalRegular + unpaidLeaveTotal + epfDeduction;
-
-    return {
-      regular_deductions: regularDeductions,
-      regular_total: totalRegular,
-      unpaid_leave_deduction: unpaidLeaveTotal,
-      epf_deduction: epfDeduction,
-      total_deductions: totalDeductions
-    };
-  } catch (err) {
-    console.error('calculateDeductions error:', err);
-    throw err;
-  }
-};
-
 /**
  * Get employee payroll details for payslip
  */
@@ -324,74 +168,48 @@ exports.getEmployeePayrollDetails = async (req, res) => {
       return res.status(404).json({ ok: false, message: 'Employee not found' });
     }
 
-    // Calculate earnings
-    const earnings = await calculateGrossSalary(employee_id, year, month);
-
-    // Calculate deductions
-    const deductions = await calculateDeductions(employee_id, year, month);
+    const period = {
+      year,
+      month,
+      month_name: new Date(year, month - 1).toLocaleString('default', { month: 'long' })
+    };
 
-    // Get ETF/EPF employer contributions
-    const [[etfEpf]] = await pool.query(
-      `SELECT 
-        COALESCE(epf_contribution_rate, 8.00) as employee_epf_rate,
-        COALESCE(employer_epf_rate, 12.00) as employer_epf_rate,
-        COALESCE(etf_contribution_rate, 3.00) as employer_etf_rate
-       FROM employee_etf_epf WHERE employee_id = ?`,
-      [employee_id]
-    );
+    // Locked months come back from the run snapshot, others are calculated live
+    const payroll = await calculatePayroll(employee_id, year, month);
+    const { lines, totals } = payroll;
+    const loans = await employeeLoanBalances(pool, employee_id, year, month);
 
-    const basicSalary = earnings.basic_salary;
-    const employerEpf = (basicSalary * Number(etfEpf?.employer_epf_rate || 12.00)) / 100;
-    const employerEtf = (basicSalary * Number(etfEpf?.employer_etf_rate || 3.00)) / 100;
-
-    // Prepare earnings breakdown
-    const earningsBreakdown = [
-      { description: 'Basic Salary', amount: earnings.basic_salary, type: 'salary' },
-      { description: 'Allowances', amount: earnings.allowances, type: 'allowance' },
-      { description: 'Overtime', amount: earnings.overtime, type: 'overtime' },
-      { description: 'Bonuses', amount: earnings.bonuses, type: 'bonus' }
-    ].filter(item => item.amount > 0);
-
-    // Prepare deductions breakdown
-    const deductionsBreakdown = [
-      ...deductions.regular_deductions.map(d => ({
-        description: d.name,
-        amount: d.calculated_amount,
-        type: 'regular'
-      })),
-      { description: 'EPF Contribution', amount: deductions.epf_deduction, type: 'epf' },
-      { description: 'Unpaid Leave', amount: deductions.unpaid_leave_deduction, type: 'unpaid_leave' }
-    ].filter(item => item.amount > 0);
-
-    const netPay = earnings.gross_salary - deductions.total_deductions;
+    const breakdown = (type) => lines
+      .filter(l => l.line_type === type && l.amount > 0)
+      .map(l => ({ description: l.description, amount: l.amount, type: BREAKDOWN_TYPES[l.component] || 'regular' }));
 
     res.json({
       ok: true,
       data: {
         employee,
-        period: {
-          year,
-          month,
-          month_name: new Date(year, month - 1).toLocaleString('default', { month: 'long' })
-        },
+        period,
+        payroll_run_id: payroll.payroll_run_id,
+        locked: payroll.locked,
         earnings: {
-          breakdown: earningsBreakdown,
-          total: earnings.gross_salary
+          breakdown: breakdown('Earning'),
+          total: totals.gross
         },
         deductions: {
-          breakdown: deductionsBreakdown,
-          total: deductions.total_deductions
+          breakdown: breakdown('Deduction'),
+          total: totals.total_deductions
         },
         employer_contributions: {
-          epf: employerEpf,
-          etf: employerEtf
+          epf: totals.employer_epf,
+          etf: totals.employer_etf
         },
-        net_pay: netPay,
+        net_pay: totals.net,
         summary: {
-          gross_salary: earnings.gross_salary,
-          total_deductions: deductions.total_deductions,
-          net_salary: netPay
-        }
+          gross_salary: totals.gross,
+          total_deductions: totals.total_deductions,
+          net_salary: totals.net
+        },
+        loans,
+        lines
       }
     });
 
@@ -412,10 +230,11 @@ exports.getEmployeePayrollDetails = async (req, res) => {
 /**
  * Generate PDF payslip
  */
-exports.generatePaySlipPDF = async (req, res) => {
-  try {
-    const { employee_id, month, year } = req.query;
+exports.generatePaySlipPDF = (req, res) => exports.sendPayslipPdf(req, res, req.query);
 
+// Writes one employee's payslip PDF for a month (HR above; employees via /me/payslips)
+exports.sendPayslipPdf = async (req, res, { employee_id, month, year } = {}) => {
+  try {
     if (!employee_id || !month || !year) {
       return res.status(400).json({ 
         ok: false, 
@@ -516,6 +335,16 @@ exports.generatePaySlipPDF = async (req, res) => {
     doc.text(`EPF (Employer): Rs ${data.employer_contributions.epf.toFixed(2)}`);
     doc.text(`ETF: Rs ${data.employer_contributions.etf.toFixed(2)}`);
 
+    // Loan / advance balances still to be recovered after this month
+    if (data.loans.length) {
+      doc.moveDown();
+      doc.fontSize(11).text('Loan Balances:', { underline: true });
+      doc.fontSize(10);
+      data.loans.forEach(l => {
+        doc.text(`${l.description || l.loan_type}: Rs ${l.outstanding.toFixed(2)} outstanding (${l.remaining_instalments} instalment(s) left)`);
+      });
+    }
+
     // Footer
     doc.moveDown(3);
     doc.fontSize(9).text('This is a computer generated payslip. No signature required.', { align: 'center' });
@@ -565,6 +394,7 @@ exports.processSalaryTransfer = async (req, res) => {
 
     await conn.beginTransaction();
     const processed = [];
+    const payrolls = await calculatePayrollForEmployees(employee_ids, year, month, { db: conn });
 
     for (const employee_id of employee_ids) {
       // Check if already processed
@@ -578,13 +408,8 @@ exports.processSalaryTransfer = async (req, res) => {
         continue;
       }
 
-      // Calculate payroll details
-      const payrollData = await exports.getEmployeePayrollDetails(
-        { query: { employee_id, month, year }, user: req.user },
-        { json: (data) => data }
-      );
-
-      if (!payrollData.ok) {
+      const payroll = payrolls.get(Number(employee_id));
+      if (!payroll) {
         logEvent({
           level: 'warn',
           event_type: 'SALARY_TRANSFER_SKIP',
@@ -595,21 +420,22 @@ exports.processSalaryTransfer = async (req, res) => {
         continue;
       }
 
-      const data = payrollData.data;
+      const { totals } = payroll;
 
       // Insert transfer record
       const [transferResult] = await conn.query(
         `INSERT INTO payroll_transfers 
-          (employee_id, period_year, period_month, gross_salary, total_deductions, net_salary, 
+          (employee_id, period_year, period_month, gross_salary, total_deductions, tax_amount, net_salary, 
            payment_date, processed_by, status)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Completed')`,
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Completed')`,
         [
           employee_id,
           year,
           month,
-          data.summary.gross_salary,
-          data.summary.total_deductions,
-          data.summary.net_salary,
+          totals.gross,
+          totals.total_deductions,
+          totals.tax,
+          totals.net,
           payment_date || new Date().toISOString().slice(0, 10),
           user_id
         ]
@@ -618,7 +444,7 @@ exports.processSalaryTransfer = async (req, res) => {
       processed.push({
         employee_id,
         transfer_id: transferResult.insertId,
-        net_salary: data.summary.net_salary
+        net_salary: totals.net
       });
     }
 
@@ -694,30 +520,32 @@ exports.getDepartmentPayrollSummary = async (req, res) => {
     const summary = [];
     let departmentTotalGross = 0;
     let departmentTotalDeductions = 0;
+    let departmentTotalTax = 0;
     let departmentTotalNet = 0;
 
+    const payrolls = await calculatePayrollForEmployees(employees.map(e => e.employee_id), year, month);
+
     for (const emp of employees) {
-      const payrollData = await exports.getEmployeePayrollDetails(
-        { query: { employee_id: emp.employee_id, month, year }, user: req.user },
-        { json: (data) => data }
-      );
+      const payroll = payrolls.get(emp.employee_id);
 
-      if (payrollData.ok) {
-        const data = payrollData.data;
+      if (payroll) {
+        const { totals } = payroll;
         summary.push({
           employee_id: emp.employee_id,
           employee_code: emp.employee_code,
           full_name: emp.full_name,
           department: emp.department_name,
           designation: emp.designation,
-          gross_salary: data.summary.gross_salary,
-          total_deductions: data.summary.total_deductions,
-          net_salary: data.summary.net_salary
+          gross_salary: totals.gross,
+          total_deductions: totals.total_deductions,
+          tax_amount: totals.tax,
+          net_salary: totals.net
         });
 
-        departmentTotalGross += data.summary.gross_salary;
-        departmentTotalDeductions += data.summary.total_deductions;
-        departmentTotalNet += data.summary.net_salary;
+        departmentTotalGross += totals.gross;
+        departmentTotalDeductions += totals.total_deductions;
+        departmentTotalTax += totals.tax;
+        departmentTotalNet += totals.net;
       }
     }
 
@@ -729,6 +557,7 @@ exports.getDepartmentPayrollSummary = async (req, res) => {
           total_employees: summary.length,
           total_gross_salary: departmentTotalGross,
           total_deductions: departmentTotalDeductions,
+          total_tax: departmentTotalTax,
           total_net_salary: departmentTotalNet
         }
       }
@@ -913,7 +742,7 @@ exports.exportPayrollCSV = async (req, res) => {
     const totals = summary.data.totals;
 
     // Create CSV
-    const headers = ['Employee ID', 'Employee Code', 'Name', 'Department', 'Designation', 'Gross Salary', 'Total Deductions', 'Net Salary'];
+    const headers = ['Employee ID', 'Employee Code', 'Name', 'Department', 'Designation', 'Gross Salary', 'Total Deductions', 'Tax (APIT)', 'Net Salary'];
     const csvRows = [headers.join(',')];
 
     data.forEach(row => {
@@ -925,12 +754,13 @@ exports.exportPayrollCSV = async (req, res) => {
         `"${row.designation}"`,
         row.gross_salary.toFixed(2),
         row.total_deductions.toFixed(2),
+        row.tax_amount.toFixed(2),
         row.net_salary.toFixed(2)
       ].join(','));
     });
 
     // Add totals row
-    csvRows.push(['', '', '', '', 'TOTAL:', totals.total_gross_salary.toFixed(2), totals.total_deductions.toFixed(2), totals.total_net_salary.toFixed(2)].join(','));
+    csvRows.push(['', '', '', '', 'TOTAL:', totals.total_gross_salary.toFixed(2), totals.total_deductions.toFixed(2), totals.total_tax.toFixed(2), totals.total_net_salary.toFixed(2)].join(','));
 
     const csvContent = csvRows.join('\n');
 
@@ -971,13 +801,12 @@ exports.getPayrollSummary = async (req, res) => {
       'SELECT id FROM employees WHERE status = "Active"'
     );
     
-    for (const emp of employees) {
-      const earnings = await calculateGrossSalary(emp.id, currentYear, currentMonth);
-      const deductions = await calculateDeductions(emp.id, currentYear, currentMonth);
-      
-      grossTotal += earnings.gross_salary;
-      deductionsTotal += deductions.total_deductions;
-      netTotal += (earnings.gross_salary - deductions.total_deductions);
+    const ids = employees.map(e => e.id);
+    const current = await calculatePayrollForEmployees(ids, currentYear, currentMonth);
+    for (const { totals } of current.values()) {
+      grossTotal += totals.gross;
+      deductionsTotal += totals.total_deductions;
+      netTotal += totals.net;
     }
     
     // Get previous month for comparison
@@ -985,9 +814,9 @@ exports.getPayrollSummary = async (req, res) => {
     const prevYear = currentMonth === 1 ? currentYear - 1 : currentYear;
     let prevGrossTotal = 0;
     
-    for (const emp of employees) {
-      const earnings = await calculateGrossSalary(emp.id, prevYear, prevMonth);
-      prevGrossTotal += earnings.gross_salary;
+    const previous = await calculatePayrollForEmployees(ids, prevYear, prevMonth);
+    for (const { totals } of previous.values()) {
+      prevGrossTotal += totals.gross;
     }
     
     // Calculate percentage change
@@ -1099,11 +928,10 @@ exports.getPayrollTransferOverview = async (req, res) => {
     );
     
     const result = [];
+    const payrolls = await calculatePayrollForEmployees(employees.map(e => e.id), year, month);
     
     for (const emp of employees) {
-      // Calculate payroll details
-      const earnings = await calculateGrossSalary(emp.id, year, month);
-      const deductions = await calculateDeductions(emp.id, year, month);
+      const { totals } = payrolls.get(emp.id);
       
       // Check if salary has been transferred
       const [[transfer]] = await pool.query(
@@ -1111,17 +939,15 @@ exports.getPayrollTransferOverview = async (req, res) => {
         [emp.id, year, month]
       );
       
-      const netSalary = earnings.gross_salary - deductions.total_deductions;
-      
       result.push({
         id: emp.id,
         name: emp.full_name,
         employee_code: emp.employee_code,
         phone: emp.phone || 'N/A',
         department: emp.department || 'N/A',
-        gross_salary: earnings.gross_salary.toFixed(2),
-        net_salary: netSalary.toFixed(2),
-        deductions: deductions.total_deductions.toFixed(2),
+        gross_salary: totals.gross.toFixed(2),
+        net_salary: totals.net.toFixed(2),
+        deductions: totals.total_deductions.toFixed(2),
         bank_status: transfer?.status || 'Pending'
       });
     }
@@ -1160,7 +986,44 @@ exports.initiateBankTransfer = async (req, res) => {
     }
     
     await conn.beginTransaction();
+
+    // Transfers in a generated bank file are paid from that file's amounts; leave them alone
+    const [inBatch] = await conn.query(
+      `SELECT pt.employee_id, b.batch_reference
+         FROM payroll_transfers pt
+         JOIN bank_transfer_batches b ON b.id = pt.bank_batch_id AND b.status = 'Generated'
+        WHERE pt.period_year = ? AND pt.period_month = ? AND pt.employee_id IN (?)
+        FOR UPDATE`,
+      [year, month, employee_ids.map(Number)]
+    );
+    if (inBatch.length) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        message: `${inBatch.length} employee(s) are already in bank batch ${inBatch[0].batch_reference}; regenerate the batch instead`,
+        data: inBatch,
+      });
+    }
+
+    const [known] = await conn.query('SELECT id FROM employees WHERE id IN (?)', [employee_ids.map(Number)]);
+    const knownIds = new Set(known.map(e => e.id));
+    const unknown = employee_ids.filter(id => !knownIds.has(Number(id)));
+    if (unknown.length) {
+      await conn.rollback();
+      return res.status(400).json({ ok: false, message: `Unknown employee id(s): ${unknown.join(', ')}` });
+    }
+
+    // Only an approved month is paid, at the amounts frozen in its Locked run
     const processed = [];
+    const payrolls = await calculatePayrollForEmployees(employee_ids, year, month, { db: conn });
+    const notLocked = employee_ids.filter(id => !payrolls.get(Number(id))?.locked);
+    if (notLocked.length) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        message: `Payroll for ${year}-${String(month).padStart(2, '0')} is not Locked for employee id(s): ${notLocked.join(', ')}`,
+      });
+    }
     
     for (const employee_id of employee_ids) {
       // Check if already transferred
@@ -1174,28 +1037,25 @@ exports.initiateBankTransfer = async (req, res) => {
         continue;
       }
       
-      // Get payroll details
-      const earnings = await calculateGrossSalary(employee_id, year, month);
-      const deductions = await calculateDeductions(employee_id, year, month);
-      const netSalary = earnings.gross_salary - deductions.total_deductions;
+      const { totals } = payrolls.get(Number(employee_id));
       
       if (existing) {
         // Update existing transfer
         await conn.query(
           `UPDATE payroll_transfers 
-           SET gross_salary = ?, total_deductions = ?, net_salary = ?, 
+           SET gross_salary = ?, total_deductions = ?, tax_amount = ?, net_salary = ?, 
                status = 'Processing', processed_by = ?, updated_at = NOW()
            WHERE id = ?`,
-          [earnings.gross_salary, deductions.total_deductions, netSalary, user_id, existing.id]
+          [totals.gross, totals.total_deductions, totals.tax, totals.net, user_id, existing.id]
         );
       } else {
         // Insert new transfer
         await conn.query(
           `INSERT INTO payroll_transfers 
-            (employee_id, period_year, period_month, gross_salary, total_deductions, net_salary, 
+            (employee_id, period_year, period_month, gross_salary, total_deductions, tax_amount, net_salary, 
              status, processed_by, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, 'Processing', ?, NOW(), NOW())`,
-          [employee_id, year, month, earnings.gross_salary, deductions.total_deductions, netSalary, user_id]
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'Processing', ?, NOW(), NOW())`,
+          [employee_id, year, month, totals.gross, totals.total_deductions, totals.tax, totals.net, user_id]
         );
       }
       
@@ -1251,21 +1111,10 @@ exports.getPayrollSummaryOptimized = async (req, res) => {
     const currentMonth = month ? parseInt(month) : currentDate.getMonth() + 1;
     const currentYear = year ? parseInt(year) : currentDate.getFullYear();
     
-    // Get period dates for filtering
-    const periodStart = `${currentYear}-${String(currentMonth).padStart(2, '0')}-01`;
-    const periodEnd = new Date(currentYear, currentMonth, 0).toISOString().slice(0, 10);
-    
-    // Get all active employees with their basic salary in ONE query
-    const [employees] = await pool.query(`
-      SELECT 
-        e.id as employee_id,
-        e.full_name,
-        COALESCE(s.basic_salary, 0) as basic_salary
-      FROM employees e
-      LEFT JOIN salaries s ON s.employee_id = e.id 
-        AND s.id = (SELECT MAX(id) FROM salaries WHERE employee_id = e.id)
-      WHERE e.status = 'Active'
-    `);
+    // Get all active employees in ONE query
+    const [employees] = await pool.query(
+      `SELECT id as employee_id FROM employees WHERE status = 'Active'`
+    );
     
     if (employees.length === 0) {
       return res.json({
@@ -1284,158 +1133,26 @@ exports.getPayrollSummaryOptimized = async (req, res) => {
     
     const employeeIds = employees.map(e => e.employee_id);
     
-    // Bulk calculate allowances in ONE query
-    const [allowancesResult] = await pool.query(`
-      SELECT 
-        employee_id,
-        COALESCE(SUM(amount), 0) as total_allowances
-      FROM allowances
-      WHERE employee_id IN (?)
-        AND status = 'Active'
-        AND (effective_from IS NULL OR effective_from <= ?)
-        AND (effective_to IS NULL OR effective_to >= ?)
-      GROUP BY employee_id
-    `, [employeeIds, periodEnd, periodStart]);
-    
-    // Bulk calculate overtime in ONE query
-    const [overtimeResult] = await pool.query(`
-      SELECT 
-        employee_id,
-        COALESCE(SUM(ot_hours * ot_rate), 0) as total_overtime
-      FROM overtime_adjustments
-      WHERE employee_id IN (?)
-        AND YEAR(created_at) = ? 
-        AND MONTH(created_at) = ?
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    // Bulk calculate bonuses in ONE query
-    const [bonusesResult] = await pool.query(`
-      SELECT 
-        employee_id,
-        COALESCE(SUM(amount), 0) as total_bonuses
-      FROM bonuses
-      WHERE employee_id IN (?)
-        AND YEAR(effective_date) = ? 
-        AND MONTH(effective_date) = ?
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    // Bulk calculate deductions in ONE query (excluding EPF for now)
-    const [deductionsResult] = await pool.query(`
-      SELECT 
-        employee_id,
-        COALESCE(SUM(
-          CASE 
-            WHEN basis = 'Percent' AND percent IS NOT NULL 
-            THEN (percent/100) * COALESCE((SELECT basic_salary FROM salaries WHERE employee_id = d.employee_id ORDER BY id DESC LIMIT 1), 0)
-            ELSE COALESCE(amount, 0)
-          END
-        ), 0) as total_deductions
-      FROM deductions d
-      WHERE employee_id IN (?)
-        AND status = 'Active'
-        AND YEAR(effective_date) = ? 
-        AND MONTH(effective_date) = ?
-        AND name NOT LIKE '%EPF%'
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    // Bulk calculate EPF deductions in ONE query
-    const [epfResult] = await pool.query(`
-      SELECT 
-        ee.employee_id,
-        COALESCE(s.basic_salary, 0) as basic_salary,
-        COALESCE(ee.epf_contribution_rate, 8.00) as epf_rate,
-        COALESCE(ee.employer_epf_rate, 12.00) as employer_epf_rate,
-        COALESCE(ee.etf_contribution_rate, 3.00) as etf_rate
-      FROM employee_etf_epf ee
-      LEFT JOIN salaries s ON s.employee_id = ee.employee_id 
-        AND s.id = (SELECT MAX(id) FROM salaries WHERE employee_id = ee.employee_id)
-      WHERE ee.employee_id IN (?)
-    `, [employeeIds]);
-    
-    // Bulk calculate unpaid leave deductions in ONE query
-    const [unpaidLeaveResult] = await pool.query(`
-      SELECT 
-        employee_id,
-        COALESCE(SUM(deduction_amount), 0) as total_unpaid_leave
-      FROM unpaid_leaves
-      WHERE employee_id IN (?)
-        AND status = 'Processed'
-        AND YEAR(updated_at) = ? 
-        AND MONTH(updated_at) = ?
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    // Convert arrays to maps for O(1) lookups
-    const allowancesMap = {};
-    allowancesResult.forEach(item => {
-      allowancesMap[item.employee_id] = Number(item.total_allowances);
-    });
-    
-    const overtimeMap = {};
-    overtimeResult.forEach(item => {
-      overtimeMap[item.employee_id] = Number(item.total_overtime);
-    });
-    
-    const bonusesMap = {};
-    bonusesResult.forEach(item => {
-      bonusesMap[item.employee_id] = Number(item.total_bonuses);
-    });
-    
-    const deductionsMap = {};
-    deductionsResult.forEach(item => {
-      deductionsMap[item.employee_id] = Number(item.total_deductions);
-    });
-    
-    const epfMap = {};
-    epfResult.forEach(item => {
-      const basicSalary = Number(item.basic_salary || 0);
-      const epfRate = Number(item.epf_rate || 8.00);
-      epfMap[item.employee_id] = (basicSalary * epfRate) / 100;
-    });
-    
-    const unpaidLeaveMap = {};
-    unpaidLeaveResult.forEach(item => {
-      unpaidLeaveMap[item.employee_id] = Number(item.total_unpaid_leave);
-    });
-    
-    // Calculate totals in JavaScript (fast)
-    let totalGross = 0;
-    let totalDeductions = 0;
-    let totalNet = 0;
+    // Bulk calculate through the payroll engine (a handful of queries per month)
+    const sumTotals = (payrolls) => {
+      const t = { gross: 0, deductions: 0, net: 0 };
+      for (const { totals } of payrolls.values()) {
+        t.gross += totals.gross;
+        t.deductions += totals.total_deductions;
+        t.net += totals.net;
+      }
+      return t;
+    };
     
-    employees.forEach(emp => {
-      const basic = Number(emp.basic_salary || 0);
-      const allowances = allowancesMap[emp.employee_id] || 0;
-      const overtime = overtimeMap[emp.employee_id] || 0;
-      const bonuses = bonusesMap[emp.employee_id] || 0;
-      
-      const gross = basic + allowances + overtime + bonuses;
-      const regularDeductions = deductionsMap[emp.employee_id] || 0;
-      const epfDeduction = epfMap[emp.employee_id] || 0;
-      const unpaidLeave = unpaidLeaveMap[emp.employee_id] || 0;
-      
-      const totalEmployeeDeductions = regularDeductions + epfDeduction + unpaidLeave;
-      
-      totalGross += gross;
-      totalDeductions += totalEmployeeDeductions;
-      totalNet += (gross - totalEmployeeDeductions);
-    });
+    const current = sumTotals(await calculatePayrollForEmployees(employeeIds, currentYear, currentMonth));
+    const totalGross = current.gross;
+    const totalDeductions = current.deductions;
+    const totalNet = current.net;
     
-    // Get previous month totals (using same optimized approach)
+    // Previous month for comparison
     const prevMonth = currentMonth === 1 ? 12 : currentMonth - 1;
     const prevYear = currentMonth === 1 ? currentYear - 1 : currentYear;
-    
-    const [prevOvertime] = await pool.query(`
-      SELECT COALESCE(SUM(ot_hours * ot_rate), 0) as total_overtime
-      FROM overtime_adjustments
-      WHERE YEAR(created_at) = ? AND MONTH(created_at) = ?
-    `, [prevYear, prevMonth]);
-    
-    const prevGross = totalGross - (overtimeResult.reduce((sum, item) => sum + item.total_overtime, 0)) 
-      + (prevOvertime[0]?.total_overtime || 0);
+    const prevGross = sumTotals(await calculatePayrollForEmployees(employeeIds, prevYear, prevMonth)).gross;
     
     const grossChange = prevGross > 0 ? 
       ((totalGross - prevGross) / prevGross * 100).toFixed(1) : 0;
@@ -1474,9 +1191,6 @@ exports.getPayrollTransferOverviewOptimized = async (req, res) => {
     const currentYear = parseInt(year);
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
-    const periodStart = `${currentYear}-${String(currentMonth).padStart(2, '0')}-01`;
-    const periodEnd = new Date(currentYear, currentMonth, 0).toISOString().slice(0, 10);
-    
     // Get total count
     const [[totalCount]] = await pool.query(
       'SELECT COUNT(*) as count FROM employees WHERE status = "Active"'
@@ -1489,12 +1203,9 @@ exports.getPayrollTransferOverviewOptimized = async (req, res) => {
         e.employee_code,
         e.full_name,
         e.phone,
-        d.name as department,
-        COALESCE(s.basic_salary, 0) as basic_salary
+        d.name as department
       FROM employees e
       LEFT JOIN departments d ON d.id = e.department_id
-      LEFT JOIN salaries s ON s.employee_id = e.id 
-        AND s.id = (SELECT MAX(id) FROM salaries WHERE employee_id = e.id)
       WHERE e.status = 'Active'
       ORDER BY e.full_name
       LIMIT ? OFFSET ?
@@ -1515,72 +1226,8 @@ exports.getPayrollTransferOverviewOptimized = async (req, res) => {
     
     const employeeIds = employees.map(e => e.employee_id);
     
-    // Bulk fetch all required data
-    const [allowances] = await pool.query(`
-      SELECT employee_id, COALESCE(SUM(amount), 0) as total
-      FROM allowances 
-      WHERE employee_id IN (?)
-        AND status = 'Active'
-        AND (effective_from IS NULL OR effective_from <= ?)
-        AND (effective_to IS NULL OR effective_to >= ?)
-      GROUP BY employee_id
-    `, [employeeIds, periodEnd, periodStart]);
-    
-    const [overtime] = await pool.query(`
-      SELECT employee_id, COALESCE(SUM(ot_hours * ot_rate), 0) as total
-      FROM overtime_adjustments
-      WHERE employee_id IN (?) 
-        AND YEAR(created_at) = ? 
-        AND MONTH(created_at) = ?
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    const [bonuses] = await pool.query(`
-      SELECT employee_id, COALESCE(SUM(amount), 0) as total
-      FROM bonuses
-      WHERE employee_id IN (?) 
-        AND YEAR(effective_date) = ? 
-        AND MONTH(effective_date) = ?
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    const [deductions] = await pool.query(`
-      SELECT employee_id, COALESCE(SUM(
-        CASE 
-          WHEN basis = 'Percent' AND percent IS NOT NULL 
-          THEN (percent/100) * COALESCE((SELECT basic_salary FROM salaries WHERE employee_id = d.employee_id ORDER BY id DESC LIMIT 1), 0)
-          ELSE COALESCE(amount, 0)
-        END
-      ), 0) as total
-      FROM deductions d
-      WHERE employee_id IN (?)
-        AND status = 'Active'
-        AND YEAR(effective_date) = ? 
-        AND MONTH(effective_date) = ?
-        AND name NOT LIKE '%EPF%'
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
-    
-    const [epfData] = await pool.query(`
-      SELECT 
-        ee.employee_id,
-        COALESCE(s.basic_salary, 0) as basic_salary,
-        COALESCE(ee.epf_contribution_rate, 8.00) as epf_rate
-      FROM employee_etf_epf ee
-      LEFT JOIN salaries s ON s.employee_id = ee.employee_id 
-        AND s.id = (SELECT MAX(id) FROM salaries WHERE employee_id = ee.employee_id)
-      WHERE ee.employee_id IN (?)
-    `, [employeeIds]);
-    
-    const [unpaidLeaves] = await pool.query(`
-      SELECT employee_id, COALESCE(SUM(deduction_amount), 0) as total
-      FROM unpaid_leaves
-      WHERE employee_id IN (?) 
-        AND status = 'Processed'
-        AND YEAR(updated_at) = ? 
-        AND MONTH(updated_at) = ?
-      GROUP BY employee_id
-    `, [employeeIds, currentYear, currentMonth]);
+    // Bulk calculate through the payroll engine
+    const payrolls = await calculatePayrollForEmployees(employeeIds, currentYear, currentMonth);
     
     const [transfers] = await pool.query(`
       SELECT employee_id, status 
@@ -1590,28 +1237,6 @@ exports.getPayrollTransferOverviewOptimized = async (req, res) => {
         AND period_month = ?
     `, [employeeIds, currentYear, currentMonth]);
     
-    // Create lookup maps
-    const createMap = (arr, keyField, valueField) => {
-      const map = {};
-      arr.forEach(item => {
-        map[item[keyField]] = Number(item[valueField] || 0);
-      });
-      return map;
-    };
-    
-    const allowancesMap = createMap(allowances, 'employee_id', 'total');
-    const overtimeMap = createMap(overtime, 'employee_id', 'total');
-    const bonusesMap = createMap(bonuses, 'employee_id', 'total');
-    const deductionsMap = createMap(deductions, 'employee_id', 'total');
-    const unpaidLeaveMap = createMap(unpaidLeaves, 'employee_id', 'total');
-    
-    const epfMap = {};
-    epfData.forEach(item => {
-      const basicSalary = Number(item.basic_salary || 0);
-      const epfRate = Number(item.epf_rate || 8.00);
-      epfMap[item.employee_id] = (basicSalary * epfRate) / 100;
-    });
-    
     const transferStatusMap = {};
     transfers.forEach(item => {
       transferStatusMap[item.employee_id] = item.status;
@@ -1619,18 +1244,7 @@ exports.getPayrollTransferOverviewOptimized = async (req, res) => {
     
     // Build result array
     const result = employees.map(emp => {
-      const basic = Number(emp.basic_salary || 0);
-      const allowances = allowancesMap[emp.employee_id] || 0;
-      const overtime = overtimeMap[emp.employee_id] || 0;
-      const bonuses = bonusesMap[emp.employee_id] || 0;
-      
-      const gross = basic + allowances + overtime + bonuses;
-      const regularDeductions = deductionsMap[emp.employee_id] || 0;
-      const epfDeduction = epfMap[emp.employee_id] || 0;
-      const unpaidLeave = unpaidLeaveMap[emp.employee_id] || 0;
-      
-      const totalDeductions = regularDeductions + epfDeduction + unpaidLeave;
-      const netSalary = gross - totalDeductions;
+      const { totals } = payrolls.get(emp.employee_id);
       
       return {
         id: emp.employee_id,
@@ -1638,9 +1252,9 @@ exports.getPayrollTransferOverviewOptimized = async (req, res) => {
         employee_code: emp.employee_code,
         phone: emp.phone || 'N/A',
         department: emp.department || 'N/A',
-        gross_salary: gross.toFixed(2),
-        net_salary: netSalary.toFixed(2),
-        deductions: totalDeductions.toFixed(2),
+        gross_salary: totals.gross.toFixed(2),
+        net_salary: totals.net.toFixed(2),
+        deductions: totals.total_deductions.toFixed(2),
         bank_status: transferStatusMap[emp.employee_id] || 'Pending'
       };
     });
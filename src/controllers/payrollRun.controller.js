@@ -0,0 +1,271 @@
+// src/controllers/payrollRun.controller.js
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { calculatePayrollForEmployees, summarizeLines } = require('../utils/payrollEngine');
+const { markInstalmentsDeducted } = require('../utils/loans');
+const { markArrearsPaid } = require('../utils/arrears');
+
+// Allowed lifecycle moves: action -> { from, to, by/at columns }
+const TRANSITIONS = {
+  review:  { from: ['Draft'],               to: 'Reviewed', byCol: 'reviewed_by', atCol: 'reviewed_at' },
+  approve: { from: ['Reviewed'],            to: 'Approved', byCol: 'approved_by', atCol: 'approved_at' },
+  lock:    { from: ['Approved'],            to: 'Locked',   byCol: 'locked_by',   atCol: 'locked_at' },
+  reopen:  { from: ['Reviewed', 'Approved'], to: 'Draft',   byCol: null,          atCol: null },
+};
+
+const periodLabel = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+/**
+ * Calculate (or recalculate) the Draft run for a month.
+ * body: { month, year, notes? }
+ */
+exports.calculateRun = async (req, res) => {
+  const month = Number(req.body.month);
+  const year = Number(req.body.year);
+  if (!month || !year) return res.status(400).json({ ok: false, message: 'month, year required' });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[existing]] = await conn.query(
+      'SELECT * FROM payroll_runs WHERE period_year = ? AND period_month = ? FOR UPDATE',
+      [year, month]
+    );
+    if (existing && existing.status !== 'Draft') {
+      await conn.rollback();
+      const hint = existing.status === 'Locked' ? 'it can no longer be recalculated' : 'reopen it before recalculating';
+      return res.status(409).json({ ok: false, message: `Payroll run for ${periodLabel(year, month)} is ${existing.status}; ${hint}` });
+    }
+
+    let runId = existing?.id;
+    if (!runId) {
+      const [ins] = await conn.query(
+        `INSERT INTO payroll_runs (period_year, period_month, status, notes, created_by)
+         VALUES (?, ?, 'Draft', ?, ?)`,
+        [year, month, req.body.notes || null, req.user?.id || null]
+      );
+      runId = ins.insertId;
+    }
+
+    // A Draft is always rebuilt from scratch, so re-running never duplicates rows
+    await conn.query('DELETE FROM payroll_run_lines WHERE run_id = ?', [runId]);
+    await conn.query('DELETE FROM payroll_cycles WHERE period_year = ? AND period_month = ?', [year, month]);
+
+    const [emps] = await conn.query(`SELECT id FROM employees WHERE status = 'Active' ORDER BY id`);
+
+    const results = await calculatePayrollForEmployees(emps.map(e => e.id), year, month, { db: conn, live: true });
+
+    let totalGross = 0, totalDeductions = 0, totalNet = 0;
+    for (const e of emps) {
+      const { lines, totals: t } = results.get(e.id);
+
+      await conn.query(
+        `INSERT INTO payroll_cycles (employee_id, period_month, period_year, gross_earnings, total_deductions, net_salary, generated_at, payroll_run_id)
+         VALUES (?,?,?,?,?,?, NOW(), ?)`,
+        [e.id, month, year, t.gross, t.total_deductions, t.net, runId]
+      );
+
+      if (lines.length) {
+        await conn.query(
+          `INSERT INTO payroll_run_lines (run_id, employee_id, line_type, component, description, amount, source_table, source_id, formula, tax_class)
+           VALUES ?`,
+          [lines.map(l => [runId, e.id, l.line_type, l.component, String(l.description).slice(0, 255), l.amount, l.source_table, l.source_id, l.formula, l.tax_class])]
+        );
+      }
+
+      totalGross += t.gross;
+      totalDeductions += t.total_deductions;
+      totalNet += t.net;
+    }
+
+    await conn.query(
+      `UPDATE payroll_runs
+          SET employee_count = ?, total_gross = ?, total_deductions = ?, total_net = ?,
+              notes = COALESCE(?, notes), calculated_at = NOW()
+        WHERE id = ?`,
+      [emps.length, totalGross.toFixed(2), totalDeductions.toFixed(2), totalNet.toFixed(2), req.body.notes || null, runId]
+    );
+
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'CALCULATE_PAYROLL_RUN',
+      target_table: 'payroll_runs',
+      target_id: runId,
+      before_state: existing || null,
+      after_state: { period: periodLabel(year, month), employee_count: emps.length, total_net: Number(totalNet.toFixed(2)) },
+      req,
+      status: 'SUCCESS'
+    });
+
+    res.json({ ok: true, message: `Payroll run stored for ${month}/${year}`, run_id: runId, count: emps.length });
+  } catch (err) {
+    await conn.rollback();
+    console.error('calculateRun error:', err);
+    logEvent({ level: 'error', event_type: 'RUN_PAYROLL_FAILED', user_id: req.user?.id || null, req, extra: { error: err.message, month, year } });
+    res.status(500).json({ ok: false, message: 'Failed to run payroll' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /runs?year=
+exports.listRuns = async (req, res) => {
+  try {
+    const { year, status } = req.query;
+    const where = [];
+    const params = [];
+    if (year) { where.push('pr.period_year = ?'); params.push(Number(year)); }
+    if (status) { where.push('pr.status = ?'); params.push(status); }
+
+    const [rows] = await pool.query(
+      `SELECT pr.*,
+              cu.name AS created_by_name, ru.name AS reviewed_by_name,
+              au.name AS approved_by_name, lu.name AS locked_by_name
+         FROM payroll_runs pr
+         LEFT JOIN users cu ON cu.id = pr.created_by
+         LEFT JOIN users ru ON ru.id = pr.reviewed_by
+         LEFT JOIN users au ON au.id = pr.approved_by
+         LEFT JOIN users lu ON lu.id = pr.locked_by
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY pr.period_year DESC, pr.period_month DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listRuns error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_PAYROLL_RUNS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch payroll runs' });
+  }
+};
+
+// GET /runs/:id  (run header + per-employee totals)
+exports.getRun = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const [[run]] = await pool.query('SELECT * FROM payroll_runs WHERE id = ?', [id]);
+    if (!run) return res.status(404).json({ ok: false, message: 'Payroll run not found' });
+
+    const [employees] = await pool.query(
+      `SELECT pc.employee_id, e.employee_code, e.full_name, d.name AS department_name,
+              pc.gross_earnings, pc.total_deductions, pc.net_salary
+         FROM payroll_cycles pc
+         JOIN employees e ON e.id = pc.employee_id
+         LEFT JOIN departments d ON d.id = e.department_id
+        WHERE pc.payroll_run_id = ?
+        ORDER BY e.full_name`,
+      [id]
+    );
+
+    res.json({ ok: true, data: { ...run, employees } });
+  } catch (err) {
+    console.error('getRun error:', err);
+    logEvent({ level: 'error', event_type: 'GET_PAYROLL_RUN_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch payroll run' });
+  }
+};
+
+// GET /runs/:id/employees/:employeeId  (snapshot lines)
+exports.getRunEmployeeLines = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const employeeId = Number(req.params.employeeId);
+    const [[run]] = await pool.query('SELECT id, period_year, period_month, status FROM payroll_runs WHERE id = ?', [id]);
+    if (!run) return res.status(404).json({ ok: false, message: 'Payroll run not found' });
+
+    const [lines] = await pool.query(
+      `SELECT id, line_type, component, description, amount, source_table, source_id, formula, tax_class
+         FROM payroll_run_lines
+        WHERE run_id = ? AND employee_id = ?
+        ORDER BY id`,
+      [id, employeeId]
+    );
+    const normalized = lines.map(l => ({ ...l, amount: Number(l.amount) }));
+
+    res.json({ ok: true, data: { run, employee_id: employeeId, lines: normalized, totals: summarizeLines(normalized) } });
+  } catch (err) {
+    console.error('getRunEmployeeLines error:', err);
+    logEvent({ level: 'error', event_type: 'GET_PAYROLL_RUN_LINES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch payroll run lines' });
+  }
+};
+
+const transition = (action) => async (req, res) => {
+  const id = Number(req.params.id);
+  const t = TRANSITIONS[action];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[before]] = await conn.query('SELECT * FROM payroll_runs WHERE id = ? FOR UPDATE', [id]);
+    if (!before) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Payroll run not found' });
+    }
+    if (!t.from.includes(before.status)) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: `Cannot ${action} a run that is ${before.status}` });
+    }
+
+    if (action === 'reopen') {
+      await conn.query(
+        `UPDATE payroll_runs
+            SET status = 'Draft', reviewed_by = NULL, reviewed_at = NULL, approved_by = NULL, approved_at = NULL,
+                notes = COALESCE(?, notes)
+          WHERE id = ?`,
+        [req.body?.note || null, id]
+      );
+    } else {
+      await conn.query(
+        `UPDATE payroll_runs SET status = ?, ${t.byCol} = ?, ${t.atCol} = NOW(), notes = COALESCE(?, notes) WHERE id = ?`,
+        [t.to, req.user?.id || null, req.body?.note || null, id]
+      );
+    }
+    if (action === 'lock') {
+      await markInstalmentsDeducted(conn, id);
+      await markArrearsPaid(conn, id);
+    }
+
+    const [[after]] = await conn.query('SELECT * FROM payroll_runs WHERE id = ?', [id]);
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: `${action.toUpperCase()}_PAYROLL_RUN`,
+      target_table: 'payroll_runs',
+      target_id: id,
+      before_state: before,
+      after_state: after,
+      req,
+      status: 'SUCCESS'
+    });
+
+    res.json({ ok: true, message: `Payroll run ${periodLabel(after.period_year, after.period_month)} is now ${after.status}`, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error(`${action}Run error:`, err);
+    logAudit({
+      level: 'error',
+      user_id: req.user?.id || null,
+      action_type: `${action.toUpperCase()}_PAYROLL_RUN`,
+      target_table: 'payroll_runs',
+      target_id: id,
+      req,
+      status: 'FAILURE',
+      error_message: err.message
+    });
+    res.status(500).json({ ok: false, message: `Failed to ${action} payroll run` });
+  } finally {
+    conn.release();
+  }
+};
+
+exports.reviewRun = transition('review');
+exports.approveRun = transition('approve');
+exports.lockRun = transition('lock');
+exports.reopenRun = transition('reopen');
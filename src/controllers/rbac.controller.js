@@ -0,0 +1,322 @@
+// src/controllers/rbac.controller.js
+// Roles, the permissions each role holds, which role a user has and, for department-scoped
+// roles, which departments the user may see. Checks read these through utils/permissions.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { clearAccessCache } = require('../utils/permissions');
+const { revokeUserSessions, listSessions } = require('../utils/sessions');
+
+const DATA_SCOPES = ['All', 'Department'];
+
+// Role with its permission codes and user count
+const loadRole = async (db, id) => {
+  const [[role]] = await db.query(
+    'SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count FROM roles r WHERE r.id = ?',
+    [id]
+  );
+  if (!role) return null;
+  const [perms] = await db.query(
+    'SELECT p.code FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id WHERE rp.role_id = ? ORDER BY p.code',
+    [id]
+  );
+  return { ...role, permissions: perms.map(p => p.code) };
+};
+
+// Body -> { fields, codes } or { error }; codes is undefined when permissions are not given
+const readRole = (body, existing = {}) => {
+  const pick = (k, d = null) => (body[k] !== undefined ? body[k] : existing[k] !== undefined ? existing[k] : d);
+  const fields = {
+    name: String(pick('name', '') || '').trim(),
+    description: pick('description'),
+    data_scope: pick('data_scope', 'All'),
+  };
+  if (!fields.name) return { error: 'name is required' };
+  if (!DATA_SCOPES.includes(fields.data_scope)) return { error: `data_scope must be one of ${DATA_SCOPES.join(', ')}` };
+  if (body.permissions === undefined) return { fields };
+  if (!Array.isArray(body.permissions)) return { error: 'permissions must be an array of permission codes' };
+  return { fields, codes: [...new Set(body.permissions.map(String))] };
+};
+
+// Permission codes -> ids, or { error } naming the unknown ones
+const permissionIds = async (db, codes) => {
+  if (!codes.length) return { ids: [] };
+  const [rows] = await db.query('SELECT id, code FROM permissions WHERE code IN (?)', [codes]);
+  const unknown = codes.filter(c => !rows.some(r => r.code === c));
+  if (unknown.length) return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+  return { ids: rows.map(r => r.id) };
+};
+
+const savePermissions = async (conn, roleId, ids) => {
+  await conn.query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+  if (ids.length) {
+    await conn.query('INSERT INTO role_permissions (role_id, permission_id) VALUES ?', [ids.map(pid => [roleId, pid])]);
+  }
+};
+
+// GET /rbac/permissions
+exports.listPermissions = async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM permissions ORDER BY module, code');
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listPermissions error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_PERMISSIONS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch permissions' });
+  }
+};
+
+// GET /rbac/roles
+exports.listRoles = async (req, res) => {
+  try {
+    const [roles] = await pool.query(
+      `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+         FROM roles r
+        ORDER BY r.is_system DESC, r.name`
+    );
+    const [perms] = roles.length ? await pool.query(
+      'SELECT rp.role_id, p.code FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id WHERE rp.role_id IN (?) ORDER BY p.code',
+      [roles.map(r => r.id)]
+    ) : [[]];
+    res.json({
+      ok: true,
+      data: roles.map(r => ({ ...r, permissions: perms.filter(p => p.role_id === r.id).map(p => p.code) })),
+    });
+  } catch (err) {
+    console.error('listRoles error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_ROLES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch roles' });
+  }
+};
+
+// POST /rbac/roles  { name, description?, data_scope?: All|Department, permissions: [codes] }
+exports.createRole = async (req, res) => {
+  const { fields, codes = [], error } = readRole(req.body || {});
+  if (error) return res.status(400).json({ ok: false, message: error });
+
+  const conn = await pool.getConnection();
+  try {
+    const [[dup]] = await conn.query('SELECT id FROM roles WHERE name = ?', [fields.name]);
+    if (dup) return res.status(409).json({ ok: false, message: 'A role with this name already exists' });
+    const perms = await permissionIds(conn, codes);
+    if (perms.error) return res.status(400).json({ ok: false, message: perms.error });
+
+    await conn.beginTransaction();
+    const [ins] = await conn.query('INSERT INTO roles SET ?', [fields]);
+    await savePermissions(conn, ins.insertId, perms.ids);
+    await conn.commit();
+
+    const after = await loadRole(pool, ins.insertId);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'CREATE_ROLE', target_table: 'roles', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createRole error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_ROLE', target_table: 'roles', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create role' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /rbac/roles/:id  same body as POST, all optional; permissions, when given, replace the existing ones.
+// Renaming a role renames it on its users; system roles keep their name.
+exports.updateRole = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadRole(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Role not found' });
+    const { fields, codes, error } = readRole(req.body || {}, before);
+    if (error) return res.status(400).json({ ok: false, message: error });
+    if (before.is_system && fields.name !== before.name) {
+      return res.status(409).json({ ok: false, message: 'System roles cannot be renamed' });
+    }
+    const [[dup]] = await conn.query('SELECT id FROM roles WHERE name = ? AND id <> ?', [fields.name, id]);
+    if (dup) return res.status(409).json({ ok: false, message: 'A role with this name already exists' });
+    // Keep the signed-in admin from taking away their own access to this screen
+    if (codes && before.name === req.user.role && before.permissions.includes('rbac.manage') && !codes.includes('rbac.manage')) {
+      return res.status(409).json({ ok: false, message: 'Cannot remove rbac.manage from your own role' });
+    }
+    const perms = codes ? await permissionIds(conn, codes) : null;
+    if (perms?.error) return res.status(400).json({ ok: false, message: perms.error });
+
+    await conn.beginTransaction();
+    await conn.query('UPDATE roles SET ? WHERE id = ?', [fields, id]);
+    let renamedUsers = [];
+    if (fields.name !== before.name) {
+      [renamedUsers] = await conn.query('SELECT id FROM users WHERE role = ?', [before.name]);
+      await conn.query('UPDATE users SET role = ? WHERE role = ?', [fields.name, before.name]);
+    }
+    if (perms) await savePermissions(conn, id, perms.ids);
+    // tokens carry the role name, so its users sign in again
+    for (const u of renamedUsers) await revokeUserSessions(conn, u.id, 'Role changed');
+    await conn.commit();
+    clearAccessCache();
+
+    const after = await loadRole(pool, id);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'UPDATE_ROLE', target_table: 'roles', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('updateRole error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_ROLE', target_table: 'roles', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update role' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /rbac/roles/:id  (not system roles, nor roles users still have)
+exports.deleteRole = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadRole(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Role not found' });
+    if (before.is_system) return res.status(409).json({ ok: false, message: 'System roles cannot be deleted' });
+    if (before.user_count) {
+      return res.status(409).json({ ok: false, message: `${before.user_count} user(s) have this role; assign them another role first` });
+    }
+
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM role_permissions WHERE role_id = ?', [id]);
+    await conn.query('DELETE FROM roles WHERE id = ?', [id]);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'DELETE_ROLE', target_table: 'roles', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Role deleted' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('deleteRole error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_ROLE', target_table: 'roles', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete role' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /rbac/users?role=  users with their role and department scope
+exports.listUsers = async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.role) { where.push('u.role = ?'); params.push(req.query.role); }
+    const [users] = await pool.query(
+      `SELECT u.id, u.name, u.email, u.role, u.employee_id, r.id AS role_id, r.data_scope
+         FROM users u
+         LEFT JOIN roles r ON r.name = u.role
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY u.name`,
+      params
+    );
+    const [scopes] = users.length ? await pool.query(
+      `SELECT s.user_id, s.department_id, d.name AS department_name
+         FROM user_department_scopes s
+         JOIN departments d ON d.id = s.department_id
+        WHERE s.user_id IN (?)
+        ORDER BY d.name`,
+      [users.map(u => u.id)]
+    ) : [[]];
+    res.json({
+      ok: true,
+      data: users.map(u => ({ ...u, departments: scopes.filter(s => s.user_id === u.id).map(({ user_id, ...s }) => s) })),
+    });
+  } catch (err) {
+    console.error('listUsers error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_RBAC_USERS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch users' });
+  }
+};
+
+// PUT /rbac/users/:id/role  { role }  (ends the user's sessions so they sign in with the new role)
+exports.setUserRole = async (req, res) => {
+  const id = Number(req.params.id);
+  const roleName = String(req.body?.role || '').trim();
+  if (!roleName) return res.status(400).json({ ok: false, message: 'role is required' });
+  if (id === req.user.id) return res.status(409).json({ ok: false, message: 'You cannot change your own role' });
+  try {
+    const [[user]] = await pool.query('SELECT id, name, email, role FROM users WHERE id = ?', [id]);
+    if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+    const [[role]] = await pool.query('SELECT id FROM roles WHERE name = ?', [roleName]);
+    if (!role) return res.status(400).json({ ok: false, message: `Unknown role: ${roleName}` });
+
+    await pool.query('UPDATE users SET role = ? WHERE id = ?', [roleName, id]);
+    clearAccessCache(id);
+    const revoked = roleName === user.role ? 0 : await revokeUserSessions(pool, id, 'Role changed');
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'SET_USER_ROLE', target_table: 'users', target_id: id, before_state: { role: user.role }, after_state: { role: roleName, sessions_revoked: revoked }, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: { ...user, role: roleName } });
+  } catch (err) {
+    console.error('setUserRole error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SET_USER_ROLE', target_table: 'users', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to set user role' });
+  }
+};
+
+// PUT /rbac/users/:id/departments  { department_ids: [] }  (used when the user's role is department-scoped)
+exports.setUserDepartments = async (req, res) => {
+  const id = Number(req.params.id);
+  const ids = req.body?.department_ids;
+  if (!Array.isArray(ids)) return res.status(400).json({ ok: false, message: 'department_ids must be an array' });
+  const departmentIds = [...new Set(ids.map(Number))];
+
+  const conn = await pool.getConnection();
+  try {
+    const [[user]] = await conn.query('SELECT id FROM users WHERE id = ?', [id]);
+    if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+    const [found] = departmentIds.length
+      ? await conn.query('SELECT id FROM departments WHERE id IN (?)', [departmentIds])
+      : [[]];
+    const unknown = departmentIds.filter(d => !found.some(f => f.id === d));
+    if (unknown.length) return res.status(400).json({ ok: false, message: `Unknown department(s): ${unknown.join(', ')}` });
+
+    const [before] = await conn.query('SELECT department_id FROM user_department_scopes WHERE user_id = ?', [id]);
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM user_department_scopes WHERE user_id = ?', [id]);
+    if (departmentIds.length) {
+      await conn.query('INSERT INTO user_department_scopes (user_id, department_id) VALUES ?', [departmentIds.map(d => [id, d])]);
+    }
+    await conn.commit();
+    clearAccessCache(id);
+
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'SET_USER_DEPARTMENTS', target_table: 'user_department_scopes', target_id: id, before_state: { department_ids: before.map(b => b.department_id) }, after_state: { department_ids: departmentIds }, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: { user_id: id, department_ids: departmentIds } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('setUserDepartments error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SET_USER_DEPARTMENTS', target_table: 'user_department_scopes', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to set user departments' });
+  } finally {
+    conn.release();
+  }
+};
+
+// GET /rbac/users/:id/sessions?all=1  the user's sessions (device, IP, last used)
+exports.listUserSessions = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[user]] = await pool.query('SELECT id FROM users WHERE id = ?', [id]);
+    if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+    res.json({ ok: true, data: await listSessions(pool, id, { all: Boolean(req.query.all) }) });
+  } catch (err) {
+    console.error('listUserSessions error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_USER_SESSIONS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch sessions' });
+  }
+};
+
+// DELETE /rbac/users/:id/sessions  signs the user out everywhere
+exports.endUserSessions = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [[user]] = await pool.query('SELECT id FROM users WHERE id = ?', [id]);
+    if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+    const revoked = await revokeUserSessions(pool, id, 'Revoked by administrator');
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'REVOKE_USER_SESSIONS', target_table: 'user_sessions', target_id: id, after_state: { revoked }, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: `${revoked} session(s) ended`, data: { revoked } });
+  } catch (err) {
+    console.error('endUserSessions error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'REVOKE_USER_SESSIONS', target_table: 'user_sessions', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to revoke sessions' });
+  }
+};
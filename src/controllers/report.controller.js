@@ -1,6 +1,7 @@
 const { level } = require('winston');
 const pool = require('../config/db');
 const logEvent = require('../utils/event');
+const { basicSalariesOn } = require('../utils/salaryHistory');
 
 const getMonthlyTotalData = async (req, res) => {
   try {
@@ -45,12 +46,10 @@ const getMonthlyTotalData = async (req, res) => {
 
 const getSalaryRange = async (req, res) => {
   try {
-    const sql = `
-      SELECT basic_salary
-      FROM salaries;
-    `;
-    const [rows] = await pool.query(sql);
-    res.json(rows.map(r => r.basic_salary));
+    // one figure per employee: the salary in force today
+    const [emps] = await pool.query('SELECT id FROM employees');
+    const salaries = await basicSalariesOn(pool, emps.map(e => e.id), new Date().toISOString().slice(0, 10));
+    res.json([...salaries.values()].map(r => r.basic_salary));
   } catch (err) {
     console.error('Failed to fetch salaries:', err);
     logEvent({level:'error',  event_type: "GET_SALARY_LIST_ERROR",  user_id: req.user?.id || null, req, extra:{err}});
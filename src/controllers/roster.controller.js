@@ -0,0 +1,525 @@
+// src/controllers/roster.controller.js
+// Shift rosters: rotating shift patterns, per-date overrides, shift swaps (with approval)
+// and who is scheduled when. Assignments themselves go through attendance.controller
+// assignTimetable; the roster is worked out by utils/roster.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { rosterFor, shiftSummary, addDays } = require('../utils/roster');
+const { evaluateAttendance } = require('../utils/attendanceStatus');
+const { scopeCondition } = require('../utils/permissions');
+
+const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || ''));
+const MAX_ROSTER_DAYS = 62;
+
+// Past days already carry an attendance status; re-work it once the roster changes
+const refreshStatus = (conn, employeeIds, date) =>
+  evaluateAttendance(conn, { from: date, to: date, employeeIds });
+
+// Active employees for { department_id?, employee_id? } within the request's department scope
+const rosterEmployees = async (db, req, { department_id, employee_id }) => {
+  const where = [`e.status = 'Active'`];
+  const params = [];
+  if (department_id) { where.push('e.department_id = ?'); params.push(department_id); }
+  if (employee_id) { where.push('e.id = ?'); params.push(employee_id); }
+  const scope = scopeCondition(req, 'e.department_id');
+  if (scope.sql) { where.push(scope.sql); params.push(...scope.params); }
+  const [rows] = await db.query(
+    `SELECT e.id AS employee_id, e.employee_code, e.full_name, e.department_id, d.name AS department_name
+       FROM employees e
+       LEFT JOIN departments d ON d.id = e.department_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY d.name, e.full_name`,
+    params
+  );
+  return rows;
+};
+
+/* ===================== SHIFT PATTERNS ===================== */
+
+// days: one entry per day of the cycle, a timetable id or null for a day off
+const validatePatternDays = async (db, days) => {
+  if (!Array.isArray(days) || !days.length) return 'days must be a non-empty array (timetable id or null per day)';
+  const ids = [...new Set(days.filter(d => d != null).map(Number))];
+  if (!ids.length) return 'A pattern needs at least one working day';
+  const [found] = await db.query('SELECT id FROM timetables WHERE id IN (?)', [ids]);
+  const missing = ids.filter(id => !found.some(f => f.id === id));
+  return missing.length ? `Unknown timetable id(s): ${missing.join(', ')}` : null;
+};
+
+const savePatternDays = (conn, patternId, days) => conn.query(
+  'INSERT INTO shift_pattern_days (pattern_id, day_index, timetable_id) VALUES ?',
+  [days.map((t, i) => [patternId, i, t == null ? null : Number(t)])]
+);
+
+const loadPattern = async (db, id) => {
+  const [[pattern]] = await db.query('SELECT * FROM shift_patterns WHERE id = ?', [id]);
+  if (!pattern) return null;
+  const [days] = await db.query(
+    `SELECT pd.day_index, pd.timetable_id, t.name AS timetable_name, t.check_in_start, t.check_out_end
+       FROM shift_pattern_days pd
+       LEFT JOIN timetables t ON t.id = pd.timetable_id
+      WHERE pd.pattern_id = ?
+      ORDER BY pd.day_index`,
+    [id]
+  );
+  return { ...pattern, days };
+};
+
+// GET /shift-patterns
+exports.listShiftPatterns = async (req, res) => {
+  try {
+    const [patterns] = await pool.query(
+      `SELECT sp.*, (SELECT COUNT(DISTINCT et.employee_id) FROM employee_timetables et WHERE et.shift_pattern_id = sp.id) AS employee_count
+         FROM shift_patterns sp ORDER BY sp.name`
+    );
+    const ids = patterns.map(p => p.id);
+    const [days] = ids.length
+      ? await pool.query(
+          `SELECT pd.pattern_id, pd.day_index, pd.timetable_id, t.name AS timetable_name
+             FROM shift_pattern_days pd LEFT JOIN timetables t ON t.id = pd.timetable_id
+            WHERE pd.pattern_id IN (?) ORDER BY pd.pattern_id, pd.day_index`,
+          [ids]
+        )
+      : [[]];
+    res.json({ ok: true, data: patterns.map(p => ({ ...p, days: days.filter(d => d.pattern_id === p.id) })) });
+  } catch (err) {
+    console.error('listShiftPatterns error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_SHIFT_PATTERNS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch shift patterns' });
+  }
+};
+
+/**
+ * POST /shift-patterns  { name, description?, days: [timetable_id | null, ...] }
+ * e.g. a 3-shift weekly rotation is 21 days: 5 mornings + 2 off, 5 evenings + 2 off, 5 nights + 2 off.
+ */
+exports.createShiftPattern = async (req, res) => {
+  const { name, description = null, days } = req.body || {};
+  if (!name) return res.status(400).json({ ok: false, message: 'name is required' });
+
+  const conn = await pool.getConnection();
+  try {
+    const invalid = await validatePatternDays(conn, days);
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    await conn.beginTransaction();
+    const [ins] = await conn.query(
+      'INSERT INTO shift_patterns (name, cycle_days, description, created_by) VALUES (?, ?, ?, ?)',
+      [name, days.length, description, req.user?.id || null]
+    );
+    await savePatternDays(conn, ins.insertId, days);
+    await conn.commit();
+
+    const after = await loadPattern(pool, ins.insertId);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'CREATE_SHIFT_PATTERN', target_table: 'shift_patterns', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createShiftPattern error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_SHIFT_PATTERN', target_table: 'shift_patterns', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create shift pattern' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /shift-patterns/:id  { name?, description?, days? }; changing days re-shapes every assignment using it
+exports.updateShiftPattern = async (req, res) => {
+  const id = Number(req.params.id);
+  const { name, description, days } = req.body || {};
+
+  const conn = await pool.getConnection();
+  try {
+    const before = await loadPattern(conn, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Shift pattern not found' });
+    if (days !== undefined) {
+      const invalid = await validatePatternDays(conn, days);
+      if (invalid) return res.status(400).json({ ok: false, message: invalid });
+    }
+
+    await conn.beginTransaction();
+    await conn.query(
+      'UPDATE shift_patterns SET name = ?, description = ?, cycle_days = ? WHERE id = ?',
+      [name ?? before.name, description === undefined ? before.description : description,
+       days !== undefined ? days.length : before.cycle_days, id]
+    );
+    if (days !== undefined) {
+      await conn.query('DELETE FROM shift_pattern_days WHERE pattern_id = ?', [id]);
+      await savePatternDays(conn, id, days);
+    }
+    await conn.commit();
+
+    const after = await loadPattern(pool, id);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'UPDATE_SHIFT_PATTERN', target_table: 'shift_patterns', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('updateShiftPattern error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_SHIFT_PATTERN', target_table: 'shift_patterns', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update shift pattern' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /shift-patterns/:id  (only when no assignment, past or present, uses it)
+exports.deleteShiftPattern = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const before = await loadPattern(pool, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'Shift pattern not found' });
+    const [[{ used }]] = await pool.query('SELECT COUNT(*) AS used FROM employee_timetables WHERE shift_pattern_id = ?', [id]);
+    if (used) return res.status(409).json({ ok: false, message: 'Shift pattern is used in timetable assignments' });
+
+    await pool.query('DELETE FROM shift_pattern_days WHERE pattern_id = ?', [id]);
+    await pool.query('DELETE FROM shift_patterns WHERE id = ?', [id]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_SHIFT_PATTERN', target_table: 'shift_patterns', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Shift pattern deleted' });
+  } catch (err) {
+    console.error('deleteShiftPattern error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_SHIFT_PATTERN', target_table: 'shift_patterns', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete shift pattern' });
+  }
+};
+
+/* ===================== ROSTER ===================== */
+
+// GET /roster?from=&to=&department_id=&employee_id=  -> per employee, one entry per day
+exports.getRoster = async (req, res) => {
+  try {
+    const { from, to = from } = req.query;
+    if (!isDate(from) || !isDate(to) || from > to) return res.status(400).json({ ok: false, message: 'Valid from and to (YYYY-MM-DD) required' });
+    if ((new Date(to) - new Date(from)) / 86400000 >= MAX_ROSTER_DAYS) {
+      return res.status(400).json({ ok: false, message: `At most ${MAX_ROSTER_DAYS} days at a time` });
+    }
+
+    const emps = await rosterEmployees(pool, req, req.query);
+    const roster = await rosterFor(pool, emps.map(e => e.employee_id), from, to);
+    const data = emps.map(e => {
+      const days = [];
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+        const s = roster.get(`${e.employee_id}|${date}`);
+        days.push({ date, shift: s && !s.off ? shiftSummary(s.timetable) : null, off: s ? s.off : null, source: s?.source || null });
+      }
+      return { ...e, days };
+    });
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('getRoster error:', err);
+    logEvent({ level: 'error', event_type: 'GET_ROSTER_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch roster' });
+  }
+};
+
+/**
+ * GET /roster/day?date=&department_id=
+ * Who is scheduled on the date, per department and shift; also who is off, on approved
+ * leave, or has no assignment yet. Night shifts are listed on the date they start.
+ */
+exports.getScheduledOnDay = async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!isDate(date)) return res.status(400).json({ ok: false, message: 'date (YYYY-MM-DD) required' });
+
+    const emps = await rosterEmployees(pool, req, { department_id: req.query.department_id });
+    const ids = emps.map(e => e.employee_id);
+    const roster = await rosterFor(pool, ids, date, date);
+    const [leaves] = ids.length
+      ? await pool.query(
+          `SELECT DISTINCT employee_id FROM leave_requests
+            WHERE employee_id IN (?) AND status = 'APPROVED' AND ? BETWEEN start_date AND end_date`,
+          [ids, date]
+        )
+      : [[]];
+    const onLeave = new Set(leaves.map(l => l.employee_id));
+
+    const departments = new Map();
+    for (const e of emps) {
+      if (!departments.has(e.department_id)) {
+        departments.set(e.department_id, { department_id: e.department_id, department_name: e.department_name, shifts: new Map(), off: [], unassigned: [] });
+      }
+      const dept = departments.get(e.department_id);
+      const person = { employee_id: e.employee_id, employee_code: e.employee_code, full_name: e.full_name };
+      const s = roster.get(`${e.employee_id}|${date}`);
+      if (!s) { dept.unassigned.push(person); continue; }
+      if (s.off) { dept.off.push({ ...person, source: s.source }); continue; }
+
+      if (!dept.shifts.has(s.timetable.id)) dept.shifts.set(s.timetable.id, { ...shiftSummary(s.timetable), employees: [] });
+      dept.shifts.get(s.timetable.id).employees.push({ ...person, source: s.source, on_leave: onLeave.has(e.employee_id) });
+    }
+
+    const data = [...departments.values()].map(d => ({
+      ...d,
+      shifts: [...d.shifts.values()].sort((a, b) => String(a.check_in_start).localeCompare(String(b.check_in_start))),
+      scheduled_count: [...d.shifts.values()].reduce((a, s) => a + s.employees.length, 0),
+    }));
+    res.json({ ok: true, date, data });
+  } catch (err) {
+    console.error('getScheduledOnDay error:', err);
+    logEvent({ level: 'error', event_type: 'GET_SCHEDULED_ON_DAY_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch schedule' });
+  }
+};
+
+/* ===================== OVERRIDES ===================== */
+
+// GET /roster/overrides?from=&to=&employee_id=
+exports.listRosterOverrides = async (req, res) => {
+  try {
+    const { from, to, employee_id } = req.query;
+    const where = ['1=1'];
+    const params = [];
+    if (from) { where.push('ro.date >= ?'); params.push(from); }
+    if (to) { where.push('ro.date <= ?'); params.push(to); }
+    if (employee_id) { where.push('ro.employee_id = ?'); params.push(employee_id); }
+    const scope = scopeCondition(req, 'e.department_id');
+    if (scope.sql) { where.push(scope.sql); params.push(...scope.params); }
+    const [rows] = await pool.query(
+      `SELECT ro.*, e.employee_code, e.full_name, t.name AS timetable_name, u.name AS created_by_name
+         FROM roster_overrides ro
+         JOIN employees e ON e.id = ro.employee_id
+         LEFT JOIN timetables t ON t.id = ro.timetable_id
+         LEFT JOIN users u ON u.id = ro.created_by
+        WHERE ${where.join(' AND ')}
+        ORDER BY ro.date DESC, e.full_name`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listRosterOverrides error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_ROSTER_OVERRIDES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch roster overrides' });
+  }
+};
+
+// POST /roster/overrides  { employee_id, date, timetable_id (null = day off), reason? }
+exports.saveRosterOverride = async (req, res) => {
+  const { employee_id, date, timetable_id = null, reason = null } = req.body || {};
+  if (!employee_id || !isDate(date)) return res.status(400).json({ ok: false, message: 'employee_id and date (YYYY-MM-DD) required' });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[before]] = await conn.query('SELECT * FROM roster_overrides WHERE employee_id = ? AND date = ? FOR UPDATE', [employee_id, date]);
+    if (before?.source === 'Swap') {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: 'This day comes from an approved shift swap; cancel the swap first', shift_swap_id: before.shift_swap_id });
+    }
+    if (timetable_id != null) {
+      const [[t]] = await conn.query('SELECT id FROM timetables WHERE id = ?', [timetable_id]);
+      if (!t) {
+        await conn.rollback();
+        return res.status(400).json({ ok: false, message: 'Unknown timetable' });
+      }
+    }
+
+    await conn.query(
+      `INSERT INTO roster_overrides (employee_id, date, timetable_id, source, reason, created_by)
+       VALUES (?, ?, ?, 'Override', ?, ?)
+       ON DUPLICATE KEY UPDATE timetable_id = VALUES(timetable_id), reason = VALUES(reason), created_by = VALUES(created_by)`,
+      [employee_id, date, timetable_id, reason, req.user?.id || null]
+    );
+    await refreshStatus(conn, [employee_id], date);
+    await conn.commit();
+
+    const after = { employee_id, date, timetable_id, reason };
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'SAVE_ROSTER_OVERRIDE', target_table: 'roster_overrides', target_id: before?.id || null, before_state: before || null, after_state: after, req, status: 'SUCCESS' });
+    res.status(before ? 200 : 201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('saveRosterOverride error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'SAVE_ROSTER_OVERRIDE', target_table: 'roster_overrides', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to save roster override' });
+  } finally {
+    conn.release();
+  }
+};
+
+// DELETE /roster/overrides/:id  (swap days are undone by cancelling the swap)
+exports.deleteRosterOverride = async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[before]] = await conn.query('SELECT * FROM roster_overrides WHERE id = ?', [id]);
+    if (!before) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Roster override not found' });
+    }
+    if (before.source === 'Swap') {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: 'Cancel the shift swap instead', shift_swap_id: before.shift_swap_id });
+    }
+    await conn.query('DELETE FROM roster_overrides WHERE id = ?', [id]);
+    await refreshStatus(conn, [before.employee_id], before.date);
+    await conn.commit();
+
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'DELETE_ROSTER_OVERRIDE', target_table: 'roster_overrides', target_id: id, before_state: before, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: 'Roster override removed' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('deleteRosterOverride error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_ROSTER_OVERRIDE', target_table: 'roster_overrides', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to remove roster override' });
+  } finally {
+    conn.release();
+  }
+};
+
+/* ===================== SHIFT SWAPS ===================== */
+
+const SWAP_SELECT = `
+  SELECT s.*, e.employee_code, e.full_name, p.employee_code AS partner_employee_code, p.full_name AS partner_full_name,
+         te.name AS employee_shift_name, tp.name AS partner_shift_name, u.name AS decided_by_name
+    FROM shift_swaps s
+    JOIN employees e ON e.id = s.employee_id
+    JOIN employees p ON p.id = s.partner_employee_id
+    LEFT JOIN timetables te ON te.id = s.employee_shift_id
+    LEFT JOIN timetables tp ON tp.id = s.partner_shift_id
+    LEFT JOIN users u ON u.id = s.decided_by`;
+
+// Both sides' rostered shifts on the date -> { error } or { mine, theirs } (timetable rows, null = off)
+const swapSides = async (db, employeeId, partnerId, date) => {
+  const roster = await rosterFor(db, [Number(employeeId), Number(partnerId)], date, date);
+  const mine = roster.get(`${employeeId}|${date}`);
+  const theirs = roster.get(`${partnerId}|${date}`);
+  if (!mine || !theirs) return { error: 'Both employees must have a timetable or shift pattern on that date' };
+  const a = mine.off ? null : mine.timetable;
+  const b = theirs.off ? null : theirs.timetable;
+  if ((a?.id || null) === (b?.id || null)) return { error: 'Both employees are on the same shift that day' };
+  return { mine: a, theirs: b };
+};
+
+// GET /roster/swaps?status=&from=&to=
+exports.listShiftSwaps = async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+    const where = ['1=1'];
+    const params = [];
+    if (status) { where.push('s.status = ?'); params.push(status); }
+    if (from) { where.push('s.swap_date >= ?'); params.push(from); }
+    if (to) { where.push('s.swap_date <= ?'); params.push(to); }
+    // both sides of the swap must be in the request's departments
+    for (const column of ['e.department_id', 'p.department_id']) {
+      const scope = scopeCondition(req, column);
+      if (scope.sql) { where.push(scope.sql); params.push(...scope.params); }
+    }
+    const [rows] = await pool.query(`${SWAP_SELECT} WHERE ${where.join(' AND ')} ORDER BY s.swap_date DESC, s.id DESC`, params);
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listShiftSwaps error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_SHIFT_SWAPS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch shift swaps' });
+  }
+};
+
+// POST /roster/swaps  { employee_id, partner_employee_id, swap_date, reason? }  -> Pending
+exports.requestShiftSwap = async (req, res) => {
+  const { employee_id, partner_employee_id, swap_date, reason = null } = req.body || {};
+  if (!employee_id || !partner_employee_id || !isDate(swap_date)) {
+    return res.status(400).json({ ok: false, message: 'employee_id, partner_employee_id and swap_date (YYYY-MM-DD) required' });
+  }
+  if (Number(employee_id) === Number(partner_employee_id)) return res.status(400).json({ ok: false, message: 'Cannot swap with oneself' });
+
+  try {
+    const sides = await swapSides(pool, employee_id, partner_employee_id, swap_date);
+    if (sides.error) return res.status(400).json({ ok: false, message: sides.error });
+
+    const [[open]] = await pool.query(
+      `SELECT id FROM shift_swaps
+        WHERE swap_date = ? AND status IN ('Pending','Approved')
+          AND (employee_id IN (?) OR partner_employee_id IN (?)) LIMIT 1`,
+      [swap_date, [employee_id, partner_employee_id], [employee_id, partner_employee_id]]
+    );
+    if (open) return res.status(409).json({ ok: false, message: 'One of the employees already has a swap for that date', shift_swap_id: open.id });
+
+    const [ins] = await pool.query(
+      `INSERT INTO shift_swaps (employee_id, partner_employee_id, swap_date, employee_shift_id, partner_shift_id, reason, requested_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [employee_id, partner_employee_id, swap_date, sides.mine?.id || null, sides.theirs?.id || null, reason, req.user?.id || null]
+    );
+    const [[after]] = await pool.query(`${SWAP_SELECT} WHERE s.id = ?`, [ins.insertId]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: 'REQUEST_SHIFT_SWAP', target_table: 'shift_swaps', target_id: ins.insertId, after_state: after, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    console.error('requestShiftSwap error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'REQUEST_SHIFT_SWAP', target_table: 'shift_swaps', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to request shift swap' });
+  }
+};
+
+/**
+ * POST /roster/swaps/:id/decision  { status: 'Approved'|'Rejected'|'Cancelled', decision_note? }
+ * Approving re-reads both rosters and writes a Swap override for each side (each takes the
+ * other's shift). Cancelling an approved swap removes those overrides again.
+ */
+exports.decideShiftSwap = async (req, res) => {
+  const id = Number(req.params.id);
+  const { status, decision_note = null } = req.body || {};
+  if (!['Approved', 'Rejected', 'Cancelled'].includes(status)) {
+    return res.status(400).json({ ok: false, message: "status must be 'Approved', 'Rejected' or 'Cancelled'" });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[swap]] = await conn.query(
+      'SELECT * FROM shift_swaps WHERE id = ? FOR UPDATE',
+      [id]
+    );
+    if (!swap) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Shift swap not found' });
+    }
+    const allowed = swap.status === 'Pending' || (swap.status === 'Approved' && status === 'Cancelled');
+    if (!allowed) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: `Swap is already ${swap.status}` });
+    }
+
+    const sides = [swap.employee_id, swap.partner_employee_id];
+    let shifts = { employee_shift_id: swap.employee_shift_id, partner_shift_id: swap.partner_shift_id };
+    if (status === 'Approved') {
+      const found = await swapSides(conn, swap.employee_id, swap.partner_employee_id, swap.swap_date);
+      if (found.error) {
+        await conn.rollback();
+        return res.status(409).json({ ok: false, message: `Roster has changed: ${found.error}` });
+      }
+      shifts = { employee_shift_id: found.mine?.id || null, partner_shift_id: found.theirs?.id || null };
+      const note = `Shift swap #${id}`;
+      await conn.query(
+        `INSERT INTO roster_overrides (employee_id, date, timetable_id, source, shift_swap_id, reason, created_by)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE timetable_id = VALUES(timetable_id), source = 'Swap',
+           shift_swap_id = VALUES(shift_swap_id), reason = VALUES(reason), created_by = VALUES(created_by)`,
+        [[
+          [swap.employee_id, swap.swap_date, shifts.partner_shift_id, 'Swap', id, note, req.user?.id || null],
+          [swap.partner_employee_id, swap.swap_date, shifts.employee_shift_id, 'Swap', id, note, req.user?.id || null],
+        ]]
+      );
+    } else if (swap.status === 'Approved') {
+      await conn.query('DELETE FROM roster_overrides WHERE shift_swap_id = ?', [id]);
+    }
+
+    await conn.query(
+      `UPDATE shift_swaps
+          SET status = ?, employee_shift_id = ?, partner_shift_id = ?, decided_by = ?, decided_at = NOW(), decision_note = ?
+        WHERE id = ?`,
+      [status, shifts.employee_shift_id, shifts.partner_shift_id, req.user?.id || null, decision_note, id]
+    );
+    if (status === 'Approved' || swap.status === 'Approved') await refreshStatus(conn, sides, swap.swap_date);
+    await conn.commit();
+
+    const [[after]] = await pool.query(`${SWAP_SELECT} WHERE s.id = ?`, [id]);
+    logAudit({ level: 'info', user_id: req.user?.id || null, action_type: `${status.toUpperCase()}_SHIFT_SWAP`, target_table: 'shift_swaps', target_id: id, before_state: swap, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('decideShiftSwap error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DECIDE_SHIFT_SWAP', target_table: 'shift_swaps', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to record shift swap decision' });
+  } finally {
+    conn.release();
+  }
+};
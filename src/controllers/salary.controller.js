@@ -3,6 +3,12 @@ const pool = require('../config/db');
 const PDFDocument = require('pdfkit');
 const logEvent = require('../utils/event');
 const logAudit = require('../utils/audit');
+const { findAffectedLockedRun, lockedPeriodMessage, spans } = require('../utils/payrollLock');
+const { calculatePayroll, calculatePayrollForEmployees, OT_BASIC_DIVISOR } = require('../utils/payrollEngine');
+const { employeeLoanBalances } = require('../utils/loans');
+const { SALARY_CHANGE_REASONS, basicSalaryOn, withBasicSalary } = require('../utils/salaryHistory');
+const { computeArrears, applySalaryChange } = require('../utils/arrears');
+const { salaryBefore, allowanceBefore, requestPayChange } = require('../utils/payChanges');
 
 //new compensation adjusmnt
 
@@ -26,6 +32,14 @@ const startOfMonth = (yyyyMM) => {
 // 
 //===========================================
 
+// Responds 409 and returns true when the change would touch a Locked payroll month
+const rejectIfLocked = async (res, change) => {
+  const run = await findAffectedLockedRun(pool, change);
+  if (!run) return false;
+  res.status(409).json({ ok: false, message: lockedPeriodMessage(run) });
+  return true;
+};
+
 // static grades fallback
 
 const GRADES_FALLBACK = [
@@ -71,7 +85,8 @@ const getOvertimeRulesByGrade = async (req, res) => {
   try {
     const { gradeId } = req.params;
     const [rows] = await pool.query(
-      `SELECT rule_id, grade_id, ot_rate, max_ot_hours, created_at
+      `SELECT rule_id, grade_id, ot_rate, max_ot_hours,
+              weekday_multiplier, weekend_multiplier, holiday_multiplier, min_ot_minutes, created_at
          FROM overtime_rule
         WHERE grade_id = ?
         ORDER BY rule_id DESC
@@ -89,20 +104,29 @@ const getOvertimeRulesByGrade = async (req, res) => {
 // === Upsert overtime rule for a grade (create or update current)
 const upsertOvertimeRule = async (req, res) => {
   try {
-    const { grade_id, ot_rate, max_ot_hours } = req.body;
+    const {
+      grade_id, ot_rate, max_ot_hours,
+      // attendance OT: day-type multipliers and the smallest daily OT that counts
+      weekday_multiplier = 1.5, weekend_multiplier = 2, holiday_multiplier = 2, min_ot_minutes = 30,
+    } = req.body;
     if (!grade_id || ot_rate == null || max_ot_hours == null) {
       return res.status(400).json({ message: 'grade_id, ot_rate, max_ot_hours are required' });
     }
 
     // Because grade_id is UNIQUE (uq_overtime_rule_grade), use INSERT ... ON DUPLICATE KEY UPDATE
     await pool.query(
-      `INSERT INTO overtime_rule (grade_id, ot_rate, max_ot_hours, created_at)
-       VALUES (?, ?, ?, NOW())
+      `INSERT INTO overtime_rule
+         (grade_id, ot_rate, max_ot_hours, weekday_multiplier, weekend_multiplier, holiday_multiplier, min_ot_minutes, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
        ON DUPLICATE KEY UPDATE
          ot_rate = VALUES(ot_rate),
          max_ot_hours = VALUES(max_ot_hours),
+         weekday_multiplier = VALUES(weekday_multiplier),
+         weekend_multiplier = VALUES(weekend_multiplier),
+         holiday_multiplier = VALUES(holiday_multiplier),
+         min_ot_minutes = VALUES(min_ot_minutes),
          created_at = NOW()`
-      , [grade_id, ot_rate, max_ot_hours]
+      , [grade_id, ot_rate, max_ot_hours, weekday_multiplier, weekend_multiplier, holiday_multiplier, min_ot_minutes]
     );
     logAudit({ level:"info",
       user_id: req.user.id,
@@ -110,7 +134,7 @@ const upsertOvertimeRule = async (req, res) => {
       target_table: "overtime_rule",
       target_id: grade_id,
       before_state: null,
-      after_state: { grade_id, ot_rate, max_ot_hours },
+      after_state: { grade_id, ot_rate, max_ot_hours, weekday_multiplier, weekend_multiplier, holiday_multiplier, min_ot_minutes },
       req,
       status: "SUCCESS"
     });
@@ -163,7 +187,7 @@ const searchEmployees = async (req, res) => {
 // === Create an overtime adjustment
 const createOvertimeAdjustment = async (req, res) => {
   try {
-    let { employee_id, grade_id, ot_hours, ot_rate, adjustment_reason } = req.body || {};
+    let { employee_id, grade_id, ot_hours, ot_rate, ot_multiplier, adjustment_reason } = req.body || {};
 
     if (!employee_id || ot_hours == null) {
       return res.status(400).json({ ok: false, message: 'employee_id and ot_hours are required' });
@@ -177,6 +201,21 @@ const createOvertimeAdjustment = async (req, res) => {
     if (!emp) return res.status(404).json({ ok: false, message: 'Employee not found' });
     if (!grade_id) grade_id = emp.grade_id || null;
 
+    // Multiplier on basic (basic / 240 x multiplier); ot_rate keeps today's equivalent for listings
+    if (ot_multiplier != null && ot_multiplier !== '') {
+      if (isNaN(Number(ot_multiplier)) || Number(ot_multiplier) <= 0) {
+        return res.status(400).json({ ok: false, message: 'ot_multiplier must be a positive number' });
+      }
+      ot_multiplier = Number(ot_multiplier);
+      if (ot_rate == null) {
+        const salary = await basicSalaryOn(pool, employee_id, new Date().toISOString().slice(0, 10));
+        if (!salary) return res.status(400).json({ ok: false, message: 'Employee has no basic salary to base the OT rate on' });
+        ot_rate = Math.round((Number(salary.basic_salary) / OT_BASIC_DIVISOR) * ot_multiplier * 100) / 100;
+      }
+    } else {
+      ot_multiplier = null;
+    }
+
     // Fetch rule if rate missing
     if (ot_rate == null) {
       const [[rule]] = await pool.query(
@@ -197,10 +236,14 @@ const createOvertimeAdjustment = async (req, res) => {
       }
     }
 
+    // adjustments are paid in the month they are recorded
+    const today = new Date().toISOString().slice(0, 10);
+    if (await rejectIfLocked(res, { after: { created_at: today }, span: spans.overtime_adjustments })) return;
+
     const [result] = await pool.query(
-      `INSERT INTO overtime_adjustments (employee_id, grade_id, ot_hours, ot_rate, adjustment_reason)
-       VALUES (?, ?, ?, ?, ?)`,
-      [employee_id, grade_id || null, Number(ot_hours), Number(ot_rate), adjustment_reason || null]
+      `INSERT INTO overtime_adjustments (employee_id, grade_id, ot_hours, ot_rate, ot_multiplier, adjustment_reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [employee_id, grade_id || null, Number(ot_hours), Number(ot_rate), ot_multiplier, adjustment_reason || null]
     );
 
     // AUDIT LOG (important)
@@ -351,18 +394,17 @@ const searchEmployeesAdvanced = async (req, res) => {
         e.full_name,
         COALESCE(d.name, e.department_name) AS department_name,
         e.grade_id,
-        g.grade_name,
-        s.basic_salary
+        g.grade_name
       FROM employees e
       LEFT JOIN departments d ON d.id = e.department_id
       LEFT JOIN grades g ON g.grade_id = e.grade_id
-      LEFT JOIN salaries s ON s.employee_id = e.id
       ${where}
       ORDER BY e.full_name
       LIMIT ? OFFSET ?
       `,
       [...params, Number(limit), Number(offset)]
     );
+    await withBasicSalary(pool, rows, new Date().toISOString().slice(0, 10));
 
     res.json({ ok:true, data: rows });
   } catch (err) {
@@ -406,13 +448,14 @@ const previewCompensation = async (req, res) => {
 
     const [rows] = await pool.query(
       `
-      SELECT e.id AS employee_id, e.full_name, s.basic_salary
+      SELECT e.id AS employee_id, e.full_name
       FROM employees e
-      LEFT JOIN salaries s ON s.employee_id = e.id
       WHERE e.id IN (${employee_ids.map(()=>'?').join(',')})
       `,
       employee_ids
     );
+    // percent mode works off the salary in force at the end of that month
+    await withBasicSalary(pool, rows, endOfMonth(month));
 
     const items = rows.map(r => {
       const basic = Number(r.basic_salary || 0);
@@ -445,8 +488,11 @@ const previewCompensation = async (req, res) => {
 
 // ===================== COMPENSATION APPLY (BULK) =====================
 // body: { type, mode, amount, percent, month, note, employee_ids: number[], category? }
+// The amounts are worked out now and queued for approval by another user (/change-requests);
+// the bonuses / allowances / reimbursements are inserted when it is approved.
+const COMPENSATION_TYPES = ['Bonus', 'Arrears', 'Correction', 'Allowance', 'Reimbursement'];
+
 const applyCompensation = async (req, res) => {
-  const conn = await pool.getConnection();
   try {
     const { type, mode, amount, percent, month, note, employee_ids, category } = req.body;
 
@@ -459,112 +505,71 @@ const applyCompensation = async (req, res) => {
     if (mode === 'percent' && (percent == null || isNaN(Number(percent)))) {
       return res.status(400).json({ ok:false, message:'percent required for percent mode' });
     }
+    if (!COMPENSATION_TYPES.includes(type)) {
+      return res.status(400).json({ ok:false, message:`type must be one of ${COMPENSATION_TYPES.join(', ')}` });
+    }
 
     const effectiveDate = endOfMonth(month);     // for bonuses
     const effFrom = startOfMonth(month);         // for allowance window
     const effTo   = endOfMonth(month);
 
-    // Fetch employees and salaries
-    const [rows] = await conn.query(
-      `SELECT e.id AS employee_id, e.full_name, s.basic_salary
+    if (await rejectIfLocked(res, { after: { effective_date: effectiveDate }, span: spans.bonuses })) return;
+
+    // Fetch employees and the salaries in force for the month
+    const [rows] = await pool.query(
+      `SELECT e.id AS employee_id, e.full_name
        FROM employees e
-       LEFT JOIN salaries s ON s.employee_id = e.id
-       WHERE e.id IN (${employee_ids.map(() => '?').join(',')})`,
-      employee_ids
+       WHERE e.id IN (?)`,
+      [employee_ids]
     );
+    if (!rows.length) return res.status(404).json({ ok:false, message:'No matching employees' });
+    await withBasicSalary(pool, rows, effectiveDate);
 
     const calc = (basic) => mode === 'fixed'
       ? Number(amount)
       : (Number(percent) / 100) * Number(basic || 0);
-
-    await conn.beginTransaction();
-
-    let insertSql = '', insertValues = [], auditLogs = [];
-
-    if (type === 'Bonus' || type === 'Arrears' || type === 'Correction') {
-      insertSql = `INSERT INTO bonuses (employee_id, amount, reason, effective_date, created_by) VALUES `;
-      rows.forEach((r, i) => {
-        const val = Number(calc(r.basic_salary).toFixed(2));
-        insertSql += `(?,?,?,?,?)${i < rows.length - 1 ? ',' : ''}`;
-        insertValues.push(r.employee_id, val, note || type, effectiveDate, req.user?.id || null);
-        auditLogs.push({
-          user_id: req.user?.id || null,
-          action_type: 'INSERT',
-          target_table: 'bonuses',
-          after_state: { employee_id: r.employee_id, amount: val, reason: note || type, effective_date: effectiveDate }
-        });
-      });
-    } else if (type === 'Allowance') {
-      insertSql = `INSERT INTO allowances (employee_id, name, category, amount, taxable, frequency, effective_from, effective_to, status, created_at) VALUES `;
-      rows.forEach((r, i) => {
-        const val = Number(calc(r.basic_salary).toFixed(2));
-        insertSql += `(?,?,?,?,?,?,?,?, 'Active', NOW())${i < rows.length - 1 ? ',' : ''}`;
-        insertValues.push(r.employee_id, note || 'One-time allowance', category || null, val, 0, 'Monthly', effFrom, effTo);
-        auditLogs.push({
-          user_id: req.user?.id || null,
-          action_type: 'INSERT',
-          target_table: 'allowances',
-          after_state: { employee_id: r.employee_id, name: note || 'One-time allowance', category, amount: val, effective_from: effFrom, effective_to: effTo }
-        });
-      });
-    } else if (type === 'Reimbursement') {
-      insertSql = `INSERT INTO reimbursements (employee_id, category, amount, month, year, approved_by, created_at) VALUES `;
-      const [Y, M] = month.split('-').map(Number);
-      rows.forEach((r, i) => {
-        const val = Number(calc(r.basic_salary).toFixed(2));
-        insertSql += `(?,?,?,?,?,?, NOW())${i < rows.length - 1 ? ',' : ''}`;
-        insertValues.push(r.employee_id, category || 'Other', val, M, Y, req.user?.id || null);
-        auditLogs.push({
-          user_id: req.user?.id || null,
-          action_type: 'INSERT',
-          target_table: 'reimbursements',
-          after_state: { employee_id: r.employee_id, category, amount: val, month: M, year: Y }
-        });
-      });
-    } else {
-      throw new Error('Unsupported type');
-    }
-
-    // Bulk insert
-    if (insertSql) await conn.query(insertSql, insertValues);
-
-    // Bulk audit logs
-    if (auditLogs.length) {
-      const auditSql = `INSERT INTO audit_logs (user_id, action_type, target_table, after_state, status, created_at) VALUES ` +
-        auditLogs.map(() => `(?,?,?,?, 'SUCCESS', NOW())`).join(',');
-      const auditParams = [];
-      auditLogs.forEach(l => {
-        auditParams.push(l.user_id, l.action_type, l.target_table, JSON.stringify(l.after_state));
-      });
-      await conn.query(auditSql, auditParams);
-    }
+    const items = rows.map(r => ({
+      employee_id: r.employee_id,
+      name: r.full_name,
+      basic_salary: Number(r.basic_salary || 0),
+      amount: Number(calc(r.basic_salary).toFixed(2)),
+    }));
+    const total = Number(items.reduce((a, i) => a + i.amount, 0).toFixed(2));
+
+    const payload = {
+      type, mode, amount, percent, month, note: note || null, category: category || null,
+      effective_date: effectiveDate, effective_from: effFrom, effective_to: effTo, items, total,
+    };
+    const { request } = await requestPayChange(pool, {
+      change_type: 'Compensation',
+      payload,
+      after: { type, month, employees: items.length, total, items: items.map(i => ({ employee_id: i.employee_id, amount: i.amount })) },
+      user_id: req.user.id,
+    });
 
     logAudit({ level: 'info',
-      user_id: req.user?.id || null,
-      action_type: 'COMPENSATION_APPLY',
-      target_table: 'compensation_batch',
-      target_id: null,
+      user_id: req.user.id,
+      action_type: 'REQUEST_COMPENSATION',
+      target_table: 'pay_change_requests',
+      target_id: request.id,
+      after_state: { type, mode, month, employees: items.length, total },
       status: 'SUCCESS',
       req,
     });
-    await conn.commit();
-    res.json({ ok:true, message:`Applied ${type} to ${employee_ids.length} employee(s)` });
+    res.status(202).json({ ok:true, message:`${type} for ${items.length} employee(s) sent for approval`, data: request });
 
   } catch (err) {
-    await (conn?.rollback?.());
     console.error('applyCompensation error:', err);
     logAudit({ level:'error',
       user_id: req.user?.id || null,
-      action_type: 'COMPENSATION_APPLY',
-      target_table: 'compensation_batch',
+      action_type: 'REQUEST_COMPENSATION',
+      target_table: 'pay_change_requests',
       target_id: null,
       status: 'FAILURE',
       req,
       error_message: err.message,
     });
     res.status(500).json({ ok:false, message:'Failed to apply compensation' });
-  } finally {
-    conn?.release?.();
   }
 };
 
@@ -693,6 +698,7 @@ const createDeduction = async (req, res) => {
     if (basis === 'Fixed' && (amount == null || isNaN(amount))) {
       return res.status(400).json({ ok: false, message: 'Amount is required for Fixed basis' });
     }
+    if (await rejectIfLocked(res, { after: { effective_date, status }, span: spans.deductions })) return;
 
     const [result] = await pool.query(
       `INSERT INTO deductions
@@ -777,6 +783,16 @@ const updateDeduction = async (req, res) => {
       return res.status(404).json({ ok: false, message: 'Deduction not found' });
     }
 
+    const next = {
+      employee_id, name, basis, effective_date, status,
+      percent: basis === 'Percent' ? percent : null,
+      amount: basis === 'Fixed' ? amount : null,
+    };
+    if (await rejectIfLocked(res, {
+      before, after: next, span: spans.deductions,
+      fields: ['employee_id', 'name', 'basis', 'percent', 'amount'],
+    })) return;
+
     await pool.query(
       `UPDATE deductions
           SET employee_id=?, name=?, type=?, basis=?, percent=?, amount=?, effective_date=?, status=?, updated_at=NOW()
@@ -837,6 +853,7 @@ const deleteDeduction = async (req, res) => {
     if (!before) {
       return res.status(404).json({ ok: false, message: 'Deduction not found' });
     }
+    if (await rejectIfLocked(res, { before, span: spans.deductions })) return;
 
     await pool.query('DELETE FROM deductions WHERE id=?', [id]);
 
@@ -878,18 +895,20 @@ const deleteDeduction = async (req, res) => {
 
 /* ========== BASIC SALARY (also used by percent preview) ========== */
 
+// GET /basic?employee_id=&date=  (salary in force on `date`, default today)
 const getBasicSalary = async (req, res) => {
   try {
     const { employee_id } = req.query;
 
     if (!employee_id) return res.status(400).json({ ok: false, message: 'employee_id required' });
-    const [[row]] = await pool.query('SELECT basic_salary FROM salaries WHERE employee_id=?', [employee_id]);
+    const date = req.query.date ? String(req.query.date).slice(0, 10) : new Date().toISOString().slice(0, 10);
+    const row = await basicSalaryOn(pool, employee_id, date);
 
     if (!row) {
       return res.status(404).json({ ok: false, message: 'Employee salary not found' });
     }
 
-    res.json({ basic_salary: row?.basic_salary || 0 });
+    res.json({ basic_salary: row.basic_salary, effective_from: row.effective_from, as_of: date });
   } catch (err) {
     console.error('getBasicSalary error:', err);
     logEvent({ level: 'error',
@@ -902,23 +921,154 @@ const getBasicSalary = async (req, res) => {
   }
 };
 
+/**
+ * POST /basic  { employee_id, basic_salary, effective_from?, reason?, note? }
+ * (also POST /history/:employeeId)
+ * Queues a salary history row (effective today unless given) for approval by another
+ * user (/change-requests). Once approved, months already Locked from that date are
+ * recalculated and the differences are queued as arrears for the next open payroll.
+ */
 const setBasicSalary = async (req, res) => {
-  const { employee_id, basic_salary } = req.body;
+  const employee_id = req.params.employeeId || req.body.employee_id;
+  const { basic_salary, reason = 'Correction', note = null } = req.body;
   if (!employee_id || basic_salary == null) {
     return res.status(400).json({ ok: false, message: 'employee_id and basic_salary required' });
   }
-  await pool.query(
-    `INSERT INTO salaries (employee_id, basic_salary)
-     VALUES (?, ?)
-     ON DUPLICATE KEY UPDATE basic_salary=VALUES(basic_salary), updated_at=NOW()`,
-    [employee_id, basic_salary]
-  );
-  res.json({ ok: true, message: 'Basic salary set' });
+  if (isNaN(Number(basic_salary)) || Number(basic_salary) < 0) {
+    return res.status(400).json({ ok: false, message: 'basic_salary must be a non-negative number' });
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  const effective_from = req.body.effective_from ? String(req.body.effective_from).slice(0, 10) : today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_from)) {
+    return res.status(400).json({ ok: false, message: 'effective_from must be YYYY-MM-DD' });
+  }
+  if (!SALARY_CHANGE_REASONS.includes(reason)) {
+    return res.status(400).json({ ok: false, message: `reason must be one of ${SALARY_CHANGE_REASONS.join(', ')}` });
+  }
+
+  try {
+    const [[emp]] = await pool.query('SELECT id FROM employees WHERE id = ?', [employee_id]);
+    if (!emp) return res.status(404).json({ ok: false, message: 'Employee not found' });
+
+    const before = await salaryBefore(pool, emp.id, effective_from);
+    const after = { basic_salary: Number(basic_salary), effective_from };
+    const { request, status, message } = await requestPayChange(pool, {
+      change_type: 'BasicSalary', employee_id: emp.id,
+      payload: { basic_salary: Number(basic_salary), effective_from, reason, note },
+      before, after: { ...after, reason, note }, user_id: req.user.id,
+    });
+    if (status) return res.status(status).json({ ok: false, message });
+
+    logAudit({
+      level: 'info',
+      user_id: req.user.id,
+      action_type: 'REQUEST_BASIC_SALARY_CHANGE',
+      target_table: 'pay_change_requests',
+      target_id: request.id,
+      before_state: before,
+      after_state: { employee_id: emp.id, ...after, reason, note },
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(202).json({ ok: true, message: 'Basic salary change sent for approval', data: request });
+  } catch (err) {
+    console.error('setBasicSalary error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'REQUEST_BASIC_SALARY_CHANGE', target_table: 'pay_change_requests', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to request basic salary change' });
+  }
+};
+
+/* ========== ARREARS (back-dated salary changes over Locked months) ========== */
+
+// GET /arrears?employee_id=&status=&pay_year=&pay_month=
+const listArrears = async (req, res) => {
+  try {
+    const { employee_id, status, pay_year, pay_month } = req.query;
+    const where = [];
+    const params = [];
+    if (employee_id) { where.push('a.employee_id = ?'); params.push(employee_id); }
+    if (status) { where.push('a.status = ?'); params.push(status); }
+    if (pay_year) { where.push('a.pay_year = ?'); params.push(pay_year); }
+    if (pay_month) { where.push('a.pay_month = ?'); params.push(pay_month); }
+
+    const [rows] = await pool.query(
+      `SELECT a.*, e.employee_code, e.full_name, h.basic_salary AS new_basic_salary, h.effective_from
+         FROM salary_arrears a
+         JOIN employees e ON e.id = a.employee_id
+         LEFT JOIN employee_salary_history h ON h.id = a.salary_history_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY a.pay_year DESC, a.pay_month DESC, e.full_name, a.period_year, a.period_month, a.id`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listArrears error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_ARREARS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch arrears' });
+  }
+};
+
+/**
+ * POST /arrears/preview  { employee_id, basic_salary, effective_from }
+ * What POST /basic would post, without saving anything.
+ */
+const previewArrears = async (req, res) => {
+  const { employee_id, basic_salary, effective_from } = req.body || {};
+  if (!employee_id || basic_salary == null || !effective_from) {
+    return res.status(400).json({ ok: false, message: 'employee_id, basic_salary and effective_from required' });
+  }
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(
+      'INSERT INTO employee_salary_history (employee_id, basic_salary, effective_from) VALUES (?, ?, ?)',
+      [employee_id, basic_salary, String(effective_from).slice(0, 10)]
+    );
+    const arrears = await computeArrears(conn, employee_id, effective_from);
+    res.json({ ok: true, data: arrears });
+  } catch (err) {
+    console.error('previewArrears error:', err);
+    logEvent({ level: 'error', event_type: 'PREVIEW_ARREARS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to preview arrears' });
+  } finally {
+    await conn.rollback();
+    conn.release();
+  }
+};
+
+// DELETE /arrears/:id  (Pending only; the salary history row stays)
+const cancelArrears = async (req, res) => {
+  try {
+    const [[row]] = await pool.query('SELECT * FROM salary_arrears WHERE id = ?', [req.params.id]);
+    if (!row) return res.status(404).json({ ok: false, message: 'Arrears line not found' });
+    if (row.status !== 'Pending') {
+      return res.status(409).json({ ok: false, message: `Arrears line is ${row.status} and cannot be cancelled` });
+    }
+
+    await pool.query(`UPDATE salary_arrears SET status = 'Cancelled' WHERE id = ?`, [row.id]);
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'CANCEL_SALARY_ARREARS',
+      target_table: 'salary_arrears',
+      target_id: row.id,
+      before_state: row,
+      after_state: { ...row, status: 'Cancelled' },
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, message: 'Arrears line cancelled' });
+  } catch (err) {
+    console.error('cancelArrears error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CANCEL_SALARY_ARREARS', target_table: 'salary_arrears', target_id: req.params.id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to cancel arrears' });
+  }
 };
 
 /* ===================== CREATES (forms) ===================== */
 
 // Add Allowance
+// Queued for approval by another user (/change-requests); the allowance is inserted when it is approved.
 const addAllowance = async (req, res) => {
   try {
     const {
@@ -936,36 +1086,39 @@ const addAllowance = async (req, res) => {
     if (!employee_id || !description || amount == null) {
       return res.status(400).json({ ok: false, message: 'employee_id, description, amount are required' });
     }
+    if (await rejectIfLocked(res, { after: { effective_from, effective_to, status }, span: spans.allowances })) return;
 
-    const [result] = await pool.query(
-      `INSERT INTO allowances
-        (employee_id, name, category, amount, taxable, frequency, effective_from, effective_to, status, created_at)
-       VALUES (?,?,?,?,?,?,?,?,?, NOW())`,
-      [employee_id, description, category, amount, Number(taxable) ? 1 : 0, frequency, effective_from, effective_to, status]
-    );
-
-    const allowanceId = result.insertId;
+    const payload = {
+      type: 'Allowance', note: description, category, taxable: Number(taxable) ? 1 : 0, frequency,
+      effective_from, effective_to, status, items: [{ employee_id, amount: Number(amount) }], total: Number(amount),
+    };
+    const { request } = await requestPayChange(pool, {
+      change_type: 'Compensation',
+      payload,
+      after: { type: 'Allowance', employee_id, name: description, category, amount: Number(amount), frequency, effective_from, effective_to, status },
+      user_id: req.user.id,
+    });
 
     logAudit({ level: 'info',
       user_id: req.user.id,
-      action_type: "CREATE_ALLOWANCE",
-      target_table: "allowances",
-      target_id: allowanceId,
+      action_type: "REQUEST_ALLOWANCE",
+      target_table: "pay_change_requests",
+      target_id: request.id,
       before_state: null,
-      after_state: result,
+      after_state: request.after_state,
       req,
       status: "SUCCESS"
     })
 
-    res.json({ ok: true, message: 'Allowance added' });
+    res.status(202).json({ ok: true, message: 'Allowance sent for approval', data: request });
 
   } catch (err) {
     console.error(err);
 
     logAudit({ level:'error',
       user_id: req.user?.id,
-      action_type: "CREATE_ALLOWANCE",
-      target_table: "allowances",
+      action_type: "REQUEST_ALLOWANCE",
+      target_table: "pay_change_requests",
       target_id: null,
       before_state: null,
       after_state: req.body,
@@ -1018,6 +1171,8 @@ const getAllowanceById = async (req, res) => {
 };
 
 // Update allowance
+// Like addAllowance, the edit waits for approval; the request keeps the row as it was so a
+// changed allowance is refused at approval.
 const updateAllowance = async (req, res) => {
   try {
     const { id } = req.params;
@@ -1037,48 +1192,50 @@ const updateAllowance = async (req, res) => {
       return res.status(400).json({ ok: false, message: 'employee_id, description, amount are required' });
     }
 
-    const [result] = await pool.query(
-      `UPDATE allowances 
-       SET employee_id = ?, name = ?, category = ?, amount = ?, 
-           taxable = ?, frequency = ?, effective_from = ?, effective_to = ?, 
-           status = ?, updated_at = NOW()
-       WHERE id = ?`,
-      [
-        employee_id, 
-        description, 
-        category, 
-        amount, 
-        Number(taxable) ? 1 : 0, 
-        frequency, 
-        effective_from, 
-        effective_to, 
-        status, 
-        id
-      ]
-    );
-
-    if (result.affectedRows === 0) {
+    const [[before]] = await pool.query('SELECT * FROM allowances WHERE id = ?', [id]);
+    if (!before) {
       return res.status(404).json({ ok: false, message: 'Allowance not found' });
     }
+    if (await rejectIfLocked(res, {
+      before,
+      after: { employee_id, name: description, amount, effective_from, effective_to, status },
+      span: spans.allowances,
+      fields: ['employee_id', 'name', 'amount'],
+    })) return;
+
+    const after = {
+      employee_id, name: description, category, amount: Number(amount), taxable: Number(taxable) ? 1 : 0,
+      frequency, effective_from, effective_to, status,
+    };
+    const { request } = await requestPayChange(pool, {
+      change_type: 'Compensation',
+      payload: {
+        type: 'Allowance', allowance_id: before.id, note: description, category, taxable: after.taxable, frequency,
+        effective_from, effective_to, status, items: [{ employee_id, amount: after.amount }], total: after.amount,
+      },
+      before: allowanceBefore(before),
+      after,
+      user_id: req.user.id,
+    });
 
     logAudit({ level:'info',
       user_id: req.user.id,
-      action_type: "UPDATE_ALLOWANCE",
-      target_table: "allowances",
-      target_id: result.insertId,
+      action_type: "REQUEST_ALLOWANCE_UPDATE",
+      target_table: "pay_change_requests",
+      target_id: request.id,
       status:"SUCCESS",
-      before_state:null,
-      after_state: result,
+      before_state: allowanceBefore(before),
+      after_state: after,
       req
     });
 
-    res.json({ ok: true, message: 'Allowance updated successfully' });
+    res.status(202).json({ ok: true, message: 'Allowance change sent for approval', data: request });
   } catch (err) {
     console.error('updateAllowance error:', err);
      logAudit({ level:'error',
       user_id: req.user.id,
-      action_type: "UPDATE_ALLOWANCE",
-      target_table: "allowances",
+      action_type: "REQUEST_ALLOWANCE_UPDATE",
+      target_table: "pay_change_requests",
       target_id: null,
       status:"FAILURE",
       before_state:null,
@@ -1098,6 +1255,7 @@ const deleteAllowance = async (req, res) => {
     if (!before) {
       return res.status(404).json({ ok: false, message: 'Allowance not found' });
     }
+    if (await rejectIfLocked(res, { before, span: spans.allowances })) return;
 
     const [result] = await pool.query('DELETE FROM allowances WHERE id = ?', [id]);
     // Add audit log
@@ -1135,39 +1293,42 @@ const deleteAllowance = async (req, res) => {
 
 // (Removed old addOvertimeAdjustment that referenced non-existent columns)
 
+// Queued for approval like addAllowance; the bonus is inserted when it is approved
 const addBonus = async (req, res) => {
   const { employee_id, amount, reason, effective_date } = req.body;
   if (!employee_id || !amount || !effective_date)
     return res.status(400).json({ ok: false, message: 'employee_id, amount, effective_date required' });
 
   try {
-    // 💡 FIX: Use pool.getConnection() for transaction in addBonus if needed, otherwise use pool.query
-    const conn = await pool.getConnection();
-    const [insert] = await conn.query(
-      'INSERT INTO bonuses (employee_id, amount, reason, effective_date, created_by) VALUES (?,?,?,?,?)',
-      [employee_id, amount, reason || null, effective_date, req.user?.id]
-    );
+    if (await rejectIfLocked(res, { after: { effective_date }, span: spans.bonuses })) return;
+
+    const { request } = await requestPayChange(pool, {
+      change_type: 'Compensation',
+      payload: { type: 'Bonus', note: reason || null, effective_date, items: [{ employee_id, amount: Number(amount) }], total: Number(amount) },
+      after: { type: 'Bonus', employee_id, amount: Number(amount), reason: reason || null, effective_date },
+      user_id: req.user.id,
+    });
 
     await logAudit({
       level: 'info',
       user_id: req.user.id,
-      action_type: 'ADD_BONUS',
-      target_table: 'bonuses',
-      target_id: insert.insertId,
+      action_type: 'REQUEST_BONUS',
+      target_table: 'pay_change_requests',
+      target_id: request.id,
       before_state: null,
       after_state: { employee_id, amount, reason, effective_date },
       req,
       status: 'SUCCESS'
     });
 
-  res.json({ ok: true, message: 'Bonus added' });
+  res.status(202).json({ ok: true, message: 'Bonus sent for approval', data: request });
 
   } catch (err) {
     await logAudit({
       level: 'error',
       user_id: req.user?.id || null,
-      action_type: 'ADD_BONUS',
-      target_table: 'bonuses',
+      action_type: 'REQUEST_BONUS',
+      target_table: 'pay_change_requests',
       target_id: null,
       before_state: null,
       after_state: null,
@@ -1177,8 +1338,6 @@ const addBonus = async (req, res) => {
     });
 
     res.status(500).json({ ok: false, message: 'Failed to add bonus' });
-  } finally {
-    conn.release();
   }
 };
 
@@ -1188,22 +1347,39 @@ const listEarnings = async (req, res) => {
   try {
   const { month, year } = req.query; // optional
   const [emps] = await pool.query(`
-    SELECT e.id, e.full_name, d.name AS department, s.basic_salary
+    SELECT e.id, e.full_name, d.name AS department
     FROM employees e
     LEFT JOIN departments d ON d.id = e.department_id
-    LEFT JOIN salaries s ON s.employee_id = e.id
     WHERE e.status='Active'
   `);
+  await withBasicSalary(pool, emps, new Date().toISOString().slice(0, 10), 'id');
 
 
 
 
   // **************************************************
+
+  // For a concrete month the grid shows exactly what payroll will pay
+  if (month && year) {
+    const payrolls = await calculatePayrollForEmployees(emps.map(e => e.id), year, month);
+    const data = emps.map(e => {
+      const { totals } = payrolls.get(e.id);
+      return {
+        employee_id: e.id,
+        name: e.full_name,
+        department: e.department || '',
+        basic_salary: totals.basic,
+        overtime: totals.overtime, bonus: totals.bonuses, allowances: totals.allowances,
+        gross: totals.gross
+      };
+    });
+    return res.json({ ok: true, data });
+  }
   
   // Build allowance/overtime/bonus maps with optional period filter
   const params = [];
   let allowWhere = "WHERE status='Active'";
-  let otWhere = 'WHERE 1=1'; // created_at based
+  let otWhere = "WHERE status='Approved'"; // created_at based
   let bonusWhere = 'WHERE 1=1';
 
   if (month && year) {
@@ -1217,7 +1393,7 @@ const listEarnings = async (req, res) => {
     allowWhere += ' AND (effective_to IS NULL OR effective_to >= ?)';
     params.push(lastStr, firstStr);
 
-    otWhere += ' AND MONTH(created_at)=? AND YEAR(created_at)=?';
+    otWhere += ' AND MONTH(COALESCE(ot_date, created_at))=? AND YEAR(COALESCE(ot_date, created_at))=?';
     bonusWhere += ' AND MONTH(effective_date)=? AND YEAR(effective_date)=?';
     params.push(Number(month), Number(year), Number(month), Number(year));
   }
@@ -1314,14 +1490,14 @@ const processUnpaidLeaveDeduction = async (req, res) => {
     // 1. Fetch data required for calculation
     const [[leave]] = await conn.query(
       `SELECT 
-         ul.id, ul.employee_id, ul.total_days, ul.reason, ul.status,
-         e.full_name, s.basic_salary
+         ul.id, ul.employee_id, ul.start_date, ul.end_date, ul.total_days, ul.reason, ul.status,
+         e.full_name
        FROM unpaid_leaves ul
        JOIN employees e ON e.id = ul.employee_id
-       LEFT JOIN salaries s ON s.employee_id = ul.employee_id
        WHERE ul.id = ?`,
       [id]
     );
+    if (leave) await withBasicSalary(conn, [leave], String(leave.start_date).slice(0, 10));
 
     if (!leave) { await conn.rollback(); return res.status(404).json({ ok: false, message: 'Record not found' }); }
     if (leave.status === 'Processed') { await conn.rollback(); return res.status(400).json({ ok: false, message: 'Already processed' }); }
@@ -1334,6 +1510,15 @@ const processUnpaidLeaveDeduction = async (req, res) => {
        return res.status(400).json({ ok: false, message: 'Cannot process: Basic salary or Total days is zero.' });
     }
     
+    // Processing flips the leave's status and posts a deduction dated today
+    const lockedRun =
+      await findAffectedLockedRun(conn, { before: leave, after: { ...leave, status: 'Processed' }, span: spans.unpaid_leaves, fields: ['status'] }) ||
+      await findAffectedLockedRun(conn, { after: { effective_date: new Date().toISOString().slice(0, 10), status: 'Active' }, span: spans.deductions });
+    if (lockedRun) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, message: lockedPeriodMessage(lockedRun) });
+    }
+
     // 2. Calculate Deduction: (Basic Salary / 20) * Total Days
     const divisorDays = 20; 
     const oneDayDeduction = basicSalary / divisorDays;
@@ -1403,6 +1588,8 @@ const createUnpaidLeave = async (req, res) => {
     // This is the manual insertion from the UnpaidLeaves.jsx modal
     const { employee_id, start_date, end_date, total_days, reason, status } = req.body;
     try {
+        if (await rejectIfLocked(res, { after: { start_date, end_date }, span: spans.unpaid_leaves })) return;
+
         const [result] = await pool.query(
             `INSERT INTO unpaid_leaves (employee_id, start_date, end_date, total_days, reason, status)
              VALUES (?, ?, ?, ?, ?, ?)`,
@@ -1420,6 +1607,15 @@ const updateUnpaidLeave = async (req, res) => {
     const { id } = req.params;
     const { start_date, end_date, total_days, reason, status, deduction_amount } = req.body;
     try {
+        const [[before]] = await pool.query('SELECT * FROM unpaid_leaves WHERE id=?', [id]);
+        if (!before) return res.status(404).json({ ok: false, message: 'Record not found' });
+        if (await rejectIfLocked(res, {
+            before,
+            after: { start_date, end_date, total_days, status, deduction_amount },
+            span: spans.unpaid_leaves,
+            fields: ['total_days', 'status', 'deduction_amount'],
+        })) return;
+
         const [result] = await pool.query(
             `UPDATE unpaid_leaves SET start_date=?, end_date=?, total_days=?, reason=?, status=?, deduction_amount=?, updated_at=NOW() WHERE id=?`,
             [start_date, end_date, total_days, reason, status, deduction_amount, id]
@@ -1436,6 +1632,10 @@ const updateUnpaidLeave = async (req, res) => {
 const deleteUnpaidLeave = async (req, res) => {
     const { id } = req.params;
     try {
+        const [[before]] = await pool.query('SELECT * FROM unpaid_leaves WHERE id=?', [id]);
+        if (!before) return res.status(404).json({ ok: false, message: 'Record not found' });
+        if (await rejectIfLocked(res, { before, span: spans.unpaid_leaves })) return;
+
         const [result] = await pool.query('DELETE FROM unpaid_leaves WHERE id=?', [id]);
         if (result.affectedRows === 0) return res.status(404).json({ ok: false, message: 'Record not found' });
         res.json({ ok: true, message: 'Unpaid leave deleted successfully.' });
@@ -1465,7 +1665,7 @@ const monthSummary = async (req, res) => {
 
     const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
 
-    // Pull filtered employees with identity/org/basic salary
+    // Pull filtered employees with identity/org
     const [emps] = await pool.query(`
       SELECT 
         e.id                AS employee_id,
@@ -1473,91 +1673,21 @@ const monthSummary = async (req, res) => {
         e.full_name,
         e.grade_id,
         g.grade_name,
-        d.name              AS department_name,
-        s.basic_salary
+        d.name              AS department_name
       FROM employees e
       LEFT JOIN departments d ON d.id = e.department_id
       LEFT JOIN grades g      ON g.grade_id = e.grade_id
-      LEFT JOIN salaries s    ON s.employee_id = e.id
       ${whereSql}
       ORDER BY e.full_name
     `, params);
 
     if (!emps.length) return res.json({ ok:true, data: [] });
 
-    // --- Time bounds for the selected month
-    const first = new Date(Number(year), Number(month) - 1, 1);
-    const last  = new Date(Number(year), Number(month), 0);
-    const firstStr = first.toISOString().slice(0,10);
-    const lastStr  = last.toISOString().slice(0,10);
-
-    // --- Build ID set for fast lookups (not used in SQL; we’ll filter in JS)
-    const idSet = new Set(emps.map(e => e.employee_id));
-
-    // --- Aggregations (month-wide), then filter in JS
-
-    // Allowances active in the month (period-inclusive)
-    const [allowAll] = await pool.query(`
-      SELECT employee_id, SUM(amount) AS total
-      FROM allowances
-      WHERE status='Active'
-        AND (effective_from IS NULL OR effective_from <= ?)
-        AND (effective_to   IS NULL OR effective_to   >= ?)
-      GROUP BY employee_id
-    `, [lastStr, firstStr]);
-
-    // Overtime strictly in the month (by created_at)
-    const [otAll] = await pool.query(`
-      SELECT employee_id, SUM(ot_hours * ot_rate) AS total
-      FROM overtime_adjustments
-      WHERE MONTH(created_at)=? AND YEAR(created_at)=?
-      GROUP BY employee_id
-    `, [Number(month), Number(year)]);
-
-    // Bonuses effective in the month
-    const [bonusAll] = await pool.query(`
-      SELECT employee_id, SUM(amount) AS total
-      FROM bonuses
-      WHERE MONTH(effective_date)=? AND YEAR(effective_date)=?
-      GROUP BY employee_id
-    `, [Number(month), Number(year)]);
-
-    // Deductions up to that month/year (same logic)
-    const [dedAll] = await pool.query(`
-      SELECT employee_id, SUM(
-        CASE WHEN basis='Percent' AND percent IS NOT NULL
-             THEN (percent/100.0) * COALESCE((SELECT basic_salary FROM salaries WHERE employee_id=deductions.employee_id LIMIT 1), 0)
-             ELSE amount
-        END
-      ) AS total
-      FROM deductions
-      WHERE status='Active'
-        AND MONTH(effective_date)<=? AND YEAR(effective_date)<=?
-      GROUP BY employee_id
-    `, [Number(month), Number(year)]);
-
-    // Convert rows to maps and keep only the filtered employees
-    const toMap = (rows) => {
-      const m = Object.create(null);
-      for (const r of rows) {
-        if (idSet.has(r.employee_id)) m[r.employee_id] = Number(r.total || 0);
-      }
-      return m;
-    };
-    const A = toMap(allowAll);
-    const O = toMap(otAll);
-    const B = toMap(bonusAll);
-    const D = toMap(dedAll);
+    const payrolls = await calculatePayrollForEmployees(emps.map(e => e.employee_id), year, month);
 
     // Compose final dataset
     const data = emps.map(e => {
-      const basic       = Number(e.basic_salary || 0);
-      const allowances  = A[e.employee_id] || 0;
-      const overtime    = O[e.employee_id] || 0;
-      const bonus       = B[e.employee_id] || 0;
-      const gross       = basic + allowances + overtime + bonus;
-      const totalDeductions = D[e.employee_id] || 0;
-      const net = gross - totalDeductions;
+      const { totals, locked } = payrolls.get(e.employee_id);
 
       return {
         employee_id     : e.employee_id,
@@ -1566,13 +1696,14 @@ const monthSummary = async (req, res) => {
         department_name : e.department_name || '',
         grade_id        : e.grade_id,
         grade_name      : e.grade_name || '',
-        basic,
-        allowances,
-        overtime,
-        bonus,
-        gross,
-        totalDeductions,
-        net
+        basic           : totals.basic,
+        allowances      : totals.allowances,
+        overtime        : totals.overtime,
+        bonus           : totals.bonuses,
+        gross           : totals.gross,
+        totalDeductions : totals.total_deductions,
+        net             : totals.net,
+        locked
       };
     });
 
@@ -1586,45 +1717,17 @@ const monthSummary = async (req, res) => {
 
 //=======================================================
 
-const runPayrollForMonth = async (req, res) => {
-  const { month, year } = req.body;
-  if (!month || !year) return res.status(400).json({ ok:false, message:'month, year required' });
-
-  // reuse summary
-  const fakeReq = { query: { month, year } };
-  const fakeRes = { json: (p) => p };
-  const { data } = await monthSummary(fakeReq, fakeRes);
-
-  const conn = await pool.getConnection();
-  try {
-    await conn.beginTransaction();
-    for (const r of data) {
-      await conn.query(`
-        INSERT INTO payroll_cycles (employee_id, period_month, period_year, gross_earnings, total_deductions, net_salary, generated_at)
-        VALUES (?,?,?,?,?,?, NOW())
-      `, [r.employee_id, month, year, r.gross, r.totalDeductions, r.net]);
-    }
-    await conn.commit();
-  } catch (e) {
-    await conn.rollback();
-    console.error(e);
-    logEvent({ level: 'error', event_type: "RUN_PAYROLL_FAILED", user_id: req.user?.id || null, req, extra: { error: e.message, month, year }
-    })
-    return res.status(500).json({ ok: false, message: 'Failed to run payroll' });
-  } finally {
-    conn.release();
-  }
-
-  res.json({ ok:true, message: `Payroll run stored for ${month}/${year}`, count: data.length });
-};
-
-// Helper to calculate start/end dates for the month
-const getPeriodDates = (year, month) => {
-    // month is 1-based (January=1)
-    const periodStart = `${year}-${String(month).padStart(2, '0')}-01`;
-    // Get last day of the month
-    const periodEnd = new Date(year, month, 0).toISOString().slice(0, 10); 
-    return { periodStart, periodEnd };
+// payroll engine component -> payslip item type
+const PAYSLIP_LINE_TYPES = {
+    BASIC: 'Salary',
+    ALLOWANCE: 'Allowance',
+    BONUS: 'Bonus',
+    OVERTIME: 'Overtime Pay',
+    DEDUCTION: 'Deduction',
+    EPF_EMPLOYEE: 'Statutory Deduction',
+    TAX: 'Tax',
+    LOAN: 'Loan Instalment',
+    ARREARS: 'Arrears',
 };
 
 /**
@@ -1633,24 +1736,16 @@ const getPeriodDates = (year, month) => {
  */
 const getEmployeePayslip = async (req, res) => {
     const { employeeId, year, month } = req.params;
-    const y = Number(year);
-    const m = Number(month);
-    const { periodStart, periodEnd } = getPeriodDates(y, m);
 
     try {
         const [[employeeData]] = await pool.query(
             `SELECT
                 e.id, e.employee_code, e.full_name, e.email, e.nic, e.epf_no, e.etf_no,
                 COALESCE(d.name, e.department_name, 'N/A') AS department_name, 
-                COALESCE(j.designation_name, 'N/A') AS position, // <--- MODIFIED
-                s.basic_salary
+                COALESCE(e.designation, 'N/A') AS position
             FROM employees e
             LEFT JOIN departments d ON d.id = e.department_id
-            LEFT JOIN designations j ON j.id = e.designation_id
-            LEFT JOIN salaries s ON s.employee_id = e.id
-            WHERE e.id = ?
-            ORDER BY s.effective_date DESC
-            LIMIT 1`,
+            WHERE e.id = ?`,
             [employeeId]
         );
 
@@ -1658,92 +1753,37 @@ const getEmployeePayslip = async (req, res) => {
             // Employee not even in the system or basic query failed
             return res.status(404).json({ ok: false, message: 'Employee not found.' });
         }
-        
-        // Ensure salary is present for calculation (if basic_salary is null, set it to 0)
-        const basicSalary = Number(employeeData.basic_salary || 0);
-        
-        if (basicSalary === 0) {
-             return res.status(400).json({ ok: false, message: 'Basic salary is zero for this employee. Cannot generate payslip.' });
-        }
 
-        // --- 2. Fetch Itemized Earnings and Deductions for the period ---
-        
-        // 2a. Allowances (Monthly & active during the period)
-        const [allowances] = await pool.query(
-            `SELECT name, amount, 'Allowance' as type FROM allowances
-            WHERE employee_id = ? 
-            AND status = 'Active'
-            AND (effective_from <= ? OR effective_from IS NULL) 
-            AND (effective_to IS NULL OR effective_to >= ?)
-            AND frequency = 'Monthly'`,
-            [employeeId, periodEnd, periodStart]
-        );
+        // Locked months are served from the run snapshot, others calculated live
+        const payroll = await calculatePayroll(employeeId, year, month);
+        const { lines, totals } = payroll;
 
-        // 2b. Bonuses (Compensation Adjustment)
-        const [bonuses] = await pool.query(
-            `SELECT reason AS name, amount, 'Bonus' as type FROM bonuses
-            WHERE employee_id = ? AND YEAR(effective_date) = ? AND MONTH(effective_date) = ?`,
-            [employeeId, y, m]
-        );
-        
-        // 2c. Overtime Adjustments
-        const [overtime] = await pool.query(
-            `SELECT adjustment_reason AS name, (ot_hours * ot_rate) AS amount, 'Overtime Pay' as type FROM overtime_adjustments
-            WHERE employee_id = ? AND YEAR(created_at) = ? AND MONTH(created_at) = ?`,
-            [employeeId, y, m]
-        );
-        
-        // 2d. Deductions (Loans, Other, Unpaid Leave, excluding EPF which is calculated separately)
-        const [deductions] = await pool.query(
-            `SELECT name, amount, 'Deduction' as type FROM deductions
-            WHERE employee_id = ? AND status='Active' AND YEAR(effective_date) = ? AND MONTH(effective_date) = ?
-            AND name NOT LIKE '%EPF%'`, // Exclude EPF deduction if it's stored here
-            [employeeId, y, m]
-        );
-        
-        // 2e. ETF/EPF Contribution (From processed payment table)
-        // Check if employee_etf_epf_payments exists and has data for the period.
-       const etfEpfPayment = {
-            employeeEPF: 0,
-            employerEPF: 0,
-            employerETF: 0
-        };
-
-        // --- 3. Aggregate Data and Calculate Totals ---
-        
-        const otherEarnings = [...allowances, ...bonuses, ...overtime.filter(o => o.amount > 0)];
-        const totalOtherEarnings = otherEarnings.reduce((sum, item) => sum + Number(item.amount || 0), 0);
-        
-        // EPF is a statutory deduction (Employee's share)
-        const employeeEpf = etfEpfPayment.employeeEPF; // Use direct object access
-        const totalDeductions = deductions.reduce((sum, item) => sum + Number(item.amount || 0), 0) + employeeEpf;
+        if (totals.basic === 0) {
+             return res.status(400).json({ ok: false, message: 'Basic salary is zero for this employee. Cannot generate payslip.' });
+        }
 
-        const grossSalary = basicSalary + totalOtherEarnings;
-        const netSalary = grossSalary - totalDeductions;
+        const asItem = (l) => ({ name: l.description, amount: l.amount, type: PAYSLIP_LINE_TYPES[l.component] || l.line_type, formula: l.formula });
+        const loans = await employeeLoanBalances(pool, employeeId, year, month);
 
-        // --- 4. Structure Response ---
         const responseData = {
             employee: {
                 ...employeeData,
-                basic_salary: basicSalary.toFixed(2) // Ensure basic salary used in calc is sent back
+                basic_salary: totals.basic.toFixed(2)
             },
             month: `${year}-${String(month).padStart(2, '0')}`,
+            payroll_run_id: payroll.payroll_run_id,
+            locked: payroll.locked,
             payslip: {
-                earnings: [
-                    { name: 'Basic Salary', amount: basicSalary, type: 'Salary' },
-                    ...otherEarnings,
-                ],
-                deductions: [
-                    ...deductions,
-                    { name: 'Employee EPF (8%)', amount: employeeEpf, type: 'Statutory Deduction' }
-                ].filter(d => d.amount > 0), // Filter out zero deductions
+                earnings: lines.filter(l => l.line_type === 'Earning').map(asItem),
+                deductions: lines.filter(l => l.line_type === 'Deduction').map(asItem),
                 totals: {
-                    grossSalary: grossSalary.toFixed(2),
-                    totalDeductions: totalDeductions.toFixed(2),
-                    netSalary: netSalary.toFixed(2),
-                    employerEPF: etfEpfPayment.employerEPF.toFixed(2), // Use direct object access
-                    employerETF: etfEpfPayment.employerETF.toFixed(2), // Use direct object access
-                }
+                    grossSalary: totals.gross.toFixed(2),
+                    totalDeductions: totals.total_deductions.toFixed(2),
+                    netSalary: totals.net.toFixed(2),
+                    employerEPF: totals.employer_epf.toFixed(2),
+                    employerETF: totals.employer_etf.toFixed(2),
+                },
+                loans,
             }
         };
 
@@ -1769,53 +1809,10 @@ const generatePayslip = async (req, res) => {
   const [[emp]] = await pool.query('SELECT full_name, email FROM employees WHERE id=?', [employee_id]);
   if (!emp) return res.status(404).json({ ok: false, message: 'Employee not found' });
 
-  const [[salary]] = await pool.query('SELECT basic_salary FROM salaries WHERE employee_id=?', [employee_id]);
-
-  // Allowances active in the month
-  const first = new Date(Number(year), Number(month) - 1, 1);
-  const last = new Date(Number(year), Number(month), 0);
-  const firstStr = first.toISOString().slice(0,10);
-  const lastStr = last.toISOString().slice(0,10);
-
-  const [allowances] = await pool.query(
-    `SELECT name, amount FROM allowances
-      WHERE employee_id=? AND status='Active'
-        AND (effective_from IS NULL OR effective_from <= ?)
-        AND (effective_to IS NULL OR effective_to >= ?)`,
-    [employee_id, lastStr, firstStr]
-  );
-
-  const [deductions] = await pool.query(
-    `SELECT name, basis, percent, amount
-       FROM deductions
-      WHERE employee_id=? AND status='Active'
-        AND MONTH(effective_date)<=? AND YEAR(effective_date)<=?`,
-    [employee_id, Number(month), Number(year)]
-  );
-
-  // Overtime in the month (by created_at)
-  const [otRows] = await pool.query(
-    `SELECT ot_hours, ot_rate, adjustment_reason, created_at
-       FROM overtime_adjustments
-      WHERE employee_id=? AND MONTH(created_at)=? AND YEAR(created_at)=?`
-    , [employee_id, Number(month), Number(year)]
-  );
-
-  const otTotal = otRows.reduce((a, r) => a + Number(r.ot_hours || 0) * Number(r.ot_rate || 0), 0);
-  const basic = Number(salary?.basic_salary || 0);
-  const allowTotal = allowances.reduce((a, b) => a + Number(b.amount || 0), 0);
-
-  const dedTotal = await (async () => {
-    let sum = 0;
-    for (const d of deductions) {
-      if (d.basis === 'Percent' && d.percent != null) sum += (Number(d.percent) / 100) * basic;
-      else sum += Number(d.amount || 0);
-    }
-    return sum;
-  })();
-
-  const gross = basic + allowTotal + otTotal;
-  const net = gross - dedTotal;
+  const { lines, totals } = await calculatePayroll(employee_id, year, month);
+  const gross = totals.gross;
+  const dedTotal = totals.total_deductions;
+  const net = totals.net;
   
   // NOTE: payrollResult is undefined here, fixed this in the previous turn.
 
@@ -1845,16 +1842,10 @@ const generatePayslip = async (req, res) => {
   doc.text(`Email: ${emp.email}`);
   doc.text(`Period: ${month}/${year}`);
   doc.moveDown();
-  doc.text(`Basic Salary: ${basic.toFixed(2)}`);
-  allowances.forEach(a => doc.text(`Allowance - ${a.name}: ${Number(a.amount).toFixed(2)}`));
-  otRows.forEach(o => doc.text(`Overtime - ${Number(o.ot_hours)}h × ${Number(o.ot_rate).toFixed(2)} = ${(Number(o.ot_hours)*Number(o.ot_rate)).toFixed(2)}${o.adjustment_reason ? ` (${o.adjustment_reason})` : ''}`));
-  deductions.forEach(d => {
-    if (d.basis === 'Percent' && d.percent != null) {
-      doc.text(`Deduction - ${d.name} (${Number(d.percent)}% of basic): -${((Number(d.percent)/100)*basic).toFixed(2)}`);
-    } else {
-      doc.text(`Deduction - ${d.name}: -${Number(d.amount || 0).toFixed(2)}`);
-    }
-  });
+  lines.filter(l => l.line_type === 'Earning').forEach(l =>
+    doc.text(`${l.description}: ${l.amount.toFixed(2)}${l.component === 'OVERTIME' && l.formula ? ` (${l.formula})` : ''}`));
+  lines.filter(l => l.line_type === 'Deduction').forEach(l =>
+    doc.text(`Deduction - ${l.description}: -${l.amount.toFixed(2)}`));
   doc.moveDown();
   doc.text(`Gross: ${gross.toFixed(2)}`);
   doc.text(`Total Deductions: ${dedTotal.toFixed(2)}`);
@@ -1903,10 +1894,14 @@ module.exports = {
   setBasicSalary,
   getBasicSalary,
 
+  // arrears from back-dated salary changes
+  listArrears,
+  previewArrears,
+  cancelArrears,
+
   // earnings/summary/run
   listEarnings,
   monthSummary,
-  runPayrollForMonth,
 
   // payslip
   generatePayslip,
@@ -0,0 +1,183 @@
+// src/controllers/salaryHistory.controller.js
+// Per-employee salary history and bulk (annual) increments by grade or department.
+// Single changes are recorded through salary.controller setBasicSalary; both go through
+// the pay change approval queue.
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { basicSalariesOn, buildIncrement } = require('../utils/salaryHistory');
+const { parseJson, requestPayChange } = require('../utils/payChanges');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const today = () => new Date().toISOString().slice(0, 10);
+
+/* ===================== HISTORY ===================== */
+
+// GET /history/:employeeId
+exports.getSalaryHistory = async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const [[employee]] = await pool.query(
+      'SELECT id, employee_code, full_name, grade_id, department_id FROM employees WHERE id = ?',
+      [employeeId]
+    );
+    if (!employee) return res.status(404).json({ ok: false, message: 'Employee not found' });
+
+    const [rows] = await pool.query(
+      `SELECT h.id, h.basic_salary, h.effective_from, h.reason, h.note, h.increment_batch_id,
+              h.approved_by, ua.name AS approved_by_name, h.created_by, uc.name AS created_by_name, h.created_at
+         FROM employee_salary_history h
+         LEFT JOIN users ua ON ua.id = h.approved_by
+         LEFT JOIN users uc ON uc.id = h.created_by
+        WHERE h.employee_id = ?
+        ORDER BY h.effective_from DESC, h.id DESC`,
+      [employeeId]
+    );
+
+    const current = (await basicSalariesOn(pool, [employee.id], today())).get(employee.id) || null;
+    // rows run newest first, so the one after is the salary it replaced
+    const data = rows.map((r, i) => {
+      const prev = rows[i + 1];
+      return {
+        ...r,
+        previous_salary: prev ? Number(prev.basic_salary) : null,
+        change: prev ? round2(Number(r.basic_salary) - Number(prev.basic_salary)) : null,
+        in_force: current?.source_table === 'employee_salary_history' && current.id === r.id,
+      };
+    });
+
+    res.json({ ok: true, data: { employee, current, history: data } });
+  } catch (err) {
+    console.error('getSalaryHistory error:', err);
+    logEvent({ level: 'error', event_type: 'GET_SALARY_HISTORY_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch salary history' });
+  }
+};
+
+/* ===================== BULK INCREMENTS ===================== */
+
+// POST /increments/preview
+exports.previewIncrement = async (req, res) => {
+  try {
+    const result = await buildIncrement(pool, req.body);
+    if (result.error) return res.status(400).json({ ok: false, message: result.error });
+
+    const { mode, amount, percent, effective_from, note } = req.body;
+    res.json({ ok: true, meta: { ...result.scope, mode, amount, percent, effective_from, note }, ...result });
+  } catch (err) {
+    console.error('previewIncrement error:', err);
+    logEvent({ level: 'error', event_type: 'PREVIEW_INCREMENT_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to preview increment' });
+  }
+};
+
+/**
+ * POST /increments  (same body as preview)
+ * Sends the increment for approval (pay_change_requests, change_type Increment). A different
+ * user with salary.approve applies it: one Increment history row per employee, tied to a batch,
+ * with arrears for Locked months when back-dated.
+ */
+exports.applyIncrement = async (req, res) => {
+  try {
+    const result = await buildIncrement(pool, req.body);
+    if (result.error) return res.status(400).json({ ok: false, message: result.error });
+    if (!result.items.length) {
+      return res.status(409).json({ ok: false, message: 'No employees to increment', skipped: result.skipped });
+    }
+
+    const { grade_id = null, department_id = null, mode, amount = null, percent = null, effective_from, note = null, employee_ids = null } = req.body;
+    const [pending] = await pool.query(
+      `SELECT id, payload FROM pay_change_requests WHERE change_type = 'Increment' AND status = 'Pending'`
+    );
+    const same = pending.find(p => {
+      const q = parseJson(p.payload);
+      return q.effective_from === effective_from && Number(q.grade_id || 0) === Number(grade_id || 0)
+        && Number(q.department_id || 0) === Number(department_id || 0);
+    });
+    if (same) {
+      return res.status(409).json({ ok: false, message: `Increment request #${same.id} for this ${result.scope.scope_type.toLowerCase()} and date is still waiting for approval` });
+    }
+
+    const items = result.items.map(i => ({
+      employee_id: i.employee_id, current_salary: i.current_salary, increase: i.increase, new_salary: i.new_salary,
+    }));
+    const { request } = await requestPayChange(pool, {
+      change_type: 'Increment',
+      payload: {
+        grade_id, department_id, mode,
+        amount: mode === 'fixed' ? amount : null, percent: mode === 'percent' ? percent : null,
+        effective_from, note, employee_ids,
+      },
+      after: { ...result.scope, effective_from, employee_count: items.length, total_increase: result.total_increase, items },
+      user_id: req.user.id,
+    });
+
+    logAudit({
+      level: 'info',
+      user_id: req.user.id,
+      action_type: 'REQUEST_SALARY_INCREMENT',
+      target_table: 'pay_change_requests',
+      target_id: request.id,
+      after_state: { ...result.scope, mode, amount, percent, effective_from, employee_count: items.length, total_increase: result.total_increase },
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(202).json({
+      ok: true,
+      message: `Increment for ${items.length} employee(s) sent for approval`,
+      data: { ...request, items: result.items, skipped: result.skipped },
+    });
+  } catch (err) {
+    console.error('applyIncrement error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'REQUEST_SALARY_INCREMENT', target_table: 'pay_change_requests', target_id: null, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to request increment' });
+  }
+};
+
+// GET /increments?effective_year=
+exports.listIncrementBatches = async (req, res) => {
+  try {
+    const { effective_year } = req.query;
+    const [rows] = await pool.query(
+      `SELECT b.*, COALESCE(g.grade_name, d.name) AS scope_name, u.name AS approved_by_name
+         FROM salary_increment_batches b
+         LEFT JOIN grades g ON b.scope_type = 'Grade' AND g.grade_id = b.scope_id
+         LEFT JOIN departments d ON b.scope_type = 'Department' AND d.id = b.scope_id
+         LEFT JOIN users u ON u.id = b.approved_by
+        ${effective_year ? 'WHERE YEAR(b.effective_from) = ?' : ''}
+        ORDER BY b.effective_from DESC, b.id DESC`,
+      effective_year ? [effective_year] : []
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listIncrementBatches error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_INCREMENT_BATCHES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch increments' });
+  }
+};
+
+// GET /increments/:id
+exports.getIncrementBatch = async (req, res) => {
+  try {
+    const [[batch]] = await pool.query('SELECT * FROM salary_increment_batches WHERE id = ?', [req.params.id]);
+    if (!batch) return res.status(404).json({ ok: false, message: 'Increment batch not found' });
+
+    const [items] = await pool.query(
+      `SELECT h.id AS salary_history_id, h.employee_id, e.employee_code, e.full_name, h.basic_salary AS new_salary,
+              (SELECT p.basic_salary FROM employee_salary_history p
+                WHERE p.employee_id = h.employee_id AND p.id <> h.id
+                  AND (p.effective_from < h.effective_from OR (p.effective_from = h.effective_from AND p.id < h.id))
+                ORDER BY p.effective_from DESC, p.id DESC LIMIT 1) AS previous_salary
+         FROM employee_salary_history h
+         JOIN employees e ON e.id = h.employee_id
+        WHERE h.increment_batch_id = ?
+        ORDER BY e.full_name`,
+      [batch.id]
+    );
+    res.json({ ok: true, data: { ...batch, items } });
+  } catch (err) {
+    console.error('getIncrementBatch error:', err);
+    logEvent({ level: 'error', event_type: 'GET_INCREMENT_BATCH_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch increment' });
+  }
+};
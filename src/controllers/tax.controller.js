@@ -0,0 +1,349 @@
+// src/controllers/tax.controller.js
+const pool = require('../config/db');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { taxYearOf, taxYearPeriods, validateSlabs } = require('../utils/tax');
+const { calculatePayroll } = require('../utils/payrollEngine');
+
+const withSlabs = async (db, table) => {
+  const [slabs] = await db.query(
+    'SELECT id, lower_bound, upper_bound, rate FROM tax_slabs WHERE tax_table_id = ? ORDER BY lower_bound',
+    [table.id]
+  );
+  return { ...table, slabs };
+};
+
+const insertSlabs = (conn, tableId, slabs) =>
+  conn.query(
+    'INSERT INTO tax_slabs (tax_table_id, lower_bound, upper_bound, rate) VALUES ?',
+    [slabs.map(s => [tableId, Number(s.lower_bound), s.upper_bound == null || s.upper_bound === '' ? null : Number(s.upper_bound), Number(s.rate)])]
+  );
+
+/* ===================== TAX TABLES ===================== */
+
+// GET /tables?type=Regular|LumpSum
+exports.listTaxTables = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const [rows] = await pool.query(
+      `SELECT t.*, COUNT(s.id) AS slab_count
+         FROM tax_tables t
+         LEFT JOIN tax_slabs s ON s.tax_table_id = t.id
+        ${type ? 'WHERE t.table_type = ?' : ''}
+        GROUP BY t.id
+        ORDER BY t.table_type, t.effective_from DESC`,
+      type ? [type] : []
+    );
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error('listTaxTables error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_TAX_TABLES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch tax tables' });
+  }
+};
+
+// GET /tables/:id
+exports.getTaxTable = async (req, res) => {
+  try {
+    const [[table]] = await pool.query('SELECT * FROM tax_tables WHERE id = ?', [req.params.id]);
+    if (!table) return res.status(404).json({ ok: false, message: 'Tax table not found' });
+    res.json({ ok: true, data: await withSlabs(pool, table) });
+  } catch (err) {
+    console.error('getTaxTable error:', err);
+    logEvent({ level: 'error', event_type: 'GET_TAX_TABLE_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch tax table' });
+  }
+};
+
+/**
+ * body: { name, table_type, effective_from, effective_to?, notes?, slabs: [{ lower_bound, upper_bound, rate }] }
+ */
+exports.createTaxTable = async (req, res) => {
+  const { name, table_type = 'Regular', effective_from, effective_to = null, notes = null, slabs } = req.body || {};
+  const slabError = validateSlabs(slabs);
+  if (slabError) return res.status(400).json({ ok: false, message: slabError });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [ins] = await conn.query(
+      `INSERT INTO tax_tables (name, table_type, effective_from, effective_to, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name.trim(), table_type, effective_from, effective_to || null, notes, req.user?.id || null]
+    );
+    await insertSlabs(conn, ins.insertId, slabs);
+    const [[table]] = await conn.query('SELECT * FROM tax_tables WHERE id = ?', [ins.insertId]);
+    const after = await withSlabs(conn, table);
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'CREATE_TAX_TABLE',
+      target_table: 'tax_tables',
+      target_id: ins.insertId,
+      before_state: null,
+      after_state: after,
+      req,
+      status: 'SUCCESS'
+    });
+    res.status(201).json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createTaxTable error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_TAX_TABLE', target_table: 'tax_tables', target_id: null, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create tax table' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /tables/:id  (slabs, when sent, replace the existing ones)
+exports.updateTaxTable = async (req, res) => {
+  const { id } = req.params;
+  const { name, table_type, effective_from, effective_to, notes, slabs } = req.body || {};
+  if (slabs !== undefined) {
+    const slabError = validateSlabs(slabs);
+    if (slabError) return res.status(400).json({ ok: false, message: slabError });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[table]] = await conn.query('SELECT * FROM tax_tables WHERE id = ? FOR UPDATE', [id]);
+    if (!table) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, message: 'Tax table not found' });
+    }
+    // the route rules compare the dates sent together; this catches one moved past the stored other
+    const from = effective_from ?? table.effective_from;
+    const to = effective_to === undefined ? table.effective_to : effective_to;
+    if (from && to && String(to).slice(0, 10) < String(from).slice(0, 10)) {
+      await conn.rollback();
+      return res.status(400).json({ ok: false, message: 'effective_to cannot be before effective_from' });
+    }
+    const before = await withSlabs(conn, table);
+
+    await conn.query(
+      `UPDATE tax_tables
+          SET name = COALESCE(?, name), table_type = COALESCE(?, table_type),
+              effective_from = COALESCE(?, effective_from), effective_to = ?, notes = COALESCE(?, notes)
+        WHERE id = ?`,
+      [name?.trim() ?? null, table_type ?? null, effective_from ?? null,
+       effective_to === undefined ? table.effective_to : (effective_to || null), notes ?? null, id]
+    );
+    if (slabs !== undefined) {
+      await conn.query('DELETE FROM tax_slabs WHERE tax_table_id = ?', [id]);
+      await insertSlabs(conn, id, slabs);
+    }
+
+    const [[updated]] = await conn.query('SELECT * FROM tax_tables WHERE id = ?', [id]);
+    const after = await withSlabs(conn, updated);
+    await conn.commit();
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'UPDATE_TAX_TABLE',
+      target_table: 'tax_tables',
+      target_id: id,
+      before_state: before,
+      after_state: after,
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    await conn.rollback();
+    console.error('updateTaxTable error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_TAX_TABLE', target_table: 'tax_tables', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update tax table' });
+  } finally {
+    conn.release();
+  }
+};
+
+exports.deleteTaxTable = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [[table]] = await pool.query('SELECT * FROM tax_tables WHERE id = ?', [id]);
+    if (!table) return res.status(404).json({ ok: false, message: 'Tax table not found' });
+
+    // Tables referenced by a locked run are part of a paid month's audit trail
+    const [[used]] = await pool.query(
+      `SELECT r.period_year, r.period_month
+         FROM payroll_run_lines l
+         JOIN payroll_runs r ON r.id = l.run_id AND r.status = 'Locked'
+        WHERE l.source_table = 'tax_tables' AND l.source_id = ?
+        LIMIT 1`,
+      [id]
+    );
+    if (used) {
+      return res.status(409).json({ ok: false, message: `Tax table was used by locked payroll ${used.period_year}-${String(used.period_month).padStart(2, '0')}; set effective_to instead` });
+    }
+
+    const before = await withSlabs(pool, table);
+    await pool.query('DELETE FROM tax_tables WHERE id = ?', [id]);
+
+    logAudit({
+      level: 'info',
+      user_id: req.user?.id || null,
+      action_type: 'DELETE_TAX_TABLE',
+      target_table: 'tax_tables',
+      target_id: id,
+      before_state: before,
+      after_state: null,
+      req,
+      status: 'SUCCESS'
+    });
+    res.json({ ok: true, message: 'Tax table deleted' });
+  } catch (err) {
+    console.error('deleteTaxTable error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'DELETE_TAX_TABLE', target_table: 'tax_tables', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to delete tax table' });
+  }
+};
+
+/* ===================== PREVIEW ===================== */
+
+// GET /preview?employee_id=&year=&month=  (tax lines the engine would deduct)
+exports.previewEmployeeTax = async (req, res) => {
+  try {
+    const { employee_id, year, month } = req.query;
+    if (!employee_id || !year || !month) {
+      return res.status(400).json({ ok: false, message: 'employee_id, year, month required' });
+    }
+    const payroll = await calculatePayroll(employee_id, year, month);
+    res.json({
+      ok: true,
+      data: {
+        employee_id: Number(employee_id),
+        tax_year: taxYearOf(year, month).label,
+        locked: payroll.locked,
+        taxable_regular: payroll.lines.filter(l => l.line_type === 'Earning' && l.tax_class === 'Regular').reduce((a, l) => a + l.amount, 0),
+        taxable_lump_sum: payroll.lines.filter(l => l.line_type === 'Earning' && l.tax_class === 'LumpSum').reduce((a, l) => a + l.amount, 0),
+        tax_lines: payroll.lines.filter(l => l.component === 'TAX'),
+        tax: payroll.totals.tax
+      }
+    });
+  } catch (err) {
+    console.error('previewEmployeeTax error:', err);
+    logEvent({ level: 'error', event_type: 'PREVIEW_TAX_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to preview tax' });
+  }
+};
+
+/* ===================== YEAR-END CERTIFICATE ===================== */
+
+// Month-by-month taxable pay and APIT from locked runs of one tax year
+const certificateRows = async (employeeIds, startYear) => {
+  const fromYm = startYear * 100 + 4;
+  const toYm = (startYear + 1) * 100 + 3;
+  const [rows] = await pool.query(
+    `SELECT l.employee_id, r.period_year, r.period_month,
+            SUM(CASE WHEN l.line_type = 'Earning' THEN l.amount ELSE 0 END) AS gross,
+            SUM(CASE WHEN l.line_type = 'Earning' AND l.tax_class = 'Regular' THEN l.amount ELSE 0 END) AS taxable_regular,
+            SUM(CASE WHEN l.line_type = 'Earning' AND l.tax_class = 'LumpSum' THEN l.amount ELSE 0 END) AS taxable_lump_sum,
+            SUM(CASE WHEN l.component = 'TAX' THEN l.amount ELSE 0 END) AS tax_deducted
+       FROM payroll_run_lines l
+       JOIN payroll_runs r ON r.id = l.run_id AND r.status = 'Locked'
+      WHERE l.employee_id IN (?)
+        AND (r.period_year * 100 + r.period_month) BETWEEN ? AND ?
+      GROUP BY l.employee_id, r.period_year, r.period_month`,
+    [employeeIds, fromYm, toYm]
+  );
+  return rows;
+};
+
+const buildCertificate = (employee, startYear, rows) => {
+  const byPeriod = new Map(rows.map(r => [`${r.period_year}-${r.period_month}`, r]));
+  const months = taxYearPeriods(startYear).map(({ year, month }) => {
+    const r = byPeriod.get(`${year}-${month}`);
+    return {
+      year,
+      month,
+      paid: !!r,
+      gross: Number(r?.gross || 0),
+      taxable_regular: Number(r?.taxable_regular || 0),
+      taxable_lump_sum: Number(r?.taxable_lump_sum || 0),
+      tax_deducted: Number(r?.tax_deducted || 0),
+    };
+  });
+  const sum = (k) => Math.round(months.reduce((a, m) => a + m[k], 0) * 100) / 100;
+
+  return {
+    tax_year: `${startYear}/${startYear + 1}`,
+    period: { from: `${startYear}-04-01`, to: `${startYear + 1}-03-31` },
+    employer: {
+      name: process.env.EMPLOYER_NAME || null,
+      tin: process.env.EMPLOYER_TIN || null,
+      address: process.env.EMPLOYER_ADDRESS || null,
+    },
+    employee,
+    months,
+    totals: {
+      gross: sum('gross'),
+      taxable_regular: sum('taxable_regular'),
+      taxable_lump_sum: sum('taxable_lump_sum'),
+      tax_deducted: sum('tax_deducted'),
+    },
+  };
+};
+
+const resolveStartYear = (taxYear) => {
+  if (taxYear) return Number(String(taxYear).slice(0, 4));
+  const now = new Date();
+  // default: the last completed tax year
+  return taxYearOf(now.getFullYear(), now.getMonth() + 1).startYear - 1;
+};
+
+// GET /certificates/:employeeId?tax_year=2025  (2025 = April 2025 - March 2026)
+exports.getTaxCertificate = async (req, res) => {
+  try {
+    const startYear = resolveStartYear(req.query.tax_year);
+    const [[employee]] = await pool.query(
+      `SELECT e.id, e.employee_code, e.full_name, e.nic, e.address,
+              e.designation, d.name AS department_name
+         FROM employees e
+         LEFT JOIN departments d ON d.id = e.department_id
+        WHERE e.id = ?`,
+      [req.params.employeeId]
+    );
+    if (!employee) return res.status(404).json({ ok: false, message: 'Employee not found' });
+
+    const rows = await certificateRows([employee.id], startYear);
+    res.json({ ok: true, data: buildCertificate(employee, startYear, rows) });
+  } catch (err) {
+    console.error('getTaxCertificate error:', err);
+    logEvent({ level: 'error', event_type: 'GET_TAX_CERTIFICATE_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to build tax certificate' });
+  }
+};
+
+// GET /certificates?tax_year=2025  (one summary row per employee paid in the year)
+exports.listTaxCertificates = async (req, res) => {
+  try {
+    const startYear = resolveStartYear(req.query.tax_year);
+    const [employees] = await pool.query(
+      `SELECT DISTINCT e.id, e.employee_code, e.full_name, e.nic
+         FROM payroll_run_lines l
+         JOIN payroll_runs r ON r.id = l.run_id AND r.status = 'Locked'
+         JOIN employees e ON e.id = l.employee_id
+        WHERE (r.period_year * 100 + r.period_month) BETWEEN ? AND ?
+        ORDER BY e.full_name`,
+      [startYear * 100 + 4, (startYear + 1) * 100 + 3]
+    );
+    if (!employees.length) return res.json({ ok: true, data: [] });
+
+    const rows = await certificateRows(employees.map(e => e.id), startYear);
+    const data = employees.map(e => {
+      const { tax_year, totals, months } = buildCertificate(e, startYear, rows.filter(r => r.employee_id === e.id));
+      return { ...e, tax_year, months_paid: months.filter(m => m.paid).length, ...totals };
+    });
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('listTaxCertificates error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_TAX_CERTIFICATES_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to list tax certificates' });
+  }
+};
@@ -0,0 +1,250 @@
+// src/controllers/user.controller.js
+// Login accounts: create (with a password or an invite link), edit, disable / enable,
+// admin-initiated password reset and the link to an employee record. Roles and department
+// scope are set from /api/rbac; an employee's own portal login can also be made from
+// /employees/:id/portal-login.
+const pool = require('../config/db');
+const bcrypt = require('bcryptjs');
+const logAudit = require('../utils/audit');
+const logEvent = require('../utils/event');
+const { can, clearAccessCache } = require('../utils/permissions');
+const { revokeUserSessions } = require('../utils/sessions');
+const { EMAIL_RE, checkPassword, createPasswordToken } = require('../utils/userAccounts');
+
+const USER_COLUMNS = `u.id, u.name, u.email, u.role, u.employee_id, u.is_active, u.password_changed_at, u.last_login_at,
+  u.password_hash IS NULL AS invite_pending, e.full_name AS employee_name, e.employee_code`;
+
+const loadUser = async (db, id) => {
+  const [[user]] = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users u LEFT JOIN employees e ON e.id = u.employee_id WHERE u.id = ?`,
+    [id]
+  );
+  return user ? { ...user, is_active: Boolean(user.is_active), invite_pending: Boolean(user.invite_pending) } : null;
+};
+
+// Giving out a role other than Employee is role management, so it needs rbac.manage as well
+const mayAssignRole = async (user, role) => role === 'Employee' || can(user, 'rbac.manage');
+
+// Same rule for changing an existing account: editing, disabling or resetting the login of an
+// HR / Admin user would hand over that user's access, so only Employee logins are open to user.manage
+const forbiddenTarget = async (user, target) => (
+  (await mayAssignRole(user, target.role))
+    ? null
+    : `Changing a ${target.role} login requires permission: rbac.manage`
+);
+
+// Employee the user may be linked to -> null, or { status, message }
+const employeeLinkError = async (db, employeeId, userId = 0) => {
+  const [[emp]] = await db.query('SELECT id FROM employees WHERE id = ?', [employeeId]);
+  if (!emp) return { status: 404, message: 'Employee not found' };
+  const [[linked]] = await db.query('SELECT id, email FROM users WHERE employee_id = ? AND id <> ?', [employeeId, userId]);
+  if (linked) return { status: 409, message: `Employee already has a login (${linked.email})` };
+  return null;
+};
+
+// GET /users?search=&role=&status=active|disabled|invited
+exports.listUsers = async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    const { search, role, status } = req.query;
+    if (search) { where.push('(u.name LIKE ? OR u.email LIKE ?)'); params.push(`%${search}%`, `%${search}%`); }
+    if (role) { where.push('u.role = ?'); params.push(role); }
+    if (status === 'active') where.push('u.is_active = 1 AND u.password_hash IS NOT NULL');
+    if (status === 'disabled') where.push('u.is_active = 0');
+    if (status === 'invited') where.push('u.is_active = 1 AND u.password_hash IS NULL');
+    const [rows] = await pool.query(
+      `SELECT ${USER_COLUMNS}
+         FROM users u
+         LEFT JOIN employees e ON e.id = u.employee_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY u.name`,
+      params
+    );
+    res.json({ ok: true, data: rows.map(u => ({ ...u, is_active: Boolean(u.is_active), invite_pending: Boolean(u.invite_pending) })) });
+  } catch (err) {
+    console.error('listUsers error:', err);
+    logEvent({ level: 'error', event_type: 'LIST_USERS_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch users' });
+  }
+};
+
+// GET /users/:id
+exports.getUser = async (req, res) => {
+  try {
+    const user = await loadUser(pool, Number(req.params.id));
+    if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+    res.json({ ok: true, data: user });
+  } catch (err) {
+    console.error('getUser error:', err);
+    logEvent({ level: 'error', event_type: 'GET_USER_ERROR', user_id: req.user?.id || null, req, extra: { error: err.message } });
+    res.status(500).json({ ok: false, message: 'Failed to fetch user' });
+  }
+};
+
+/**
+ * POST /users  { name, email, role, employee_id?, password? }
+ * With a password the account is ready to use; without one an invite link is returned
+ * (data.invite.url) for the new user to set their own.
+ */
+exports.createUser = async (req, res) => {
+  const body = req.body || {};
+  const name = String(body.name || '').trim();
+  const email = String(body.email || '').trim().toLowerCase();
+  const role = String(body.role || '').trim();
+  const employeeId = body.employee_id ? Number(body.employee_id) : null;
+  if (!name) return res.status(400).json({ ok: false, message: 'name is required' });
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ ok: false, message: 'A valid email is required' });
+  if (!role) return res.status(400).json({ ok: false, message: 'role is required' });
+  if (body.password != null) {
+    const weak = checkPassword(body.password, { name, email });
+    if (weak) return res.status(400).json({ ok: false, message: weak });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const [[known]] = await conn.query('SELECT id FROM roles WHERE name = ?', [role]);
+    if (!known) return res.status(400).json({ ok: false, message: `Unknown role: ${role}` });
+    if (!(await mayAssignRole(req.user, role))) {
+      return res.status(403).json({ ok: false, message: 'Assigning this role requires permission: rbac.manage' });
+    }
+    const [[taken]] = await conn.query('SELECT id FROM users WHERE email = ?', [email]);
+    if (taken) return res.status(409).json({ ok: false, message: 'A user with this email already exists' });
+    if (employeeId) {
+      const linkError = await employeeLinkError(conn, employeeId);
+      if (linkError) return res.status(linkError.status).json({ ok: false, message: linkError.message });
+    }
+
+    await conn.beginTransaction();
+    const hash = body.password != null ? await bcrypt.hash(String(body.password), 10) : null;
+    const [ins] = await conn.query(
+      `INSERT INTO users (name, email, password_hash, role, employee_id, is_active, password_changed_at, created_by)
+       VALUES (?, ?, ?, ?, ?, 1, ${hash ? 'NOW()' : 'NULL'}, ?)`,
+      [name, email, hash, role, employeeId, req.user.id]
+    );
+    const invite = hash ? null : await createPasswordToken(conn, { userId: ins.insertId, purpose: 'Invite', createdBy: req.user.id });
+    await conn.commit();
+
+    const after = await loadUser(pool, ins.insertId);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'CREATE_USER', target_table: 'users', target_id: ins.insertId, after_state: { ...after, invited: Boolean(invite) }, req, status: 'SUCCESS' });
+    res.status(201).json({ ok: true, data: { ...after, invite } });
+  } catch (err) {
+    await conn.rollback();
+    console.error('createUser error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'CREATE_USER', target_table: 'users', target_id: null, after_state: { name, email, role, employee_id: employeeId }, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create user' });
+  } finally {
+    conn.release();
+  }
+};
+
+// PUT /users/:id  { name?, email? }
+exports.updateUser = async (req, res) => {
+  const id = Number(req.params.id);
+  const body = req.body || {};
+  try {
+    const before = await loadUser(pool, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'User not found' });
+    const forbidden = await forbiddenTarget(req.user, before);
+    if (forbidden) return res.status(403).json({ ok: false, message: forbidden });
+    const fields = {};
+    if (body.name !== undefined) {
+      fields.name = String(body.name || '').trim();
+      if (!fields.name) return res.status(400).json({ ok: false, message: 'name cannot be empty' });
+    }
+    if (body.email !== undefined) {
+      fields.email = String(body.email || '').trim().toLowerCase();
+      if (!EMAIL_RE.test(fields.email)) return res.status(400).json({ ok: false, message: 'A valid email is required' });
+      const [[taken]] = await pool.query('SELECT id FROM users WHERE email = ? AND id <> ?', [fields.email, id]);
+      if (taken) return res.status(409).json({ ok: false, message: 'A user with this email already exists' });
+    }
+    if (!Object.keys(fields).length) return res.status(400).json({ ok: false, message: 'Nothing to change; send name and/or email' });
+
+    await pool.query('UPDATE users SET ? WHERE id = ?', [fields, id]);
+    const after = await loadUser(pool, id);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: 'UPDATE_USER', target_table: 'users', target_id: id, before_state: before, after_state: after, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    console.error('updateUser error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'UPDATE_USER', target_table: 'users', target_id: id, after_state: body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to update user' });
+  }
+};
+
+// POST /users/:id/disable | /users/:id/enable  (disabling ends every session at once)
+const setActive = (active) => async (req, res) => {
+  const id = Number(req.params.id);
+  const action = active ? 'ENABLE_USER' : 'DISABLE_USER';
+  if (!active && id === req.user.id) return res.status(409).json({ ok: false, message: 'You cannot disable your own login' });
+  try {
+    const before = await loadUser(pool, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'User not found' });
+    const forbidden = await forbiddenTarget(req.user, before);
+    if (forbidden) return res.status(403).json({ ok: false, message: forbidden });
+    if (before.is_active === active) {
+      return res.status(409).json({ ok: false, message: `User is already ${active ? 'enabled' : 'disabled'}` });
+    }
+    await pool.query('UPDATE users SET is_active = ? WHERE id = ?', [active ? 1 : 0, id]);
+    const revoked = active ? 0 : await revokeUserSessions(pool, id, 'User disabled');
+    clearAccessCache(id);
+
+    logAudit({ level: 'info', user_id: req.user.id, action_type: action, target_table: 'users', target_id: id, before_state: { is_active: before.is_active }, after_state: { is_active: active, sessions_revoked: revoked }, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: active ? 'User enabled' : `User disabled; ${revoked} session(s) ended` });
+  } catch (err) {
+    console.error(`${action} error:`, err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: action, target_table: 'users', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: `Failed to ${active ? 'enable' : 'disable'} user` });
+  }
+};
+exports.disableUser = setActive(false);
+exports.enableUser = setActive(true);
+
+/**
+ * POST /users/:id/reset-password
+ * Returns a one-time link (data.url) for the user to choose a new password. Users who have not
+ * accepted their invite yet get a fresh invite link instead. The current password keeps
+ * working until the link is used.
+ */
+exports.resetPassword = async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const user = await loadUser(pool, id);
+    if (!user) return res.status(404).json({ ok: false, message: 'User not found' });
+    const forbidden = await forbiddenTarget(req.user, user);
+    if (forbidden) return res.status(403).json({ ok: false, message: forbidden });
+    if (!user.is_active) return res.status(409).json({ ok: false, message: 'User is disabled; enable it first' });
+
+    const purpose = user.invite_pending ? 'Invite' : 'Reset';
+    const link = await createPasswordToken(pool, { userId: id, purpose, createdBy: req.user.id });
+    logAudit({ level: 'info', user_id: req.user.id, action_type: purpose === 'Invite' ? 'RESEND_USER_INVITE' : 'RESET_USER_PASSWORD', target_table: 'users', target_id: id, after_state: { purpose, expires_in_hours: link.expires_in_hours }, req, status: 'SUCCESS' });
+    res.json({ ok: true, message: `${purpose} link created`, data: link });
+  } catch (err) {
+    console.error('resetPassword error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'RESET_USER_PASSWORD', target_table: 'users', target_id: id, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to create password link' });
+  }
+};
+
+// PUT /users/:id/employee  { employee_id }  (null unlinks)
+exports.setUserEmployee = async (req, res) => {
+  const id = Number(req.params.id);
+  const employeeId = req.body?.employee_id == null ? null : Number(req.body.employee_id);
+  try {
+    const before = await loadUser(pool, id);
+    if (!before) return res.status(404).json({ ok: false, message: 'User not found' });
+    const forbidden = await forbiddenTarget(req.user, before);
+    if (forbidden) return res.status(403).json({ ok: false, message: forbidden });
+    if (employeeId) {
+      const linkError = await employeeLinkError(pool, employeeId, id);
+      if (linkError) return res.status(linkError.status).json({ ok: false, message: linkError.message });
+    }
+    await pool.query('UPDATE users SET employee_id = ? WHERE id = ?', [employeeId, id]);
+    const after = await loadUser(pool, id);
+    logAudit({ level: 'info', user_id: req.user.id, action_type: employeeId ? 'LINK_EMPLOYEE_LOGIN' : 'UNLINK_EMPLOYEE_LOGIN', target_table: 'users', target_id: id, before_state: { employee_id: before.employee_id }, after_state: { employee_id: employeeId }, req, status: 'SUCCESS' });
+    res.json({ ok: true, data: after });
+  } catch (err) {
+    console.error('setUserEmployee error:', err);
+    logAudit({ level: 'error', user_id: req.user?.id || null, action_type: 'LINK_EMPLOYEE_LOGIN', target_table: 'users', target_id: id, after_state: req.body, req, status: 'FAILURE', error_message: err.message });
+    res.status(500).json({ ok: false, message: 'Failed to link employee' });
+  }
+};
@@ -1,8 +1,12 @@
 // src/middleware/auth.js
-const jwt = require('jsonwebtoken');
+const pool = require('../config/db');
 const logEvent = require('../utils/event');
+const { accessFor } = require('../utils/permissions');
+const { verifyAccessToken, sessionActive } = require('../utils/sessions');
 
-function requireAuth(req, res, next) {
+// Verifies the access token and that its session has not been revoked (logout, disabled
+// user, role change), so revocation applies before the token expires.
+async function requireAuth(req, res, next) {
   const hdr = req.headers.authorization || '';
   const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
   
@@ -16,10 +20,9 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ ok: false, message: 'Missing token' });
   }
   
+  let payload;
   try {
-    const payload = jwt.verify(token, `super_secret_change_me`);
-    req.user = payload; // { id, role, name, email }
-    next();
+    payload = verifyAccessToken(token);
   } catch (e) {
     logEvent({
       level: 'error', 
@@ -30,45 +33,82 @@ function requireAuth(req, res, next) {
     });
     return res.status(401).json({ ok: false, message: 'Invalid/expired token' });
   }
+
+  if (!payload.sid || !(await sessionActive(pool, payload.sid, payload.id))) {
+    logEvent({
+      level: 'error',
+      event_type: "AUTH_FAILURE",
+      user_id: payload.id,
+      req,
+      extra: { reason: "Session revoked or expired", session_id: payload.sid || null }
+    });
+    return res.status(401).json({ ok: false, message: 'Session has ended; please log in again' });
+  }
+  req.user = payload; // { id, role, name, email, employee_id, sid }
+  next();
 }
 
-// UPDATED: Function now accepts string or array
-function requireRole(allowedRoles) {
-  return (req, res, next) => {
+// Passes when the user's role holds any of the permission codes (roles / role_permissions).
+// Sets req.access = { role, permissions, departmentIds } for department-scoped queries.
+function requirePermission(...codes) {
+  return async (req, res, next) => {
     if (!req.user) {
       logEvent({
-        level: 'error', 
-        event_type: "AUTH_FAILURE", 
-        user_id: null, 
-        req, 
+        level: 'error',
+        event_type: "AUTH_FAILURE",
+        user_id: null,
+        req,
         extra: { reason: "No user in request" }
       });
       return res.status(403).json({ ok: false, message: 'Forbidden - No user' });
     }
-    
-    // Convert single role to array for consistent handling
-    const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
-    
-    if (!roles.includes(req.user.role)) {
+
+    const access = await accessFor(req.user.id);
+    if (!codes.some(c => access.permissions.has(c))) {
       logEvent({
-        level: 'error', 
-        event_type: "AUTH_FAILURE", 
-        user_id: req.user.id, 
-        req, 
-        extra: { 
-          reason: "Insufficient permissions", 
-          userRole: req.user.role, 
-          requiredRoles: roles 
+        level: 'error',
+        event_type: "AUTH_FAILURE",
+        user_id: req.user.id,
+        req,
+        extra: {
+          reason: "Insufficient permissions",
+          userRole: access.role,
+          requiredPermissions: codes
         }
       });
-      return res.status(403).json({ 
-        ok: false, 
-        message: `Forbidden - Required role: ${roles.join(' or ')}` 
+      return res.status(403).json({
+        ok: false,
+        message: `Forbidden - Requires permission: ${codes.join(' or ')}`
       });
     }
-    
+
+    req.access = access;
     next();
   };
 }
 
-module.exports = { requireAuth, requireRole };
\ No newline at end of file
+// Self-service: the employee linked to the signed-in user, read from users on every request
+// so unlinking a login takes effect at once. Sets req.employeeId.
+async function requireEmployee(req, res, next) {
+  if (!req.user) {
+    return res.status(403).json({ ok: false, message: 'Forbidden - No user' });
+  }
+  const [[row]] = await pool.query(
+    `SELECT u.employee_id FROM users u JOIN employees e ON e.id = u.employee_id WHERE u.id = ?`,
+    [req.user.id]
+  );
+  if (!row) {
+    logEvent({
+      level: 'error',
+      event_type: "AUTH_FAILURE",
+      user_id: req.user.id,
+      req,
+      extra: { reason: "No employee linked to user" }
+    });
+    return res.status(403).json({ ok: false, message: 'Forbidden - No employee record linked to this login' });
+  }
+  req.employeeId = row.employee_id;
+  next();
+}
+
+module.exports = { requireAuth, requirePermission, requireEmployee };
\ No newline at end of file
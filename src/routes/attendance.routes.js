@@ -1,34 +1,70 @@
 const express = require('express');
 const ctrl = require('../controllers/attendance.controller');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const importCtrl = require('../controllers/attendanceImport.controller');
+const statusCtrl = require('../controllers/attendanceStatus.controller');
+const rosterCtrl = require('../controllers/roster.controller');
+const upload = require('../middleware/upload');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Protect all attendance endpoints
-router.use(requireAuth, requireRole('HR'));
+// Attendance adjustments: attendance.adjust.supervise decides the first level, attendance.adjust.approve the last
+const adjustmentAccess = [requireAuth, requirePermission('attendance.adjust')];
+router.get('/adjustments', ...adjustmentAccess, ctrl.getAdjustments);
+router.post('/adjustments', ...adjustmentAccess, ctrl.createAdjustment);
+router.put('/adjustments/:id/approve', ...adjustmentAccess, ctrl.approveAdjustment);
+
+// Protect all other attendance endpoints
+router.use(requireAuth);
+const view = requirePermission('attendance.view');
+const manage = requirePermission('attendance.manage');
 
 // Timetable routes
-router.get('/timetables', ctrl.getTimetables);
-router.post('/timetables', ctrl.createTimetable);
-router.put('/timetables/:id', ctrl.updateTimetable);
-router.delete('/timetables/:id', ctrl.deleteTimetable);
+router.get('/timetables', view, ctrl.getTimetables);
+router.post('/timetables', manage, ctrl.createTimetable);
+router.put('/timetables/:id', manage, ctrl.updateTimetable);
+router.delete('/timetables/:id', manage, ctrl.deleteTimetable);
+
+// Employee timetable assignment (kept as history)
+router.post('/timetables/assign', manage, ctrl.assignTimetable);
+router.get('/timetables/assignments/:employeeId', view, ctrl.getTimetableAssignments);
 
-// Employee timetable assignment
-router.post('/timetables/assign', ctrl.assignTimetable);
+// Rotating shift patterns
+router.get('/shift-patterns', view, rosterCtrl.listShiftPatterns);
+router.post('/shift-patterns', manage, rosterCtrl.createShiftPattern);
+router.put('/shift-patterns/:id', manage, rosterCtrl.updateShiftPattern);
+router.delete('/shift-patterns/:id', manage, rosterCtrl.deleteShiftPattern);
+
+// Rosters: who works when, per-date overrides and shift swaps
+router.get('/roster', view, rosterCtrl.getRoster);
+router.get('/roster/day', view, rosterCtrl.getScheduledOnDay);
+router.get('/roster/overrides', view, rosterCtrl.listRosterOverrides);
+router.post('/roster/overrides', manage, rosterCtrl.saveRosterOverride);
+router.delete('/roster/overrides/:id', manage, rosterCtrl.deleteRosterOverride);
+router.get('/roster/swaps', view, rosterCtrl.listShiftSwaps);
+router.post('/roster/swaps', manage, rosterCtrl.requestShiftSwap);
+router.post('/roster/swaps/:id/decision', manage, rosterCtrl.decideShiftSwap);
 
 // Attendance records
-router.get('/attendance', ctrl.getAttendanceRecords);
-router.get('/attendance/employee/:employeeId', ctrl.getEmployeeAttendance);
-router.post('/attendance/checkin', ctrl.checkIn);
-router.post('/attendance/checkout', ctrl.checkOut);
+router.get('/attendance', view, ctrl.getAttendanceRecords);
+router.get('/attendance/employee/:employeeId', view, ctrl.getEmployeeAttendance);
+router.post('/attendance/checkin', manage, ctrl.checkIn);
+router.post('/attendance/checkout', manage, ctrl.checkOut);
+
+// Time-clock punch logs (CSV / ZKTeco .dat) and device id mapping
+router.post('/attendance/imports', manage, upload.single('file'), importCtrl.importPunchLog);
+router.get('/attendance/imports', view, importCtrl.listPunchImports);
+router.get('/attendance/imports/:id', view, importCtrl.getPunchImport);
+router.get('/attendance/device-users', view, importCtrl.listDeviceUsers);
+router.post('/attendance/device-users', manage, importCtrl.saveDeviceUser);
+router.delete('/attendance/device-users/:id', manage, importCtrl.deleteDeviceUser);
 
-// Attendance adjustments
-router.get('/adjustments', ctrl.getAdjustments);
-router.post('/adjustments', ctrl.createAdjustment);
-router.put('/adjustments/:id/approve', ctrl.approveAdjustment);
+// Daily status engine: on-demand backfill and run log (also runs nightly)
+router.post('/attendance/status/evaluate', manage, statusCtrl.evaluateAttendanceStatus);
+router.get('/attendance/status/runs', view, statusCtrl.listAttendanceStatusRuns);
 
 // Reports
-router.get('/reports/absence', ctrl.getAbsenceReport);
-router.get('/reports/checkin-checkout', ctrl.getCheckinCheckoutReport);
+router.get('/reports/absence', view, ctrl.getAbsenceReport);
+router.get('/reports/checkin-checkout', view, ctrl.getCheckinCheckoutReport);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,9 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const ctrl = require('../controllers/auditlog.controller');
 
 const router = express.Router();
-router.get('/', requireAuth, ctrl.getauditLogs);
-router.get('/:id', requireAuth, ctrl.getauditLogById);
+router.get('/', requireAuth, requirePermission('audit.read'), ctrl.getauditLogs);
+router.get('/:id', requireAuth, requirePermission('audit.read'), ctrl.getauditLogById);
 
 module.exports = router;
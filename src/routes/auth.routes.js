@@ -13,7 +13,31 @@ router.post(
   ctrl.login
 );
 
+router.post('/refresh', body('refresh_token').isString().notEmpty(), validate, ctrl.refresh);
+
 router.get('/me', requireAuth, ctrl.me);
 
+// Passwords: invite / reset links, and changing your own
+router.get('/password-policy', ctrl.passwordPolicy);
+router.post(
+  '/set-password',
+  [body('token').isString().notEmpty(), body('password').isString()],
+  validate,
+  ctrl.setPassword
+);
+router.post(
+  '/change-password',
+  requireAuth,
+  [body('current_password').isString(), body('new_password').isString()],
+  validate,
+  ctrl.changePassword
+);
+
+// Sessions: logout here, everywhere, or end one device
+router.post('/logout', requireAuth, ctrl.logout);
+router.post('/logout-all', requireAuth, ctrl.logoutAll);
+router.get('/sessions', requireAuth, ctrl.sessions);
+router.delete('/sessions/:id', requireAuth, ctrl.endSession);
+
 module.exports = router;
 
@@ -1,21 +1,21 @@
 // src/routes/contracts.routes.js
 const express = require('express');
 const upload = require('../middleware/upload');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const ctrl = require('../controllers/contracts.controller');
 
 const router = express.Router();
 
-// HR only
-router.use(requireAuth, requireRole('HR'));
+// Employee documents: employee.view to list, employee.update to change
+router.use(requireAuth);
 
 // List all documents (with optional filters)
-router.get('/', ctrl.listDocuments);
+router.get('/', requirePermission('employee.view'), ctrl.listDocuments);
 
 // Upload one or more documents for an employee
-router.post('/', upload.array('files', 10), ctrl.uploadDocuments);
+router.post('/', requirePermission('employee.update'), upload.array('files', 10), ctrl.uploadDocuments);
 
 // Delete a document
-router.delete('/:id', ctrl.deleteDocument);
+router.delete('/:id', requirePermission('employee.update'), ctrl.deleteDocument);
 
 module.exports = router;
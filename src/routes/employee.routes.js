@@ -4,12 +4,17 @@ const { body } = require('express-validator');
 const validate = require('../middleware/validate');
 const upload = require('../middleware/upload');
 const ctrl = require('../controllers/employee.controller');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const portal = require('../controllers/employeePortal.controller');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// protect all employee routes (HR only)
-router.use(requireAuth, requireRole('HR'));
+// protect all employee routes; each one needs its employee.* permission
+router.use(requireAuth);
+const view = requirePermission('employee.view');
+const create = requirePermission('employee.create');
+const update = requirePermission('employee.update');
+const remove = requirePermission('employee.delete');
 
 const addValidations = [
   body('first_name').isString().isLength({ min: 1 }),
@@ -34,28 +39,33 @@ const uploadFields = upload.fields([
   { name: 'bankDocument', maxCount: 1 },
 ]);
 
-router.post('/', uploadFields, addValidations, validate, ctrl.createEmployee);
-router.get('/', ctrl.getEmployees);
+router.post('/', create, uploadFields, addValidations, validate, ctrl.createEmployee);
+router.get('/', view, ctrl.getEmployees);
 
-router.get('/performance-overview', ctrl.getPerformanceOverview);
-router.post('/performance-reviews', ctrl.addPerformanceReview);
-router.get('/training-overview', ctrl.getTrainingOverview);
-router.post('/training-records', ctrl.addTrainingRecord);
+// Self-service logins and profile changes asked for through /api/me
+router.get('/profile-changes', view, portal.listProfileChanges);
+router.post('/profile-changes/:id/decide', update, portal.decideProfileChange);
+router.put('/:id/portal-login', update, portal.setPortalLogin);
 
-router.get('/:id', ctrl.getEmployeeById);
-router.put('/:id', uploadFields, updateValidations, validate, ctrl.updateEmployee);
-router.delete('/:id', ctrl.deleteEmployee);
+router.get('/performance-overview', view, ctrl.getPerformanceOverview);
+router.post('/performance-reviews', update, ctrl.addPerformanceReview);
+router.get('/training-overview', view, ctrl.getTrainingOverview);
+router.post('/training-records', update, ctrl.addTrainingRecord);
+
+router.get('/:id', view, ctrl.getEmployeeById);
+router.put('/:id', update, uploadFields, updateValidations, validate, ctrl.updateEmployee);
+router.delete('/:id', remove, ctrl.deleteEmployee);
 
 // document mgmt (NOTE: base path is /api/employees)
-router.delete('/:id/documents/:docId', ctrl.deleteEmployeeDocument);
-router.put('/:id/documents/:docId', upload.single('file'), ctrl.replaceEmployeeDocument);
+router.delete('/:id/documents/:docId', update, ctrl.deleteEmployeeDocument);
+router.put('/:id/documents/:docId', update, upload.single('file'), ctrl.replaceEmployeeDocument);
 
 // PERFORMANCE & TRAINING OVERVIEW
-router.get('/performance-overview', ctrl.getPerformanceOverview);
-router.post('/performance-reviews', ctrl.addPerformanceReview);
+router.get('/performance-overview', view, ctrl.getPerformanceOverview);
+router.post('/performance-reviews', update, ctrl.addPerformanceReview);
 
-router.get('/training-overview', ctrl.getTrainingOverview);
-router.post('/training-records', ctrl.addTrainingRecord);
+router.get('/training-overview', view, ctrl.getTrainingOverview);
+router.post('/training-records', update, ctrl.addTrainingRecord);
 
 
 module.exports = router;
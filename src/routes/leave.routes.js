@@ -3,38 +3,59 @@ const express = require('express');
 const { body } = require('express-validator'); // Import express-validator
 const validate = require('../middleware/validate'); // 
 const ctrl = require('../controllers/leave.controller');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const accrual = require('../controllers/leaveAccrual.controller');
+const types = require('../controllers/leaveType.controller');
+const holidays = require('../controllers/holiday.controller');
+const coverage = require('../controllers/leaveCoverage.controller');
+const approvals = require('../controllers/leaveApproval.controller');
+const upload = require('../middleware/upload');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Protect all leave endpoints (HR only, like attendance)
-router.use(requireAuth, requireRole('HR'));
+// Approvers (supervisors, department heads, named users and their delegates) decide their
+// step of a request; whether they may is checked against the request's approval chain
+const approverAccess = [requireAuth];
+router.get('/approvals/inbox', ...approverAccess, approvals.approvalInbox);
+router.get('/approvals/delegations', ...approverAccess, approvals.listDelegations);
+router.post('/approvals/delegations', ...approverAccess, approvals.createDelegation);
+router.delete('/approvals/delegations/:id', ...approverAccess, approvals.deleteDelegation);
+router.post('/requests/:id/decide', ...approverAccess, ctrl.decideRequest);
+router.get('/requests/:id/history', ...approverAccess, ctrl.requestHistory);
+
+// All other leave endpoints: read, enter requests, or configure policy
+router.use(requireAuth);
+const view = requirePermission('leave.view');
+const manage = requirePermission('leave.manage');
+const configure = requirePermission('leave.configure');
 
 // Leave requests
-router.post('/requests', ctrl.createRequest);
-router.get('/requests', ctrl.listRequests);
-router.post('/requests/:id/decide', ctrl.decideRequest);
+router.post('/requests', manage, ctrl.createRequest);
+router.post('/requests/preview', manage, ctrl.previewRequest);
+router.get('/requests', view, ctrl.listRequests);
+router.post('/requests/:id/cancel', manage, ctrl.cancelRequest);
 
 // Status / calendar / summary
-router.get('/status', ctrl.statusList);
-router.get('/calendar', ctrl.calendarFeed);
-router.get('/summary', ctrl.summary);
+router.get('/status', view, ctrl.statusList);
+router.get('/calendar', view, ctrl.calendarFeed);
+router.get('/summary', view, ctrl.summary);
 
 // 🔹 Employee balances for EmployeeLeaves.jsx
-router.get('/balances', ctrl.employeeBalances);
+router.get('/balances', view, ctrl.employeeBalances);
 
-router.get('/calendar', ctrl.calendarFeed);
+router.get('/calendar', view, ctrl.calendarFeed);
 
 // Special / restricted dates for leave calendar
-router.post('/calendar/restrictions', ctrl.saveRestriction);
-router.delete('/calendar/restrictions/:id', ctrl.deleteRestriction);
+router.post('/calendar/restrictions', configure, ctrl.saveRestriction);
+router.delete('/calendar/restrictions/:id', configure, ctrl.deleteRestriction);
 
 // ===========================================================
 // 🔹 NEW: Grade-Based Leave Rules
 // ===========================================================
-router.get('/rules', ctrl.getRules);
+router.get('/rules', view, ctrl.getRules);
 router.post(
     '/rules',
+    configure,
     [
         body('grade_id').isInt({ min: 1 }).withMessage('Invalid Grade ID'),
         body('annual_limit').isFloat({ min: 0 }).withMessage('Annual limit must be a positive number'),
@@ -44,6 +65,48 @@ router.post(
     ctrl.saveRule
 );
 
+// Leave types and their policy
+router.get('/types', view, types.listLeaveTypes);
+router.get('/types/:id', view, types.getLeaveType);
+router.post('/types', configure, types.createLeaveType);
+router.put('/types/:id', configure, types.updateLeaveType);
+router.delete('/types/:id', configure, types.deleteLeaveType);
+
+// Approval chains, approvers and escalation
+router.get('/approval-chains', view, approvals.listChains);
+router.post('/approval-chains', configure, approvals.createChain);
+router.put('/approval-chains/:id', configure, approvals.updateChain);
+router.delete('/approval-chains/:id', configure, approvals.deleteChain);
+router.put('/approvers/departments/:id', configure, approvals.setDepartmentHead);
+router.put('/approvers/employees/:id', configure, approvals.setEmployeeSupervisor);
+router.post('/approvals/escalate', manage, approvals.runEscalation);
+
+// Department coverage rules (max people off per day)
+router.get('/coverage-rules', view, coverage.listCoverageRules);
+router.post('/coverage-rules', configure, coverage.createCoverageRule);
+router.put('/coverage-rules/:id', configure, coverage.updateCoverageRule);
+router.delete('/coverage-rules/:id', configure, coverage.deleteCoverageRule);
+
+// Holiday calendars (also used by attendance status and overtime)
+router.get('/holiday-sets', view, holidays.listHolidaySets);
+router.post('/holiday-sets', configure, holidays.createHolidaySet);
+router.put('/holiday-sets/:id', configure, holidays.updateHolidaySet);
+router.delete('/holiday-sets/:id', configure, holidays.deleteHolidaySet);
+router.post('/holiday-sets/:id/holidays', configure, holidays.saveHoliday);
+router.post('/holiday-sets/:id/import', configure, upload.single('file'), holidays.importHolidays);
+router.get('/holiday-sets/:id/imports', view, holidays.listHolidayImports);
+router.get('/holidays', view, holidays.listHolidays);
+router.delete('/holidays/:id', configure, holidays.deleteHoliday);
 
+// Accrual policies, accrual runs, balance ledger and year-end rollover
+router.get('/accrual/policies', view, accrual.listPolicies);
+router.post('/accrual/policies', configure, accrual.savePolicy);
+router.delete('/accrual/policies/:id', configure, accrual.deletePolicy);
+router.post('/accrual/run', configure, accrual.runAccrual);
+router.get('/balances/:employeeId/ledger', view, accrual.getBalanceLedger);
+router.post('/rollovers/preview', configure, accrual.previewRollover);
+router.post('/rollovers', configure, accrual.runRollover);
+router.get('/rollovers', view, accrual.listRollovers);
+router.get('/rollovers/:id', view, accrual.getRollover);
 
 module.exports = router;
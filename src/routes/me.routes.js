@@ -0,0 +1,36 @@
+// src/routes/me.routes.js
+// Employee self-service: any login linked to an employee, scoped to that employee
+const express = require('express');
+const ctrl = require('../controllers/me.controller');
+const upload = require('../middleware/upload');
+const { requireAuth, requireEmployee } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requireEmployee);
+
+// Profile and contact / next-of-kin changes (applied after HR approval)
+router.get('/profile', ctrl.getProfile);
+router.get('/profile/changes', ctrl.listProfileChanges);
+router.post('/profile/changes', ctrl.requestProfileChange);
+router.delete('/profile/changes/:id', ctrl.cancelProfileChange);
+
+// Payslips of locked payroll months
+router.get('/payslips', ctrl.listPayslips);
+router.get('/payslips/:year/:month/pdf', ctrl.downloadPayslip);
+
+// Leave
+router.get('/leave/types', ctrl.listLeaveTypes);
+router.get('/leave/balances', ctrl.leaveBalances);
+router.get('/leave/requests', ctrl.listLeaveRequests);
+router.post('/leave/requests', upload.single('attachment'), ctrl.createLeaveRequest);
+router.post('/leave/requests/preview', ctrl.previewLeaveRequest);
+router.get('/leave/requests/:id', ctrl.getLeaveRequest);
+router.post('/leave/requests/:id/cancel', ctrl.cancelLeaveRequest);
+
+// Attendance and correction requests
+router.get('/attendance', ctrl.listAttendance);
+router.get('/attendance/adjustments', ctrl.listAdjustments);
+router.post('/attendance/adjustments', ctrl.requestAdjustment);
+
+module.exports = router;
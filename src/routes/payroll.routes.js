@@ -1,30 +1,48 @@
 // src/routes/payroll.routes.js
 const express = require('express');
 const ctrl = require('../controllers/payroll.controller');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const bankCtrl = require('../controllers/bankBatch.controller');
+const reconCtrl = require('../controllers/bankReconciliation.controller');
+const upload = require('../middleware/upload');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Protect all payroll routes (HR/Finance roles)
-router.use(requireAuth, requireRole(['HR', 'Finance']));
+// Protect all payroll routes: payroll.view to read, payroll.transfer to move money
+router.use(requireAuth);
+const view = requirePermission('payroll.view');
+const transfer = requirePermission('payroll.transfer');
 
 // Payroll processing endpoints
-router.get('/employee-payroll-data', ctrl.getEmployeePayrollData);
-router.get('/generate-payslip-pdf', ctrl.generatePaySlipPDF);
-router.post('/process-salary-transfer', ctrl.processSalaryTransfer);
-router.get('/department-payroll-summary', ctrl.getDepartmentPayrollSummary);
-router.get('/payroll-transfers', ctrl.getPayrollTransfers);
-router.get('/export-payroll-csv', ctrl.exportPayrollCSV);
-router.get('/available-months', ctrl.getAvailableMonths);
+router.get('/employee-payroll-data', view, ctrl.getEmployeePayrollData);
+router.get('/generate-payslip-pdf', view, ctrl.generatePaySlipPDF);
+router.post('/process-salary-transfer', transfer, ctrl.processSalaryTransfer);
+router.get('/department-payroll-summary', view, ctrl.getDepartmentPayrollSummary);
+router.get('/payroll-transfers', view, ctrl.getPayrollTransfers);
+router.get('/export-payroll-csv', view, ctrl.exportPayrollCSV);
+router.get('/available-months', view, ctrl.getAvailableMonths);
 
 // Dashboard endpoints - use the OPTIMIZED versions
-router.get('/payroll-summary', ctrl.getPayrollSummaryOptimized);
-router.get('/payroll-status', ctrl.getPayrollStatusOptimized);
-router.get('/payroll-transfer-overview', ctrl.getPayrollTransferOverviewOptimized);
-router.post('/initiate-bank-transfer', ctrl.initiateBankTransfer);
+router.get('/payroll-summary', view, ctrl.getPayrollSummaryOptimized);
+router.get('/payroll-status', view, ctrl.getPayrollStatusOptimized);
+router.get('/payroll-transfer-overview', view, ctrl.getPayrollTransferOverviewOptimized);
+router.post('/initiate-bank-transfer', transfer, ctrl.initiateBankTransfer);
+
+// Bank bulk credit files for initiated transfers
+router.get('/bank-layouts', view, bankCtrl.listBankLayouts);
+router.post('/bank-batches/preflight', transfer, bankCtrl.preflightBankBatch);
+router.post('/bank-batches', transfer, bankCtrl.generateBankBatch);
+router.get('/bank-batches', view, bankCtrl.listBankBatches);
+router.get('/bank-batches/:id', view, bankCtrl.getBankBatch);
+router.get('/bank-batches/:id/file', transfer, bankCtrl.downloadBankBatch);
+
+// Bank response files: close transfers as Completed / Failed
+router.post('/bank-reconciliations', transfer, upload.single('file'), reconCtrl.importBankReturn);
+router.get('/bank-reconciliations', view, reconCtrl.listBankReconciliations);
+router.get('/bank-reconciliations/:id/report', view, reconCtrl.getReconciliationReport);
 
 // Test endpoint for debugging
-router.get('/test-debug', (req, res) => {
+router.get('/test-debug', view, (req, res) => {
   console.log('Test endpoint called by user:', req.user);
   res.json({
     ok: true,
@@ -0,0 +1,24 @@
+// src/routes/rbac.routes.js
+const express = require('express');
+const ctrl = require('../controllers/rbac.controller');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('rbac.manage'));
+
+// Permissions and roles
+router.get('/permissions', ctrl.listPermissions);
+router.get('/roles', ctrl.listRoles);
+router.post('/roles', ctrl.createRole);
+router.put('/roles/:id', ctrl.updateRole);
+router.delete('/roles/:id', ctrl.deleteRole);
+
+// Users: role, department scope and sessions
+router.get('/users', ctrl.listUsers);
+router.put('/users/:id/role', ctrl.setUserRole);
+router.put('/users/:id/departments', ctrl.setUserDepartments);
+router.get('/users/:id/sessions', ctrl.listUserSessions);
+router.delete('/users/:id/sessions', ctrl.endUserSessions);
+
+module.exports = router;
@@ -1,11 +1,11 @@
 // reports
 const express = require('express');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const { getMonthlyTotalData, getSalaryRange, compensateTrend, getDeductionsByType, getBonusesByType, getAllowancesByType, getEmployeeInsights, getAllDepartments } = require('../controllers/report.controller');
 
 const router = express.Router();
 
-router.use(requireAuth, requireRole('HR'));
+router.use(requireAuth, requirePermission('report.view'));
 
 router.get("/payroll/month", getMonthlyTotalData);
 router.get('/payroll/salary-range', getSalaryRange);
@@ -1,94 +1,152 @@
 const express = require('express');
 const ctrl = require('../controllers/salary.controller');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const etfEpfCtrl = require('../controllers/etfEpf.controller');
+const etfEpfReturnCtrl = require('../controllers/etfEpfReturn.controller');
+const loanCtrl = require('../controllers/loan.controller');
+const runCtrl = require('../controllers/payrollRun.controller');
+const historyCtrl = require('../controllers/salaryHistory.controller');
+const overtimeCtrl = require('../controllers/overtime.controller');
+const payChangeCtrl = require('../controllers/payChange.controller');
 
 const router = express.Router();
 
-// protect all salary endpoints
-router.use(requireAuth, requireRole('HR'));
+// protect all salary endpoints: salary.* for pay data, payroll.* for runs and payslips
+router.use(requireAuth);
+const view = requirePermission('salary.view');
+const manage = requirePermission('salary.manage');
+const payrollView = requirePermission('payroll.view');
+const payrollRun = requirePermission('payroll.run');
+const payrollApprove = requirePermission('payroll.approve');
+const approve = requirePermission('salary.approve');
 
 // overtime rule + adjustment 
-router.get('/grades', ctrl.getGrades);
+router.get('/grades', view, ctrl.getGrades);
 
 //rule 
-router.get('/overtime/rules/:gradeId', ctrl.getOvertimeRulesByGrade);
-router.post('/overtime/rules', ctrl.upsertOvertimeRule);
+router.get('/overtime/rules/:gradeId', view, ctrl.getOvertimeRulesByGrade);
+router.post('/overtime/rules', manage, ctrl.upsertOvertimeRule);
 
 //adjustemnts
-router.get('/overtime/adjustments/grade/:gradeId', ctrl.listOvertimeAdjustmentsByGrade);
-router.post('/overtime/adjustments', ctrl.createOvertimeAdjustment);
+router.get('/overtime/adjustments/grade/:gradeId', view, ctrl.listOvertimeAdjustmentsByGrade);
+router.post('/overtime/adjustments', manage, ctrl.createOvertimeAdjustment);
 
-// basic salary
-router.post('/basic', ctrl.setBasicSalary);
-router.get('/basic', ctrl.getBasicSalary);
+// OT from attendance + timetables, held Pending until approved
+router.get('/overtime/attendance/preview', view, overtimeCtrl.previewAttendanceOvertime);
+router.post('/overtime/attendance/generate', manage, overtimeCtrl.generateAttendanceOvertime);
+router.get('/overtime/approvals', view, overtimeCtrl.listOvertimeApprovals);
+router.post('/overtime/approvals', manage, overtimeCtrl.decideOvertime);
 
-// allowances
-router.post('/allowance', ctrl.addAllowance);
-router.get('/allowances', ctrl.listAllowances);
-router.get('/allowance/:id', ctrl.getAllowanceById);        // ADD THIS
-router.put('/allowance/:id', ctrl.updateAllowance);         // ADD THIS  
-router.delete('/allowance/:id', ctrl.deleteAllowance);      // ADD THIS
+// basic salary
+router.post('/basic', manage, ctrl.setBasicSalary);
+router.get('/basic', view, ctrl.getBasicSalary);
+
+// maker-checker: salary, bank account and compensation changes wait here for a second user
+router.get('/change-requests', view, payChangeCtrl.listPayChanges);
+router.get('/change-requests/:id', view, payChangeCtrl.getPayChange);
+router.post('/change-requests/:id/decide', approve, payChangeCtrl.decidePayChange);
+router.post('/change-requests/:id/cancel', manage, payChangeCtrl.cancelPayChange);
+
+// effective-dated salary history (appointment / increment / promotion / correction)
+router.get('/history/:employeeId', view, historyCtrl.getSalaryHistory);
+router.post('/history/:employeeId', manage, ctrl.setBasicSalary);
+
+// bulk increments by grade or department
+router.get('/increments', view, historyCtrl.listIncrementBatches);
+router.post('/increments/preview', view, historyCtrl.previewIncrement);
+router.post('/increments', manage, historyCtrl.applyIncrement);
+router.get('/increments/:id', view, historyCtrl.getIncrementBatch);
+
+// arrears queued by back-dated basic salary changes
+router.get('/arrears', view, ctrl.listArrears);
+router.post('/arrears/preview', view, ctrl.previewArrears);
+router.delete('/arrears/:id', manage, ctrl.cancelArrears);
+
+// allowances (adds and edits wait in /change-requests for a second user)
+router.post('/allowance', manage, ctrl.addAllowance);
+router.get('/allowances', view, ctrl.listAllowances);
+router.get('/allowance/:id', view, ctrl.getAllowanceById);        // ADD THIS
+router.put('/allowance/:id', manage, ctrl.updateAllowance);         // ADD THIS  
+router.delete('/allowance/:id', manage, ctrl.deleteAllowance);      // ADD THIS
 
 // deductions
-router.get('/deductions', ctrl.listDeductions);
-router.post('/deductions', ctrl.createDeduction);
+router.get('/deductions', view, ctrl.listDeductions);
+router.post('/deductions', manage, ctrl.createDeduction);
 
-router.get('/deductions/:id', ctrl.getDeductionById);
-router.put('/deductions/:id', ctrl.updateDeduction);
-router.delete('/deductions/:id', ctrl.deleteDeduction);
+router.get('/deductions/:id', view, ctrl.getDeductionById);
+router.put('/deductions/:id', manage, ctrl.updateDeduction);
+router.delete('/deductions/:id', manage, ctrl.deleteDeduction);
 
 // overtime / adjustments
 
 //compensation 
 // --- Employees advanced search + departments ---
-router.get('/employees', ctrl.searchEmployeesAdvanced);
-router.get('/departments', ctrl.listDepartments);
+router.get('/employees', view, ctrl.searchEmployeesAdvanced);
+router.get('/departments', view, ctrl.listDepartments);
 
 // --- Compensation (preview & apply) ---
-router.post('/compensation/preview', ctrl.previewCompensation);
-router.post('/compensation/apply',   ctrl.applyCompensation);
+router.post('/compensation/preview', view, ctrl.previewCompensation);
+router.post('/compensation/apply', manage, ctrl.applyCompensation);
 
 
-// bonuses
-router.post('/bonus', ctrl.addBonus);
+// bonuses (queued for approval like compensation)
+router.post('/bonus', manage, ctrl.addBonus);
+
+// Loans / salary advances, recovered through payroll
+router.get('/loans', view, loanCtrl.listLoans);
+router.get('/loans/balances', view, loanCtrl.getLoanBalances);
+router.post('/loans/schedule-preview', view, loanCtrl.previewSchedule);
+router.post('/loans', manage, loanCtrl.createLoan);
+router.get('/loans/:id', view, loanCtrl.getLoan);
+router.delete('/loans/:id', manage, loanCtrl.cancelLoan);
+router.post('/loans/:id/skip', manage, loanCtrl.skipInstalment);
+router.post('/loans/:id/reschedule', manage, loanCtrl.rescheduleLoan);
+router.post('/loans/:id/settle', manage, loanCtrl.settleLoan);
 
 // earnings grid
-router.get('/earnings', ctrl.listEarnings);
+router.get('/earnings', view, ctrl.listEarnings);
 
 // ETF/EPF routes
-router.get('/etf-epf', etfEpfCtrl.getEtfEpfRecords);
-router.get('/etf-epf/employees-without', etfEpfCtrl.getEmployeesWithoutEtfEpf);
+router.get('/etf-epf', view, etfEpfCtrl.getEtfEpfRecords);
+router.get('/etf-epf/employees-without', view, etfEpfCtrl.getEmployeesWithoutEtfEpf);
 
-router.get('/etf-epf/:employeeId/history', etfEpfCtrl.getEmployeePaymentHistory);
+router.get('/etf-epf/:employeeId/history', view, etfEpfCtrl.getEmployeePaymentHistory);
 
 
 
-router.get('/etf-epf/:id', etfEpfCtrl.getEtfEpfById);
-router.post('/etf-epf', etfEpfCtrl.createEtfEpfRecord);
-router.put('/etf-epf/:id', etfEpfCtrl.updateEtfEpfRecord);
-router.delete('/etf-epf/:id', etfEpfCtrl.deleteEtfEpfRecord);
-router.post('/etf-epf/calculate', etfEpfCtrl.calculateContributions);
+router.get('/etf-epf/:id', view, etfEpfCtrl.getEtfEpfById);
+router.post('/etf-epf', manage, etfEpfCtrl.createEtfEpfRecord);
+router.put('/etf-epf/:id', manage, etfEpfCtrl.updateEtfEpfRecord);
+router.delete('/etf-epf/:id', manage, etfEpfCtrl.deleteEtfEpfRecord);
+router.post('/etf-epf/calculate', view, etfEpfCtrl.calculateContributions);
 
 
 // Get list of employees for processing a month
-router.get('/etf-epf/process-list', etfEpfCtrl.getProcessList);
+router.get('/etf-epf/process-list', view, etfEpfCtrl.getProcessList);
 // Process the payments for the selected month
-router.post('/etf-epf/process-payment', etfEpfCtrl.processPayment);
+router.post('/etf-epf/process-payment', manage, etfEpfCtrl.processPayment);
+
+// Statutory returns: monthly EPF C-Form and six-monthly ETF return (JSON / file / PDF)
+router.get('/etf-epf/returns/epf', view, etfEpfReturnCtrl.getEpfReturn);
+router.get('/etf-epf/returns/epf/file', view, etfEpfReturnCtrl.downloadEpfReturn);
+router.get('/etf-epf/returns/epf/pdf', view, etfEpfReturnCtrl.epfReturnPdf);
+router.get('/etf-epf/returns/etf', view, etfEpfReturnCtrl.getEtfReturn);
+router.get('/etf-epf/returns/etf/file', view, etfEpfReturnCtrl.downloadEtfReturn);
+router.get('/etf-epf/returns/etf/pdf', view, etfEpfReturnCtrl.etfReturnPdf);
 
 // NEW ROUTE: Process deduction calculation and insertion
-router.post('/unpaid-leaves/:id/process', ctrl.processUnpaidLeaveDeduction);
-router.post('/unpaid-leaves/:id/process', ctrl.processUnpaidLeaveDeduction); 
+router.post('/unpaid-leaves/:id/process', manage, ctrl.processUnpaidLeaveDeduction);
+router.post('/unpaid-leaves/:id/process', manage, ctrl.processUnpaidLeaveDeduction); 
 // Manual CUD operations (Using placeholder functions defined in controller)
-router.post('/unpaid-leaves', ctrl.createUnpaidLeave); 
-router.put('/unpaid-leaves/:id', ctrl.updateUnpaidLeave); 
-router.delete('/unpaid-leaves/:id', ctrl.deleteUnpaidLeave);
+router.post('/unpaid-leaves', manage, ctrl.createUnpaidLeave); 
+router.put('/unpaid-leaves/:id', manage, ctrl.updateUnpaidLeave); 
+router.delete('/unpaid-leaves/:id', manage, ctrl.deleteUnpaidLeave);
 
 // Add this test route
-router.get('/etf-epf/test', etfEpfCtrl.testProcessList);
+router.get('/etf-epf/test', view, etfEpfCtrl.testProcessList);
 
 // Add this temporary route to salary.routes.js to debug:
-router.get('/etf-epf/debug', (req, res) => {
+router.get('/etf-epf/debug', view, (req, res) => {
   const functions = Object.keys(etfEpfCtrl);
   res.json({ 
     availableFunctions: functions,
@@ -100,12 +158,21 @@ router.get('/etf-epf/debug', (req, res) => {
 
 
 // month summary / run payroll
-router.get('/summary', ctrl.monthSummary);
-router.post('/run', ctrl.runPayrollForMonth);
+router.get('/summary', payrollView, ctrl.monthSummary);
+router.post('/run', payrollRun, runCtrl.calculateRun);
+
+// payroll runs (Draft -> Reviewed -> Approved -> Locked)
+router.get('/runs', payrollView, runCtrl.listRuns);
+router.get('/runs/:id', payrollView, runCtrl.getRun);
+router.get('/runs/:id/employees/:employeeId', payrollView, runCtrl.getRunEmployeeLines);
+router.post('/runs/:id/review', payrollRun, runCtrl.reviewRun);
+router.post('/runs/:id/approve', payrollApprove, runCtrl.approveRun);
+router.post('/runs/:id/lock', payrollApprove, runCtrl.lockRun);
+router.post('/runs/:id/reopen', payrollApprove, runCtrl.reopenRun);
 
 // payslip
-router.get('/payslip/:employeeId/:year/:month', ctrl.getEmployeePayslip);
-router.get('/payslip', ctrl.generatePayslip);
+router.get('/payslip/:employeeId/:year/:month', payrollView, ctrl.getEmployeePayslip);
+router.get('/payslip', payrollView, ctrl.generatePayslip);
 
 
 
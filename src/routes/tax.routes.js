@@ -0,0 +1,43 @@
+// src/routes/tax.routes.js
+const express = require('express');
+const { body } = require('express-validator');
+const validate = require('../middleware/validate');
+const ctrl = require('../controllers/tax.controller');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+const view = requirePermission('tax.view');
+const manage = requirePermission('tax.manage');
+
+const tableRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('table_type').optional().isIn(['Regular', 'LumpSum']).withMessage('table_type must be Regular or LumpSum'),
+    field('effective_from').isISO8601().withMessage('effective_from must be a date'),
+    body('effective_to').optional({ values: 'falsy' }).isISO8601().withMessage('effective_to must be a date')
+      .custom((to, { req }) => !req.body.effective_from || String(to) >= String(req.body.effective_from))
+      .withMessage('effective_to cannot be before effective_from'),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('notes must be at most 500 characters'),
+    field('slabs').isArray({ min: 1 }).withMessage('slabs must be a non-empty array'),
+  ];
+};
+
+// Tax tables (versioned, effective-dated slabs)
+router.get('/tables', view, ctrl.listTaxTables);
+router.get('/tables/:id', view, ctrl.getTaxTable);
+router.post('/tables', manage, tableRules(true), validate, ctrl.createTaxTable);
+router.put('/tables/:id', manage, tableRules(false), validate, ctrl.updateTaxTable);
+router.delete('/tables/:id', manage, ctrl.deleteTaxTable);
+
+// APIT the engine would deduct for one employee/month
+router.get('/preview', view, ctrl.previewEmployeeTax);
+
+// Year-end employee tax certificates
+router.get('/certificates', view, ctrl.listTaxCertificates);
+router.get('/certificates/:employeeId', view, ctrl.getTaxCertificate);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// src/routes/user.routes.js
+const express = require('express');
+const ctrl = require('../controllers/user.controller');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('user.manage'));
+
+router.get('/', ctrl.listUsers);
+router.post('/', ctrl.createUser);
+router.get('/:id', ctrl.getUser);
+router.put('/:id', ctrl.updateUser);
+
+// Access: disable / enable, password reset link, linked employee
+router.post('/:id/disable', ctrl.disableUser);
+router.post('/:id/enable', ctrl.enableUser);
+router.post('/:id/reset-password', ctrl.resetPassword);
+router.put('/:id/employee', ctrl.setUserEmployee);
+
+module.exports = router;
@@ -3,6 +3,9 @@ require('dotenv').config();
 const app = require('./app');
 const pool = require('./config/db');
 const logEvent = require('./utils/event');
+const { scheduleAttendanceStatus } = require('./utils/attendanceStatus');
+const { scheduleLeaveAccrual } = require('./utils/leaveAccrual');
+const { scheduleLeaveEscalation } = require('./utils/leaveApprovals');
 
 const PORT = process.env.PORT || 4000;
 
@@ -11,6 +14,9 @@ async function start() {
     await pool.query('SELECT 1');
     app.listen(PORT, () => console.log('API on', PORT));
     logEvent({level:'info',event_type: `APP_IS_RUNNING_ON_${PORT}`})
+    scheduleAttendanceStatus(pool, logEvent);
+    scheduleLeaveAccrual(pool, logEvent);
+    scheduleLeaveEscalation(pool, logEvent);
   } catch (e) {
     console.error('Cannot connect to MySQL', e);
     process.exit(1);
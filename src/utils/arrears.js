@@ -0,0 +1,162 @@
+// src/utils/arrears.js
+// Back-dated salary changes against months that are already Locked: each month is
+// recalculated with the new salary and the per-component difference is queued in
+// salary_arrears for the next open payroll.
+const { ARREARS_LINES, calculatePayroll } = require('./payrollEngine');
+const { addMonths, ym } = require('./loans');
+const { basicSalaryOn } = require('./salaryHistory');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const COMPONENTS = Object.keys(ARREARS_LINES);
+
+// Component totals, leaving out arrears already paid inside that month
+const byComponent = (lines) => {
+  const totals = Object.fromEntries(COMPONENTS.map(c => [c, 0]));
+  for (const l of lines) {
+    if (l.source_table === 'salary_arrears' || !(l.component in totals)) continue;
+    totals[l.component] += Number(l.amount || 0);
+  }
+  return totals;
+};
+
+// Month after the latest Locked run (where arrears get paid), and its run status if any
+async function nextOpenPeriod(db) {
+  const [[last]] = await db.query(
+    `SELECT period_year, period_month FROM payroll_runs
+      WHERE status = 'Locked' ORDER BY period_year DESC, period_month DESC LIMIT 1`
+  );
+  const now = new Date();
+  const next = last ? addMonths(last.period_year, last.period_month, 1) : { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const [[run]] = await db.query(
+    'SELECT id, status FROM payroll_runs WHERE period_year = ? AND period_month = ?',
+    [next.year, next.month]
+  );
+  return { ...next, run_status: run?.status || null };
+}
+
+/**
+ * Differences for every Locked month from `effectiveFrom` on, for one employee, with
+ * the salary history as it now stands (call inside the transaction that changed it).
+ * -> { pay_year, pay_month, pay_run_status, months: [{ year, month, components: [...] }], total }
+ */
+async function computeArrears(db, employeeId, effectiveFrom) {
+  const fromYm = ym(String(effectiveFrom).slice(0, 4), String(effectiveFrom).slice(5, 7));
+  const [runs] = await db.query(
+    `SELECT id, period_year, period_month FROM payroll_runs
+      WHERE status = 'Locked' AND (period_year * 100 + period_month) >= ?
+      ORDER BY period_year, period_month`,
+    [fromYm]
+  );
+  const pay = await nextOpenPeriod(db);
+  const result = { pay_year: pay.year, pay_month: pay.month, pay_run_status: pay.run_status, months: [], total: 0 };
+
+  for (const run of runs) {
+    const [stored] = await db.query(
+      'SELECT component, amount, source_table FROM payroll_run_lines WHERE run_id = ? AND employee_id = ?',
+      [run.id, employeeId]
+    );
+    if (!stored.length) continue;
+
+    const [queued] = await db.query(
+      `SELECT component, SUM(difference) AS amount FROM salary_arrears
+        WHERE employee_id = ? AND period_year = ? AND period_month = ? AND status IN ('Pending','Paid')
+        GROUP BY component`,
+      [employeeId, run.period_year, run.period_month]
+    );
+    const live = await calculatePayroll(employeeId, run.period_year, run.period_month, { db, live: true });
+
+    const before = byComponent(stored);
+    queued.forEach(q => { if (q.component in before) before[q.component] += Number(q.amount); });
+    const after = byComponent(live.lines);
+
+    const components = COMPONENTS
+      .map(c => ({
+        component: c,
+        old_amount: round2(before[c]),
+        new_amount: round2(after[c]),
+        difference: round2(after[c] - before[c]),
+      }))
+      .filter(c => c.difference !== 0);
+    if (!components.length) continue;
+
+    result.months.push({ year: run.period_year, month: run.period_month, components });
+  }
+
+  // Net effect on take-home: earnings up, employee EPF down
+  result.total = round2(result.months.reduce((a, m) => a + m.components.reduce((b, c) => {
+    const line = ARREARS_LINES[c.component];
+    if (line.line_type === 'Earning') return b + c.difference;
+    if (line.line_type === 'Deduction') return b - c.difference;
+    return b;
+  }, 0), 0));
+  return result;
+}
+
+// Store the differences from computeArrears as Pending arrears
+async function queueArrears(conn, employeeId, salaryHistoryId, arrears, userId) {
+  const rows = arrears.months.flatMap(m => m.components.map(c => [
+    employeeId, salaryHistoryId, m.year, m.month, c.component, c.old_amount, c.new_amount, c.difference,
+    arrears.pay_year, arrears.pay_month, userId,
+  ]));
+  if (!rows.length) return;
+  await conn.query(
+    `INSERT INTO salary_arrears
+      (employee_id, salary_history_id, period_year, period_month, component, old_amount, new_amount,
+       difference, pay_year, pay_month, created_by)
+     VALUES ?`,
+    [rows]
+  );
+}
+
+/**
+ * On locking a run: arrears it paid become Paid. Any still Pending for that month
+ * (run calculated before they were queued) roll on to the following month.
+ */
+async function markArrearsPaid(conn, runId) {
+  const [[run]] = await conn.query('SELECT period_year, period_month FROM payroll_runs WHERE id = ?', [runId]);
+  await conn.query(
+    `UPDATE salary_arrears a
+       JOIN payroll_run_lines l ON l.source_table = 'salary_arrears' AND l.source_id = a.id
+        SET a.status = 'Paid', a.payroll_run_id = l.run_id
+      WHERE l.run_id = ? AND a.status = 'Pending'`,
+    [runId]
+  );
+  const next = addMonths(run.period_year, run.period_month, 1);
+  await conn.query(
+    `UPDATE salary_arrears SET pay_year = ?, pay_month = ?
+      WHERE pay_year = ? AND pay_month = ? AND status = 'Pending'`,
+    [next.year, next.month, run.period_year, run.period_month]
+  );
+}
+
+/**
+ * Records a salary history row and posts arrears for any Locked months it reaches
+ * back into. Keeps the `salaries` snapshot on the salary in force today. Run inside
+ * the caller's transaction.
+ * -> { salary_history_id, before, arrears }
+ */
+async function applySalaryChange(conn, { employee_id, basic_salary, effective_from, reason = 'Correction', note = null, approved_by = null, increment_batch_id = null, user_id = null }) {
+  const before = await basicSalaryOn(conn, employee_id, effective_from);
+  const [ins] = await conn.query(
+    `INSERT INTO employee_salary_history
+      (employee_id, basic_salary, effective_from, reason, note, approved_by, increment_batch_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [employee_id, basic_salary, effective_from, reason, note, approved_by, increment_batch_id, user_id]
+  );
+
+  const current = await basicSalaryOn(conn, employee_id, new Date().toISOString().slice(0, 10));
+  if (current && current.source_table === 'employee_salary_history') {
+    await conn.query(
+      `INSERT INTO salaries (employee_id, basic_salary)
+       VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE basic_salary=VALUES(basic_salary), updated_at=NOW()`,
+      [employee_id, current.basic_salary]
+    );
+  }
+
+  const arrears = await computeArrears(conn, employee_id, effective_from);
+  await queueArrears(conn, employee_id, ins.insertId, arrears, user_id);
+  return { salary_history_id: ins.insertId, before, arrears };
+}
+
+module.exports = { computeArrears, queueArrears, applySalaryChange, markArrearsPaid, nextOpenPeriod };
@@ -0,0 +1,152 @@
+// src/utils/attendanceAdjustments.js
+// Attendance adjustments only touch attendance_records once the last approval level
+// (ATTENDANCE_ADJUSTMENT_LEVELS, default "Supervisor,HR") approves them. Applying keeps
+// the punched times in raw_check_in_time / raw_check_out_time and the record's previous
+// values on the adjustment, so rejecting an applied adjustment can put them back.
+const { evaluateAttendance } = require('./attendanceStatus');
+
+const LEVELS = ['Supervisor', 'HR'];
+// permissions that decide each level; the final (HR) approver can stand in for a supervisor
+const LEVEL_PERMISSIONS = {
+  Supervisor: ['attendance.adjust.supervise', 'attendance.adjust.approve'],
+  HR: ['attendance.adjust.approve'],
+};
+const ADJUSTMENT_TYPES = ['Check-in', 'Check-out', 'Full Day', 'Half Day'];
+
+const approvalLevels = () => {
+  const levels = String(process.env.ATTENDANCE_ADJUSTMENT_LEVELS || LEVELS.join(','))
+    .split(',').map(s => s.trim()).filter(l => LEVELS.includes(l));
+  return levels.length ? LEVELS.filter(l => levels.includes(l)) : ['HR'];
+};
+
+// level after `level`, or null when it was the last one
+const nextLevel = (level) => {
+  const levels = approvalLevels();
+  const i = levels.indexOf(level);
+  return i >= 0 && i < levels.length - 1 ? levels[i + 1] : null;
+};
+
+const toMinutes = (t) => {
+  if (!t) return null;
+  const [h, m, s] = String(t).split(':').map(Number);
+  return h * 60 + (m || 0) + (s || 0) / 60;
+};
+
+// Hours between check-in and check-out (overnight allowed) less any recorded break
+const workedHours = (record) => {
+  const inAt = toMinutes(record.check_in_time);
+  const outAt = toMinutes(record.check_out_time);
+  if (inAt == null || outAt == null) return null;
+  const minutes = (outAt >= inAt ? outAt - inAt : outAt + 1440 - inAt) - Number(record.break_minutes || 0);
+  return Math.round((Math.max(0, minutes) / 60) * 100) / 100;
+};
+
+// total_hours from the corrected times, then status / late / early minutes for the day
+const refreshRecord = async (conn, recordId, employeeId, date) => {
+  const [[record]] = await conn.query('SELECT * FROM attendance_records WHERE id = ?', [recordId]);
+  if (record) {
+    await conn.query('UPDATE attendance_records SET total_hours = ? WHERE id = ?', [workedHours(record), recordId]);
+  }
+  await evaluateAttendance(conn, { from: date, to: date, employeeIds: [employeeId] });
+};
+
+/**
+ * Writes an approved adjustment to the employee's record for the day (creating the record
+ * for a forgotten punch) and remembers what was there before.
+ */
+async function applyAdjustment(conn, adj) {
+  const date = String(adj.adjustment_date).slice(0, 10);
+  let [[record]] = await conn.query(
+    'SELECT * FROM attendance_records WHERE employee_id = ? AND date = ? LIMIT 1 FOR UPDATE',
+    [adj.employee_id, date]
+  );
+  let created = 0;
+  if (!record) {
+    const [ins] = await conn.query(
+      `INSERT INTO attendance_records (employee_id, date, source) VALUES (?, ?, 'Manual')`,
+      [adj.employee_id, date]
+    );
+    [[record]] = await conn.query('SELECT * FROM attendance_records WHERE id = ?', [ins.insertId]);
+    created = 1;
+  }
+
+  await conn.query(
+    `UPDATE attendance_adjustments
+        SET attendance_record_id = ?, created_record = ?, original_check_in_time = ?, original_check_out_time = ?,
+            original_status = ?, original_status_source = ?, applied_at = NOW(), reverted_at = NULL
+      WHERE id = ?`,
+    [record.id, created, record.check_in_time, record.check_out_time, record.status, record.status_source, adj.id]
+  );
+
+  // raw_* take the punched values the first time a record is corrected (assignments run left to right)
+  const keepRaw = `raw_check_in_time = IF(is_adjusted, raw_check_in_time, check_in_time),
+                   raw_check_out_time = IF(is_adjusted, raw_check_out_time, check_out_time)`;
+  if (adj.adjustment_type === 'Check-in') {
+    await conn.query(`UPDATE attendance_records SET ${keepRaw}, check_in_time = ?, is_adjusted = 1 WHERE id = ?`, [adj.adjusted_time, record.id]);
+  } else if (adj.adjustment_type === 'Check-out') {
+    await conn.query(`UPDATE attendance_records SET ${keepRaw}, check_out_time = ?, is_adjusted = 1 WHERE id = ?`, [adj.adjusted_time, record.id]);
+  } else {
+    const status = adj.adjustment_type === 'Full Day' ? 'Present' : 'Half Day';
+    await conn.query(
+      `UPDATE attendance_records SET ${keepRaw}, status = ?, status_source = 'Manual', is_adjusted = 1 WHERE id = ?`,
+      [status, record.id]
+    );
+  }
+  await refreshRecord(conn, record.id, adj.employee_id, date);
+  return record.id;
+}
+
+/**
+ * Undoes an applied adjustment. Only the latest applied adjustment on a record can be
+ * undone, since later ones were made on top of it. -> { error } or {}
+ */
+async function revertAdjustment(conn, adj) {
+  const date = String(adj.adjustment_date).slice(0, 10);
+  const [[later]] = await conn.query(
+    `SELECT id FROM attendance_adjustments
+      WHERE attendance_record_id = ? AND id > ? AND applied_at IS NOT NULL AND reverted_at IS NULL LIMIT 1`,
+    [adj.attendance_record_id, adj.id]
+  );
+  if (later) return { error: `Adjustment #${later.id} was applied to this day later; reject that one first` };
+
+  const [[record]] = await conn.query('SELECT * FROM attendance_records WHERE id = ? FOR UPDATE', [adj.attendance_record_id]);
+  await conn.query('UPDATE attendance_adjustments SET reverted_at = NOW() WHERE id = ?', [adj.id]);
+  if (!record) return {};
+
+  const [[{ others }]] = await conn.query(
+    `SELECT COUNT(*) AS others FROM attendance_adjustments
+      WHERE attendance_record_id = ? AND id <> ? AND applied_at IS NOT NULL AND reverted_at IS NULL`,
+    [record.id, adj.id]
+  );
+
+  if (adj.created_record && !others && record.source !== 'Device') {
+    await conn.query('DELETE FROM attendance_records WHERE id = ?', [record.id]);
+    await evaluateAttendance(conn, { from: date, to: date, employeeIds: [adj.employee_id] });
+    return {};
+  }
+
+  if (adj.adjustment_type === 'Check-in' && others) {
+    await conn.query('UPDATE attendance_records SET check_in_time = ? WHERE id = ?', [adj.original_check_in_time, record.id]);
+  } else if (adj.adjustment_type === 'Check-out' && others) {
+    await conn.query('UPDATE attendance_records SET check_out_time = ? WHERE id = ?', [adj.original_check_out_time, record.id]);
+  } else if (!['Check-in', 'Check-out'].includes(adj.adjustment_type)) {
+    await conn.query(
+      'UPDATE attendance_records SET status = ?, status_source = ? WHERE id = ?',
+      [adj.original_status, adj.original_status_source, record.id]
+    );
+  }
+  // nothing else corrected on the day: back to the punched times (a re-import may have refreshed them)
+  if (!others) {
+    await conn.query(
+      `UPDATE attendance_records
+          SET check_in_time = raw_check_in_time, check_out_time = raw_check_out_time,
+              raw_check_in_time = NULL, raw_check_out_time = NULL, is_adjusted = 0
+        WHERE id = ?`,
+      [record.id]
+    );
+  }
+  await refreshRecord(conn, record.id, adj.employee_id, date);
+  return {};
+}
+
+module.exports = { LEVELS, LEVEL_PERMISSIONS, ADJUSTMENT_TYPES, approvalLevels, nextLevel, applyAdjustment, revertAdjustment };
@@ -0,0 +1,220 @@
+// src/utils/attendanceStatus.js
+// Daily attendance status for every Active employee on the roster (utils/roster):
+//   Holiday   - a calendar holiday with no punches
+//   On Leave  - covered by an APPROVED leave request, no punches
+//   Absent    - a working day with no punches
+//   Half Day  - worked less than half the shift (check-in to check-out start)
+//   Late      - checked in after grace_period_end (check_in_end when no grace is set)
+//   Present   - otherwise
+// Rostered days off with no punches get no row. A status set by hand
+// (status_source = 'Manual') is kept; times, late/early minutes and hours are
+// still refreshed on it.
+const { holidayCalendar } = require('./holidays');
+const { rosterFor, addDays, dateOnly } = require('./roster');
+const { scheduleDaily } = require('./dailyJob');
+
+const STATUSES = ['Present', 'Late', 'Half Day', 'Absent', 'On Leave', 'Holiday'];
+const HALF_DAY_RATIO = 0.5;
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const toMinutes = (t) => {
+  if (!t) return null;
+  const [h, m, s] = String(t).split(':').map(Number);
+  return h * 60 + (m || 0) + (s || 0) / 60;
+};
+
+// a time earlier than `from` is the next morning (night shift)
+const span = (from, to) => (to >= from ? to - from : to + 1440 - from);
+
+const localDate = (d = new Date()) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/**
+ * Status, late / early-leave minutes and hours for one worked (or not worked) day.
+ * record: { check_in_time, check_out_time, total_hours? } or null; timetable row;
+ * dayType: 'Weekday'|'Weekend'|'Holiday'; leave: null | 'Full' | 'Partial'
+ * -> { status, late_minutes, early_leave_minutes, total_hours, overtime_hours } or null (no row)
+ */
+function evaluateDay(record, timetable, dayType, leave) {
+  const inAt = toMinutes(record?.check_in_time);
+  const outAt = toMinutes(record?.check_out_time);
+
+  if (inAt == null) {
+    const none = { late_minutes: null, early_leave_minutes: null, total_hours: null, overtime_hours: null };
+    if (leave) return { status: 'On Leave', ...none };
+    if (dayType === 'Holiday') return { status: 'Holiday', ...none };
+    if (dayType === 'Weekend') return null;
+    return { status: 'Absent', ...none };
+  }
+
+  // punches from a device already net out breaks; otherwise first-in to last-out
+  const worked = outAt != null ? span(inAt, outAt) : null;
+  const total_hours = record.total_hours != null ? Number(record.total_hours) : (worked != null ? round2(worked / 60) : null);
+
+  const shiftEnd = toMinutes(timetable.check_out_end || timetable.check_out_start);
+  const overtime = outAt != null && shiftEnd != null
+    ? (dayType === 'Weekday' ? span(inAt, outAt) - span(inAt, shiftEnd) : worked)
+    : 0;
+  const overtime_hours = round2(Math.max(0, Math.floor(overtime)) / 60);
+
+  // nothing is late or short on a day off, or around a part-day leave
+  if (dayType !== 'Weekday' || leave) {
+    return { status: 'Present', late_minutes: 0, early_leave_minutes: 0, total_hours, overtime_hours };
+  }
+
+  const start = toMinutes(timetable.check_in_start || timetable.check_in_end);
+  const deadline = toMinutes(timetable.grace_period_end || timetable.check_in_end || timetable.check_in_start);
+  const leaveFrom = toMinutes(timetable.check_out_start || timetable.check_out_end);
+
+  // late only counts up to the shift end, so an early check-in never wraps round as "late"
+  const late_minutes = deadline != null && inAt > deadline && (leaveFrom == null || inAt < leaveFrom)
+    ? Math.floor(inAt - deadline) : 0;
+  const early_leave_minutes = outAt != null && leaveFrom != null && start != null && span(start, outAt) < span(start, leaveFrom)
+    ? Math.floor(span(start, leaveFrom) - span(start, outAt)) : 0;
+
+  let status = late_minutes > 0 ? 'Late' : 'Present';
+  if (start != null && leaveFrom != null && total_hours != null
+      && total_hours * 60 < span(start, leaveFrom) * HALF_DAY_RATIO) {
+    status = 'Half Day';
+  }
+  return { status, late_minutes, early_leave_minutes, total_hours, overtime_hours };
+}
+
+/**
+ * Evaluates every Active employee on the roster (or just employeeIds) for each day
+ * from..to, never past yesterday's date when `to` is today or later unless includeToday.
+ * -> { from, to, employees, created, updated, counts: { status: n }, skipped: [...] }
+ */
+async function evaluateAttendance(conn, { from, to, employeeIds, includeToday = false }) {
+  const last = includeToday ? localDate() : addDays(localDate(), -1);
+  if (to > last) to = last;
+  const result = { from, to, employees: 0, created: 0, updated: 0, counts: {}, skipped: [] };
+  if (from > to) return result;
+
+  const params = [];
+  let only = '';
+  if (Array.isArray(employeeIds)) {
+    if (!employeeIds.length) return result;
+    only = 'AND e.id IN (?)';
+    params.push(employeeIds.map(Number));
+  }
+  const [emps] = await conn.query(
+    `SELECT e.id, e.full_name, e.joining_date FROM employees e WHERE e.status = 'Active' ${only}`,
+    params
+  );
+  if (!emps.length) return result;
+  const ids = emps.map(e => e.id);
+
+  const [leaves] = await conn.query(
+    `SELECT employee_id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+            day_part
+       FROM leave_requests
+      WHERE employee_id IN (?) AND status = 'APPROVED' AND start_date <= ? AND end_date >= ?`,
+    [ids, to, from]
+  );
+  const [records] = await conn.query(
+    `SELECT id, employee_id, DATE_FORMAT(date, '%Y-%m-%d') AS date, check_in_time, check_out_time, total_hours,
+            status, status_source, source
+       FROM attendance_records
+      WHERE employee_id IN (?) AND date BETWEEN ? AND ?`,
+    [ids, from, to]
+  );
+  const recordBy = new Map(records.map(r => [`${r.employee_id}|${r.date}`, r]));
+  const holidays = await holidayCalendar(conn, ids, from, to);
+  const roster = await rosterFor(conn, ids, from, to);
+
+  const leaveOn = (employeeId, date) => {
+    const l = leaves.find(x => x.employee_id === employeeId && x.start_date <= date && x.end_date >= date);
+    if (!l) return null;
+    return l.start_date === l.end_date && l.day_part !== 'Full' ? 'Partial' : 'Full';
+  };
+
+  for (const e of emps) {
+    const joined = e.joining_date ? dateOnly(e.joining_date) : null;
+    let rostered = false;
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (joined && date < joined) continue;
+      const shift = roster.get(`${e.id}|${date}`);
+      if (!shift) continue;
+      rostered = true;
+      const dayType = holidays.has(e.id, date) ? 'Holiday' : (shift.off ? 'Weekend' : 'Weekday');
+      const record = recordBy.get(`${e.id}|${date}`);
+      const day = evaluateDay(record, shift.timetable || {}, dayType, leaveOn(e.id, date));
+      if (!day) continue;
+
+      if (record) {
+        const status = record.status_source === 'Manual' ? record.status : day.status;
+        await conn.query(
+          `UPDATE attendance_records
+              SET status = ?, status_source = COALESCE(status_source, 'Auto'), late_minutes = ?, early_leave_minutes = ?,
+                  total_hours = ?, overtime_hours = ?, evaluated_at = NOW()
+            WHERE id = ?`,
+          [status, day.late_minutes, day.early_leave_minutes, day.total_hours, day.overtime_hours, record.id]
+        );
+        result.updated++;
+        result.counts[status] = (result.counts[status] || 0) + 1;
+      } else {
+        await conn.query(
+          `INSERT INTO attendance_records
+            (employee_id, date, status, status_source, source, late_minutes, early_leave_minutes, total_hours, overtime_hours, evaluated_at)
+           VALUES (?, ?, ?, 'Auto', 'System', ?, ?, ?, ?, NOW())`,
+          [e.id, date, day.status, day.late_minutes, day.early_leave_minutes, day.total_hours, day.overtime_hours]
+        );
+        result.created++;
+        result.counts[day.status] = (result.counts[day.status] || 0) + 1;
+      }
+    }
+    if (rostered) result.employees++;
+    else result.skipped.push({ employee_id: e.id, full_name: e.full_name, reason: 'No timetable or shift pattern assigned' });
+  }
+  return result;
+}
+
+/**
+ * Runs evaluateAttendance in its own transaction and logs it to attendance_status_runs.
+ * -> result of evaluateAttendance plus run_id
+ */
+async function runAttendanceStatus(pool, { from, to, employeeIds, includeToday, trigger = 'Manual', userId = null }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await evaluateAttendance(conn, { from, to, employeeIds, includeToday });
+    const [ins] = await conn.query(
+      `INSERT INTO attendance_status_runs
+        (from_date, to_date, trigger_type, employee_count, created_count, updated_count, status_counts, run_by, finished_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [result.from, result.to, trigger, result.employees, result.created, result.updated, JSON.stringify(result.counts), userId]
+    );
+    await conn.commit();
+    return { run_id: ins.insertId, ...result };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Nightly evaluation of the previous day, at ATTENDANCE_STATUS_HOUR (server local time,
+ * default 1). Re-checks the last ATTENDANCE_STATUS_LOOKBACK_DAYS days (default 3) so
+ * late punch uploads and leave approvals are picked up. ATTENDANCE_STATUS_JOB=off disables it.
+ */
+function scheduleAttendanceStatus(pool, logEvent) {
+  const lookback = Math.max(1, Number(process.env.ATTENDANCE_STATUS_LOOKBACK_DAYS ?? 3));
+  scheduleDaily({
+    name: 'ATTENDANCE_STATUS',
+    enabledEnv: 'ATTENDANCE_STATUS_JOB',
+    hour: Number(process.env.ATTENDANCE_STATUS_HOUR ?? 1),
+    logEvent,
+    run: async () => {
+      const to = addDays(localDate(), -1);
+      const r = await runAttendanceStatus(pool, { from: addDays(to, 1 - lookback), to, trigger: 'Scheduled' });
+      logEvent({ level: 'info', event_type: 'ATTENDANCE_STATUS_EVALUATED', extra: { run_id: r.run_id, from: r.from, to: r.to, counts: r.counts } });
+    },
+  });
+}
+
+module.exports = { STATUSES, evaluateDay, evaluateAttendance, runAttendanceStatus, scheduleAttendanceStatus };
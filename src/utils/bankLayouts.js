@@ -0,0 +1,146 @@
+// src/utils/bankLayouts.js
+// Bulk salary credit file layouts. Built-in: LankaClear SLIPS fixed-width and a
+// generic CSV. Bank-specific templates are JSON in the same shape, loaded from
+// BANK_LAYOUTS_FILE (an array of layouts) so a new bank needs no code change:
+//   { id, name, format: 'fixed' | 'csv', extension,
+//     header?: [fields], detail: [fields], trailer?: [fields] }
+// Fields follow utils/fixedWidth. Detail rows see the item plus the batch values;
+// header/trailer rows see the batch values only. Constant fields keep a key so a
+// bank's return file in the same layout can be read back (see utils/bankReturns).
+const fs = require('fs');
+const path = require('path');
+const { formatRecord, formatCsv, csvCell, fieldValue, recordErrors } = require('./fixedWidth');
+
+const SLIPS = {
+  id: 'slips',
+  name: 'LankaClear SLIPS (fixed width)',
+  format: 'fixed',
+  extension: 'txt',
+  detail: [
+    { key: 'bank_code', width: 4, type: 'number' },
+    { key: 'branch_code', width: 3, type: 'number' },
+    { key: 'account_number', width: 12, type: 'number' },
+    { key: 'account_name', width: 20, type: 'text' },
+    { key: 'transaction_code', value: '23', width: 2, type: 'number' }, // credit
+    { key: 'return_code', value: '00', width: 2, type: 'number' },
+    { key: 'indicator', value: '0', width: 1, type: 'number' },
+    { key: 'return_date', value: '000000', width: 6, type: 'number' },
+    { key: 'amount', width: 12, type: 'cents' },
+    { key: 'currency', value: 'SLR', width: 3, type: 'text' },
+    { key: 'originator_bank_code', width: 4, type: 'number' },
+    { key: 'originator_branch_code', width: 3, type: 'number' },
+    { key: 'originator_account', width: 12, type: 'number' },
+    { key: 'originator_name', width: 20, type: 'text' },
+    { key: 'particulars', width: 15, type: 'text' },
+    { key: 'batch_reference', width: 15, type: 'text' },
+    { key: 'value_date_yymmdd', width: 6, type: 'number' },
+    { value: '', width: 6, type: 'text' },                // filler
+  ],
+};
+
+const GENERIC_CSV = {
+  id: 'csv',
+  name: 'Generic CSV',
+  format: 'csv',
+  extension: 'csv',
+  detail: [
+    { key: 'employee_code', label: 'Employee Code' },
+    { key: 'account_name', label: 'Account Name' },
+    { key: 'account_number', label: 'Account Number' },
+    { key: 'bank_code', label: 'Bank Code' },
+    { key: 'branch_code', label: 'Branch Code' },
+    { key: 'amount', label: 'Amount', type: 'amount' },
+    { key: 'particulars', label: 'Particulars' },
+    { key: 'batch_reference', label: 'Reference' },
+    { key: 'value_date', label: 'Value Date' },
+  ],
+  trailer: [
+    { value: 'TOTAL' },
+    { key: 'record_count' },
+    { key: 'total_amount', type: 'amount' },
+    { key: 'account_hash_total' },
+  ],
+};
+
+const loadConfigured = () => {
+  const file = process.env.BANK_LAYOUTS_FILE;
+  if (!file) return [];
+  try {
+    const layouts = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return Array.isArray(layouts) ? layouts.filter(l => l && l.id && Array.isArray(l.detail)) : [];
+  } catch (err) {
+    console.error(`Failed to load bank layouts from ${file}:`, err.message);
+    return [];
+  }
+};
+
+// Configured templates may override a built-in by reusing its id
+const getLayouts = () => {
+  const byId = new Map([SLIPS, GENERIC_CSV].map(l => [l.id, l]));
+  loadConfigured().forEach(l => byId.set(l.id, l));
+  return byId;
+};
+
+const getLayout = (id) => getLayouts().get(id) || null;
+
+const listLayouts = () =>
+  [...getLayouts().values()].map(({ id, name, format, extension }) => ({ id, name, format, extension }));
+
+const csvRow = (fields, row) => fields.map(f => {
+  const v = fieldValue(f, row);
+  return csvCell(f.type === 'amount' ? Number(v || 0).toFixed(2) : v);
+}).join(',');
+
+/**
+ * File content for `items` (one per credit) under `layout`; `batch` carries the
+ * originator, reference, value date and control totals.
+ */
+const renderFile = (layout, batch, items) => {
+  const rows = items.map(i => ({ ...batch, ...i }));
+
+  if (layout.format === 'csv') {
+    const lines = [];
+    if (layout.header) lines.push(csvRow(layout.header, batch));
+    lines.push(formatCsv(layout.detail, rows));
+    if (layout.trailer) lines.push(csvRow(layout.trailer, batch));
+    return lines.join('\n') + '\n';
+  }
+
+  const lines = [];
+  if (layout.header) lines.push(formatRecord(layout.header, batch));
+  rows.forEach(r => lines.push(formatRecord(layout.detail, r)));
+  if (layout.trailer) lines.push(formatRecord(layout.trailer, batch));
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Values a fixed-width layout cannot carry unchanged (an amount or account number wider than
+ * its field) -> [{ employee_id, employee_code?, message }]. Detail fields filled from the
+ * item are reported per employee; batch values (originator, totals) once, without one.
+ */
+const layoutErrors = (layout, batch, items) => {
+  if (layout.format === 'csv') return [];
+  const own = layout.detail.filter(f => f.value === undefined && !(f.key in batch));
+  const shared = [...(layout.header || []), ...layout.detail.filter(f => !own.includes(f)), ...(layout.trailer || [])];
+
+  const errors = [...new Set(recordErrors(shared, batch))].map(message => ({ employee_id: null, message }));
+  items.forEach(i => recordErrors(own, { ...batch, ...i }).forEach(message => errors.push({
+    employee_id: i.employee_id, employee_code: i.employee_code, full_name: i.full_name, message,
+  })));
+  return errors;
+};
+
+/**
+ * Control totals banks check a file against: record count, amount total and the
+ * sum of destination account numbers (last 18 digits).
+ */
+const hashTotals = (items) => {
+  const accountSum = items.reduce((a, i) => a + BigInt(String(i.account_number).replace(/\D/g, '') || '0'), 0n);
+  return {
+    record_count: items.length,
+    total_amount: Math.round(items.reduce((a, i) => a + Number(i.amount || 0), 0) * 100) / 100,
+    account_hash_total: (accountSum % 10n ** 18n).toString(),
+  };
+};
+
+module.exports = { getLayout, listLayouts, renderFile, layoutErrors, hashTotals };
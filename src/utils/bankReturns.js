@@ -0,0 +1,101 @@
+// src/utils/bankReturns.js
+// Reads a bank's response / return file into
+//   [{ line_no, account_number, amount, return_code, reason, success, raw }]
+// CSV files are recognised by their header row; anything else is read as fixed
+// width using the layout the batch was sent in (SLIPS returns echo the credit
+// record with the return code filled in).
+const { parseRecord } = require('./fixedWidth');
+
+const SUCCESS_CODES = new Set(['', '00', '0', 'SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'PAID', 'OK', 'ACCEPTED', 'CREDITED']);
+
+const HEADER_ALIASES = {
+  account_number: ['account number', 'account no', 'account', 'acc no', 'beneficiary account', 'account_number'],
+  amount: ['amount', 'credit amount', 'value', 'amount (lkr)'],
+  return_code: ['status', 'return code', 'result', 'response code', 'code', 'return_code'],
+  reason: ['reason', 'remarks', 'description', 'return reason', 'message'],
+};
+
+// Minimal CSV line splitter that understands quoted cells
+const splitCsv = (line) => {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+};
+
+const headerIndex = (headers) => {
+  const lower = headers.map(h => h.toLowerCase());
+  const idx = {};
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    idx[key] = lower.findIndex(h => aliases.includes(h));
+  }
+  return idx;
+};
+
+const toAmount = (v) => Number(String(v || '').replace(/[^\d.-]/g, '')) || 0;
+
+const outcome = (code) => SUCCESS_CODES.has(String(code || '').trim().toUpperCase());
+
+const parseCsv = (lines) => {
+  const idx = headerIndex(splitCsv(lines[0]));
+  if (idx.account_number < 0 || idx.amount < 0) {
+    throw new Error('CSV return file needs account number and amount columns');
+  }
+  return lines.slice(1).map((raw, i) => {
+    const cells = splitCsv(raw);
+    const code = idx.return_code >= 0 ? cells[idx.return_code] : '';
+    return {
+      line_no: i + 2,
+      account_number: String(cells[idx.account_number] || '').replace(/\D/g, ''),
+      amount: toAmount(cells[idx.amount]),
+      return_code: code || null,
+      reason: (idx.reason >= 0 ? cells[idx.reason] : '') || null,
+      success: outcome(code),
+      raw,
+    };
+  }).filter(r => r.account_number && !/^TOTAL/i.test(r.raw));
+};
+
+const parseFixed = (lines, layout) => lines.map((raw, i) => {
+  const row = parseRecord(layout.detail, raw);
+  const cents = layout.detail.find(f => f.key === 'amount')?.type === 'cents';
+  const code = row.return_code || '';
+  return {
+    line_no: i + 1,
+    account_number: String(row.account_number || '').replace(/^0+/, ''),
+    amount: cents ? Number(row.amount || 0) / 100 : toAmount(row.amount),
+    return_code: code || null,
+    reason: row.return_reason || (outcome(code) ? null : `Bank return code ${code}`),
+    success: outcome(code),
+    raw,
+  };
+}).filter(r => r.account_number);
+
+/**
+ * content: file text. layout: the bank layout used for the batch (fixed width only).
+ */
+const parseReturnFile = (content, layout) => {
+  const lines = String(content || '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const first = splitCsv(lines[0]).map(h => h.toLowerCase());
+  const isCsv = first.length > 1 && Object.values(HEADER_ALIASES).some(a => first.some(h => a.includes(h)));
+  if (isCsv) return parseCsv(lines);
+  if (!layout || layout.format === 'csv') throw new Error('Unrecognised return file format');
+  return parseFixed(lines, layout);
+};
+
+// Account numbers compare without leading zeros or separators
+const normalizeAccount = (v) => String(v || '').replace(/\D/g, '').replace(/^0+/, '');
+
+module.exports = { parseReturnFile, normalizeAccount, splitCsv };
@@ -0,0 +1,26 @@
+// src/utils/dailyJob.js
+// In-process daily jobs (there is no external scheduler): run() fires once a day at
+// `hour` server local time. A job is skipped when its env switch is "off".
+function scheduleDaily({ name, enabledEnv, hour, run, logEvent }) {
+  if (enabledEnv && String(process.env[enabledEnv] || 'on').toLowerCase() === 'off') return;
+
+  const next = () => {
+    const now = new Date();
+    const at = new Date(now);
+    at.setHours(hour, 0, 0, 0);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    setTimeout(tick, at - now).unref();
+  };
+  const tick = async () => {
+    try {
+      await run();
+    } catch (err) {
+      console.error(`${name} job error:`, err);
+      logEvent({ level: 'error', event_type: `${name}_JOB_ERROR`, extra: { error: err.message } });
+    }
+    next();
+  };
+  next();
+}
+
+module.exports = { scheduleDaily };
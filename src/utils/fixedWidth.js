@@ -0,0 +1,84 @@
+// src/utils/fixedWidth.js
+// Record builders for the electronic files statutory bodies and banks accept.
+// A layout is a list of { key, width, type, label } fields:
+//   type 'text'   -> left aligned, space padded, upper-cased
+//   type 'number' -> right aligned, zero padded digits
+//   type 'amount' -> right aligned, zero padded with two decimals ("0001234.50")
+//   type 'cents'  -> right aligned, zero padded amount in cents, no decimal point
+// A field with a `value` is written as that constant (filler, fixed codes).
+// Text is cut to the field width; a number or amount that does not fit is never cut
+// (that would change the figure): recordErrors reports it, and formatting throws.
+
+const NUMERIC_TYPES = ['amount', 'cents', 'number'];
+
+// Characters a numeric field holds before zero padding
+const numericText = (value, type) => {
+  if (type === 'amount') return Number(value || 0).toFixed(2);
+  if (type === 'cents') return String(Math.round(Number(value || 0) * 100));
+  return String(value ?? '').replace(/\D/g, '');
+};
+
+// Why `value` cannot be written to a field of this width / type unchanged, else null
+const widthError = (value, width, type) => {
+  if (!NUMERIC_TYPES.includes(type)) return null;
+  const text = numericText(value, type);
+  if (text.startsWith('-')) return `${value} is negative`;
+  if (text.length > width) return `${value} does not fit in ${width} characters`;
+  return null;
+};
+
+const pad = (value, width, type) => {
+  if (NUMERIC_TYPES.includes(type)) {
+    const problem = widthError(value, width, type);
+    if (problem) throw new Error(`Fixed-width field: ${problem}`);
+    return numericText(value, type).padStart(width, '0');
+  }
+  return String(value ?? '').toUpperCase().replace(/[\r\n]/g, ' ').padEnd(width, ' ').slice(0, width);
+};
+
+const fieldValue = (f, row) => (f.value !== undefined ? f.value : row[f.key]);
+
+// Messages for the fields of `row` that do not fit `layout` (empty when the record can be written)
+const recordErrors = (layout, row) => layout
+  .map(f => {
+    const problem = widthError(fieldValue(f, row), f.width, f.type);
+    return problem && `${f.label || f.key}: ${problem}`;
+  })
+  .filter(Boolean);
+
+// One fixed-width line for `row`
+const formatRecord = (layout, row) =>
+  layout.map(f => pad(fieldValue(f, row), f.width, f.type)).join('');
+
+// Whole file, CRLF separated as most upload portals expect
+const formatFile = (layout, rows) => rows.map(r => formatRecord(layout, r)).join('\r\n') + '\r\n';
+
+// Read one fixed-width line back into { key: trimmed string } using the same layout
+const parseRecord = (layout, line) => {
+  const row = {};
+  let pos = 0;
+  for (const f of layout) {
+    if (f.key) row[f.key] = line.slice(pos, pos + f.width).trim();
+    pos += f.width;
+  }
+  return row;
+};
+
+const csvCell = (value) => {
+  const s = String(value ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// CSV with the layout labels as the header row
+const formatCsv = (layout, rows) => {
+  const lines = [layout.map(f => csvCell(f.label || f.key)).join(',')];
+  rows.forEach(r => {
+    lines.push(layout.map(f => {
+      const v = fieldValue(f, r);
+      return csvCell(f.type === 'amount' || f.type === 'cents' ? Number(v || 0).toFixed(2) : v);
+    }).join(','));
+  });
+  return lines.join('\n');
+};
+
+module.exports = { pad, fieldValue, recordErrors, formatRecord, parseRecord, formatFile, formatCsv, csvCell };
@@ -7,7 +7,7 @@ function normalizeIP(ip) {
 function getClientIP(req) {
   const rawIP =
     req.headers['x-forwarded-for']?.split(',')[0] ||
-    req.body.ip ||
+    req.body?.ip ||
     'unknown';
   // return normalizeIP(rawIP);
   return normalizeIP(rawIP);
@@ -0,0 +1,159 @@
+// src/utils/holidays.js
+// Holiday calendars. Holidays belong to named sets (national, mercantile, bank, poya, ...);
+// a set with no scope rows applies to everyone, otherwise only to employees whose branch
+// or working_office matches one of its scopes. Holiday-type calendar_restrictions set on
+// the leave calendar still count as company-wide holidays.
+// Used by leave duration, attendance status and overtime day types.
+const { splitCsv } = require('./bankReturns');
+
+const CATEGORIES = ['National', 'Mercantile', 'Bank', 'Poya', 'Company', 'Other'];
+const SCOPE_TYPES = ['branch', 'working_office'];
+
+const norm = (v) => String(v || '').trim().toLowerCase();
+
+// Which of `sets` (with .scopes) apply to an employee { branch, working_office }
+const setsForEmployee = (sets, emp) => sets.filter(s => !s.scopes.length || s.scopes.some(sc =>
+  norm(sc.scope_value) && norm(sc.scope_value) === norm(sc.scope_type === 'branch' ? emp.branch : emp.working_office)
+));
+
+/**
+ * Holidays for employeeIds over from..to.
+ * -> { on(employeeId, date) -> [{ name, set_id, set_name, category }], has(employeeId, date) }
+ */
+async function holidayCalendar(db, employeeIds, from, to) {
+  const byEmployee = new Map();
+  const calendar = {
+    on: (employeeId, date) => byEmployee.get(Number(employeeId))?.get(date) || [],
+    has: (employeeId, date) => calendar.on(employeeId, date).length > 0,
+  };
+  if (!employeeIds.length || from > to) return calendar;
+
+  const [holidays] = await db.query(
+    `SELECT h.set_id, DATE_FORMAT(h.date, '%Y-%m-%d') AS date, h.name, s.name AS set_name, s.category
+       FROM holidays h
+       JOIN holiday_sets s ON s.id = h.set_id AND s.is_active = 1
+      WHERE h.date BETWEEN ? AND ?`,
+    [from, to]
+  );
+  const [company] = await db.query(
+    `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, COALESCE(reason, type) AS name
+       FROM calendar_restrictions
+      WHERE date BETWEEN ? AND ? AND LOWER(type) LIKE '%holiday%'`,
+    [from, to]
+  );
+  const setIds = [...new Set(holidays.map(h => h.set_id))];
+  const [scopes] = setIds.length
+    ? await db.query('SELECT set_id, scope_type, scope_value FROM holiday_set_scopes WHERE set_id IN (?)', [setIds])
+    : [[]];
+  const [emps] = await db.query('SELECT id, branch, working_office FROM employees WHERE id IN (?)', [employeeIds]);
+
+  const sets = setIds.map(id => ({ id, scopes: scopes.filter(sc => sc.set_id === id) }));
+  const companyDays = company.map(c => ({ date: c.date, name: c.name, set_id: null, set_name: 'Company calendar', category: 'Company' }));
+
+  for (const e of emps) {
+    const applies = new Set(setsForEmployee(sets, e).map(s => s.id));
+    const days = new Map();
+    for (const h of [...holidays.filter(x => applies.has(x.set_id)), ...companyDays]) {
+      if (!days.has(h.date)) days.set(h.date, []);
+      days.get(h.date).push({ name: h.name, set_id: h.set_id, set_name: h.set_name, category: h.category });
+    }
+    byEmployee.set(e.id, days);
+  }
+  return calendar;
+}
+
+/* ===================== IMPORT FILES ===================== */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY, DD-MM-YYYY or YYYYMMDD -> YYYY-MM-DD (null when not a real date)
+const toDate = (v) => {
+  const s = String(v || '').trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/) || s.match(/^(\d{4})(\d{2})(\d{2})$/);
+  let y, mo, d;
+  if (m) [, y, mo, d] = m;
+  else if ((m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) [, d, mo, y] = m;
+  else return null;
+  const date = `${y}-${pad(mo)}-${pad(d)}`;
+  const check = new Date(`${date}T00:00:00Z`);
+  return !isNaN(check) && check.toISOString().slice(0, 10) === date ? date : null;
+};
+
+const addDay = (date) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+};
+
+const DATE_HEADERS = ['date', 'holiday date', 'day'];
+const NAME_HEADERS = ['name', 'holiday', 'description', 'summary', 'title', 'holiday name'];
+
+const parseCsv = (lines) => {
+  const headers = splitCsv(lines[0]).map(h => h.toLowerCase());
+  let dateIdx = headers.findIndex(h => DATE_HEADERS.includes(h));
+  let nameIdx = headers.findIndex(h => NAME_HEADERS.includes(h));
+  let body = lines.slice(1);
+  let first = 2;
+  // no header row: date in the first column, name in the second
+  if (dateIdx < 0 && toDate(splitCsv(lines[0])[0])) {
+    dateIdx = 0; nameIdx = 1; body = lines; first = 1;
+  }
+  if (dateIdx < 0) throw new Error('CSV holiday file needs a date column');
+
+  const holidays = [];
+  const errors = [];
+  body.forEach((raw, i) => {
+    const cells = splitCsv(raw);
+    const date = toDate(cells[dateIdx]);
+    if (!date) return errors.push({ line: i + first, error: `Invalid date '${cells[dateIdx] || ''}'` });
+    holidays.push({ date, name: (nameIdx >= 0 ? cells[nameIdx] : '') || 'Holiday' });
+  });
+  return { holidays, errors };
+};
+
+// iCalendar: one VEVENT per holiday; DTEND is exclusive, so multi-day events cover DTSTART..DTEND-1
+const parseIcs = (content) => {
+  const lines = String(content).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  const errors = [];
+  let event = null;
+  lines.map(l => l.trim()).forEach((line, i) => {
+    if (line === 'BEGIN:VEVENT') event = { line: i + 1 };
+    else if (line === 'END:VEVENT' && event) {
+      const start = toDate(String(event.start || '').slice(0, 8));
+      if (!start) errors.push({ line: event.line, error: `Invalid DTSTART '${event.start || ''}'` });
+      else {
+        const end = toDate(String(event.end || '').slice(0, 8));
+        const name = (event.summary || 'Holiday').replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+        let date = start;
+        do {
+          holidays.push({ date, name });
+          date = addDay(date);
+        } while (end && date < end);
+      }
+      event = null;
+    } else if (event) {
+      const [key, ...rest] = line.split(':');
+      const value = rest.join(':');
+      const prop = key.split(';')[0].toUpperCase();
+      if (prop === 'DTSTART') event.start = value;
+      else if (prop === 'DTEND') event.end = value;
+      else if (prop === 'SUMMARY') event.summary = value;
+    }
+  });
+  return { holidays, errors };
+};
+
+/**
+ * Reads a CSV (date, name) or iCalendar file.
+ * -> { format: 'csv'|'ics', holidays: [{ date, name }], errors: [{ line, error }] }
+ */
+function parseHolidayFile(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  if (/BEGIN:VCALENDAR/i.test(text)) return { format: 'ics', ...parseIcs(text) };
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return { format: 'csv', holidays: [], errors: [] };
+  return { format: 'csv', ...parseCsv(lines) };
+}
+
+module.exports = { CATEGORIES, SCOPE_TYPES, holidayCalendar, setsForEmployee, parseHolidayFile, toDate };
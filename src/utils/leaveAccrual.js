@@ -0,0 +1,309 @@
+// src/utils/leaveAccrual.js
+// Leave entitlement from leave_accrual_policies into leave_balances:
+//   - the policy for the employee's grade wins over the grade 0 (everyone) policy
+//   - service tiers (completed years at 1 January) replace annual_days
+//   - a first year starting after 1 January is pro-rated by months served (a month
+//     counts when joined on or before the 15th)
+//   - Monthly policies earn annual / 12 per completed month; Annual ones grant up front
+// Every change to a balance is written to leave_balance_transactions.
+const { scheduleDaily } = require('./dailyJob');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const dateOnly = (d) => (d == null ? null : String(d).slice(0, 10));
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// available = accrued + carried - expired - used
+const availableDays = (b) => round2(
+  Number(b.accrued_days || 0) + Number(b.carried_forward_days || 0) - Number(b.expired_days || 0) - Number(b.used_days || 0)
+);
+
+// Whole years between two YYYY-MM-DD dates
+const completedYears = (from, to) => {
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  return Math.max(0, ty - fy - (tm < fm || (tm === fm && td < fd) ? 1 : 0));
+};
+
+// Last day of month m (1-12)
+const monthEnd = (year, m) => new Date(Date.UTC(year, m, 0)).toISOString().slice(0, 10);
+
+/**
+ * Entitlement for one employee under one policy in `year`, as of `asOf`.
+ * -> { annual_days, service_years, eligible_months, entitled_days, accrued_days }
+ */
+function computeEntitlement(employee, policy, year, asOf) {
+  const joined = dateOnly(employee.joining_date) || `${year}-01-01`;
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const none = { annual_days: 0, service_years: 0, eligible_months: 0, entitled_days: 0, accrued_days: 0 };
+  if (joined > yearEnd) return none;
+
+  const service_years = joined < yearStart ? completedYears(joined, yearStart) : 0;
+  const tier = (policy.tiers || [])
+    .filter(t => service_years >= Number(t.min_service_years))
+    .sort((a, b) => Number(b.min_service_years) - Number(a.min_service_years))[0];
+  const annual_days = Number(tier ? tier.annual_days : policy.annual_days);
+
+  // first month earning leave
+  let firstMonth = 1;
+  if (joined > yearStart) {
+    const [, jm, jd] = joined.split('-').map(Number);
+    firstMonth = jd <= 15 ? jm : jm + 1;
+  }
+  const eligible_months = Math.max(0, 13 - firstMonth);
+  const firstYear = joined > yearStart;
+  const entitled_days = round2(firstYear && Number(policy.prorate_first_year) ? annual_days * eligible_months / 12 : annual_days);
+
+  let accrued_days = entitled_days;
+  if (policy.accrual_method === 'Monthly') {
+    let months = 0;
+    for (let m = firstMonth; m <= 12; m++) if (monthEnd(year, m) <= asOf) months++;
+    accrued_days = round2(Math.min(entitled_days, annual_days * months / 12));
+  }
+  if (asOf < yearStart) accrued_days = 0;
+  return { annual_days, service_years, eligible_months, entitled_days, accrued_days };
+}
+
+// Policies with their tiers, grouped by leave type
+async function loadPolicies(db, leaveTypeIds) {
+  const [policies] = await db.query(
+    `SELECT * FROM leave_accrual_policies ${leaveTypeIds ? 'WHERE leave_type_id IN (?)' : ''} ORDER BY leave_type_id, grade_id`,
+    leaveTypeIds ? [leaveTypeIds] : []
+  );
+  const ids = policies.map(p => p.id);
+  const [tiers] = ids.length
+    ? await db.query('SELECT * FROM leave_accrual_tiers WHERE policy_id IN (?) ORDER BY min_service_years', [ids])
+    : [[]];
+  return policies.map(p => ({ ...p, tiers: tiers.filter(t => t.policy_id === p.id) }));
+}
+
+// The employee's policy for a leave type: their grade's, else the grade 0 one
+const policyFor = (policies, leaveTypeId, gradeId) =>
+  policies.find(p => p.leave_type_id === leaveTypeId && p.grade_id === (gradeId || 0))
+  || policies.find(p => p.leave_type_id === leaveTypeId && p.grade_id === 0)
+  || null;
+
+const logTxn = (conn, { employee_id, leave_type_id, year, txn_type, days, leave_request_id = null, rollover_id = null, note = null, user_id = null }) =>
+  conn.query(
+    `INSERT INTO leave_balance_transactions
+      (employee_id, leave_type_id, year, txn_type, days, leave_request_id, rollover_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [employee_id, leave_type_id, year, txn_type, round2(days), leave_request_id, rollover_id, note, user_id]
+  );
+
+/**
+ * Brings leave_balances for `year` up to `asOf` for Active employees (or employeeIds) and
+ * the leave types that have a policy (or leaveTypeIds), and lapses carried-forward days
+ * past their expiry (used days come out of carried days first).
+ * -> { year, as_of, balances, accrued_days, expired_days }
+ */
+async function accrueBalances(conn, { year, asOf = today(), employeeIds, leaveTypeIds, userId = null }) {
+  const result = { year, as_of: asOf, balances: 0, accrued_days: 0, expired_days: 0 };
+  const policies = await loadPolicies(conn, leaveTypeIds);
+  if (!policies.length) return result;
+
+  const where = [`status = 'Active'`];
+  const params = [];
+  if (employeeIds) {
+    if (!employeeIds.length) return result;
+    where.push('id IN (?)');
+    params.push(employeeIds.map(Number));
+  }
+  const [emps] = await conn.query(`SELECT id, grade_id, joining_date FROM employees WHERE ${where.join(' AND ')}`, params);
+  if (!emps.length) return result;
+
+  const typeIds = [...new Set(policies.map(p => p.leave_type_id))];
+  const [balances] = await conn.query(
+    'SELECT * FROM leave_balances WHERE year = ? AND employee_id IN (?) AND leave_type_id IN (?)',
+    [year, emps.map(e => e.id), typeIds]
+  );
+  const balanceBy = new Map(balances.map(b => [`${b.employee_id}|${b.leave_type_id}`, b]));
+
+  for (const e of emps) {
+    for (const typeId of typeIds) {
+      const policy = policyFor(policies, typeId, e.grade_id);
+      if (!policy) continue;
+      const ent = computeEntitlement(e, policy, year, asOf);
+      const b = balanceBy.get(`${e.id}|${typeId}`);
+
+      if (!b) {
+        if (!ent.entitled_days) continue;
+        await conn.query(
+          `INSERT INTO leave_balances (employee_id, leave_type_id, year, entitled_days, used_days, accrued_days, accrued_through)
+           VALUES (?, ?, ?, ?, 0, ?, ?)`,
+          [e.id, typeId, year, ent.entitled_days, ent.accrued_days, asOf]
+        );
+        if (ent.accrued_days) {
+          await logTxn(conn, { employee_id: e.id, leave_type_id: typeId, year, txn_type: 'Accrual', days: ent.accrued_days, note: `Accrued to ${asOf}`, user_id: userId });
+        }
+        result.balances++;
+        result.accrued_days += ent.accrued_days;
+        continue;
+      }
+
+      const delta = round2(ent.accrued_days - Number(b.accrued_days || 0));
+      let expire = 0;
+      if (b.carry_forward_expires_on && dateOnly(b.carry_forward_expires_on) < asOf && !Number(b.expired_days)) {
+        expire = round2(Math.max(0, Number(b.carried_forward_days) - Number(b.used_days)));
+      }
+      if (!delta && !expire && Number(b.entitled_days) === ent.entitled_days) continue;
+
+      await conn.query(
+        `UPDATE leave_balances
+            SET entitled_days = ?, accrued_days = ?, expired_days = expired_days + ?, accrued_through = ?
+          WHERE employee_id = ? AND leave_type_id = ? AND year = ?`,
+        [ent.entitled_days, ent.accrued_days, expire, asOf, e.id, typeId, year]
+      );
+      if (delta) {
+        await logTxn(conn, { employee_id: e.id, leave_type_id: typeId, year, txn_type: 'Accrual', days: delta, note: `Accrued to ${asOf}`, user_id: userId });
+      }
+      if (expire) {
+        await logTxn(conn, { employee_id: e.id, leave_type_id: typeId, year, txn_type: 'Expiry', days: -expire, note: `Carried-forward days expired ${dateOnly(b.carry_forward_expires_on)}`, user_id: userId });
+      }
+      result.balances++;
+      result.accrued_days += delta;
+      result.expired_days += expire;
+    }
+  }
+  result.accrued_days = round2(result.accrued_days);
+  result.expired_days = round2(result.expired_days);
+  return result;
+}
+
+/**
+ * The employee's balance for a leave type and year, accrued up to today (the year end for
+ * a past year, 1 January for a future one). -> { balance (row or null), policy (or null), available }
+ */
+async function ensureBalance(conn, employeeId, leaveTypeId, year) {
+  const current = today().slice(0, 4);
+  const asOf = String(year) < current ? `${year}-12-31` : (String(year) > current ? `${year}-01-01` : today());
+  await accrueBalances(conn, { year, asOf, employeeIds: [employeeId], leaveTypeIds: [leaveTypeId] });
+  const [[balance]] = await conn.query(
+    'SELECT * FROM leave_balances WHERE employee_id = ? AND leave_type_id = ? AND year = ? FOR UPDATE',
+    [employeeId, leaveTypeId, year]
+  );
+  const [[emp]] = await conn.query('SELECT grade_id FROM employees WHERE id = ?', [employeeId]);
+  const policy = policyFor(await loadPolicies(conn, [leaveTypeId]), leaveTypeId, emp?.grade_id);
+  return { balance: balance || null, policy, available: balance ? availableDays(balance) : 0 };
+}
+
+/**
+ * Year-end rollover: closes fromYear (accrued to 31 December), carries up to each policy's
+ * carry_forward_max into fromYear + 1 and forfeits the rest, then opens the new year's
+ * balances. Refuses a year that was already rolled over.
+ * -> { error } or { rollover_id, from_year, to_year, items, balance_count, carried_days, forfeited_days }
+ */
+async function rolloverYear(conn, { fromYear, trigger = 'Manual', userId = null }) {
+  const toYear = Number(fromYear) + 1;
+  const [[done]] = await conn.query('SELECT id FROM leave_rollovers WHERE from_year = ?', [fromYear]);
+  if (done) return { error: `Leave for ${fromYear} was already rolled over`, rollover_id: done.id };
+
+  await accrueBalances(conn, { year: fromYear, asOf: `${fromYear}-12-31`, userId });
+
+  const [ins] = await conn.query(
+    'INSERT INTO leave_rollovers (from_year, to_year, trigger_type, run_by) VALUES (?, ?, ?, ?)',
+    [fromYear, toYear, trigger, userId]
+  );
+  const rolloverId = ins.insertId;
+
+  const [rows] = await conn.query(
+    `SELECT lb.*, e.grade_id FROM leave_balances lb JOIN employees e ON e.id = lb.employee_id WHERE lb.year = ?`,
+    [fromYear]
+  );
+  const policies = await loadPolicies(conn);
+
+  // open the new year first so carried days land on top of its entitlement
+  const openAsOf = today() > `${toYear}-01-01` && today() <= `${toYear}-12-31` ? today() : `${toYear}-01-01`;
+  await accrueBalances(conn, { year: toYear, asOf: openAsOf, userId });
+
+  const items = [];
+  let carriedTotal = 0;
+  let forfeitedTotal = 0;
+  for (const b of rows) {
+    const policy = policyFor(policies, b.leave_type_id, b.grade_id);
+    const remaining = Math.max(0, availableDays(b));
+    const carry = round2(Math.min(remaining, Number(policy?.carry_forward_max || 0)));
+    const forfeit = round2(remaining - carry);
+    const key = { employee_id: b.employee_id, leave_type_id: b.leave_type_id };
+
+    if (forfeit) {
+      await logTxn(conn, { ...key, year: fromYear, txn_type: 'Forfeit', days: -forfeit, rollover_id: rolloverId, note: `Not carried into ${toYear}`, user_id: userId });
+    }
+    if (carry) {
+      let expires = null;
+      if (policy?.carry_forward_expiry_months != null) {
+        const d = new Date(Date.UTC(toYear, Number(policy.carry_forward_expiry_months), 0));
+        expires = d.toISOString().slice(0, 10);
+      }
+      await conn.query(
+        `INSERT INTO leave_balances (employee_id, leave_type_id, year, entitled_days, used_days, carried_forward_days, carry_forward_expires_on)
+         VALUES (?, ?, ?, 0, 0, ?, ?)
+         ON DUPLICATE KEY UPDATE carried_forward_days = VALUES(carried_forward_days), carry_forward_expires_on = VALUES(carry_forward_expires_on)`,
+        [b.employee_id, b.leave_type_id, toYear, carry, expires]
+      );
+      await logTxn(conn, { ...key, year: toYear, txn_type: 'CarryForward', days: carry, rollover_id: rolloverId, note: `Carried from ${fromYear}${expires ? `, expires ${expires}` : ''}`, user_id: userId });
+    }
+    items.push({ ...key, remaining: round2(remaining), carried: carry, forfeited: forfeit });
+    carriedTotal += carry;
+    forfeitedTotal += forfeit;
+  }
+
+  const summary = { balance_count: rows.length, carried_days: round2(carriedTotal), forfeited_days: round2(forfeitedTotal) };
+  await conn.query(
+    'UPDATE leave_rollovers SET balance_count = ?, carried_days = ?, forfeited_days = ? WHERE id = ?',
+    [summary.balance_count, summary.carried_days, summary.forfeited_days, rolloverId]
+  );
+  return { rollover_id: rolloverId, from_year: Number(fromYear), to_year: toYear, ...summary, items };
+}
+
+/**
+ * Daily at LEAVE_ACCRUAL_HOUR (default 2): rolls the previous year over once the new year
+ * has started, then accrues the current year to date. LEAVE_ACCRUAL_JOB=off disables it.
+ */
+function scheduleLeaveAccrual(pool, logEvent) {
+  scheduleDaily({
+    name: 'LEAVE_ACCRUAL',
+    enabledEnv: 'LEAVE_ACCRUAL_JOB',
+    hour: Number(process.env.LEAVE_ACCRUAL_HOUR ?? 2),
+    logEvent,
+    run: async () => {
+      const year = Number(today().slice(0, 4));
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [[open]] = await conn.query(
+          `SELECT COUNT(*) AS n FROM leave_balances WHERE year = ?
+             AND NOT EXISTS (SELECT 1 FROM leave_rollovers WHERE from_year = ?)`,
+          [year - 1, year - 1]
+        );
+        if (open.n) {
+          const r = await rolloverYear(conn, { fromYear: year - 1, trigger: 'Scheduled' });
+          logEvent({ level: 'info', event_type: 'LEAVE_ROLLOVER', extra: { rollover_id: r.rollover_id, carried_days: r.carried_days, forfeited_days: r.forfeited_days } });
+        }
+        const r = await accrueBalances(conn, { year });
+        await conn.commit();
+        logEvent({ level: 'info', event_type: 'LEAVE_ACCRUED', extra: r });
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+  });
+}
+
+module.exports = {
+  availableDays,
+  computeEntitlement,
+  loadPolicies,
+  policyFor,
+  logTxn,
+  accrueBalances,
+  ensureBalance,
+  rolloverYear,
+  scheduleLeaveAccrual,
+};
@@ -0,0 +1,285 @@
+// src/utils/leaveApprovals.js
+// Leave requests move through the steps of an approval chain (leave_approval_chains) one
+// approver at a time; the last step's approval books the leave against the balance.
+// Every action lands in leave_request_decisions. Approvers away on leave hand their steps
+// over through leave_approval_delegations, and requests left waiting at a step longer than
+// the chain's escalate_after_days (LEAVE_ESCALATION_DAYS by default) move up a step.
+const { scheduleDaily } = require('./dailyJob');
+const { logTxn } = require('./leaveAccrual');
+const { evaluateAttendance } = require('./attendanceStatus');
+const { accessFor } = require('./permissions');
+
+const APPROVER_TYPES = ['Supervisor', 'DepartmentHead', 'HR', 'User'];
+// permissions that decide a step when no named approver is set; leave.approve stands in at any step
+const STEP_PERMISSIONS = {
+  Supervisor: ['leave.supervise', 'leave.approve'],
+  DepartmentHead: ['leave.approve'],
+  HR: ['leave.approve'],
+  User: ['leave.approve'],
+};
+// a request without a chain waits for HR only
+const HR_ONLY = [{ step_no: 1, approver_type: 'HR', approver_user_id: null }];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const escalationDays = (chain) => {
+  const days = chain && chain.escalate_after_days != null ? chain.escalate_after_days : process.env.LEAVE_ESCALATION_DAYS ?? 3;
+  return Math.max(0, Number(days) || 0);
+};
+
+// The active chain for a department / leave type, most specific first
+async function chainFor(db, { departmentId, leaveTypeId }) {
+  const [chains] = await db.query(
+    `SELECT * FROM leave_approval_chains
+      WHERE is_active = 1
+        AND (department_id IS NULL OR department_id = ?)
+        AND (leave_type_id IS NULL OR leave_type_id = ?)
+      ORDER BY department_id IS NULL AND leave_type_id IS NULL, leave_type_id IS NULL, department_id IS NULL, id
+      LIMIT 1`,
+    [departmentId || 0, leaveTypeId || 0]
+  );
+  return chains[0] || null;
+}
+
+// Steps of a chain in order (HR only when there is no chain or it has no steps)
+async function chainSteps(db, chainId) {
+  if (!chainId) return HR_ONLY;
+  const [steps] = await db.query(
+    'SELECT step_no, approver_type, approver_user_id FROM leave_approval_chain_steps WHERE chain_id = ? ORDER BY step_no',
+    [chainId]
+  );
+  return steps.length ? steps : HR_ONLY;
+}
+
+const recordDecision = (conn, { leave_request_id, step_no = null, approver_type = null, action, user = null, on_behalf_of = null, note = null }) =>
+  conn.query(
+    `INSERT INTO leave_request_decisions
+      (leave_request_id, step_no, approver_type, action, decided_by, decided_by_role, on_behalf_of, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [leave_request_id, step_no, approver_type, action, user?.id || null, user?.role || null, on_behalf_of, note]
+  );
+
+// Starts a new request on its chain's first step
+async function startApproval(conn, { requestId, departmentId, leaveTypeId, user }) {
+  const chain = await chainFor(conn, { departmentId, leaveTypeId });
+  const [first] = await chainSteps(conn, chain?.id);
+  await conn.query(
+    'UPDATE leave_requests SET chain_id = ?, current_step = ?, step_started_at = NOW() WHERE id = ?',
+    [chain?.id || null, first.step_no, requestId]
+  );
+  await recordDecision(conn, { leave_request_id: requestId, action: 'Submitted', user });
+  return { chain, step: first };
+}
+
+// Named approver of a step for a request: the employee's supervisor, the department head, or the step's user
+const namedApprover = (step, { supervisor_user_id, head_user_id }) => {
+  if (step.approver_type === 'Supervisor') return supervisor_user_id || null;
+  if (step.approver_type === 'DepartmentHead') return head_user_id || null;
+  if (step.approver_type === 'User') return step.approver_user_id || null;
+  return null;
+};
+
+// Delegations running on `date`, handed to userId: [{ user_id, access }] (access of the delegator)
+async function delegationsTo(db, userId, date = today()) {
+  const [rows] = await db.query(
+    `SELECT d.user_id
+       FROM leave_approval_delegations d
+      WHERE d.delegate_user_id = ? AND d.start_date <= ? AND d.end_date >= ?`,
+    [userId, date, date]
+  );
+  return Promise.all(rows.map(async r => ({ ...r, access: await accessFor(r.user_id) })));
+}
+
+// Whether `access` (accessFor) holds one of `codes` and reaches the request's department
+const holds = (access, codes, departmentId) =>
+  codes.some(c => access.permissions.has(c))
+  && (access.departmentIds == null || access.departmentIds.includes(Number(departmentId)));
+
+/**
+ * Whether `user` (with `access` = accessFor(user.id)) may decide `step` of a request whose
+ * employee / department have the given supervisor_user_id / head_user_id /
+ * approval_department_id. delegations: delegationsTo(user).
+ * -> { allowed, on_behalf_of }
+ */
+function canDecide(user, access, step, approvers, delegations) {
+  const named = namedApprover(step, approvers);
+  const departmentId = approvers.approval_department_id;
+  const codes = STEP_PERMISSIONS[step.approver_type] || ['leave.approve'];
+  if (named) {
+    if (named === user.id || holds(access, ['leave.approve'], departmentId)) return { allowed: true, on_behalf_of: null };
+    const d = delegations.find(x => x.user_id === named);
+    return d ? { allowed: true, on_behalf_of: named } : { allowed: false };
+  }
+  if (holds(access, codes, departmentId)) return { allowed: true, on_behalf_of: null };
+  const d = delegations.find(x => holds(x.access, codes, departmentId));
+  return d ? { allowed: true, on_behalf_of: d.user_id } : { allowed: false };
+}
+
+// supervisor_user_id / head_user_id behind a request
+async function approversOf(db, lr) {
+  const [[row]] = await db.query(
+    `SELECT e.supervisor_user_id, d.head_user_id, COALESCE(?, e.department_id) AS approval_department_id
+       FROM employees e
+       LEFT JOIN departments d ON d.id = COALESCE(?, e.department_id)
+      WHERE e.id = ?`,
+    [lr.department_id || null, lr.department_id || null, lr.employee_id]
+  );
+  return row || {};
+}
+
+/**
+ * PENDING requests waiting on a step `user` may decide (directly, through leave.approve /
+ * leave.supervise, or for someone who delegated to them).
+ */
+async function pendingFor(db, user) {
+  const access = await accessFor(user.id);
+  const delegations = await delegationsTo(db, user.id);
+  const [rows] = await db.query(
+    `SELECT lr.*, e.full_name, e.employee_code, e.supervisor_user_id, d.head_user_id, d.name AS department_name,
+            COALESCE(lr.department_id, e.department_id) AS approval_department_id,
+            lt.name AS leave_type, s.approver_type, s.approver_user_id
+       FROM leave_requests lr
+       JOIN employees e ON e.id = lr.employee_id
+       LEFT JOIN departments d ON d.id = COALESCE(lr.department_id, e.department_id)
+       JOIN leave_types lt ON lt.id = lr.leave_type_id
+       LEFT JOIN leave_approval_chain_steps s ON s.chain_id = lr.chain_id AND s.step_no = lr.current_step
+      WHERE lr.status = 'PENDING'
+      ORDER BY lr.step_started_at, lr.id`
+  );
+  return rows.map(r => {
+    const step = r.approver_type
+      ? { step_no: r.current_step, approver_type: r.approver_type, approver_user_id: r.approver_user_id }
+      : { ...HR_ONLY[0], step_no: r.current_step || 1 };
+    const { allowed, on_behalf_of } = canDecide(user, access, step, r, delegations);
+    if (!allowed) return null;
+    const { supervisor_user_id, head_user_id, approver_user_id, approval_department_id, ...request } = r;
+    return { ...request, approver_type: step.approver_type, on_behalf_of: on_behalf_of || null };
+  }).filter(Boolean);
+}
+
+/**
+ * Reverses the balance booked by an approved request (the net of its Usage / Reversal
+ * ledger entries per year) and drops unpaid leave raised by it that payroll has not
+ * processed yet.
+ * -> { error } when its unpaid leave was already deducted, else { reversed_days, unpaid_removed }
+ */
+async function reverseLeaveUsage(conn, lr, userId = null) {
+  const [unpaid] = await conn.query('SELECT * FROM unpaid_leaves WHERE leave_request_id = ? FOR UPDATE', [lr.id]);
+  if (unpaid.some(u => u.status !== 'Pending')) {
+    return { error: 'Unpaid leave from this request has already been processed in payroll' };
+  }
+  if (unpaid.length) await conn.query('DELETE FROM unpaid_leaves WHERE leave_request_id = ?', [lr.id]);
+
+  const [used] = await conn.query(
+    `SELECT year, SUM(days) AS days FROM leave_balance_transactions
+      WHERE leave_request_id = ? AND txn_type IN ('Usage','Reversal')
+      GROUP BY year`,
+    [lr.id]
+  );
+  let reversed = 0;
+  for (const { year, days } of used) {
+    const back = round2(-Number(days));
+    if (back <= 0) continue;
+    await conn.query(
+      'UPDATE leave_balances SET used_days = GREATEST(0, used_days - ?) WHERE employee_id = ? AND leave_type_id = ? AND year = ?',
+      [back, lr.employee_id, lr.leave_type_id, year]
+    );
+    await logTxn(conn, {
+      employee_id: lr.employee_id, leave_type_id: lr.leave_type_id, year, txn_type: 'Reversal',
+      days: back, leave_request_id: lr.id, note: `Leave request #${lr.id} cancelled`, user_id: userId,
+    });
+    reversed = round2(reversed + back);
+  }
+  return { reversed_days: reversed, unpaid_removed: unpaid };
+}
+
+// Attendance status of days already past follows the leave
+const refreshAttendance = (conn, lr) => evaluateAttendance(conn, {
+  from: String(lr.start_date).slice(0, 10), to: String(lr.end_date).slice(0, 10), employeeIds: [lr.employee_id],
+});
+
+/**
+ * Moves requests waiting at a step for longer than their chain's escalation period to the
+ * next step; at the last step they are flagged (escalated_at) once.
+ * -> { escalated: [{ id, from_step, to_step }], flagged: [ids] }
+ */
+async function escalateOverdue(conn) {
+  const result = { escalated: [], flagged: [] };
+  const [rows] = await conn.query(
+    `SELECT lr.id, lr.chain_id, lr.current_step, lr.step_started_at, lr.escalated_at,
+            c.escalate_after_days, TIMESTAMPDIFF(DAY, lr.step_started_at, NOW()) AS waiting_days
+       FROM leave_requests lr
+       LEFT JOIN leave_approval_chains c ON c.id = lr.chain_id
+      WHERE lr.status = 'PENDING' AND lr.step_started_at IS NOT NULL
+      FOR UPDATE`
+  );
+  for (const r of rows) {
+    const days = escalationDays(r.chain_id ? r : null);
+    if (!days || Number(r.waiting_days) < days) continue;
+    const steps = await chainSteps(conn, r.chain_id);
+    const step = steps.find(s => s.step_no === r.current_step) || steps[steps.length - 1];
+    const next = steps.find(s => s.step_no > step.step_no);
+    if (next) {
+      await conn.query('UPDATE leave_requests SET current_step = ?, step_started_at = NOW() WHERE id = ?', [next.step_no, r.id]);
+      await recordDecision(conn, {
+        leave_request_id: r.id, step_no: step.step_no, approver_type: step.approver_type, action: 'Escalated',
+        note: `No decision after ${r.waiting_days} day(s); moved to step ${next.step_no} (${next.approver_type})`,
+      });
+      result.escalated.push({ id: r.id, from_step: step.step_no, to_step: next.step_no });
+    } else if (!r.escalated_at) {
+      await conn.query('UPDATE leave_requests SET escalated_at = NOW() WHERE id = ?', [r.id]);
+      await recordDecision(conn, {
+        leave_request_id: r.id, step_no: step.step_no, approver_type: step.approver_type, action: 'Escalated',
+        note: `No decision after ${r.waiting_days} day(s) at the last step`,
+      });
+      result.flagged.push(r.id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Daily at LEAVE_ESCALATION_HOUR (default 7). LEAVE_ESCALATION_JOB=off disables it.
+ */
+function scheduleLeaveEscalation(pool, logEvent) {
+  scheduleDaily({
+    name: 'LEAVE_ESCALATION',
+    enabledEnv: 'LEAVE_ESCALATION_JOB',
+    hour: Number(process.env.LEAVE_ESCALATION_HOUR ?? 7),
+    logEvent,
+    run: async () => {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const r = await escalateOverdue(conn);
+        await conn.commit();
+        if (r.escalated.length || r.flagged.length) logEvent({ level: 'info', event_type: 'LEAVE_ESCALATED', extra: r });
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+  });
+}
+
+module.exports = {
+  APPROVER_TYPES,
+  chainFor,
+  chainSteps,
+  recordDecision,
+  startApproval,
+  delegationsTo,
+  canDecide,
+  approversOf,
+  pendingFor,
+  reverseLeaveUsage,
+  refreshAttendance,
+  escalateOverdue,
+  scheduleLeaveEscalation,
+};
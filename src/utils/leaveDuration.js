@@ -0,0 +1,113 @@
+// src/utils/leaveDuration.js
+// How much leave a request really uses, day by day, from the employee's working calendar:
+//   - the rostered shift for the day (utils/roster) gives the hours of a full day;
+//     with no roster, WORK_HOURS_PER_DAY and OT_WEEKEND_DAYS apply
+//   - rostered days off and holidays (utils/holidays) cost nothing unless the leave type counts them
+//     (count_weekends / count_holidays)
+//   - sessions: the first day may start with the PM session and the last day end with
+//     the AM session; each of those is half the day's hours
+//   - a single day of fewer hours than the shift is short leave (or a half day)
+// Other calendar_restrictions are reported on the day but do not change the duration.
+const { holidayCalendar } = require('./holidays');
+const { rosterFor, weekendDays, addDays } = require('./roster');
+const { WORK_HOURS_PER_DAY, dayPartOf } = require('./leaveTypes');
+
+const SESSIONS = ['Full', 'AM', 'PM'];
+const MAX_LEAVE_DAYS = 366;
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const toMinutes = (t) => {
+  if (!t) return null;
+  const [h, m, s] = String(t).split(':').map(Number);
+  return h * 60 + (m || 0) + (s || 0) / 60;
+};
+
+// Scheduled hours of a shift: start of check-in to start of check-out, overnight allowed
+const shiftHours = (t) => {
+  const from = toMinutes(t?.check_in_start || t?.check_in_end);
+  const to = toMinutes(t?.check_out_start || t?.check_out_end);
+  if (from == null || to == null || from === to) return WORK_HOURS_PER_DAY;
+  return round2((to >= from ? to - from : to + 1440 - from) / 60);
+};
+
+/**
+ * Validates the date range and sessions of a request. -> error message or null
+ * Single day: start_session Full | AM | PM. Several days: start_session Full | PM, end_session Full | AM.
+ */
+function checkLeaveRange({ start_date, end_date, start_session = 'Full', end_session = 'Full' }) {
+  const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || ''));
+  if (!isDate(start_date) || !isDate(end_date)) return 'start_date and end_date (YYYY-MM-DD) are required';
+  if (end_date < start_date) return 'end_date must be on or after start_date';
+  if (addDays(start_date, MAX_LEAVE_DAYS) <= end_date) return `A leave request can cover at most ${MAX_LEAVE_DAYS} days`;
+  if (!SESSIONS.includes(start_session) || !SESSIONS.includes(end_session)) return `Sessions must be one of ${SESSIONS.join(', ')}`;
+  if (start_date !== end_date && (start_session === 'AM' || end_session === 'PM')) {
+    return 'A multi-day leave can only start with the PM session and end with the AM session';
+  }
+  return null;
+}
+
+/**
+ * Per-day breakdown of a leave request for one employee.
+ * { employeeId, leaveType, start_date, end_date, start_session?, end_session?, hours? }
+ *   hours: requested hours for a single-day short leave
+ * -> { days: [{ date, day_type: 'Working'|'Off'|'Holiday', shift, shift_hours, session, counted,
+ *               hours, days, holiday, restriction }],
+ *      total_hours, total_days, day_part, shift_hours }
+ */
+async function leaveBreakdown(db, { employeeId, leaveType, start_date, end_date, start_session = 'Full', end_session = 'Full', hours }) {
+  const roster = await rosterFor(db, [employeeId], start_date, end_date);
+  const holidays = await holidayCalendar(db, [employeeId], start_date, end_date);
+  const [restrictions] = await db.query(
+    `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, type, reason
+       FROM calendar_restrictions
+      WHERE date BETWEEN ? AND ? AND LOWER(type) NOT LIKE '%holiday%'`,
+    [start_date, end_date]
+  );
+  const restrictionBy = new Map(restrictions.map(r => [r.date, r]));
+  const weekend = weekendDays();
+  const single = start_date === end_date;
+
+  const days = [];
+  for (let date = start_date; date <= end_date; date = addDays(date, 1)) {
+    const shift = roster.get(`${employeeId}|${date}`);
+    const off = shift ? shift.off : weekend.has(new Date(`${date}T00:00:00Z`).getUTCDay());
+    const holiday = holidays.on(employeeId, date);
+    const day_type = holiday.length ? 'Holiday' : off ? 'Off' : 'Working';
+    const counted = day_type === 'Working'
+      || (day_type === 'Off' && Boolean(leaveType.count_weekends))
+      || (day_type === 'Holiday' && Boolean(leaveType.count_holidays));
+    const full = shiftHours(shift?.timetable);
+
+    let session = 'Full';
+    if (date === start_date && start_session !== 'Full') session = start_session;
+    else if (date === end_date && end_session !== 'Full') session = end_session;
+
+    let dayHours = session === 'Full' ? full : full / 2;
+    if (single && session === 'Full' && hours != null && Number(hours) < full) dayHours = Number(hours);
+
+    const restriction = restrictionBy.get(date);
+    days.push({
+      date,
+      day_type,
+      shift: shift?.timetable ? { timetable_id: shift.timetable.id, name: shift.timetable.name } : null,
+      shift_hours: full,
+      session,
+      counted,
+      hours: counted ? round2(dayHours) : 0,
+      days: counted ? round2(dayHours / full) : 0,
+      holiday: holiday.length ? holiday.map(h => h.name).join(', ') : null,
+      restriction: restriction ? { type: restriction.type, reason: restriction.reason } : null,
+    });
+  }
+
+  const total_hours = round2(days.reduce((n, d) => n + d.hours, 0));
+  const total_days = round2(days.reduce((n, d) => n + d.days, 0));
+  const firstShiftHours = days[0]?.shift_hours || WORK_HOURS_PER_DAY;
+  const day_part = dayPartOf(leaveType, {
+    start_date, end_date, session: start_session, hours: single ? days[0].hours : undefined, shiftHours: firstShiftHours,
+  });
+  return { days, total_hours, total_days, day_part, shift_hours: firstShiftHours };
+}
+
+module.exports = { SESSIONS, shiftHours, checkLeaveRange, leaveBreakdown };
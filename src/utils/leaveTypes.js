@@ -0,0 +1,76 @@
+// src/utils/leaveTypes.js
+// Leave type policy checks shared by leave requests and the leave type admin.
+// A request is one of:
+//   Full  - one or more whole days
+//   Half  - the morning or afternoon session of a day (allow_half_day)
+//   Short - a few hours of a day, up to short_leave_max_hours (allow_short_leave)
+
+const WORK_HOURS_PER_DAY = 9.0;
+const GENDERS = ['Any', 'Male', 'Female'];
+
+// Policy columns on leave_types that the admin endpoints may set
+const POLICY_FIELDS = [
+  'code', 'description', 'is_paid', 'allow_half_day', 'allow_short_leave', 'short_leave_max_hours',
+  'attachment_after_days', 'count_weekends', 'count_holidays', 'gender_restriction', 'balance_enforcement', 'is_active',
+];
+
+const loadLeaveType = async (db, id) => {
+  const [[type]] = await db.query('SELECT * FROM leave_types WHERE id = ?', [id]);
+  return type || null;
+};
+
+// id of the type with this code (ANNUAL, MEDICAL, ...), or null
+const leaveTypeIdByCode = async (db, code) => {
+  const [[type]] = await db.query('SELECT id FROM leave_types WHERE code = ?', [code]);
+  return type ? type.id : null;
+};
+
+/**
+ * 'Full' | 'Half' | 'Short' for a request. A single day taken as an AM / PM session is a
+ * half day; a single day of fewer `hours` than the shift is short leave when the type
+ * allows it, otherwise a half day.
+ */
+const dayPartOf = (type, { start_date, end_date, session = 'Full', hours, shiftHours = WORK_HOURS_PER_DAY }) => {
+  if (String(start_date) !== String(end_date)) return 'Full';
+  if (session === 'AM' || session === 'PM') return 'Half';
+  if (hours == null || !(hours < shiftHours)) return 'Full';
+  if (type.allow_short_leave && type.short_leave_max_hours != null && hours <= Number(type.short_leave_max_hours)) return 'Short';
+  return 'Half';
+};
+
+// employees.gender is free text ('M', 'male', 'Female', ...)
+const genderMatches = (restriction, gender) =>
+  !restriction || restriction === 'Any'
+  || String(gender || '').trim().toUpperCase().charAt(0) === restriction.charAt(0);
+
+/**
+ * Checks a request against its leave type. -> error message or null
+ * { dayPart, hours, shiftHours, days, hasAttachment, gender }
+ */
+function checkLeaveRequest(type, { dayPart, hours, shiftHours = WORK_HOURS_PER_DAY, days, hasAttachment, gender }) {
+  if (!type.is_active) return `${type.name} is no longer available`;
+  if (!genderMatches(type.gender_restriction, gender)) {
+    return `${type.name} is only available to ${type.gender_restriction.toLowerCase()} employees`;
+  }
+
+  if (!(Number(hours) > 0)) return 'Leave duration must be greater than zero';
+
+  if (dayPart === 'Half') {
+    if (hours > shiftHours / 2) return `A single-day ${type.name} request is either a full day or up to ${shiftHours / 2} hours`;
+    if (!type.allow_half_day) {
+      return type.allow_short_leave
+        ? `${type.name} allows full days or short leave of up to ${Number(type.short_leave_max_hours)} hours`
+        : `${type.name} must be taken in full days`;
+    }
+  }
+
+  if (type.attachment_after_days != null && days > Number(type.attachment_after_days) && !hasAttachment) {
+    return `${type.name} longer than ${Number(type.attachment_after_days)} day(s) needs a supporting document`;
+  }
+  return null;
+}
+
+module.exports = {
+  WORK_HOURS_PER_DAY, GENDERS, POLICY_FIELDS,
+  loadLeaveType, leaveTypeIdByCode, dayPartOf, genderMatches, checkLeaveRequest,
+};
@@ -0,0 +1,170 @@
+// src/utils/leaveValidation.js
+// Conflicts a leave request runs into, each { type, severity, message, dates?, details? }:
+//   blackout  - a calendar_restrictions date (not a holiday) on a day the leave uses
+//   overlap   - another PENDING / APPROVED request of the employee on the same day(s);
+//               morning and afternoon halves of one day don't overlap
+//   balance   - more days than the balance has left after other pending requests
+//               (leave_types.balance_enforcement)
+//   coverage  - more of the department off on a day than leave_coverage_rules allow
+// severity 'block' stops the request; 'warn' is returned alongside it.
+const { ensureBalance } = require('./leaveAccrual');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const severityOf = (v) => (String(v || 'Block').toLowerCase() === 'warn' ? 'warn' : 'block');
+
+// Session of `date` in a request: 'AM' | 'PM' | 'Full'
+const sessionOn = (req, date) => {
+  if (date === req.start_date && req.start_session && req.start_session !== 'Full') return req.start_session;
+  if (date === req.end_date && req.end_session && req.end_session !== 'Full') return req.end_session;
+  return 'Full';
+};
+
+const rangeOf = (dates) => (dates.length > 1 ? `${dates[0]} to ${dates[dates.length - 1]}` : dates[0]);
+
+// The coverage rule for a department: its own, else the default one
+async function coverageRuleFor(db, departmentId) {
+  const [rules] = await db.query(
+    `SELECT * FROM leave_coverage_rules
+      WHERE is_active = 1 AND (department_id IS NULL OR department_id = ?)
+      ORDER BY department_id IS NULL`,
+    [departmentId || 0]
+  );
+  return rules[0] || null;
+}
+
+/**
+ * { employee: { id, department_id }, leaveType, breakdown (utils/leaveDuration), start_date, end_date,
+ *   start_session?, end_session?, excludeRequestId? }
+ * excludeRequestId: the request itself when re-checking it (e.g. on approval).
+ * Runs ensureBalance, so pass a connection inside a transaction.
+ * -> [{ type, severity, message, dates?, details? }]
+ */
+async function validateLeaveRequest(conn, {
+  employee, leaveType, breakdown, start_date, end_date, start_session = 'Full', end_session = 'Full', excludeRequestId = null,
+}) {
+  const conflicts = [];
+  const usedDates = breakdown.days.filter(d => d.counted).map(d => d.date);
+  const request = { start_date, end_date, start_session, end_session };
+
+  // 1. Blackout dates
+  if (usedDates.length) {
+    const [restrictions] = await conn.query(
+      `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, type, reason, severity
+         FROM calendar_restrictions
+        WHERE date IN (?) AND LOWER(type) NOT LIKE '%holiday%'
+        ORDER BY date`,
+      [usedDates]
+    );
+    for (const severity of ['block', 'warn']) {
+      const hits = restrictions.filter(r => severityOf(r.severity) === severity);
+      if (!hits.length) continue;
+      conflicts.push({
+        type: 'blackout',
+        severity,
+        message: `Leave falls on restricted date(s): ${hits.map(r => `${r.date}${r.reason ? ` (${r.reason})` : ''}`).join(', ')}`,
+        dates: hits.map(r => r.date),
+        details: hits.map(r => ({ restriction_id: r.id, date: r.date, type: r.type, reason: r.reason })),
+      });
+    }
+  }
+
+  // 2. Overlapping requests of the same employee
+  const [others] = await conn.query(
+    `SELECT lr.id, lt.name AS leave_type, lr.status,
+            DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date,
+            lr.start_session, lr.end_session
+       FROM leave_requests lr
+       JOIN leave_types lt ON lt.id = lr.leave_type_id
+      WHERE lr.employee_id = ? AND lr.status IN ('PENDING','APPROVED')
+        AND lr.start_date <= ? AND lr.end_date >= ? AND lr.id <> ?`,
+    [employee.id, end_date, start_date, excludeRequestId || 0]
+  );
+  const overlaps = others.map(o => {
+    const dates = breakdown.days.map(d => d.date).filter(date => {
+      if (date < o.start_date || date > o.end_date) return false;
+      const mine = sessionOn(request, date);
+      const theirs = sessionOn(o, date);
+      return mine === 'Full' || theirs === 'Full' || mine === theirs;
+    });
+    return { ...o, dates };
+  }).filter(o => o.dates.length);
+  if (overlaps.length) {
+    conflicts.push({
+      type: 'overlap',
+      severity: 'block',
+      message: `Overlaps ${overlaps.map(o => `${o.status.toLowerCase()} ${o.leave_type} request #${o.id} (${rangeOf(o.dates)})`).join(', ')}`,
+      dates: [...new Set(overlaps.flatMap(o => o.dates))].sort(),
+      details: overlaps.map(o => ({ leave_request_id: o.id, leave_type: o.leave_type, status: o.status, start_date: o.start_date, end_date: o.end_date })),
+    });
+  }
+
+  // 3. Balance, net of the employee's other pending requests of the type in the year
+  if (leaveType.is_paid && breakdown.total_days > 0) {
+    const year = Number(start_date.slice(0, 4));
+    const { balance, policy, available } = await ensureBalance(conn, employee.id, leaveType.id, year);
+    if (policy) {
+      const [[{ pending }]] = await conn.query(
+        `SELECT COALESCE(SUM(COALESCE(duration_days, duration_hours / 9)), 0) AS pending
+           FROM leave_requests
+          WHERE employee_id = ? AND leave_type_id = ? AND status = 'PENDING' AND YEAR(start_date) = ? AND id <> ?`,
+        [employee.id, leaveType.id, year, excludeRequestId || 0]
+      );
+      const left = round2((balance ? available : 0) - Number(pending));
+      if (breakdown.total_days > left + 0.001) {
+        const short = round2(breakdown.total_days - Math.max(0, left));
+        conflicts.push({
+          type: 'balance',
+          severity: severityOf(leaveType.balance_enforcement),
+          message: severityOf(leaveType.balance_enforcement) === 'block'
+            ? `Not enough ${leaveType.name} balance: ${Math.max(0, left)} day(s) left, ${breakdown.total_days} requested`
+            : `${short} day(s) exceed the ${leaveType.name} balance and will be unpaid if approved`,
+          details: {
+            available: balance ? available : 0, pending: round2(pending), left: Math.max(0, left),
+            requested: breakdown.total_days, shortfall: short,
+          },
+        });
+      }
+    }
+  }
+
+  // 4. Department coverage
+  const rule = employee.department_id ? await coverageRuleFor(conn, employee.department_id) : null;
+  if (rule && usedDates.length && (rule.max_off != null || rule.max_off_percent != null)) {
+    const [[{ headcount }]] = await conn.query(
+      `SELECT COUNT(*) AS headcount FROM employees WHERE department_id = ? AND status = 'Active'`,
+      [employee.department_id]
+    );
+    const statuses = rule.include_pending ? ['APPROVED', 'PENDING'] : ['APPROVED'];
+    const [away] = await conn.query(
+      `SELECT lr.employee_id, e.full_name, DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date
+         FROM leave_requests lr
+         JOIN employees e ON e.id = lr.employee_id
+        WHERE e.department_id = ? AND lr.status IN (?) AND lr.employee_id <> ?
+          AND lr.start_date <= ? AND lr.end_date >= ? AND lr.id <> ?`,
+      [employee.department_id, statuses, employee.id, usedDates[usedDates.length - 1], usedDates[0], excludeRequestId || 0]
+    );
+    const limit = Math.min(
+      rule.max_off != null ? Number(rule.max_off) : Infinity,
+      rule.max_off_percent != null ? Math.floor(headcount * Number(rule.max_off_percent) / 100) : Infinity
+    );
+    const days = usedDates.map(date => {
+      const off = [...new Map(away.filter(a => a.start_date <= date && a.end_date >= date).map(a => [a.employee_id, a.full_name])).values()];
+      return { date, off_with_request: off.length + 1, limit, already_off: off };
+    }).filter(d => d.off_with_request > limit);
+    if (days.length) {
+      conflicts.push({
+        type: 'coverage',
+        severity: severityOf(rule.severity),
+        message: `At most ${limit} of ${headcount} in the department may be off; exceeded on ${days.map(d => d.date).join(', ')}`,
+        dates: days.map(d => d.date),
+        details: { rule_id: rule.id, headcount, limit, days },
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+const blocking = (conflicts) => conflicts.filter(c => c.severity === 'block');
+
+module.exports = { validateLeaveRequest, coverageRuleFor, blocking };
@@ -0,0 +1,137 @@
+// src/utils/loans.js
+// Repayment schedules for employee loans / salary advances. Instalments are
+// stored per month and picked up by the payroll engine as LOAN deductions.
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// { year, month } `k` months after year/month
+const addMonths = (year, month, k) => {
+  const idx = Number(year) * 12 + (Number(month) - 1) + Number(k);
+  return { year: Math.floor(idx / 12), month: (idx % 12) + 1 };
+};
+
+const ym = (year, month) => Number(year) * 100 + Number(month);
+
+/**
+ * Instalments for `principal` over `instalment_count` months from start_year/start_month.
+ *   None     - principal only, equal parts
+ *   Flat     - interest on the original principal for the whole term, spread evenly
+ *   Reducing - equal monthly instalment (EMI); interest on the outstanding balance
+ * `interest_rate` is annual %. Rounding differences go to the last instalment.
+ * -> [{ seq, period_year, period_month, principal_amount, interest_amount, amount }]
+ */
+const buildSchedule = ({ principal, interest_method = 'None', interest_rate = 0, instalment_count, start_year, start_month, first_seq = 1 }) => {
+  const P = round2(principal);
+  const n = Number(instalment_count);
+  const rate = Number(interest_rate || 0);
+  const rows = [];
+
+  let balance = P;
+  const monthlyRate = rate / 1200;
+  const emi = interest_method === 'Reducing' && monthlyRate > 0
+    ? round2((P * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -n)))
+    : null;
+  const flatInterest = interest_method === 'Flat' ? round2(P * (rate / 100) * (n / 12)) : 0;
+
+  for (let i = 0; i < n; i++) {
+    const last = i === n - 1;
+    let principalPart;
+    let interestPart;
+
+    if (emi != null) {
+      interestPart = round2(balance * monthlyRate);
+      principalPart = last ? balance : round2(emi - interestPart);
+    } else {
+      principalPart = last ? balance : round2(P / n);
+      interestPart = interest_method === 'Flat'
+        ? (last ? round2(flatInterest - round2(flatInterest / n) * (n - 1)) : round2(flatInterest / n))
+        : 0;
+    }
+    balance = round2(balance - principalPart);
+
+    const { year, month } = addMonths(start_year, start_month, i);
+    rows.push({
+      seq: first_seq + i,
+      period_year: year,
+      period_month: month,
+      principal_amount: principalPart,
+      interest_amount: interestPart,
+      amount: round2(principalPart + interestPart),
+    });
+  }
+  return rows;
+};
+
+/**
+ * Remaining balance per loan after year/month (what is still to be deducted).
+ * -> Map(loan_id -> { outstanding, outstanding_principal, remaining_instalments })
+ */
+async function loanBalances(db, loanIds, year, month) {
+  const result = new Map();
+  if (!loanIds.length) return result;
+  const [rows] = await db.query(
+    `SELECT loan_id, SUM(amount) AS outstanding, SUM(principal_amount) AS outstanding_principal,
+            COUNT(*) AS remaining_instalments
+       FROM employee_loan_instalments
+      WHERE loan_id IN (?) AND status = 'Scheduled'
+        AND (period_year * 100 + period_month) > ?
+      GROUP BY loan_id`,
+    [loanIds, ym(year, month)]
+  );
+  for (const r of rows) {
+    result.set(r.loan_id, {
+      outstanding: round2(r.outstanding),
+      outstanding_principal: round2(r.outstanding_principal),
+      remaining_instalments: Number(r.remaining_instalments),
+    });
+  }
+  return result;
+}
+
+/**
+ * Active loans of one employee with the balance left after year/month, for payslips.
+ */
+async function employeeLoanBalances(db, employeeId, year, month) {
+  const [loans] = await db.query(
+    `SELECT id, loan_type, description, principal, instalment_count
+       FROM employee_loans
+      WHERE employee_id = ? AND status = 'Active'
+      ORDER BY id`,
+    [employeeId]
+  );
+  const balances = await loanBalances(db, loans.map(l => l.id), year, month);
+  return loans.map(l => ({
+    loan_id: l.id,
+    loan_type: l.loan_type,
+    description: l.description,
+    principal: Number(l.principal),
+    ...(balances.get(l.id) || { outstanding: 0, outstanding_principal: 0, remaining_instalments: 0 }),
+  }));
+}
+
+/**
+ * On locking a run: instalments it deducted become Deducted, and loans with nothing
+ * left to collect are closed as Settled.
+ */
+async function markInstalmentsDeducted(conn, runId) {
+  await conn.query(
+    `UPDATE employee_loan_instalments i
+       JOIN payroll_run_lines l ON l.source_table = 'employee_loan_instalments' AND l.source_id = i.id
+        SET i.status = 'Deducted', i.payroll_run_id = l.run_id
+      WHERE l.run_id = ? AND i.status = 'Scheduled'`,
+    [runId]
+  );
+  await conn.query(
+    `UPDATE employee_loans lo
+        SET lo.status = 'Settled', lo.settled_at = COALESCE(lo.settled_at, NOW())
+      WHERE lo.status = 'Active'
+        AND lo.id IN (SELECT loan_id FROM (
+              SELECT i.loan_id FROM employee_loan_instalments i
+               JOIN payroll_run_lines l ON l.source_table = 'employee_loan_instalments' AND l.source_id = i.id
+              WHERE l.run_id = ?) touched)
+        AND NOT EXISTS (SELECT 1 FROM employee_loan_instalments s WHERE s.loan_id = lo.id AND s.status = 'Scheduled')`,
+    [runId]
+  );
+}
+
+module.exports = { addMonths, ym, buildSchedule, loanBalances, employeeLoanBalances, markInstalmentsDeducted };
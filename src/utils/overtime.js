@@ -0,0 +1,144 @@
+// src/utils/overtime.js
+// Overtime worked out from attendance_records against each employee's roster (utils/roster):
+//   weekday          - time clocked out after the rostered shift's check_out_end
+//   weekend/holiday  - every hour worked; rostered days off count as weekend
+// Days under the grade's min_ot_minutes don't count, and the month is capped at
+// max_ot_hours. Pricing per day type: a grade with a flat ot_rate pays that on
+// weekdays and scales it by multiplier / weekday_multiplier on other days; without
+// one the hours are priced off basic (basic / 240 x multiplier).
+const { getPeriodDates, OT_BASIC_DIVISOR } = require('./payrollEngine');
+const { basicSalariesOn } = require('./salaryHistory');
+const { rosterFor, addDays } = require('./roster');
+const { holidayCalendar } = require('./holidays');
+
+const DEFAULT_RULE = { ot_rate: null, max_ot_hours: null, weekday_multiplier: 1.5, weekend_multiplier: 2, holiday_multiplier: 2, min_ot_minutes: 30 };
+const DAY_TYPES = ['Weekday', 'Weekend', 'Holiday'];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const toMinutes = (t) => {
+  if (!t) return null;
+  const [h, m, s] = String(t).split(':').map(Number);
+  return h * 60 + (m || 0) + (s || 0) / 60;
+};
+
+// Worked minutes; a check-out earlier than check-in is the next morning (night shift)
+const span = (from, to) => (to >= from ? to - from : to + 1440 - from);
+
+const dateOnly = (d) => String(d).slice(0, 10);
+
+// holidays: the employee's holiday calendar (utils/holidays)
+const dayTypeOf = (employeeId, date, holidays, shift) => {
+  if (holidays.has(employeeId, date)) return 'Holiday';
+  return shift.off ? 'Weekend' : 'Weekday';
+};
+
+/**
+ * OT for a month from attendance.
+ * -> [{ employee_id, full_name, grade_id, timetable, rule, days: [...], buckets: [...], total_hours,
+ *       capped_hours, skipped? }]
+ * buckets carry what the adjustment row needs: day_type, ot_hours, multiplier, ot_rate and,
+ * when priced off basic, ot_multiplier (ot_rate is then this month's equivalent, for listings).
+ */
+async function computeAttendanceOvertime(db, { year, month, employeeIds }) {
+  const { periodStart, periodEnd } = getPeriodDates(year, month);
+  if (!employeeIds.length) return [];
+
+  const [emps] = await db.query(
+    'SELECT id AS employee_id, full_name, employee_code, grade_id FROM employees WHERE id IN (?) ORDER BY full_name',
+    [employeeIds]
+  );
+  const [rules] = await db.query(
+    `SELECT r.* FROM overtime_rule r
+      WHERE r.grade_id IN (?) AND r.rule_id = (SELECT MAX(x.rule_id) FROM overtime_rule x WHERE x.grade_id = r.grade_id)`,
+    [[...new Set(emps.map(e => e.grade_id).filter(Boolean)), 0]]
+  );
+  const [records] = await db.query(
+    `SELECT id, employee_id, date, check_in_time, check_out_time
+       FROM attendance_records
+      WHERE employee_id IN (?) AND date BETWEEN ? AND ?
+        AND check_in_time IS NOT NULL AND check_out_time IS NOT NULL
+      ORDER BY employee_id, date`,
+    [employeeIds, periodStart, periodEnd]
+  );
+
+  const salaries = await basicSalariesOn(db, employeeIds, periodEnd);
+  const holidays = await holidayCalendar(db, employeeIds, periodStart, periodEnd);
+  const roster = await rosterFor(db, employeeIds, periodStart, periodEnd);
+  const rulesBy = new Map(rules.map(r => [r.grade_id, r]));
+  const recordsBy = new Map();
+  records.forEach(r => {
+    if (!recordsBy.has(r.employee_id)) recordsBy.set(r.employee_id, []);
+    recordsBy.get(r.employee_id).push(r);
+  });
+
+  return emps.map(e => {
+    const rule = { ...DEFAULT_RULE, ...(rulesBy.get(e.grade_id) || {}) };
+    const base = { employee_id: e.employee_id, employee_code: e.employee_code, full_name: e.full_name, grade_id: e.grade_id };
+    const shiftOn = (date) => roster.get(`${e.employee_id}|${date}`);
+    // the shift rostered on the last day of the month, or the latest one before it
+    let timetable = null;
+    for (let d = periodEnd; d >= periodStart && !timetable; d = addDays(d, -1)) timetable = shiftOn(d)?.timetable || null;
+    if (!timetable) return { ...base, skipped: 'No timetable assigned', days: [], buckets: [], total_hours: 0, capped_hours: 0 };
+
+    const cap = rule.max_ot_hours != null ? Number(rule.max_ot_hours) * 60 : Infinity;
+    let used = 0;
+    let capped = 0;
+    const days = [];
+
+    for (const r of recordsBy.get(e.employee_id) || []) {
+      const date = dateOnly(r.date);
+      const shift = shiftOn(date);
+      if (!shift) continue;
+      const day_type = dayTypeOf(e.employee_id, date, holidays, shift);
+      const shiftEnd = shift.timetable ? toMinutes(shift.timetable.check_out_end || shift.timetable.check_out_start) : null;
+      const inAt = toMinutes(r.check_in_time);
+      const outAt = toMinutes(r.check_out_time);
+
+      let minutes;
+      if (day_type === 'Weekday') {
+        if (shiftEnd == null) continue;
+        // overnight shifts: measure from check-in so a next-morning check-out still counts
+        minutes = span(inAt, outAt) - span(inAt, shiftEnd);
+      } else {
+        minutes = span(inAt, outAt);
+      }
+      minutes = Math.floor(minutes);
+      if (minutes < Number(rule.min_ot_minutes || 0) || minutes <= 0) continue;
+
+      const allowed = Math.max(0, Math.min(minutes, cap - used));
+      capped += minutes - allowed;
+      used += allowed;
+      if (!allowed) continue;
+      days.push({ attendance_record_id: r.id, work_date: date, day_type, check_in_time: r.check_in_time, check_out_time: r.check_out_time, ot_minutes: allowed });
+    }
+
+    const hourlyBasic = Number(salaries.get(e.employee_id)?.basic_salary || 0) / OT_BASIC_DIVISOR;
+    const buckets = DAY_TYPES.map(day_type => {
+      const mins = days.filter(d => d.day_type === day_type).reduce((a, d) => a + d.ot_minutes, 0);
+      if (!mins) return null;
+      const multiplier = Number(rule[`${day_type.toLowerCase()}_multiplier`]);
+      return {
+        day_type,
+        ot_hours: round2(mins / 60),
+        multiplier,
+        ot_rate: rule.ot_rate != null
+          ? round2(Number(rule.ot_rate) * multiplier / Number(rule.weekday_multiplier || 1))
+          : round2(hourlyBasic * multiplier),
+        ot_multiplier: rule.ot_rate != null ? null : multiplier,
+      };
+    }).filter(Boolean);
+
+    return {
+      ...base,
+      timetable: { id: timetable.id, name: timetable.name, check_out_end: timetable.check_out_end },
+      rule: { ot_rate: rule.ot_rate, max_ot_hours: rule.max_ot_hours, min_ot_minutes: rule.min_ot_minutes },
+      days,
+      buckets,
+      total_hours: round2(used / 60),
+      capped_hours: round2(capped / 60),
+    };
+  });
+}
+
+module.exports = { DAY_TYPES, computeAttendanceOvertime };
@@ -0,0 +1,223 @@
+// src/utils/payChanges.js
+// Maker-checker for pay changes. setBasicSalary, bulk increments, bank details on
+// updateEmployee, applyCompensation and the allowance / bonus forms queue a pay_change_requests
+// row with the diff; a different user approves it (salary.approve) and only then is it written.
+const { getDifferences } = require('./getDifference');
+const { basicSalaryOn, buildIncrement } = require('./salaryHistory');
+const { applySalaryChange } = require('./arrears');
+const { findAffectedLockedRun, lockedPeriodMessage, spans } = require('./payrollLock');
+
+const CHANGE_TYPES = ['BasicSalary', 'BankAccount', 'Compensation', 'Increment'];
+const BANK_FIELDS = ['account_number', 'account_name', 'bank_name', 'bank_code', 'branch_name', 'branch_code'];
+
+const parseJson = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+
+// Salary in force on the date the change takes effect
+async function salaryBefore(db, employeeId, effectiveFrom) {
+  const cur = await basicSalaryOn(db, employeeId, effectiveFrom);
+  return { basic_salary: cur ? Number(cur.basic_salary) : null, effective_from: cur?.effective_from || null };
+}
+
+async function bankBefore(db, employeeId) {
+  const [[bank]] = await db.query(
+    `SELECT ${BANK_FIELDS.join(', ')} FROM employee_bank_accounts WHERE employee_id = ? ORDER BY id LIMIT 1`,
+    [employeeId]
+  );
+  return Object.fromEntries(BANK_FIELDS.map(f => [f, bank ? bank[f] : null]));
+}
+
+/**
+ * Bank fields given in `body` that differ from the current account.
+ * -> { before, after } or null when nothing changes
+ */
+async function readBankChange(db, employeeId, body) {
+  if (!BANK_FIELDS.some(f => body[f] !== undefined)) return null;
+  const before = await bankBefore(db, employeeId);
+  const after = { ...before };
+  for (const f of BANK_FIELDS) {
+    if (body[f] !== undefined) after[f] = body[f] === '' || body[f] == null ? null : String(body[f]).trim();
+  }
+  return Object.keys(getDifferences(before, after)).length ? { before, after } : null;
+}
+
+/**
+ * Queues a change. Salary and bank changes allow one Pending request per employee.
+ * -> { request } or { status, message }
+ */
+async function requestPayChange(db, { change_type, employee_id = null, payload, before = null, after, user_id }) {
+  if (employee_id) {
+    const [[pending]] = await db.query(
+      `SELECT id FROM pay_change_requests WHERE employee_id = ? AND change_type = ? AND status = 'Pending' LIMIT 1`,
+      [employee_id, change_type]
+    );
+    if (pending) {
+      return { status: 409, message: `Change request #${pending.id} for this employee is still waiting for approval` };
+    }
+  }
+  const row = {
+    change_type, employee_id, requested_by: user_id,
+    payload: JSON.stringify(payload),
+    before_state: before ? JSON.stringify(before) : null,
+    after_state: JSON.stringify(after),
+    diff: JSON.stringify(getDifferences(before, after)),
+  };
+  const [ins] = await db.query('INSERT INTO pay_change_requests SET ?', [row]);
+  return { request: { id: ins.insertId, change_type, employee_id, status: 'Pending', before_state: before, after_state: after, diff: getDifferences(before, after) } };
+}
+
+const ALLOWANCE_FIELDS = ['employee_id', 'name', 'category', 'amount', 'taxable', 'frequency', 'effective_from', 'effective_to', 'status'];
+
+// allowances row for one item of an Allowance payload (bulk batches leave taxable/frequency/status out)
+const allowanceRow = (p, item) => ({
+  employee_id: item.employee_id,
+  name: p.note || 'One-time allowance',
+  category: p.category || null,
+  amount: item.amount,
+  taxable: Number(p.taxable) ? 1 : 0,
+  frequency: p.frequency || 'Monthly',
+  effective_from: p.effective_from,
+  effective_to: p.effective_to,
+  status: p.status || 'Active',
+});
+
+// The fields of an existing allowance that an edit request records as its before state
+const allowanceBefore = (row) => Object.fromEntries(ALLOWANCE_FIELDS.map(f => [f, row[f]]));
+
+// Inserts the bonuses / allowances / reimbursements of an approved compensation batch,
+// or updates the allowance an edit request names (allowance_id)
+async function applyCompensation(conn, p, { maker, checker }) {
+  const { type, note, category, items } = p;
+  let sql;
+  let rows;
+  let table;
+  let action = 'INSERT';
+  if (type === 'Bonus' || type === 'Arrears' || type === 'Correction') {
+    table = 'bonuses';
+    sql = 'INSERT INTO bonuses (employee_id, amount, reason, effective_date, created_by) VALUES ?';
+    rows = items.map(i => [i.employee_id, i.amount, note || type, p.effective_date, maker]);
+  } else if (type === 'Allowance' && p.allowance_id) {
+    table = 'allowances';
+    action = 'UPDATE';
+    await conn.query('UPDATE allowances SET ?, updated_at = NOW() WHERE id = ?', [allowanceRow(p, items[0]), p.allowance_id]);
+  } else if (type === 'Allowance') {
+    table = 'allowances';
+    sql = `INSERT INTO allowances (${ALLOWANCE_FIELDS.join(', ')}, created_at) VALUES ?`;
+    rows = items.map(i => [...ALLOWANCE_FIELDS.map(f => allowanceRow(p, i)[f]), new Date()]);
+  } else if (type === 'Reimbursement') {
+    table = 'reimbursements';
+    const [Y, M] = p.month.split('-').map(Number);
+    sql = 'INSERT INTO reimbursements (employee_id, category, amount, month, year, approved_by, created_at) VALUES ?';
+    rows = items.map(i => [i.employee_id, category || 'Other', i.amount, M, Y, checker, new Date()]);
+  } else {
+    throw new Error('Unsupported type');
+  }
+  if (sql) await conn.query(sql, [rows]);
+
+  // one audit row per employee, as when compensation was applied directly
+  await conn.query(
+    `INSERT INTO audit_logs (user_id, action_type, target_table, after_state, status, created_at) VALUES ?`,
+    [items.map(i => [checker, action, table, JSON.stringify({ employee_id: i.employee_id, type, amount: i.amount, month: p.month, change_request_id: p.change_request_id }), 'SUCCESS', new Date()])]
+  );
+  return { table, employees: items.length, total: p.total };
+}
+
+/**
+ * Applies an approved bulk increment. The employees and salaries are worked out again and must
+ * match what the maker saw. -> { result }, { status, message }, or null when they no longer do
+ */
+async function applyIncrement(conn, p, approved, { maker, checker }) {
+  const built = await buildIncrement(conn, p);
+  if (built.error) return { status: 409, message: built.error };
+  const key = (items) => JSON.stringify(items.map(i => [i.employee_id, Number(i.current_salary), Number(i.new_salary)]));
+  if (key(built.items) !== key(approved.items)) return null;
+
+  const [ins] = await conn.query(
+    `INSERT INTO salary_increment_batches
+      (scope_type, scope_id, mode, amount, percent, effective_from, note, employee_count, total_increase, approved_by, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [built.scope.scope_type, built.scope.scope_id, p.mode, p.amount, p.percent,
+     p.effective_from, p.note, built.items.length, built.total_increase, checker, maker]
+  );
+  let arrearsTotal = 0;
+  for (const item of built.items) {
+    const { arrears } = await applySalaryChange(conn, {
+      employee_id: item.employee_id,
+      basic_salary: item.new_salary,
+      effective_from: p.effective_from,
+      reason: 'Increment',
+      note: p.note,
+      approved_by: checker,
+      increment_batch_id: ins.insertId,
+      user_id: maker,
+    });
+    arrearsTotal += arrears.total;
+  }
+  return {
+    result: {
+      increment_batch_id: ins.insertId,
+      employee_count: built.items.length,
+      total_increase: built.total_increase,
+      arrears_total: Math.round(arrearsTotal * 100) / 100,
+    },
+  };
+}
+
+/**
+ * Writes an approved request (call inside the approving transaction). Salary, increment and
+ * bank requests are refused when the current values no longer match what the maker saw.
+ * -> { result } or { status, message }
+ */
+async function applyPayChange(conn, cr, checkerId) {
+  const payload = parseJson(cr.payload);
+  const before = parseJson(cr.before_state);
+  const changedSince = (now) => Object.keys(getDifferences(before || {}, now)).length > 0;
+  const stale = { status: 409, message: 'The current values changed after this request was made; reject it and submit a new one' };
+
+  if (cr.change_type === 'BasicSalary') {
+    if (changedSince(await salaryBefore(conn, cr.employee_id, payload.effective_from))) return stale;
+    const { salary_history_id, arrears } = await applySalaryChange(conn, {
+      ...payload, employee_id: cr.employee_id, approved_by: checkerId, user_id: cr.requested_by,
+    });
+    return { result: { salary_history_id, arrears_months: arrears.months.length, arrears_total: arrears.total } };
+  }
+
+  if (cr.change_type === 'BankAccount') {
+    if (changedSince(await bankBefore(conn, cr.employee_id))) return stale;
+    const [[bank]] = await conn.query('SELECT id FROM employee_bank_accounts WHERE employee_id = ? ORDER BY id LIMIT 1', [cr.employee_id]);
+    if (bank) {
+      await conn.query('UPDATE employee_bank_accounts SET ? WHERE id = ?', [payload, bank.id]);
+    } else {
+      await conn.query('INSERT INTO employee_bank_accounts SET ?', [{ ...payload, employee_id: cr.employee_id }]);
+    }
+    return { result: { bank_account_id: bank ? bank.id : null } };
+  }
+
+  if (cr.change_type === 'Increment') {
+    const applied = await applyIncrement(conn, payload, parseJson(cr.after_state), { maker: cr.requested_by, checker: checkerId });
+    return applied || stale;
+  }
+
+  // Compensation: an edited allowance must still be as the maker saw it, and months may have
+  // been locked while the request waited
+  let run;
+  if (payload.type === 'Allowance') {
+    let current = null;
+    if (payload.allowance_id) {
+      const [[row]] = await conn.query('SELECT * FROM allowances WHERE id = ? FOR UPDATE', [payload.allowance_id]);
+      if (!row) return { status: 404, message: 'The allowance no longer exists; reject this request' };
+      current = allowanceBefore(row);
+      if (changedSince(current)) return stale;
+    }
+    const after = allowanceRow(payload, payload.items[0]);
+    run = await findAffectedLockedRun(conn, { before: current, after, span: spans.allowances, fields: ['employee_id', 'name', 'amount'] });
+  } else {
+    run = await findAffectedLockedRun(conn, { after: { effective_date: payload.effective_date }, span: spans.bonuses });
+  }
+  if (run) return { status: 409, message: lockedPeriodMessage(run) };
+  const result = await applyCompensation(conn, { ...payload, change_request_id: cr.id }, { maker: cr.requested_by, checker: checkerId });
+  return { result };
+}
+
+module.exports = {
+  CHANGE_TYPES, BANK_FIELDS, parseJson, salaryBefore, readBankChange, allowanceBefore, requestPayChange, applyPayChange,
+};
@@ -0,0 +1,309 @@
+// src/utils/payrollEngine.js
+// The one place gross / deductions / net are worked out. Every payroll screen,
+// export, payslip and transfer goes through here so they all agree.
+const pool = require('../config/db');
+const { calculateTaxLines } = require('./tax');
+const { basicSalariesOn } = require('./salaryHistory');
+
+const DEFAULT_RATES = { epf: 8, employer_epf: 12, etf: 3 };
+// Hourly base for OT priced off basic salary (monthly basic / 240)
+const OT_BASIC_DIVISOR = 240;
+
+// How an arrears difference per component is paid out
+const ARREARS_LINES = {
+  BASIC: { line_type: 'Earning', component: 'ARREARS', description: 'Basic salary', tax_class: 'LumpSum' },
+  OVERTIME: { line_type: 'Earning', component: 'ARREARS', description: 'Overtime', tax_class: 'LumpSum' },
+  EPF_EMPLOYEE: { line_type: 'Deduction', component: 'EPF_EMPLOYEE', description: 'Employee EPF' },
+  EPF_EMPLOYER: { line_type: 'Employer', component: 'EPF_EMPLOYER', description: 'Employer EPF' },
+  ETF_EMPLOYER: { line_type: 'Employer', component: 'ETF_EMPLOYER', description: 'Employer ETF' },
+};
+
+const getPeriodDates = (year, month) => {
+  const periodStart = `${year}-${String(month).padStart(2, '0')}-01`;
+  const periodEnd = new Date(Date.UTC(Number(year), Number(month), 0)).toISOString().slice(0, 10);
+  return { periodStart, periodEnd };
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const money = (n) => Number(n || 0).toFixed(2);
+
+const groupBy = (rows, key = 'employee_id') => {
+  const map = new Map();
+  for (const r of rows) {
+    if (!map.has(r[key])) map.set(r[key], []);
+    map.get(r[key]).push(r);
+  }
+  return map;
+};
+
+/**
+ * Totals for a list of lines. Works for live results and stored run lines alike.
+ */
+function summarizeLines(lines) {
+  const sumWhere = (pred) => round2(lines.filter(pred).reduce((a, l) => a + Number(l.amount || 0), 0));
+  const byComponent = (c) => sumWhere(l => l.component === c);
+
+  const gross = sumWhere(l => l.line_type === 'Earning');
+  const totalDeductions = sumWhere(l => l.line_type === 'Deduction');
+
+  return {
+    basic: byComponent('BASIC'),
+    allowances: byComponent('ALLOWANCE'),
+    overtime: byComponent('OVERTIME'),
+    bonuses: byComponent('BONUS'),
+    arrears: byComponent('ARREARS'),
+    gross,
+    regular_deductions: byComponent('DEDUCTION'),
+    loans: byComponent('LOAN'),
+    epf_employee: byComponent('EPF_EMPLOYEE'),
+    tax: byComponent('TAX'),
+    total_deductions: totalDeductions,
+    net: round2(gross - totalDeductions),
+    employer_epf: byComponent('EPF_EMPLOYER'),
+    employer_etf: byComponent('ETF_EMPLOYER'),
+  };
+}
+
+// Live calculation straight from the payroll input tables
+async function calculateLive(db, ids, year, month) {
+  const { periodStart, periodEnd } = getPeriodDates(year, month);
+
+  // Basic salary in force at the end of the period
+  const salaryBy = await basicSalariesOn(db, ids, periodEnd);
+
+  const [allowances] = await db.query(
+    `SELECT id, employee_id, name, amount, taxable FROM allowances
+      WHERE employee_id IN (?) AND status = 'Active'
+        AND (effective_from IS NULL OR effective_from <= ?)
+        AND (effective_to IS NULL OR effective_to >= ?)
+      ORDER BY id`,
+    [ids, periodEnd, periodStart]
+  );
+
+  const [bonuses] = await db.query(
+    `SELECT id, employee_id, reason, amount FROM bonuses
+      WHERE employee_id IN (?) AND YEAR(effective_date) = ? AND MONTH(effective_date) = ?
+      ORDER BY id`,
+    [ids, year, month]
+  );
+
+  const [overtime] = await db.query(
+    `SELECT adjustment_id, employee_id, ot_hours, ot_rate, ot_multiplier, adjustment_reason FROM overtime_adjustments
+      WHERE employee_id IN (?) AND status = 'Approved'
+        AND YEAR(COALESCE(ot_date, created_at)) = ? AND MONTH(COALESCE(ot_date, created_at)) = ?
+      ORDER BY adjustment_id`,
+    [ids, year, month]
+  );
+
+  // Unpaid leave reaches payroll through the deduction row written when it is processed
+  const [deductions] = await db.query(
+    `SELECT id, employee_id, name, basis, percent, amount FROM deductions
+      WHERE employee_id IN (?) AND status = 'Active'
+        AND YEAR(effective_date) = ? AND MONTH(effective_date) = ?
+        AND name NOT LIKE '%EPF%'
+      ORDER BY id`,
+    [ids, year, month]
+  );
+
+  // Loan / advance instalments due this month
+  const [instalments] = await db.query(
+    `SELECT i.id, lo.employee_id, lo.loan_type, lo.description, lo.instalment_count,
+            i.seq, i.principal_amount, i.interest_amount, i.amount
+       FROM employee_loan_instalments i
+       JOIN employee_loans lo ON lo.id = i.loan_id
+      WHERE lo.employee_id IN (?) AND lo.status IN ('Active','Settled')
+        AND i.period_year = ? AND i.period_month = ? AND i.status IN ('Scheduled','Deducted')
+      ORDER BY i.id`,
+    [ids, year, month]
+  );
+
+  // Back-dated salary differences being paid this month
+  const [arrears] = await db.query(
+    `SELECT id, employee_id, period_year, period_month, component, difference FROM salary_arrears
+      WHERE employee_id IN (?) AND pay_year = ? AND pay_month = ? AND status IN ('Pending','Paid')
+      ORDER BY period_year, period_month, id`,
+    [ids, year, month]
+  );
+
+  const [statutory] = await db.query(
+    `SELECT id, employee_id, epf_status, etf_status,
+            epf_contribution_rate, employer_epf_rate, etf_contribution_rate
+       FROM employee_etf_epf WHERE employee_id IN (?)`,
+    [ids]
+  );
+
+  const statutoryBy = new Map(statutory.map(s => [s.employee_id, s]));
+  const allowancesBy = groupBy(allowances);
+  const bonusesBy = groupBy(bonuses);
+  const overtimeBy = groupBy(overtime);
+  const deductionsBy = groupBy(deductions);
+  const instalmentsBy = groupBy(instalments);
+  const arrearsBy = groupBy(arrears);
+
+  const results = new Map();
+  for (const id of ids) {
+    const salary = salaryBy.get(id);
+    const basic = Number(salary?.basic_salary || 0);
+    const st = statutoryBy.get(id);
+    const epfRate = Number(st?.epf_contribution_rate ?? DEFAULT_RATES.epf);
+    const employerEpfRate = Number(st?.employer_epf_rate ?? DEFAULT_RATES.employer_epf);
+    const etfRate = Number(st?.etf_contribution_rate ?? DEFAULT_RATES.etf);
+    const epfActive = st?.epf_status !== 'Inactive';
+    const etfActive = st?.etf_status !== 'Inactive';
+
+    const lines = [
+      {
+        line_type: 'Earning', component: 'BASIC', description: 'Basic Salary', amount: basic,
+        source_table: salary?.source_table || 'salaries', source_id: salary?.id || null, formula: `basic_salary = ${money(basic)}`,
+        tax_class: 'Regular',
+      },
+      ...(allowancesBy.get(id) || []).map(a => ({
+        line_type: 'Earning', component: 'ALLOWANCE', description: a.name, amount: a.amount,
+        source_table: 'allowances', source_id: a.id, formula: `fixed ${money(a.amount)}`,
+        tax_class: Number(a.taxable) ? 'Regular' : null,
+      })),
+      ...(bonusesBy.get(id) || []).map(b => ({
+        line_type: 'Earning', component: 'BONUS', description: b.reason || 'Bonus', amount: b.amount,
+        source_table: 'bonuses', source_id: b.id, formula: `fixed ${money(b.amount)}`,
+        tax_class: 'LumpSum',
+      })),
+      ...(overtimeBy.get(id) || []).map(o => {
+        const hours = Number(o.ot_hours || 0);
+        const rate = o.ot_multiplier != null ? (basic / OT_BASIC_DIVISOR) * Number(o.ot_multiplier) : Number(o.ot_rate || 0);
+        return {
+          line_type: 'Earning', component: 'OVERTIME',
+          description: o.adjustment_reason || `Overtime ${hours}h`,
+          amount: hours * rate,
+          source_table: 'overtime_adjustments', source_id: o.adjustment_id,
+          formula: o.ot_multiplier != null
+            ? `${hours}h x (basic ${money(basic)} / ${OT_BASIC_DIVISOR} x ${Number(o.ot_multiplier)})`
+            : `${hours}h x ${money(o.ot_rate)}`,
+          tax_class: 'Regular',
+        };
+      }),
+      ...(deductionsBy.get(id) || []).map(d => {
+        const isPercent = d.basis === 'Percent';
+        return {
+          line_type: 'Deduction', component: 'DEDUCTION', description: d.name,
+          amount: isPercent ? (Number(d.percent || 0) / 100) * basic : d.amount,
+          source_table: 'deductions', source_id: d.id,
+          formula: isPercent ? `${Number(d.percent || 0)}% of basic ${money(basic)}` : `fixed ${money(d.amount)}`,
+        };
+      }),
+      ...(arrearsBy.get(id) || []).map(a => {
+        const period = `${a.period_year}-${String(a.period_month).padStart(2, '0')}`;
+        const arrearsLine = ARREARS_LINES[a.component];
+        return {
+          ...arrearsLine,
+          description: `${arrearsLine.description} arrears ${period}`,
+          amount: Number(a.difference),
+          source_table: 'salary_arrears', source_id: a.id,
+          formula: `difference for ${period} (${a.component})`,
+        };
+      }),
+      ...(instalmentsBy.get(id) || []).map(i => ({
+        line_type: 'Deduction', component: 'LOAN',
+        description: `${i.description || i.loan_type} instalment ${i.seq}/${i.instalment_count}`,
+        amount: i.amount, source_table: 'employee_loan_instalments', source_id: i.id,
+        formula: `principal ${money(i.principal_amount)} + interest ${money(i.interest_amount)}`,
+      })),
+    ];
+
+    if (epfActive) {
+      lines.push(
+        {
+          line_type: 'Deduction', component: 'EPF_EMPLOYEE', description: `Employee EPF (${epfRate}%)`,
+          amount: (basic * epfRate) / 100, source_table: 'employee_etf_epf', source_id: st?.id || null,
+          formula: `${epfRate}% of basic ${money(basic)}`,
+        },
+        {
+          line_type: 'Employer', component: 'EPF_EMPLOYER', description: `Employer EPF (${employerEpfRate}%)`,
+          amount: (basic * employerEpfRate) / 100, source_table: 'employee_etf_epf', source_id: st?.id || null,
+          formula: `${employerEpfRate}% of basic ${money(basic)}`,
+        }
+      );
+    }
+    if (etfActive) {
+      lines.push({
+        line_type: 'Employer', component: 'ETF_EMPLOYER', description: `Employer ETF (${etfRate}%)`,
+        amount: (basic * etfRate) / 100, source_table: 'employee_etf_epf', source_id: st?.id || null,
+        formula: `${etfRate}% of basic ${money(basic)}`,
+      });
+    }
+
+    const cleaned = lines
+      .map(l => ({ tax_class: null, ...l, amount: round2(l.amount) }))
+      // arrears may be negative when a back-dated change lowers pay
+      .filter(l => l.component === 'BASIC' || l.amount > 0 || (l.source_table === 'salary_arrears' && l.amount !== 0));
+
+    results.set(id, { employee_id: id, year, month, locked: false, payroll_run_id: null, lines: cleaned });
+  }
+
+  // APIT needs the whole month's earnings, so it is added last
+  const taxLines = await calculateTaxLines(db, [...results.values()], year, month);
+  for (const r of results.values()) {
+    r.lines.push(...(taxLines.get(r.employee_id) || []));
+    r.totals = summarizeLines(r.lines);
+  }
+  return results;
+}
+
+// Stored lines of the Locked run for the period, keyed by employee
+async function loadLocked(db, ids, year, month) {
+  const [[run]] = await db.query(
+    `SELECT id FROM payroll_runs WHERE period_year = ? AND period_month = ? AND status = 'Locked'`,
+    [year, month]
+  );
+  if (!run) return new Map();
+
+  const [rows] = await db.query(
+    `SELECT employee_id, line_type, component, description, amount, source_table, source_id, formula, tax_class
+       FROM payroll_run_lines
+      WHERE run_id = ? AND employee_id IN (?)
+      ORDER BY id`,
+    [run.id, ids]
+  );
+
+  const results = new Map();
+  for (const [employeeId, lines] of groupBy(rows)) {
+    const normalized = lines.map(({ employee_id, ...l }) => ({ ...l, amount: Number(l.amount) }));
+    results.set(employeeId, {
+      employee_id: employeeId, year, month, locked: true, payroll_run_id: run.id,
+      lines: normalized, totals: summarizeLines(normalized),
+    });
+  }
+  return results;
+}
+
+/**
+ * Payroll for many employees in one period -> Map(employee_id -> { lines, totals, locked, ... }).
+ * A Locked month is answered from its run snapshot; pass { live: true } to force a recalculation
+ * (used when building a run).
+ */
+async function calculatePayrollForEmployees(employeeIds, year, month, { db = pool, live = false } = {}) {
+  const ids = [...new Set((employeeIds || []).map(Number).filter(Boolean))];
+  const y = Number(year);
+  const m = Number(month);
+  if (!ids.length) return new Map();
+
+  const locked = live ? new Map() : await loadLocked(db, ids, y, m);
+  const pending = ids.filter(id => !locked.has(id));
+  const computed = pending.length ? await calculateLive(db, pending, y, m) : new Map();
+
+  return new Map(ids.map(id => [id, locked.get(id) || computed.get(id)]));
+}
+
+// Single-employee convenience wrapper
+async function calculatePayroll(employeeId, year, month, options) {
+  const results = await calculatePayrollForEmployees([employeeId], year, month, options);
+  return results.get(Number(employeeId));
+}
+
+module.exports = {
+  ARREARS_LINES,
+  OT_BASIC_DIVISOR,
+  getPeriodDates,
+  summarizeLines,
+  calculatePayrollForEmployees,
+  calculatePayroll,
+};
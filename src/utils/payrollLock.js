@@ -0,0 +1,61 @@
+// src/utils/payrollLock.js
+// Guards payroll inputs (allowances, deductions, bonuses, OT, unpaid leave)
+// against changes that would alter a month whose payroll run is Locked.
+
+const ymOf = (date) => {
+  if (!date) return null;
+  const s = String(date);
+  return Number(s.slice(0, 4)) * 100 + Number(s.slice(5, 7));
+};
+
+const sameValue = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (!isNaN(a) && !isNaN(b) && a !== '' && b !== '') return Number(a) === Number(b);
+  return String(a) === String(b);
+};
+
+// span(row) returns [from, to] (dates, either may be null = open) or null when the row does not count
+const covers = (row, span, ym) => {
+  if (!row) return false;
+  const range = span(row);
+  if (!range) return false;
+  const from = ymOf(range[0]);
+  const to = ymOf(range[1]);
+  return (from == null || from <= ym) && (to == null || to >= ym);
+};
+
+/**
+ * Returns the first Locked payroll run whose month is affected when `before` becomes `after`
+ * (before = null for creates, after = null for deletes), or null when the change is safe.
+ */
+async function findAffectedLockedRun(db, { before = null, after = null, span, fields = [] }) {
+  const [runs] = await db.query(
+    `SELECT id, period_year, period_month
+       FROM payroll_runs
+      WHERE status = 'Locked'
+      ORDER BY period_year, period_month`
+  );
+
+  for (const run of runs) {
+    const ym = Number(run.period_year) * 100 + Number(run.period_month);
+    const was = covers(before, span, ym);
+    const is = covers(after, span, ym);
+    if (was !== is) return run;
+    if (was && fields.some(f => !sameValue(before[f], after[f]))) return run;
+  }
+  return null;
+}
+
+const lockedPeriodMessage = (run) =>
+  `Payroll for ${run.period_year}-${String(run.period_month).padStart(2, '0')} is locked; this change would alter a paid month`;
+
+// Spans for the payroll input tables
+const spans = {
+  allowances: (r) => (r.status === 'Active' ? [r.effective_from, r.effective_to] : null),
+  deductions: (r) => (r.status === 'Active' ? [r.effective_date, r.effective_date] : null),
+  bonuses: (r) => [r.effective_date, r.effective_date],
+  overtime_adjustments: (r) => (r.status && r.status !== 'Approved' ? null : [r.ot_date || r.created_at, r.ot_date || r.created_at]),
+  unpaid_leaves: (r) => [r.start_date, r.end_date],
+};
+
+module.exports = { findAffectedLockedRun, lockedPeriodMessage, spans };
@@ -0,0 +1,65 @@
+// src/utils/permissions.js
+// Role permissions from the database (roles / permissions / role_permissions). A user's
+// role, permissions and department scope are read once per PERMISSION_CACHE_SECONDS
+// (default 60) and cached per user; role and permission changes clear the cache.
+const pool = require('../config/db');
+
+const cache = new Map();
+const ttlMs = () => Math.max(0, Number(process.env.PERMISSION_CACHE_SECONDS ?? 60)) * 1000;
+
+/**
+ * -> { role, permissions: Set<code>, departmentIds: null (every department) | [ids] }
+ */
+async function accessFor(userId) {
+  const hit = cache.get(userId);
+  if (hit && hit.expires > Date.now()) return hit.access;
+
+  const [[user]] = await pool.query(
+    `SELECT u.role, r.id AS role_id, r.data_scope
+       FROM users u
+       LEFT JOIN roles r ON r.name = u.role
+      WHERE u.id = ?`,
+    [userId]
+  );
+  const access = { role: user?.role || null, permissions: new Set(), departmentIds: null };
+  if (user?.role_id) {
+    const [perms] = await pool.query(
+      `SELECT p.code FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id WHERE rp.role_id = ?`,
+      [user.role_id]
+    );
+    access.permissions = new Set(perms.map(p => p.code));
+    if (user.data_scope === 'Department') {
+      const [deps] = await pool.query('SELECT department_id FROM user_department_scopes WHERE user_id = ?', [userId]);
+      access.departmentIds = deps.map(d => d.department_id);
+    }
+  }
+  cache.set(userId, { access, expires: Date.now() + ttlMs() });
+  return access;
+}
+
+const clearAccessCache = (userId) => (userId == null ? cache.clear() : cache.delete(userId));
+
+// Whether the user holds a permission (for checks inside handlers open to every login)
+const can = async (user, code) => Boolean(user) && (await accessFor(user.id)).permissions.has(code);
+
+// ---- Department scope (set on req.access by requirePermission)
+
+// true when the request may see an employee of this department
+const inScope = (req, departmentId) =>
+  !req.access || req.access.departmentIds == null || req.access.departmentIds.includes(Number(departmentId));
+
+// SQL condition limiting `column` to the request's departments: { sql, params } ('' when unrestricted)
+const scopeCondition = (req, column) => {
+  const ids = req.access?.departmentIds;
+  if (ids == null) return { sql: '', params: [] };
+  return ids.length ? { sql: `${column} IN (?)`, params: [ids] } : { sql: '1 = 0', params: [] };
+};
+
+// Department of an employee when it is in the request's scope, else false
+async function employeeInScope(db, req, employeeId) {
+  const [[emp]] = await db.query('SELECT id, department_id FROM employees WHERE id = ?', [employeeId]);
+  if (!emp) return null;
+  return inScope(req, emp.department_id) ? emp : false;
+}
+
+module.exports = { accessFor, clearAccessCache, can, inScope, scopeCondition, employeeInScope };
@@ -0,0 +1,62 @@
+// src/utils/profileChanges.js
+// Personal details an employee may change from /api/me/profile. Changes are staged in
+// employee_profile_change_requests and only written to employees / employee_kin once HR
+// approves them.
+const CONTACT_FIELDS = ['phone', 'country_code', 'personal_email', 'address_permanent', 'address_temporary'];
+const KIN_FIELDS = ['kin_name', 'relationship', 'kin_nic', 'kin_dob'];
+const PROFILE_FIELDS = [...CONTACT_FIELDS, ...KIN_FIELDS];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const clean = (v) => (v == null ? null : String(v).trim() || null);
+
+// Current values of the editable fields
+async function currentProfile(db, employeeId) {
+  const [[emp]] = await db.query(`SELECT ${CONTACT_FIELDS.join(', ')} FROM employees WHERE id = ?`, [employeeId]);
+  if (!emp) return null;
+  const [[kin]] = await db.query(
+    `SELECT ${KIN_FIELDS.join(', ')} FROM employee_kin WHERE employee_id = ? LIMIT 1`,
+    [employeeId]
+  );
+  return { ...emp, ...Object.fromEntries(KIN_FIELDS.map(f => [f, kin ? kin[f] : null])) };
+}
+
+/**
+ * Editable fields present in `body` that differ from `current`.
+ * -> { changes } or { error }
+ */
+function readProfileChanges(body, current) {
+  const changes = {};
+  for (const f of PROFILE_FIELDS) {
+    if (body[f] === undefined) continue;
+    const value = clean(body[f]);
+    if ((current[f] == null ? null : String(current[f])) !== value) changes[f] = value;
+  }
+  if (changes.personal_email && !EMAIL_RE.test(changes.personal_email)) return { error: 'personal_email is not a valid email address' };
+  if (changes.kin_dob && !DATE_RE.test(changes.kin_dob)) return { error: 'kin_dob must be YYYY-MM-DD' };
+  if (changes.phone && !/^[0-9+()\-\s]{6,20}$/.test(changes.phone)) return { error: 'phone is not a valid phone number' };
+  if (!Object.keys(changes).length) return { error: `Nothing to change; editable fields are ${PROFILE_FIELDS.join(', ')}` };
+  return { changes };
+}
+
+// Writes approved changes (employees.address follows address_permanent, as on the HR form)
+async function applyProfileChanges(conn, employeeId, changes) {
+  const contact = Object.fromEntries(Object.entries(changes).filter(([f]) => CONTACT_FIELDS.includes(f)));
+  if (contact.address_permanent !== undefined) contact.address = contact.address_permanent;
+  if (Object.keys(contact).length) {
+    await conn.query('UPDATE employees SET ? WHERE id = ?', [contact, employeeId]);
+  }
+
+  const kin = Object.fromEntries(Object.entries(changes).filter(([f]) => KIN_FIELDS.includes(f)));
+  if (Object.keys(kin).length) {
+    const [[existing]] = await conn.query('SELECT id FROM employee_kin WHERE employee_id = ? LIMIT 1', [employeeId]);
+    if (existing) {
+      await conn.query('UPDATE employee_kin SET ? WHERE id = ?', [kin, existing.id]);
+    } else {
+      await conn.query('INSERT INTO employee_kin SET ?', [{ ...kin, employee_id: employeeId }]);
+    }
+  }
+}
+
+module.exports = { PROFILE_FIELDS, currentProfile, readProfileChanges, applyProfileChanges };
@@ -0,0 +1,269 @@
+// src/utils/punchLogs.js
+// Time-clock punch logs -> daily attendance.
+//   parsePunchLog: CSV with a header row, or ZKTeco attlog .dat lines
+//     "<user id>\t<YYYY-MM-DD HH:MM:SS>\t<verify>\t<state>\t<workcode>"
+//   groupPunchDays / summarizeDay: pair one employee's punches into work days
+//     (first in / last out, breaks in between) and flag anything odd for review.
+const { splitCsv } = require('./bankReturns');
+
+const HEADER_ALIASES = {
+  device_user_id: ['user id', 'userid', 'user_id', 'device user id', 'device_user_id', 'enroll id', 'ac-no.', 'ac no', 'emp no', 'pin', 'id'],
+  timestamp: ['timestamp', 'datetime', 'date time', 'date/time', 'punch time', 'time stamp', 'checktime'],
+  date: ['date'],
+  time: ['time'],
+  direction: ['direction', 'state', 'status', 'type', 'check type', 'in/out', 'checktype', 'punch state'],
+};
+
+// ZKTeco states: 0 check-in, 1 check-out, 2 break-out, 3 break-in, 4 OT-in, 5 OT-out
+const ZK_STATES = { 0: 'In', 1: 'Out', 2: 'Out', 3: 'In', 4: 'In', 5: 'Out' };
+const IN_WORDS = ['in', 'i', 'c/in', 'checkin', 'check-in', 'check in', 'clock in', 'break in', 'ot in', 'entry'];
+const OUT_WORDS = ['out', 'o', 'c/out', 'checkout', 'check-out', 'check out', 'clock out', 'break out', 'ot out', 'exit'];
+
+// Same-direction punches closer than this are one punch pressed twice
+const DEBOUNCE_SECONDS = 60;
+// An Out this soon after the previous day's last In still belongs to that shift
+const OVERNIGHT_HOURS = 16;
+
+const toDirection = (v) => {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (s === '') return 'Unknown';
+  if (/^\d+$/.test(s)) return ZK_STATES[Number(s)] || 'Unknown';
+  if (IN_WORDS.includes(s)) return 'In';
+  if (OUT_WORDS.includes(s)) return 'Out';
+  return 'Unknown';
+};
+
+// 'YYYY-MM-DD HH:MM[:SS]' or 'DD/MM/YYYY HH:MM[:SS]' -> 'YYYY-MM-DD HH:MM:SS' (null if unreadable)
+const toTimestamp = (v) => {
+  const s = String(v || '').trim().replace('T', ' ');
+  let m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) {
+    const d = s.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (d) m = [d[0], d[3], d[2], d[1], d[4], d[5], d[6]];
+  }
+  if (!m) return null;
+  const [, Y, M, D, h, i, sec] = m;
+  const pad = (n) => String(n || 0).padStart(2, '0');
+  if (Number(M) > 12 || Number(D) > 31 || Number(h) > 23) return null;
+  return `${Y}-${pad(M)}-${pad(D)} ${pad(h)}:${pad(i)}:${pad(sec)}`;
+};
+
+const headerIndex = (headers) => {
+  const lower = headers.map(h => h.toLowerCase());
+  const idx = {};
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    idx[key] = lower.findIndex(h => aliases.includes(h));
+  }
+  return idx;
+};
+
+const parseCsv = (lines, idx) => {
+  const punches = [];
+  const errors = [];
+  lines.slice(1).forEach((raw, i) => {
+    const cells = splitCsv(raw);
+    const line_no = i + 2;
+    const device_user_id = String(cells[idx.device_user_id] || '').trim();
+    const punched_at = toTimestamp(idx.timestamp >= 0 ? cells[idx.timestamp] : `${cells[idx.date]} ${cells[idx.time]}`);
+    if (!device_user_id || !punched_at) {
+      errors.push({ line_no, raw, message: !device_user_id ? 'Missing user id' : 'Unreadable date/time' });
+      return;
+    }
+    punches.push({ line_no, device_user_id, punched_at, direction: idx.direction >= 0 ? toDirection(cells[idx.direction]) : 'Unknown', raw });
+  });
+  return { format: 'csv', punches, errors };
+};
+
+const DAT_LINE = /^\s*(\S+)\s+(\d{4}-\d{1,2}-\d{1,2}\s+\d{1,2}:\d{2}(?::\d{2})?)(?:\s+(\S+))?(?:\s+(\S+))?/;
+
+const parseDat = (lines) => {
+  const punches = [];
+  const errors = [];
+  lines.forEach((raw, i) => {
+    const m = raw.match(DAT_LINE);
+    const punched_at = m && toTimestamp(m[2]);
+    if (!punched_at) {
+      errors.push({ line_no: i + 1, raw, message: 'Not a punch line' });
+      return;
+    }
+    punches.push({ line_no: i + 1, device_user_id: m[1], punched_at, direction: toDirection(m[4]), raw });
+  });
+  return { format: 'dat', punches, errors };
+};
+
+/**
+ * content: file text -> { format, punches: [{ line_no, device_user_id, punched_at, direction, raw }], errors }
+ */
+const parsePunchLog = (content) => {
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return { format: 'empty', punches: [], errors: [] };
+
+  const first = splitCsv(lines[0]);
+  if (first.length > 1) {
+    const idx = headerIndex(first);
+    const hasTime = idx.timestamp >= 0 || (idx.date >= 0 && idx.time >= 0);
+    if (idx.device_user_id >= 0 && hasTime) return parseCsv(lines, idx);
+  }
+  return parseDat(lines);
+};
+
+const secondsOf = (ts) => Date.parse(`${ts.replace(' ', 'T')}Z`) / 1000;
+
+/**
+ * One employee's punches (sorted or not) -> [{ date, punches }], a day per shift.
+ * An Out shortly after the previous day's last In stays with that day (night shift).
+ */
+const groupPunchDays = (punches) => {
+  const sorted = [...punches].sort((a, b) => a.punched_at.localeCompare(b.punched_at));
+  const days = [];
+  for (const p of sorted) {
+    const date = p.punched_at.slice(0, 10);
+    const last = days[days.length - 1];
+    const lastPunch = last?.punches[last.punches.length - 1];
+    const sameDay = last && last.date === date;
+    const overnight = last && !sameDay && p.direction === 'Out' && lastPunch.direction !== 'Out'
+      && secondsOf(p.punched_at) - secondsOf(lastPunch.punched_at) <= OVERNIGHT_HOURS * 3600;
+    if (sameDay || overnight) last.punches.push(p);
+    else days.push({ date, punches: [p] });
+  }
+  return days;
+};
+
+/**
+ * A day's punches -> { check_in_time, check_out_time, total_hours, break_minutes, punch_count, flags }
+ * Unknown directions are read as alternating In/Out.
+ */
+const summarizeDay = (punches) => {
+  const flags = [];
+  const kept = [];
+  for (const p of punches) {
+    const prev = kept[kept.length - 1];
+    if (prev && prev.direction === p.direction && secondsOf(p.punched_at) - secondsOf(prev.punched_at) < DEBOUNCE_SECONDS) {
+      if (!flags.includes('Repeated punch ignored')) flags.push('Repeated punch ignored');
+      continue;
+    }
+    kept.push({ ...p });
+  }
+  kept.forEach((p, i) => {
+    if (p.direction === 'Unknown') p.direction = i === 0 || kept[i - 1].direction === 'Out' ? 'In' : 'Out';
+  });
+
+  for (let i = 1; i < kept.length; i++) {
+    if (kept[i].direction === kept[i - 1].direction) {
+      const msg = `Consecutive ${kept[i].direction} punches`;
+      if (!flags.includes(msg)) flags.push(msg);
+    }
+  }
+
+  const firstIn = kept.find(p => p.direction === 'In');
+  const lastOut = [...kept].reverse().find(p => p.direction === 'Out');
+  if (!firstIn) flags.push('Missing check-in');
+  if (!lastOut || (firstIn && lastOut.punched_at < firstIn.punched_at)) flags.push('Missing check-out');
+
+  const start = firstIn || kept[0];
+  const end = lastOut && lastOut.punched_at > start.punched_at ? lastOut : null;
+
+  // breaks: each Out followed by an In between the first in and the last out
+  let breakSeconds = 0;
+  if (end) {
+    for (let i = 0; i < kept.length - 1; i++) {
+      const a = kept[i];
+      const b = kept[i + 1];
+      if (a.direction === 'Out' && b.direction === 'In' && a.punched_at > start.punched_at && b.punched_at < end.punched_at) {
+        breakSeconds += secondsOf(b.punched_at) - secondsOf(a.punched_at);
+      }
+    }
+  }
+  const workedSeconds = end ? secondsOf(end.punched_at) - secondsOf(start.punched_at) - breakSeconds : 0;
+
+  return {
+    check_in_time: start.punched_at.slice(11),
+    check_out_time: end ? end.punched_at.slice(11) : null,
+    total_hours: end ? Math.round((workedSeconds / 3600) * 100) / 100 : null,
+    break_minutes: end ? Math.round(breakSeconds / 60) : null,
+    punch_count: punches.length,
+    flags,
+  };
+};
+
+const shiftDate = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Rebuilds attendance_records for the employees' days between from and to (dates)
+ * from every punch stored for them, so overlapping or repeated uploads converge on
+ * the same result. -> { days, flagged }
+ */
+async function rebuildAttendanceDays(conn, employeeIds, from, to) {
+  if (!employeeIds.length) return { days: 0, flagged: 0 };
+  // a day earlier for night shifts that end on `from`, a day later for ones starting on `to`
+  const [rows] = await conn.query(
+    `SELECT employee_id, DATE_FORMAT(punched_at, '%Y-%m-%d %H:%i:%s') AS punched_at, direction
+       FROM attendance_punches
+      WHERE employee_id IN (?) AND punched_at >= ? AND punched_at < ?
+      ORDER BY employee_id, punched_at`,
+    [employeeIds, shiftDate(from, -1), shiftDate(to, 2)]
+  );
+
+  const byEmployee = new Map();
+  rows.forEach(r => {
+    if (!byEmployee.has(r.employee_id)) byEmployee.set(r.employee_id, []);
+    byEmployee.get(r.employee_id).push(r);
+  });
+
+  let days = 0;
+  let flagged = 0;
+  const written = new Set();
+  for (const [employeeId, punches] of byEmployee) {
+    for (const day of groupPunchDays(punches)) {
+      if (day.date < from || day.date > to) continue;
+      const s = summarizeDay(day.punches);
+      const review = s.flags.length ? s.flags.join('; ') : null;
+      const values = [s.check_in_time, s.check_out_time, s.total_hours, s.break_minutes, s.punch_count, review];
+
+      const [[existing]] = await conn.query(
+        'SELECT id FROM attendance_records WHERE employee_id = ? AND date = ? LIMIT 1',
+        [employeeId, day.date]
+      );
+      if (existing) {
+        // an approved adjustment's times stay; the punches land in raw_* underneath it
+        await conn.query(
+          `UPDATE attendance_records
+              SET raw_check_in_time = IF(is_adjusted, ?, raw_check_in_time),
+                  raw_check_out_time = IF(is_adjusted, ?, raw_check_out_time),
+                  check_in_time = IF(is_adjusted, check_in_time, ?), check_out_time = IF(is_adjusted, check_out_time, ?),
+                  total_hours = IF(is_adjusted, total_hours, ?), break_minutes = ?, punch_count = ?,
+                  review_flag = ?, source = 'Device'
+            WHERE id = ?`,
+          [s.check_in_time, s.check_out_time, ...values, existing.id]
+        );
+      } else {
+        await conn.query(
+          `INSERT INTO attendance_records
+            (employee_id, date, check_in_time, check_out_time, total_hours, break_minutes, punch_count, review_flag, source)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Device')`,
+          [employeeId, day.date, ...values]
+        );
+      }
+      written.add(`${employeeId}|${day.date}`);
+      days++;
+      if (review) flagged++;
+    }
+  }
+
+  // device-built days whose punches have gone (e.g. the device id was re-mapped)
+  const [stale] = await conn.query(
+    `SELECT id, employee_id, DATE_FORMAT(date, '%Y-%m-%d') AS date FROM attendance_records
+      WHERE employee_id IN (?) AND date BETWEEN ? AND ? AND source = 'Device' AND is_adjusted = 0`,
+    [employeeIds, from, to]
+  );
+  const orphaned = stale.filter(r => !written.has(`${r.employee_id}|${r.date}`)).map(r => r.id);
+  if (orphaned.length) await conn.query('DELETE FROM attendance_records WHERE id IN (?)', [orphaned]);
+
+  return { days, flagged };
+}
+
+module.exports = { parsePunchLog, groupPunchDays, summarizeDay, toDirection, rebuildAttendanceDays };
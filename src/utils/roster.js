@@ -0,0 +1,131 @@
+// src/utils/roster.js
+// Who works which shift on a given day. In order of precedence:
+//   1. roster_overrides for the date (manual changes and approved swaps; NULL timetable = off)
+//   2. the employee_timetables row in force (latest effective_date on or before the date):
+//      - a shift pattern: day (date - anchor) mod cycle_days of the pattern
+//      - a fixed timetable: that timetable, with OT_WEEKEND_DAYS off
+// A shift belongs to the date it starts on, so a night shift running 22:00-06:00 is
+// rostered on the evening it begins.
+
+// Days of week (0 = Sunday) treated as weekend, e.g. OT_WEEKEND_DAYS=0,6
+const weekendDays = () => new Set(
+  String(process.env.OT_WEEKEND_DAYS ?? '0,6').split(',').map(s => s.trim()).filter(Boolean).map(Number)
+);
+
+const dateOnly = (d) => (d == null ? null : String(d).slice(0, 10));
+
+const addDays = (date, n) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// true when the shift's check-out falls on the next calendar day
+const crossesMidnight = (t) => {
+  const start = t?.check_in_start || t?.check_in_end;
+  const end = t?.check_out_end || t?.check_out_start;
+  return Boolean(start && end && String(end) < String(start));
+};
+
+const shiftSummary = (t) => t && ({
+  timetable_id: t.id,
+  name: t.name,
+  check_in_start: t.check_in_start,
+  check_out_end: t.check_out_end || t.check_out_start,
+  crosses_midnight: crossesMidnight(t),
+});
+
+/**
+ * Roster for employeeIds over from..to (dates).
+ * -> Map `${employee_id}|${date}` -> { timetable (row|null), off, source, shift_pattern_id? }
+ *    source: 'Timetable' | 'Pattern' | 'Override' | 'Swap'. Days before the employee's
+ *    first assignment have no entry.
+ */
+async function rosterFor(db, employeeIds, from, to) {
+  const roster = new Map();
+  if (!employeeIds.length || from > to) return roster;
+
+  const [assignments] = await db.query(
+    `SELECT employee_id, timetable_id, shift_pattern_id,
+            DATE_FORMAT(effective_date, '%Y-%m-%d') AS effective_date,
+            DATE_FORMAT(pattern_anchor_date, '%Y-%m-%d') AS pattern_anchor_date
+       FROM employee_timetables
+      WHERE employee_id IN (?) AND (effective_date IS NULL OR effective_date <= ?)
+      ORDER BY employee_id, effective_date IS NOT NULL, effective_date`,
+    [employeeIds, to]
+  );
+  const [overrides] = await db.query(
+    `SELECT employee_id, DATE_FORMAT(date, '%Y-%m-%d') AS date, timetable_id, source
+       FROM roster_overrides
+      WHERE employee_id IN (?) AND date BETWEEN ? AND ?`,
+    [employeeIds, from, to]
+  );
+
+  const patternIds = [...new Set(assignments.map(a => a.shift_pattern_id).filter(Boolean))];
+  const [patterns] = patternIds.length
+    ? await db.query('SELECT id, cycle_days FROM shift_patterns WHERE id IN (?)', [patternIds])
+    : [[]];
+  const [patternDays] = patternIds.length
+    ? await db.query('SELECT pattern_id, day_index, timetable_id FROM shift_pattern_days WHERE pattern_id IN (?)', [patternIds])
+    : [[]];
+
+  const timetableIds = [...new Set([
+    ...assignments.map(a => a.timetable_id),
+    ...overrides.map(o => o.timetable_id),
+    ...patternDays.map(d => d.timetable_id),
+  ].filter(Boolean))];
+  const [timetables] = timetableIds.length
+    ? await db.query('SELECT * FROM timetables WHERE id IN (?)', [timetableIds])
+    : [[]];
+
+  const timetableBy = new Map(timetables.map(t => [t.id, t]));
+  const cycleBy = new Map(patterns.map(p => [p.id, Number(p.cycle_days)]));
+  const patternDayBy = new Map(patternDays.map(d => [`${d.pattern_id}|${d.day_index}`, d.timetable_id]));
+  const overrideBy = new Map(overrides.map(o => [`${o.employee_id}|${o.date}`, o]));
+  const assignmentsBy = new Map();
+  assignments.forEach(a => {
+    if (!assignmentsBy.has(a.employee_id)) assignmentsBy.set(a.employee_id, []);
+    assignmentsBy.get(a.employee_id).push(a);
+  });
+  const weekend = weekendDays();
+
+  for (const employeeId of employeeIds) {
+    const history = assignmentsBy.get(Number(employeeId)) || [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const key = `${employeeId}|${date}`;
+      const override = overrideBy.get(key);
+      if (override) {
+        const timetable = timetableBy.get(override.timetable_id) || null;
+        roster.set(key, { timetable, off: !timetable, source: override.source });
+        continue;
+      }
+
+      // history is oldest first; the last one that has started is in force
+      let current = null;
+      for (const a of history) {
+        if (a.effective_date == null || a.effective_date <= date) current = a;
+        else break;
+      }
+      if (!current) continue;
+
+      if (current.shift_pattern_id) {
+        const cycle = cycleBy.get(current.shift_pattern_id);
+        if (!cycle) continue;
+        const anchor = current.pattern_anchor_date || current.effective_date || date;
+        const index = ((daysBetween(anchor, date) % cycle) + cycle) % cycle;
+        const timetable = timetableBy.get(patternDayBy.get(`${current.shift_pattern_id}|${index}`)) || null;
+        roster.set(key, { timetable, off: !timetable, source: 'Pattern', shift_pattern_id: current.shift_pattern_id });
+      } else {
+        const timetable = timetableBy.get(current.timetable_id) || null;
+        roster.set(key, { timetable, off: !timetable || weekend.has(dayOfWeek(date)), source: 'Timetable' });
+      }
+    }
+  }
+  return roster;
+}
+
+module.exports = { weekendDays, crossesMidnight, shiftSummary, rosterFor, addDays, dateOnly };
@@ -0,0 +1,117 @@
+// src/utils/salaryHistory.js
+// Effective-dated basic salary. employee_salary_history is the source of truth;
+// `salaries` is only consulted for employees that have no history rows yet.
+
+const SALARY_CHANGE_REASONS = ['Appointment', 'Increment', 'Promotion', 'Correction'];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Basic salary in force on `date` (YYYY-MM-DD) for each of `ids`.
+ * -> Map(employee_id -> { id, basic_salary, effective_from, source_table })
+ */
+async function basicSalariesOn(db, ids, date) {
+  const result = new Map();
+  if (!ids.length) return result;
+
+  // ordered by effective_from, so the last row per employee wins
+  const [history] = await db.query(
+    `SELECT employee_id, id, basic_salary, effective_from FROM employee_salary_history
+      WHERE employee_id IN (?) AND effective_from <= ?
+      ORDER BY employee_id, effective_from, id`,
+    [ids, date]
+  );
+  const [legacy] = await db.query(
+    `SELECT s.employee_id, s.id, s.basic_salary, NULL AS effective_from
+       FROM salaries s
+       JOIN (SELECT employee_id, MAX(id) AS id FROM salaries WHERE employee_id IN (?) GROUP BY employee_id) latest
+         ON latest.id = s.id
+      WHERE s.employee_id NOT IN (SELECT employee_id FROM employee_salary_history WHERE employee_id IN (?))`,
+    [ids, ids]
+  );
+
+  legacy.forEach(s => result.set(s.employee_id, { ...s, source_table: 'salaries' }));
+  history.forEach(s => result.set(s.employee_id, { ...s, source_table: 'employee_salary_history' }));
+  return result;
+}
+
+// Single-employee form of basicSalariesOn; null when nothing is in force on `date`
+async function basicSalaryOn(db, employeeId, date) {
+  const map = await basicSalariesOn(db, [employeeId], date);
+  return map.get(Number(employeeId)) || null;
+}
+
+// Sets `basic_salary` on each row (keyed by `key`) to the salary in force on `date`
+async function withBasicSalary(db, rows, date, key = 'employee_id') {
+  const map = await basicSalariesOn(db, rows.map(r => r[key]), date);
+  rows.forEach(r => { r.basic_salary = map.get(r[key])?.basic_salary ?? null; });
+  return rows;
+}
+
+/**
+ * Works out an increment for everyone Active in the grade / department.
+ * body: { grade_id | department_id, mode: 'fixed'|'percent', amount?, percent?, effective_from,
+ *         note?, employee_ids? (limit to these) }
+ * -> { error } or { scope, items, skipped, total_increase }
+ */
+async function buildIncrement(db, body) {
+  const { grade_id, department_id, mode, amount, percent, effective_from, employee_ids } = body || {};
+  if (!grade_id === !department_id) return { error: 'Give either grade_id or department_id' };
+  if (!['fixed', 'percent'].includes(mode)) return { error: "mode must be 'fixed' or 'percent'" };
+  if (mode === 'fixed' && (amount == null || isNaN(Number(amount)))) return { error: 'amount required for fixed mode' };
+  if (mode === 'percent' && (percent == null || isNaN(Number(percent)))) return { error: 'percent required for percent mode' };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(effective_from || ''))) return { error: 'effective_from must be YYYY-MM-DD' };
+
+  const scope = grade_id
+    ? { scope_type: 'Grade', scope_id: Number(grade_id) }
+    : { scope_type: 'Department', scope_id: Number(department_id) };
+
+  const params = [scope.scope_id];
+  let only = '';
+  if (Array.isArray(employee_ids) && employee_ids.length) {
+    only = 'AND e.id IN (?)';
+    params.push(employee_ids.map(Number));
+  }
+  const [emps] = await db.query(
+    `SELECT e.id AS employee_id, e.employee_code, e.full_name, g.grade_name, d.name AS department_name
+       FROM employees e
+       LEFT JOIN grades g ON g.grade_id = e.grade_id
+       LEFT JOIN departments d ON d.id = e.department_id
+      WHERE e.status = 'Active' AND ${grade_id ? 'e.grade_id' : 'e.department_id'} = ? ${only}
+      ORDER BY e.full_name`,
+    params
+  );
+
+  const ids = emps.map(e => e.employee_id);
+  const salaries = await basicSalariesOn(db, ids, effective_from);
+  let already = new Set();
+  if (ids.length) {
+    const [dupes] = await db.query(
+      `SELECT DISTINCT employee_id FROM employee_salary_history
+        WHERE employee_id IN (?) AND effective_from = ? AND reason = 'Increment'`,
+      [ids, effective_from]
+    );
+    already = new Set(dupes.map(d => d.employee_id));
+  }
+
+  const items = [];
+  const skipped = [];
+  for (const e of emps) {
+    const current = salaries.get(e.employee_id);
+    if (!current) { skipped.push({ ...e, reason: 'No basic salary on record' }); continue; }
+    if (already.has(e.employee_id)) { skipped.push({ ...e, reason: 'Already has an increment from this date' }); continue; }
+
+    const basic = Number(current.basic_salary);
+    const increase = round2(mode === 'fixed' ? Number(amount) : basic * Number(percent) / 100);
+    items.push({ ...e, current_salary: basic, increase, new_salary: round2(basic + increase) });
+  }
+
+  return {
+    scope,
+    items,
+    skipped,
+    total_increase: round2(items.reduce((a, i) => a + i.increase, 0)),
+  };
+}
+
+module.exports = { SALARY_CHANGE_REASONS, basicSalariesOn, basicSalaryOn, withBasicSalary, buildIncrement };
@@ -0,0 +1,145 @@
+// src/utils/sessions.js
+// Short-lived access tokens (JWT_EXPIRES_IN, default 15m) carrying a session id, and
+// rotating refresh tokens (REFRESH_TOKEN_DAYS, default 14) kept hashed in user_sessions.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const getClientIP = require('./getClientIP');
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_change_me';
+
+const accessTtl = () => process.env.JWT_EXPIRES_IN || '15m';
+const refreshDays = () => Math.max(1, Number(process.env.REFRESH_TOKEN_DAYS || 14));
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const clientOf = (req) => ({
+  ip: req ? getClientIP(req) : null,
+  user_agent: req?.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null,
+});
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, role: user.role, name: user.name, email: user.email, employee_id: user.employee_id || null, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: accessTtl() }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Token pair handed to the client
+const tokensFor = (user, sessionId, refreshToken) => ({
+  token: signAccessToken(user, sessionId),
+  expires_in: accessTtl(),
+  refresh_token: refreshToken,
+  session_id: sessionId,
+});
+
+// New session at login -> { token, expires_in, refresh_token, session_id }
+async function createSession(db, user, req) {
+  const refreshToken = newRefreshToken();
+  const { ip, user_agent } = clientOf(req);
+  const deviceName = req?.body?.device_name ? String(req.body.device_name).slice(0, 100) : null;
+  const [ins] = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, ip, user_agent, device_name, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [user.id, hashToken(refreshToken), ip, user_agent, deviceName, refreshDays()]
+  );
+  return tokensFor(user, ins.insertId, refreshToken);
+}
+
+/**
+ * Swaps a refresh token for a new pair. A token that was already rotated away is treated as
+ * stolen: its session is revoked.
+ * -> { user, tokens } or { error }
+ */
+async function rotateSession(db, refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const [[reused]] = await db.query(
+    'SELECT id, user_id FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+    [hash]
+  );
+  if (reused) {
+    await revokeSession(db, reused.id, 'Refresh token reused');
+    return { error: 'Refresh token already used; session revoked', user_id: reused.user_id };
+  }
+
+  const [[session]] = await db.query(
+    `SELECT s.id, s.user_id, s.revoked_at, s.expires_at > NOW() AS live,
+            u.id AS uid, u.name, u.email, u.role, u.employee_id, u.is_active
+       FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+      WHERE s.refresh_token_hash = ?`,
+    [hash]
+  );
+  if (!session || session.revoked_at || !session.live) return { error: 'Invalid or expired refresh token', user_id: session?.user_id };
+  if (!session.is_active) {
+    await revokeSession(db, session.id, 'User disabled');
+    return { error: 'User is disabled', user_id: session.user_id };
+  }
+
+  const next = newRefreshToken();
+  const { ip, user_agent } = clientOf(req);
+  // Only the request still holding the current token rotates it; one that lost a race with
+  // another refresh of the same token is a reuse
+  const [rotated] = await db.query(
+    `UPDATE user_sessions
+        SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, ip = ?, user_agent = ?,
+            last_used_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [hashToken(next), ip, user_agent, refreshDays(), session.id, hash]
+  );
+  if (rotated.affectedRows === 0) {
+    await revokeSession(db, session.id, 'Refresh token reused');
+    return { error: 'Refresh token already used; session revoked', user_id: session.user_id };
+  }
+  const user = { id: session.uid, name: session.name, email: session.email, role: session.role, employee_id: session.employee_id };
+  return { user, tokens: tokensFor(user, session.id, next) };
+}
+
+// Whether an access token's session is still good (not revoked or expired, user still active)
+async function sessionActive(db, sessionId, userId) {
+  const [[row]] = await db.query(
+    `SELECT s.id FROM user_sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active = 1`,
+    [sessionId, userId]
+  );
+  return Boolean(row);
+}
+
+async function revokeSession(db, sessionId, reason) {
+  const [r] = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+  return r.affectedRows;
+}
+
+// Revokes every open session of a user (logout everywhere, disabled user, role change)
+async function revokeUserSessions(db, userId, reason, exceptSessionId = 0) {
+  const [r] = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+    [reason, userId, exceptSessionId || 0]
+  );
+  return r.affectedRows;
+}
+
+// Sessions of a user, open ones first
+async function listSessions(db, userId, { all = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT id, ip, user_agent, device_name, created_at, last_used_at, expires_at, revoked_at, revoked_reason,
+            (revoked_at IS NULL AND expires_at > NOW()) AS active
+       FROM user_sessions
+      WHERE user_id = ? ${all ? '' : 'AND revoked_at IS NULL AND expires_at > NOW()'}
+      ORDER BY active DESC, COALESCE(last_used_at, created_at) DESC
+      LIMIT 100`,
+    [userId]
+  );
+  return rows.map(r => ({ ...r, active: Boolean(r.active) }));
+}
+
+module.exports = {
+  hashToken, verifyAccessToken, createSession, rotateSession, sessionActive, revokeSession, revokeUserSessions, listSessions,
+};
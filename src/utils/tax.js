@@ -0,0 +1,211 @@
+// src/utils/tax.js
+// APIT (PAYE) on employment income. Tax years run April -> March; slabs are stored
+// as annual bands in effective-dated tax_tables so a new budget is just new rows.
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Tax year containing year/month: { startYear, label, monthIndex (1 = April), from, to }
+ */
+const taxYearOf = (year, month) => {
+  const y = Number(year);
+  const m = Number(month);
+  const startYear = m >= 4 ? y : y - 1;
+  return {
+    startYear,
+    label: `${startYear}/${startYear + 1}`,
+    monthIndex: ((m - 4 + 12) % 12) + 1,
+    from: `${startYear}-04-01`,
+    to: `${startYear + 1}-03-31`,
+  };
+};
+
+// The twelve { year, month } periods of the tax year starting April of startYear
+const taxYearPeriods = (startYear) =>
+  Array.from({ length: 12 }, (_, i) => {
+    const m = ((3 + i) % 12) + 1;
+    return { year: m >= 4 ? Number(startYear) : Number(startYear) + 1, month: m };
+  });
+
+/**
+ * Progressive tax on `amount`. `scale` shrinks the annual bands (n/12 for the
+ * cumulative method after n months).
+ */
+const slabTax = (amount, slabs, scale = 1) => {
+  let tax = 0;
+  for (const s of slabs) {
+    const lower = Number(s.lower_bound) * scale;
+    const upper = s.upper_bound == null ? Infinity : Number(s.upper_bound) * scale;
+    if (amount <= lower) break;
+    tax += (Math.min(amount, upper) - lower) * (Number(s.rate) / 100);
+  }
+  return round2(tax);
+};
+
+/**
+ * Slabs must start at 0, be contiguous, and only the last may be open-ended.
+ * Returns an error message or null.
+ */
+const validateSlabs = (slabs) => {
+  if (!Array.isArray(slabs) || !slabs.length) return 'At least one slab is required';
+  const amount = (v) => v !== null && v !== '' && typeof v !== 'boolean' && Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) < 1e12;
+  for (let i = 0; i < slabs.length; i++) {
+    const s = slabs[i];
+    if (!s || typeof s !== 'object') return `Slab ${i + 1} must be an object`;
+    if (!amount(s.lower_bound)) return `Slab ${i + 1} needs a lower_bound of 0 or more`;
+    if (s.upper_bound != null && s.upper_bound !== '' && !amount(s.upper_bound)) return `Slab ${i + 1} upper_bound must be a number`;
+  }
+  const sorted = [...slabs].sort((a, b) => Number(a.lower_bound) - Number(b.lower_bound));
+  if (Number(sorted[0].lower_bound) !== 0) return 'The first slab must start at 0';
+  for (let i = 0; i < sorted.length; i++) {
+    const s = sorted[i];
+    const rate = Number(s.rate);
+    if (isNaN(rate) || rate < 0 || rate > 100) return `Invalid rate on slab ${i + 1}`;
+    const last = i === sorted.length - 1;
+    if (s.upper_bound == null || s.upper_bound === '') {
+      if (!last) return 'Only the last slab may be open-ended';
+      continue;
+    }
+    if (Number(s.upper_bound) <= Number(s.lower_bound)) return `Slab ${i + 1} upper bound must exceed its lower bound`;
+    if (!last && Number(sorted[i + 1].lower_bound) !== Number(s.upper_bound)) return `Slab ${i + 2} must start where slab ${i + 1} ends`;
+  }
+  return null;
+};
+
+// Tax table of the given type in force on `asOf`, with its slabs (null when none loaded)
+async function loadTaxTable(db, tableType, asOf) {
+  const [[table]] = await db.query(
+    `SELECT id, name, table_type, effective_from, effective_to
+       FROM tax_tables
+      WHERE table_type = ? AND effective_from <= ?
+        AND (effective_to IS NULL OR effective_to >= ?)
+      ORDER BY effective_from DESC, id DESC
+      LIMIT 1`,
+    [tableType, asOf, asOf]
+  );
+  if (!table) return null;
+
+  const [slabs] = await db.query(
+    'SELECT lower_bound, upper_bound, rate FROM tax_slabs WHERE tax_table_id = ? ORDER BY lower_bound',
+    [table.id]
+  );
+  return { ...table, slabs };
+}
+
+/**
+ * Taxable income and tax already deducted earlier in the tax year, from Locked runs.
+ * -> Map(employee_id -> { regular, lump_sum, regular_tax, lump_sum_tax })
+ */
+async function priorTaxYearTotals(db, ids, year, month) {
+  const ty = taxYearOf(year, month);
+  const fromYm = ty.startYear * 100 + 4;
+  const toYm = Number(year) * 100 + Number(month);
+
+  const [rows] = await db.query(
+    `SELECT l.employee_id, l.line_type, l.component, l.tax_class, SUM(l.amount) AS total
+       FROM payroll_run_lines l
+       JOIN payroll_runs r ON r.id = l.run_id AND r.status = 'Locked'
+      WHERE l.employee_id IN (?)
+        AND l.tax_class IS NOT NULL
+        AND (r.period_year * 100 + r.period_month) >= ?
+        AND (r.period_year * 100 + r.period_month) < ?
+      GROUP BY l.employee_id, l.line_type, l.component, l.tax_class`,
+    [ids, fromYm, toYm]
+  );
+
+  const totals = new Map();
+  for (const r of rows) {
+    if (!totals.has(r.employee_id)) {
+      totals.set(r.employee_id, { regular: 0, lump_sum: 0, regular_tax: 0, lump_sum_tax: 0 });
+    }
+    const t = totals.get(r.employee_id);
+    const amount = Number(r.total || 0);
+    const key = r.tax_class === 'LumpSum' ? 'lump_sum' : 'regular';
+    if (r.component === 'TAX') t[`${key}_tax`] += amount;
+    else if (r.line_type === 'Earning') t[key] += amount;
+  }
+  return totals;
+}
+
+/**
+ * APIT lines for a batch of employees in one month.
+ * entries: [{ employee_id, lines }] where earning lines carry tax_class 'Regular' | 'LumpSum'.
+ * -> Map(employee_id -> tax lines[]); empty when no Regular tax table is in force.
+ */
+async function calculateTaxLines(db, entries, year, month) {
+  const result = new Map();
+  if (!entries.length) return result;
+
+  const periodEnd = new Date(Date.UTC(Number(year), Number(month), 0)).toISOString().slice(0, 10);
+  const regularTable = await loadTaxTable(db, 'Regular', periodEnd);
+  if (!regularTable || !regularTable.slabs.length) return result;
+  const lumpTable = (await loadTaxTable(db, 'LumpSum', periodEnd)) || regularTable;
+
+  const ids = entries.map(e => e.employee_id);
+  const [methods] = await db.query('SELECT id, tax_method FROM employees WHERE id IN (?)', [ids]);
+  const methodBy = new Map(methods.map(r => [r.id, r.tax_method || 'Cumulative']));
+  const prior = await priorTaxYearTotals(db, ids, year, month);
+  const { monthIndex } = taxYearOf(year, month);
+
+  for (const { employee_id, lines } of entries) {
+    const sumClass = (c) => lines
+      .filter(l => l.line_type === 'Earning' && l.tax_class === c)
+      .reduce((a, l) => a + Number(l.amount || 0), 0);
+    const regular = sumClass('Regular');
+    const lumpSum = sumClass('LumpSum');
+    const p = prior.get(employee_id) || { regular: 0, lump_sum: 0, regular_tax: 0, lump_sum_tax: 0 };
+    const method = methodBy.get(employee_id) || 'Cumulative';
+
+    const taxLines = [];
+    let projectedAnnual;
+
+    if (method === 'Annualized') {
+      projectedAnnual = regular * 12;
+      const amount = round2(slabTax(projectedAnnual, regularTable.slabs) / 12);
+      if (amount > 0) {
+        taxLines.push({
+          line_type: 'Deduction', component: 'TAX', description: 'APIT',
+          amount, source_table: 'tax_tables', source_id: regularTable.id, tax_class: 'Regular',
+          formula: `tax(${regular.toFixed(2)} x 12) / 12 [${regularTable.name}]`,
+        });
+      }
+    } else {
+      const cumulative = p.regular + regular;
+      projectedAnnual = (cumulative / monthIndex) * 12;
+      const due = slabTax(cumulative, regularTable.slabs, monthIndex / 12);
+      const amount = round2(Math.max(0, due - p.regular_tax));
+      if (amount > 0) {
+        taxLines.push({
+          line_type: 'Deduction', component: 'TAX', description: 'APIT',
+          amount, source_table: 'tax_tables', source_id: regularTable.id, tax_class: 'Regular',
+          formula: `tax(${cumulative.toFixed(2)} YTD over ${monthIndex}/12 bands) - ${p.regular_tax.toFixed(2)} paid [${regularTable.name}]`,
+        });
+      }
+    }
+
+    // Lump sums are taxed at the marginal rate on top of the projected annual regular income
+    if (lumpSum > 0) {
+      const base = projectedAnnual + p.lump_sum;
+      const amount = round2(slabTax(base + lumpSum, lumpTable.slabs) - slabTax(base, lumpTable.slabs));
+      if (amount > 0) {
+        taxLines.push({
+          line_type: 'Deduction', component: 'TAX', description: 'APIT on lump-sum payments',
+          amount, source_table: 'tax_tables', source_id: lumpTable.id, tax_class: 'LumpSum',
+          formula: `tax(${(base + lumpSum).toFixed(2)}) - tax(${base.toFixed(2)}) [${lumpTable.name}]`,
+        });
+      }
+    }
+
+    result.set(employee_id, taxLines);
+  }
+  return result;
+}
+
+module.exports = {
+  taxYearOf,
+  taxYearPeriods,
+  slabTax,
+  validateSlabs,
+  loadTaxTable,
+  calculateTaxLines,
+};
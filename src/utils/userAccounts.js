@@ -0,0 +1,73 @@
+// src/utils/userAccounts.js
+// Password policy and the one-time invite / reset links used to set a password.
+// Links point at FRONTEND_URL/set-password; the raw token is only ever returned to the admin
+// who created it and is stored hashed.
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const passwordPolicy = () => ({
+  min_length: Math.max(8, Number(process.env.PASSWORD_MIN_LENGTH || 10)),
+  // of lowercase, uppercase, digits and symbols
+  min_character_classes: Math.min(4, Math.max(1, Number(process.env.PASSWORD_MIN_CLASSES || 3))),
+  may_contain_name_or_email: false,
+});
+
+/**
+ * Error message when `password` breaks the policy, else null.
+ * `user` ({ name, email }) keeps people from using their own name or email in it.
+ */
+function checkPassword(password, user = {}) {
+  const policy = passwordPolicy();
+  const pw = String(password || '');
+  if (pw.length < policy.min_length) return `Password must be at least ${policy.min_length} characters`;
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(pw)).length;
+  if (classes < policy.min_character_classes) {
+    return `Password must mix at least ${policy.min_character_classes} of: lowercase, uppercase, digits, symbols`;
+  }
+  const lower = pw.toLowerCase();
+  const personal = [
+    String(user.email || '').split('@')[0],
+    ...String(user.name || '').split(/\s+/),
+  ].map(p => p.toLowerCase()).filter(p => p.length >= 4);
+  if (personal.some(p => lower.includes(p))) return 'Password must not contain your name or email';
+  return null;
+}
+
+const tokenHours = (purpose) => Math.max(1, Number(
+  purpose === 'Invite' ? process.env.INVITE_TOKEN_HOURS || 72 : process.env.RESET_TOKEN_HOURS || 24
+));
+
+const setPasswordUrl = (token) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}/set-password?token=${encodeURIComponent(token)}`;
+
+/**
+ * New invite / reset link for a user; earlier unused links of the user stop working.
+ * -> { token, url, purpose, expires_in_hours }
+ */
+async function createPasswordToken(db, { userId, purpose, createdBy = null }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query('UPDATE user_password_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [userId]);
+  await db.query(
+    `INSERT INTO user_password_tokens (user_id, token_hash, purpose, expires_at, created_by)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), ?)`,
+    [userId, hashToken(token), purpose, tokenHours(purpose), createdBy]
+  );
+  return { token, url: setPasswordUrl(token), purpose, expires_in_hours: tokenHours(purpose) };
+}
+
+// Unused, unexpired link with its user (locked for the caller's transaction), or null
+async function findPasswordToken(conn, token) {
+  const [[row]] = await conn.query(
+    `SELECT t.id, t.user_id, t.purpose, u.name, u.email, u.is_active
+       FROM user_password_tokens t
+       JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW()
+      FOR UPDATE`,
+    [hashToken(token)]
+  );
+  return row || null;
+}
+
+module.exports = { EMAIL_RE, passwordPolicy, checkPassword, createPasswordToken, findPasswordToken };